@@ -96,17 +96,111 @@ const env = cleanEnv(
       desc: 'Public webhook URL configured in PagBank (required in production)',
     }),
 
+    /* -------------------------------- PayPal ------------------------------- */
+    PAYPAL_CLIENT_ID: str({
+      default: '',
+      desc: 'PayPal REST app client id (required when PayPal checkout is enabled)',
+    }),
+    PAYPAL_CLIENT_SECRET: str({
+      default: '',
+      desc: 'PayPal REST app client secret (required when PayPal checkout is enabled)',
+    }),
+    PAYPAL_ENV: str({
+      choices: ['sandbox', 'live'],
+      default: 'sandbox',
+      desc: 'PayPal API environment (sandbox or live)',
+    }),
+    PAYPAL_WEBHOOK_ID: str({
+      default: '',
+      desc: 'PayPal webhook id (used for signature verification)',
+    }),
+    PAYPAL_CHECKOUT_MODE: str({
+      choices: ['buttons', 'redirect'],
+      default: 'buttons',
+      desc:
+        'How the frontend completes a PayPal checkout: render Smart Buttons with the ' +
+        'order id (buttons) or redirect the buyer to the approval URL (redirect).',
+    }),
+
     /* --------------------------- Checkout strategy ------------------------- */
     PAYMENT_PROVIDER: str({
-      choices: ['MERCADO_PAGO', 'PAGBANK'],
+      choices: ['MERCADO_PAGO', 'PAGBANK', 'PAYPAL'],
       default: 'MERCADO_PAGO',
-      desc: 'Primary payment provider (MERCADO_PAGO or PAGBANK).',
+      desc: 'Primary payment provider (MERCADO_PAGO, PAGBANK or PAYPAL).',
+    }),
+    PAYMENT_ROUTING_WEIGHTS: str({
+      default: '',
+      desc:
+        'Optional A/B split for domestic checkouts, e.g. "MERCADO_PAGO:80,PAGBANK:20". ' +
+        'Empty = always PAYMENT_PROVIDER.',
+    }),
+    PAYMENT_PROVIDERS_DISABLED: str({
+      default: '',
+      desc: 'Comma-separated providers the router must skip (kill switch), e.g. "PAGBANK".',
+    }),
+    PAYMENT_FAILOVER_CHAIN: str({
+      default: 'MERCADO_PAGO,PAGBANK',
+      desc:
+        'Ordered providers tried after the routed one fails transiently (eligible ones only). ' +
+        'Empty = no failover.',
+    }),
+    PAYMENT_CHECKOUT_BUDGET_MS: num({
+      default: 15_000,
+      desc: 'Time budget (ms) for creating a checkout on one provider before failing over',
     }),
     PAYMENT_FAILURE_URL: url({
       default: 'https://www.zodika.com.br/payment-fail',
       desc: 'Fallback URL for payment failures',
     }),
 
+    FORM_DEDUPE_WINDOW_MS: num({
+      default: 30 * 60 * 1000,
+      desc:
+        'Repeated unpaid form submissions (same person, birth data, product and coupon) ' +
+        'within this window get the existing checkout back. 0 disables.',
+    }),
+
+    CHECKOUT_RESUME_SECRET: str({
+      default: '',
+      desc:
+        'HMAC secret for signed checkout resume links (/birthchart/checkout/:token) sent in ' +
+        'PENDING reminders. Empty disables resume links.',
+    }),
+    CHECKOUT_RESUME_TTL_MS: num({
+      default: 72 * 60 * 60 * 1000,
+      desc: 'Validity (ms) of a checkout resume link',
+    }),
+    CHECKOUT_LINK_MAX_AGE_MS: num({
+      default: 24 * 60 * 60 * 1000,
+      desc: 'Stored PSP checkout links older than this are replaced by a fresh checkout on resume',
+    }),
+
+    REPORT_DOWNLOAD_SECRET: str({
+      default: '',
+      desc:
+        'HMAC secret for signed PDF report links (/birthchart/report/:token) sent in the PAID ' +
+        'payload. Empty disables the links (reports are still stored).',
+    }),
+    REPORT_DOWNLOAD_TTL_MS: num({
+      default: 30 * 24 * 60 * 60 * 1000,
+      desc: 'Validity (ms) of a PDF report download link',
+    }),
+
+    /* -------------------------------- Catalog ------------------------------ */
+    CATALOG_SOURCE: str({
+      choices: ['file', 'db'],
+      default: 'file',
+      desc: 'Where product definitions come from: JSON file or public.product_catalog',
+    }),
+    CATALOG_FILE: str({
+      default: '',
+      desc: 'Optional path to a catalog JSON file (defaults to modules/catalog/catalog.json)',
+    }),
+    CATALOG_REFRESH_MS: num({
+      default: 5 * 60 * 1000,
+      desc: 'Refresh interval (ms) for the DB-backed catalog',
+    }),
+
     /* ----------------------------- Product hooks --------------------------- */
     EPHEMERIS_API_URL: url({
       default: 'https://ephemeris-api-production.up.railway.app/api/v1/ephemeris',
@@ -124,6 +218,21 @@ const env = cleanEnv(
       default: '',
       desc: 'Optional Basic Auth password for Ephemeris (if required).',
     }),
+    EPHEMERIS_ENGINE: str({
+      choices: ['api', 'local'],
+      default: 'api',
+      desc: 'Primary chart engine: Ephemeris API or the in-process engine (modules/birthchart/localEphemeris).',
+    }),
+    EPHEMERIS_LOCAL_FALLBACK: bool({
+      default: true,
+      desc: 'Compute the chart in-process when the Ephemeris API fails for good (or has no key).',
+    }),
+    EPHEMERIS_VERSION: str({
+      default: '',
+      desc:
+        'Engine version tag for stored chart results (chart_results). Empty = the /vN/ ' +
+        'segment of EPHEMERIS_API_URL. Bump to stop reusing results of an older engine.',
+    }),
 
     WEBHOOK_URL_PAID: url({
       default: isProd ? undefined : '',
@@ -141,6 +250,10 @@ const env = cleanEnv(
       default: isProd ? undefined : '',
       desc: 'n8n webhook URL for PENDING after 24 hours.',
     }),
+    WEBHOOK_URL_REFUNDED: url({
+      default: '',
+      desc: 'n8n webhook URL for REFUNDED / CHARGED_BACK flow (revoke delivery, notify finance).',
+    }),
 
 
     /* ----------------------------- Timezone sources ------------------------ */
@@ -148,18 +261,36 @@ const env = cleanEnv(
       default: isProd ? undefined : '',
       desc: 'GeoNames username for timezoneJSON (required in production for historical TZ).',
     }),
+    TZ_JOB_MAX_ATTEMPTS: num({
+      default: 8,
+      desc: 'Attempts per birth timezone job before it is marked failed',
+    }),
+    TZ_JOB_BACKOFF_BASE_MS: num({
+      default: 60_000,
+      desc: 'First retry delay of a failed timezone job (doubles per attempt)',
+    }),
+    TZ_JOB_BACKOFF_MAX_MS: num({
+      default: 6 * 60 * 60 * 1000,
+      desc: 'Upper bound of the timezone job retry delay',
+    }),
 
     /* --------------------------- Security toggles -------------------------- */
     ALLOW_UNSIGNED_WEBHOOKS: bool({
       default: false,
       desc: 'Dev only: allow unsigned webhooks (MUST be false in production)',
     }),
+    ADMIN_API_TOKEN: str({
+      default: '',
+      desc: 'Bearer token for /admin endpoints (refunds). Empty = admin API disabled.',
+    }),
 
     /* ------------------------- Rate-limiting tuning ------------------------ */
     WEBHOOK_RL_WINDOW_MS: num({ default: 5 * 60 * 1000 }),
     WEBHOOK_RL_MAX: num({ default: 1000 }),
     FORM_RL_WINDOW_MS: num({ default: 10 * 60 * 1000 }),
     FORM_RL_MAX: num({ default: 60 }),
+    PREVIEW_RL_WINDOW_MS: num({ default: 10 * 60 * 1000 }),
+    PREVIEW_RL_MAX: num({ default: 20 }),
 
     /* ------------------------------ HTTP Client ---------------------------- */
     HTTP_ALLOWED_HOSTS: str({
@@ -179,10 +310,22 @@ const env = cleanEnv(
     HTTP_DEFAULT_TIMEOUT_MS: num({ default: 10_000 }),
     HTTP_DEFAULT_RETRIES: num({ default: 0 }),
 
+    TZ_PROVIDERS: str({
+      default: 'google,offline',
+      desc:
+        'Ordered timezone providers: google (Time Zone API) and/or offline (bundled ' +
+        'tz boundaries + tzdb). E.g. "offline" or "offline,google".',
+    }),
     TZ_PROVIDER_TIMEOUT_MS: num({ default: 6000 }),
     TZ_CACHE_TTL_MS: num({ default: 12 * 60 * 60 * 1000 }),
     TZ_CACHE_MAX_ENTRIES: num({ default: 500 }),
 
+    PREVIEW_CACHE_TTL_MS: num({
+      default: 24 * 60 * 60 * 1000,
+      desc: 'Lifetime (ms) of a cached chart preview (POST /birthchart/preview)',
+    }),
+    PREVIEW_CACHE_MAX_ENTRIES: num({ default: 1000 }),
+
     EPHEMERIS_HTTP_TIMEOUT_MS: num({ default: 12_000 }),
     MAKE_HTTP_TIMEOUT_MS: num({ default: 10_000 }),
 
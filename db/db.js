@@ -154,6 +154,7 @@ async function initPool() {
  * Facade methods (Pool-like)
  * - query(text, params)
  * - getClient() -> PoolClient (remember to release)
+ * - withTransaction(fn) -> runs fn(client) inside BEGIN/COMMIT (ROLLBACK on throw)
  * - end()
  */
 async function query(text, params) {
@@ -166,6 +167,26 @@ async function getClient() {
   return pool.connect();
 }
 
+/**
+ * Run `fn(client)` in a single transaction on a dedicated client.
+ * Commits when `fn` resolves, rolls back and rethrows when it throws;
+ * the client is always released.
+ */
+async function withTransaction(fn) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const out = await fn(client);
+    await client.query('COMMIT');
+    return out;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch { /* connection may already be gone */ }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 async function end() {
   const pool = await initPool();
   return pool.end();
@@ -183,6 +204,7 @@ if (eager) {
 module.exports = {
   query,
   getClient,
+  withTransaction,
   end,
   // Advanced: access the Pool (promise) if you really need it
   _unsafe_getPool: initPool,
@@ -51,6 +51,7 @@ const mpWebhookRouter      = require('./payments/mercadoPago/router.webhook');
 const mpReturnRouter       = require('./payments/mercadoPago/router.return');
 const paypalReturnRouter   = require('./payments/payPal/router.return');
 const paypalWebhookRouter  = require('./payments/payPal/router.webhook');
+const adminRouter          = require('./modules/admin/router');
 
 /* ----------------------- Raw body for webhook signatures ---------------------- */
 function rawBodySaver(req, res, buf) {
@@ -65,7 +66,7 @@ const toInt = (v, d) => {
   const n = parseInt(String(v ?? ''), 10);
   return Number.isFinite(n) ? n : d;
 };
-const createRateLimiter = ({ windowMs, limit, message, trustProxy = TRUST_PROXY_SETTING }) =>
+const createRateLimiter = ({ windowMs, limit, message, trustProxy = TRUST_PROXY_SETTING, skip }) =>
   rateLimit({
     windowMs,
     limit,
@@ -73,6 +74,7 @@ const createRateLimiter = ({ windowMs, limit, message, trustProxy = TRUST_PROXY_
     standardHeaders: 'draft-7',
     legacyHeaders: false,
     trustProxy,
+    ...(skip ? { skip } : {}),
   });
 
 const webhookLimiter = createRateLimiter({
@@ -85,6 +87,20 @@ const formLimiter = createRateLimiter({
   windowMs: toInt(process.env.FORM_RL_WINDOW_MS, 10 * 60 * 1000),
   limit: toInt(process.env.FORM_RL_MAX, 60),
   message: 'Too many requests, slow down.',
+  // The free preview has its own budget (previewLimiter).
+  skip: (req) => req.path === '/preview',
+});
+
+const previewLimiter = createRateLimiter({
+  windowMs: toInt(process.env.PREVIEW_RL_WINDOW_MS, 10 * 60 * 1000),
+  limit: toInt(process.env.PREVIEW_RL_MAX, 20),
+  message: 'Too many preview requests, slow down.',
+});
+
+const adminLimiter = createRateLimiter({
+  windowMs: toInt(process.env.ADMIN_RL_WINDOW_MS, 60 * 1000),
+  limit: toInt(process.env.ADMIN_RL_MAX, 30),
+  message: 'Too many admin requests, slow down.',
 });
 
 /* ---------------------------------- CORS ------------------------------------- */
@@ -115,8 +131,12 @@ app.use('/healthz', healthzRouter);
 app.use('/assets', express.static(path.join(__dirname, 'public'), { maxAge: '30d', etag: true }));
 
 /* ------------------------------ Product modules ------------------------------ */
+app.use('/birthchart/preview', previewLimiter);
 app.use('/birthchart', formLimiter, birthchartRouter);
 
+/* ---------------------------------- Admin ------------------------------------ */
+app.use('/admin', adminLimiter, adminRouter);
+
 /* ------------------------------- Payments: PB -------------------------------- */
 app.use('/webhook/pagbank', webhookLimiter);
 app.use('/', pagbankWebhookRouter);
@@ -133,6 +153,9 @@ app.use('/', paypalWebhookRouter);
 
 /* -------------------------- Product handlers (boot) -------------------------- */
 
+// Product catalog: periodic refresh when CATALOG_SOURCE=db (no-op for the JSON file).
+require('./modules/catalog/service').init();
+
 // Birthchart handler wires its event/listener setup on require().
 require('./modules/birthchart/handler');
 
@@ -0,0 +1,56 @@
+// middlewares/adminAuth.js
+'use strict';
+
+/**
+ * Admin API auth (bearer token)
+ * -----------------------------
+ * - Requires `Authorization: Bearer <ADMIN_API_TOKEN>` on every /admin route.
+ * - The token is read through the secret provider (env / *_FILE / vault ...).
+ * - Empty token = admin API disabled: every call gets 404 (no surface exposed).
+ * - Constant-time comparison on SHA-256 digests (length-independent).
+ * - Generic 401 on failure; the presented token is never logged.
+ *
+ * Sets `req.adminActor` from the optional `X-Admin-Actor` header (bounded) so
+ * audit rows can tell who asked for an operation.
+ */
+
+const crypto = require('crypto');
+const { get: getSecret } = require('../config/secretProvider');
+const { env } = require('../config/env');
+const baseLogger = require('../utils/logger').child('admin.auth');
+
+function digest(v) {
+  return crypto.createHash('sha256').update(String(v || ''), 'utf8').digest();
+}
+
+function bearerToken(req) {
+  const m = String(req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : '';
+}
+
+async function resolveToken() {
+  try {
+    const v = await getSecret('ADMIN_API_TOKEN', { required: false });
+    if (v) return String(v);
+  } catch { /* fall back to env */ }
+  return process.env.ADMIN_API_TOKEN || env.ADMIN_API_TOKEN || '';
+}
+
+module.exports = async function adminAuth(req, res, next) {
+  try {
+    const expected = await resolveToken();
+    if (!expected) return res.status(404).json({ message: 'Not found' });
+
+    const presented = bearerToken(req);
+    if (!presented || !crypto.timingSafeEqual(digest(presented), digest(expected))) {
+      (req.log || baseLogger).warn({ path: req.path }, 'admin auth rejected');
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const actor = String(req.get('x-admin-actor') || '').trim().slice(0, 64);
+    req.adminActor = actor || 'admin';
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -243,7 +243,9 @@ function applyCorsHeaders(req, res, next, normalizedOrigin) {
       'Authorization',
       'X-Requested-With',
       'X-Request-Id',
+      'Idempotency-Key',
     ],
+    exposedHeaders: ['Idempotent-Replayed'],
     credentials: false,          // Keep false unless you truly need cookies/auth
     optionsSuccessStatus: 204,   // Legacy compatibility
     maxAge: 600,                 // Cache preflight for 10 minutes
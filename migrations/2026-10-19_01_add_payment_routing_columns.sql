@@ -0,0 +1,20 @@
+-- 2026-10-19_01_add_payment_routing_columns.sql
+-- Purpose:
+--   - Persist the payment routing decision per request (which PSP and why).
+--   - payment_route_decision keeps the full policy output (inputs, eligible
+--     providers, A/B bucket) for audits; no PII is stored there.
+--
+-- Scope: zodika_requests
+
+BEGIN;
+
+ALTER TABLE public.zodika_requests
+  ADD COLUMN IF NOT EXISTS payment_route_provider TEXT,
+  ADD COLUMN IF NOT EXISTS payment_route_reason   TEXT,
+  ADD COLUMN IF NOT EXISTS payment_route_decision JSONB,
+  ADD COLUMN IF NOT EXISTS payment_routed_at      TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_zodika_requests_route_provider_reason
+  ON public.zodika_requests (payment_route_provider, payment_route_reason);
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- 2026-10-19_02_add_checkout_failover_columns.sql
+-- Purpose:
+--   - Record which PSP finally issued the checkout link for a request.
+--   - Keep the failover attempt trail (provider, error code/status, duration).
+--     The trail carries no PII.
+--
+-- Scope: zodika_requests
+
+BEGIN;
+
+ALTER TABLE public.zodika_requests
+  ADD COLUMN IF NOT EXISTS payment_checkout_provider TEXT,
+  ADD COLUMN IF NOT EXISTS payment_checkout_attempts JSONB;
+
+COMMIT;
@@ -0,0 +1,49 @@
+-- 2026-10-19_03_create_product_catalog.sql
+-- Purpose:
+--   - DB-backed product catalog (used when CATALOG_SOURCE=db).
+--   - `definition` mirrors one entry of modules/catalog/catalog.json
+--     (name, prices per currency, payment methods, descriptors, URLs, metadata).
+--   - Active windows are columns so launches/sunsets can be scheduled in SQL.
+--
+-- Scope: product_catalog (new)
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.product_catalog (
+  product_type  TEXT PRIMARY KEY,
+  definition    JSONB       NOT NULL,
+  enabled       BOOLEAN     NOT NULL DEFAULT TRUE,
+  active_from   TIMESTAMPTZ,
+  active_until  TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT ck_product_catalog_window
+    CHECK (active_from IS NULL OR active_until IS NULL OR active_from < active_until)
+);
+
+-- Seed the product that used to be hard-coded in the birthchart controller.
+INSERT INTO public.product_catalog (product_type, definition)
+VALUES (
+  'birth_chart',
+  '{
+    "name": "MAPA NATAL ZODIKA",
+    "description": "mapa natal",
+    "item_description": "astrologia mapa natal ebook digital",
+    "item_id_prefix": "bc",
+    "category_id": "services",
+    "image_url": "https://backend-form-webflow-production.up.railway.app/assets/birthchart-productimage.png",
+    "statement_descriptor": "mapa natal",
+    "prices": { "BRL": 3500 },
+    "default_currency": "BRL",
+    "payment": { "methods": ["pix", "card", "paypal"], "max_installments": 1 },
+    "urls": {
+      "success": "https://www.zodika.com.br/birthchart-payment-success?ref={ref}",
+      "pending": "https://www.zodika.com.br/payment-pending",
+      "fail": "https://www.zodika.com.br/payment-fail"
+    },
+    "metadata": { "product_version": "v1" }
+  }'::jsonb
+)
+ON CONFLICT (product_type) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,64 @@
+-- 2026-10-19_04_create_coupons.sql
+-- Purpose:
+--   - Discount coupons / promo codes for checkout (percent or fixed amount).
+--   - Limits: validity window, global max redemptions, per-email limit and
+--     optional product restriction.
+--   - One redemption row per request, written in the same transaction as the
+--     request itself (modules/coupons/service.js); deleted again (and the
+--     counter decremented) when no checkout could be opened for the request.
+--   - Requests keep the applied discount so post-payment payloads can mention it.
+--
+-- Scope: coupons (new), coupon_redemptions (new), zodika_requests
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.coupons (
+  code               TEXT PRIMARY KEY,                 -- stored uppercase
+  discount_type      TEXT        NOT NULL,             -- 'percent' | 'fixed'
+  discount_value     INTEGER     NOT NULL,             -- percent (1..100) or cents
+  currency           TEXT,                             -- required for 'fixed'
+  product_types      TEXT[],                           -- NULL = any product
+  valid_from         TIMESTAMPTZ,
+  expires_at         TIMESTAMPTZ,
+  max_redemptions    INTEGER,                          -- NULL = unlimited
+  per_email_limit    INTEGER,                          -- NULL = unlimited
+  redemptions_count  INTEGER     NOT NULL DEFAULT 0,
+  active             BOOLEAN     NOT NULL DEFAULT TRUE,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT ck_coupons_code_upper CHECK (code = upper(code)),
+  CONSTRAINT ck_coupons_type CHECK (discount_type IN ('percent', 'fixed')),
+  CONSTRAINT ck_coupons_value CHECK (
+    discount_value > 0 AND (discount_type <> 'percent' OR discount_value <= 100)
+  ),
+  CONSTRAINT ck_coupons_fixed_currency CHECK (discount_type <> 'fixed' OR currency IS NOT NULL),
+  CONSTRAINT ck_coupons_window CHECK (valid_from IS NULL OR expires_at IS NULL OR valid_from < expires_at),
+  CONSTRAINT ck_coupons_limits CHECK (
+    (max_redemptions IS NULL OR max_redemptions > 0) AND
+    (per_email_limit IS NULL OR per_email_limit > 0)
+  )
+);
+
+CREATE TABLE IF NOT EXISTS public.coupon_redemptions (
+  redemption_id   BIGSERIAL PRIMARY KEY,
+  coupon_code     TEXT        NOT NULL REFERENCES public.coupons(code),
+  request_id      BIGINT      NOT NULL REFERENCES public.zodika_requests(request_id),
+  email           TEXT        NOT NULL,                -- lowercase
+  product_type    TEXT        NOT NULL,
+  currency        TEXT        NOT NULL,
+  original_cents  INTEGER     NOT NULL,
+  discount_cents  INTEGER     NOT NULL,
+  final_cents     INTEGER     NOT NULL,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT uq_coupon_redemptions_request UNIQUE (request_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_code_email
+  ON public.coupon_redemptions (coupon_code, email);
+
+ALTER TABLE public.zodika_requests
+  ADD COLUMN IF NOT EXISTS coupon_code           TEXT,
+  ADD COLUMN IF NOT EXISTS list_price_cents      INTEGER,
+  ADD COLUMN IF NOT EXISTS coupon_discount_cents INTEGER;
+
+COMMIT;
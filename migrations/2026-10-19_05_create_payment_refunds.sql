@@ -0,0 +1,39 @@
+-- 2026-10-19_05_create_payment_refunds.sql
+-- Purpose:
+--   - Audit trail of refund attempts issued from POST /admin/requests/:id/refund.
+--   - One row per attempt; `idempotency_key` is also sent to the provider so a
+--     retried attempt can never refund twice.
+--   - PROCESSING rows reserve their amount until the provider answers.
+--
+-- Scope: payment_refunds (new)
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.payment_refunds (
+  refund_id           BIGSERIAL PRIMARY KEY,
+  request_id          BIGINT      NOT NULL,
+  provider            TEXT        NOT NULL,              -- MP | PAGBANK | PAYPAL
+  payment_id          TEXT        NOT NULL,              -- MP payment / PagBank charge / PayPal capture
+  amount_cents        INTEGER     NOT NULL,
+  currency            TEXT,
+  full_refund         BOOLEAN     NOT NULL DEFAULT FALSE,
+  status              TEXT        NOT NULL DEFAULT 'PROCESSING', -- PROCESSING | SUCCEEDED | FAILED
+  idempotency_key     TEXT        NOT NULL,
+  provider_refund_id  TEXT,
+  provider_status     TEXT,
+  error_code          TEXT,
+  error_status        INTEGER,
+  reason              TEXT,
+  requested_by        TEXT,
+  raw                 JSONB,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT uq_payment_refunds_idempotency_key UNIQUE (idempotency_key),
+  CONSTRAINT ck_payment_refunds_amount CHECK (amount_cents > 0),
+  CONSTRAINT ck_payment_refunds_status CHECK (status IN ('PROCESSING', 'SUCCEEDED', 'FAILED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_request
+  ON public.payment_refunds (request_id, created_at DESC);
+
+COMMIT;
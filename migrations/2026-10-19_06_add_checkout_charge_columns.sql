@@ -0,0 +1,18 @@
+-- 2026-10-19_06_add_checkout_charge_columns.sql
+-- Purpose:
+--   - Record the amount and currency a checkout was opened with (catalog or
+--     coupon price at that moment), so a later capture is verified against what
+--     the customer was actually asked to pay, not the catalog price at capture time.
+--   - Separate from payment_amount_cents / payment_currency, which provider
+--     webhooks overwrite with the amount they report.
+--   - NULL for older rows: the catalog price applies (payments/priceAuthority).
+--
+-- Scope: zodika_requests
+
+BEGIN;
+
+ALTER TABLE public.zodika_requests
+  ADD COLUMN IF NOT EXISTS checkout_amount_cents INTEGER,
+  ADD COLUMN IF NOT EXISTS checkout_currency     TEXT;
+
+COMMIT;
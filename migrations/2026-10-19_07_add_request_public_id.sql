@@ -0,0 +1,19 @@
+-- 2026-10-19_07_add_request_public_id.sql
+-- Purpose:
+--   - Give every request a non-guessable public identifier (UUID v4) for
+--     anything a browser sees: return URLs (?ref=), status polling, SSE.
+--   - The sequential request_id stays internal (PSP external_reference,
+--     custom_id, joins) and is no longer accepted from browsers.
+--   - Existing rows are backfilled by the column default.
+--
+-- Scope: zodika_requests
+
+BEGIN;
+
+ALTER TABLE public.zodika_requests
+  ADD COLUMN IF NOT EXISTS public_id UUID NOT NULL DEFAULT gen_random_uuid();
+
+CREATE UNIQUE INDEX IF NOT EXISTS zodika_requests_public_id_uidx
+  ON public.zodika_requests (public_id);
+
+COMMIT;
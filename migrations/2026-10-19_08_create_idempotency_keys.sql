@@ -0,0 +1,37 @@
+-- 2026-10-19_08_create_idempotency_keys.sql
+-- Purpose:
+--   - Store client Idempotency-Key headers for public POST endpoints so a
+--     repeated submission (double-click, Webflow retry) replays the first
+--     response instead of creating another request/checkout.
+--   - `fingerprint` is a SHA-256 of the normalized body; reusing a key with a
+--     different body is rejected. No PII is stored besides the replayed
+--     response (checkout URL, provider, public ref).
+--   - Rows expire (expires_at) and are then reclaimable by the same key.
+--
+-- Scope: idempotency_keys (new), zodika_requests (dedupe lookup index)
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+  scope            TEXT        NOT NULL,
+  idempotency_key  TEXT        NOT NULL,
+  fingerprint      TEXT        NOT NULL,
+  status           TEXT        NOT NULL DEFAULT 'PROCESSING'
+                   CHECK (status IN ('PROCESSING', 'COMPLETED')),
+  request_id       BIGINT,
+  response_status  INT,
+  response_body    JSONB,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at       TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_idx
+  ON public.idempotency_keys (expires_at);
+
+-- Natural-key dedupe of recent unpaid submissions (see birthchart repository)
+CREATE INDEX IF NOT EXISTS zodika_requests_dedupe_idx
+  ON public.zodika_requests (lower(email), product_type, birth_date, created_at DESC);
+
+COMMIT;
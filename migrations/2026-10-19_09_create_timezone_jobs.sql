@@ -0,0 +1,29 @@
+-- 2026-10-19_09_create_timezone_jobs.sql
+-- Purpose:
+--   - Make birth timezone resolution durable: one job per request, retried with
+--     exponential backoff until the offsets are persisted on zodika_requests
+--     (previously a fire-and-forget call lost on API errors or restarts).
+--   - `running` rows untouched for a few minutes are reclaimed (owner crashed).
+--   - `failed` = attempts exhausted; the APPROVED handler still resolves on
+--     demand and the backfill command can re-queue them.
+--
+-- Scope: timezone_jobs (new)
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.timezone_jobs (
+  request_id   BIGINT      PRIMARY KEY,
+  status       TEXT        NOT NULL DEFAULT 'queued'
+               CHECK (status IN ('queued', 'running', 'done', 'failed')),
+  attempts     INT         NOT NULL DEFAULT 0,
+  next_run_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error   TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS timezone_jobs_due_idx
+  ON public.timezone_jobs (next_run_at)
+  WHERE status IN ('queued', 'running');
+
+COMMIT;
@@ -0,0 +1,19 @@
+-- 2026-10-19_10_add_birth_timezone_precision.sql
+-- Purpose:
+--   - Births before their zone adopted standard time use Local Mean Time, an
+--     offset with fractional minutes (longitude × 4 min): birth_utc_offset_min
+--     becomes NUMERIC(8,3) so that precision reaches the Ephemeris payload.
+--   - birth_timezone_source records where the offset came from:
+--     lmt | google | offline | fallback.
+--
+-- Scope: zodika_requests
+
+BEGIN;
+
+ALTER TABLE public.zodika_requests
+  ALTER COLUMN birth_utc_offset_min TYPE NUMERIC(8,3) USING birth_utc_offset_min::numeric;
+
+ALTER TABLE public.zodika_requests
+  ADD COLUMN IF NOT EXISTS birth_timezone_source TEXT;
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- 2026-10-19_11_add_birth_time_unknown.sql
+-- Purpose:
+--   - Customers who do not know their birth time submit `birth_time_unknown`;
+--     birth_time then holds a noon placeholder and the flag tells the
+--     Ephemeris call (no houses/ascendant) and n8n (report wording) apart.
+--
+-- Scope: zodika_requests
+
+BEGIN;
+
+ALTER TABLE public.zodika_requests
+  ADD COLUMN IF NOT EXISTS birth_time_unknown BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMIT;
@@ -0,0 +1,37 @@
+-- 2026-10-19_12_add_chart_settings.sql
+-- Purpose:
+--   - Ephemeris chart settings (house system, ayanamsha, observation point,
+--     language, optional points) resolved per product + allowed form overrides.
+--   - `zodika_requests.chart_settings`: settings the request was sold with
+--     (NULL for older rows: product defaults apply).
+--   - `product_jobs.chart_settings`: settings a job actually sent to the
+--     Ephemeris, so the chart can be recomputed exactly.
+--   - Adds the `chart` block to the DB catalog entry of birth_chart
+--     (mirrors modules/catalog/catalog.json).
+--
+-- Scope: zodika_requests, product_jobs, product_catalog
+
+BEGIN;
+
+ALTER TABLE public.zodika_requests
+  ADD COLUMN IF NOT EXISTS chart_settings JSONB;
+
+ALTER TABLE public.product_jobs
+  ADD COLUMN IF NOT EXISTS chart_settings JSONB;
+
+UPDATE public.product_catalog
+   SET definition = definition || '{
+         "chart": {
+           "house_system": "placidus",
+           "ayanamsha": "tropical",
+           "observation_point": "topocentric",
+           "language": "pt",
+           "points": [],
+           "allowed_overrides": ["language"]
+         }
+       }'::jsonb,
+       updated_at = now()
+ WHERE product_type = 'birth_chart'
+   AND NOT (definition ? 'chart');
+
+COMMIT;
@@ -0,0 +1,30 @@
+-- 2026-10-19_13_create_chart_results.sql
+-- Purpose:
+--   - Store validated Ephemeris responses so charts can be re-sent and audited
+--     without calling the API again (see modules/birthchart/chartResults.js).
+--   - Keyed by request, settings hash (SHA-256 of the canonical Ephemeris request:
+--     birth inputs + chart settings) and ephemeris engine version.
+--   - `ephemeris_request` keeps the exact body sent; `job_id` the product_jobs
+--     row that computed it.
+--
+-- Scope: chart_results (new)
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.chart_results (
+  chart_result_id    BIGSERIAL PRIMARY KEY,
+  request_id         BIGINT      NOT NULL,
+  settings_hash      TEXT        NOT NULL,
+  ephemeris_version  TEXT        NOT NULL,
+  chart_settings     JSONB       NOT NULL,
+  ephemeris_request  JSONB       NOT NULL,
+  result             JSONB       NOT NULL,
+  job_id             BIGINT,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT uq_chart_results_key UNIQUE (request_id, settings_hash, ephemeris_version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chart_results_request_created
+  ON public.chart_results (request_id, created_at DESC);
+
+COMMIT;
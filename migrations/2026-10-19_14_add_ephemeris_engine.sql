@@ -0,0 +1,18 @@
+-- 2026-10-19_14_add_ephemeris_engine.sql
+-- Purpose:
+--   - Record which engine produced a chart: the Ephemeris API ('api') or the
+--     in-process fallback (modules/birthchart/localEphemeris.js, 'local').
+--   - product_jobs.ephemeris_engine: per delivery attempt (NULL = no chart yet).
+--   - chart_results.engine: per stored result (existing rows came from the API).
+--
+-- Scope: product_jobs, chart_results
+
+BEGIN;
+
+ALTER TABLE public.product_jobs
+  ADD COLUMN IF NOT EXISTS ephemeris_engine TEXT;
+
+ALTER TABLE public.chart_results
+  ADD COLUMN IF NOT EXISTS engine TEXT NOT NULL DEFAULT 'api';
+
+COMMIT;
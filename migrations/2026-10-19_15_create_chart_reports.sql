@@ -0,0 +1,33 @@
+-- 2026-10-19_15_create_chart_reports.sql
+-- Purpose:
+--   - Store the PDF natal reports (ebooks) rendered for paid requests
+--     (see modules/birthchart/report.js), so delivery can be repeated and
+--     audited without n8n.
+--   - One row per distinct rendering: rendering is deterministic, so the
+--     SHA-256 checksum identifies it and re-deliveries reuse the row.
+--   - `template_version` / `chart_result_id` record what it was rendered from;
+--     download links (signed) carry the request's public id and the checksum.
+--
+-- Scope: chart_reports (new)
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.chart_reports (
+  report_id         BIGSERIAL PRIMARY KEY,
+  request_id        BIGINT      NOT NULL,
+  job_id            BIGINT,
+  chart_result_id   BIGINT,
+  product_type      TEXT        NOT NULL,
+  language          TEXT        NOT NULL,
+  template_version  TEXT        NOT NULL,
+  checksum_sha256   TEXT        NOT NULL,
+  size_bytes        INTEGER     NOT NULL,
+  content           BYTEA       NOT NULL,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CONSTRAINT uq_chart_reports_request_checksum UNIQUE (request_id, checksum_sha256)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chart_reports_request_created
+  ON public.chart_reports (request_id, created_at DESC);
+
+COMMIT;
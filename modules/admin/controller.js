@@ -0,0 +1,69 @@
+// modules/admin/controller.js
+'use strict';
+
+/**
+ * Admin Controller
+ * ----------------
+ * Back-office operations for support (behind middlewares/adminAuth).
+ *
+ * POST /admin/requests/:id/refund
+ *  Body   : { amount_cents?, reason? }  (no amount = refund everything still refundable)
+ *  Header : Idempotency-Key? (re-sending the same key never refunds twice)
+ *  200    : { refund_id, request_id, status, provider, amount_cents, currency,
+ *             full_refund, provider_refund_id, provider_status,
+ *             refunded_total_cents, idempotency_key, replayed }
+ *  Errors : AppError from payments/refunds (404/409/422, provider 4xx/5xx).
+ */
+
+const { validateRefundInput } = require('./validators');
+const refunds = require('../../payments/refunds/service');
+const { AppError } = require('../../utils/appError');
+const baseLogger = require('../../utils/logger').child('admin');
+
+async function refundRequest(req, res, next) {
+  const logger = (req.log || baseLogger).child('refund', { rid: req.requestId });
+
+  try {
+    const input = validateRefundInput({
+      params: req.params,
+      body: req.body,
+      idempotencyKey: req.get('idempotency-key'),
+    });
+
+    logger.info(
+      { requestId: input.requestId, amountCents: input.amountCents ?? null, actor: req.adminActor },
+      'refund requested'
+    );
+
+    const { refund, refundedTotalCents, replayed } = await refunds.refundRequest(
+      { ...input, requestedBy: req.adminActor },
+      { requestId: req.requestId, log: req.log || baseLogger }
+    );
+
+    return res.status(200).json({
+      refund_id:            refund.refund_id,
+      request_id:           Number(refund.request_id),
+      status:               refund.status,
+      provider:             refund.provider,
+      amount_cents:         refund.amount_cents,
+      currency:             refund.currency,
+      full_refund:          refund.full_refund,
+      provider_refund_id:   refund.provider_refund_id,
+      provider_status:      refund.provider_status,
+      refunded_total_cents: refundedTotalCents,
+      idempotency_key:      refund.idempotency_key,
+      replayed,
+    });
+  } catch (err) {
+    if (err && err.name === 'ValidationError' && !err.code) {
+      return next(AppError.validation('validation_error', 'Validation Error', {
+        details: err.details || undefined,
+      }));
+    }
+    return next(err instanceof AppError
+      ? err
+      : AppError.fromUnexpected('refund_processing_failed', 'Failed to process refund', { cause: err }));
+  }
+}
+
+module.exports = { refundRequest };
@@ -0,0 +1,36 @@
+// modules/admin/router.js
+'use strict';
+
+/**
+ * Admin routes (back-office)
+ * --------------------------
+ * Mounting (index.js):
+ *   app.use('/admin', adminLimiter, adminRouter);
+ *
+ * Middleware order:
+ *   1) no-store / correlation headers
+ *   2) adminAuth (bearer token; 404 when the admin API is disabled)
+ *   3) controller
+ *
+ * Routes:
+ *   POST /admin/requests/:id/refund -> full/partial refund on the PSP that took the payment
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const adminAuth = require('../../middlewares/adminAuth');
+const controller = require('./controller');
+
+router.use((req, res, next) => {
+  const rid = req.requestId || req.get('x-request-id');
+  if (rid) res.set('X-Request-Id', String(rid));
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
+router.use(adminAuth);
+
+router.post('/requests/:id/refund', controller.refundRequest);
+
+module.exports = router;
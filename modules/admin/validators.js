@@ -0,0 +1,60 @@
+// modules/admin/validators.js
+'use strict';
+
+/**
+ * Admin API validators (Zod)
+ * --------------------------
+ * POST /admin/requests/:id/refund
+ *   params: id (positive integer request id)
+ *   body  : { amount_cents?: positive integer (omit = refund what is left), reason?: string }
+ *   header: Idempotency-Key? (8..64 chars of [A-Za-z0-9_.:-])
+ */
+
+const { z } = require('zod');
+
+const refundSchema = z
+  .object({
+    id: z.coerce.number().int().positive(),
+    amount_cents: z.coerce.number().int().positive().optional(),
+    reason: z.string().trim().max(200).optional(),
+    idempotency_key: z
+      .string()
+      .trim()
+      .regex(/^[A-Za-z0-9_.:-]{8,64}$/, 'invalid Idempotency-Key')
+      .optional(),
+  })
+  .strict();
+
+/**
+ * Validate a refund call.
+ * @param {object} input { params, body, idempotencyKey }
+ * @returns {{ requestId: number, amountCents?: number, reason?: string, idempotencyKey?: string }}
+ * @throws {Error} ValidationError with `status = 400` and `details` (flattened issues)
+ */
+function validateRefundInput({ params, body, idempotencyKey }) {
+  const result = refundSchema.safeParse({
+    ...(body && typeof body === 'object' ? body : {}),
+    id: params?.id,
+    ...(idempotencyKey ? { idempotency_key: idempotencyKey } : {}),
+  });
+  if (result.success) {
+    return {
+      requestId: result.data.id,
+      amountCents: result.data.amount_cents,
+      reason: result.data.reason,
+      idempotencyKey: result.data.idempotency_key,
+    };
+  }
+
+  const flattened = result.error.flatten();
+  const err = new Error('Validation Error');
+  err.name = 'ValidationError';
+  err.status = 400;
+  err.details = {
+    fieldErrors: flattened.fieldErrors,
+    formErrors: flattened.formErrors,
+  };
+  throw err;
+}
+
+module.exports = { validateRefundInput };
@@ -0,0 +1,86 @@
+// modules/birthchart/chartResults.js
+'use strict';
+
+/**
+ * Stored chart results
+ * --------------------
+ * Validated Ephemeris responses kept in `chart_results`, keyed by
+ * (request_id, settings_hash, ephemeris_version):
+ *
+ *  - settings_hash:     SHA-256 of the canonical Ephemeris request body, i.e. the
+ *                       birth inputs (date, time, place, timezone) plus the chart
+ *                       settings `config`. A corrected timezone or another house
+ *                       system is a different chart; the same inputs are the same one.
+ *  - ephemeris_version: EPHEMERIS_VERSION, or the `/vN/` segment of
+ *                       EPHEMERIS_API_URL. Bump it when the upstream engine changes
+ *                       so older results are not reused. Charts from the local
+ *                       engine use its own tag (localEphemeris.ENGINE_VERSION), so
+ *                       a fallback chart is never reused in place of an API one.
+ *
+ * The APPROVED handler reuses a stored result instead of calling the API again
+ * (re-deliveries, retries after an n8n failure); support reads it through
+ * GET /birthchart/requests/:publicId/chart.
+ */
+
+const crypto = require('crypto');
+
+const { env } = require('../../config/env');
+const repo = require('./repository');
+const localEphemeris = require('./localEphemeris');
+
+/** Version tag of the engine ('api' | 'local') results are computed with. */
+function ephemerisVersion(engine = 'api') {
+  if (engine === 'local') return localEphemeris.ENGINE_VERSION;
+  const explicit = String(process.env.EPHEMERIS_VERSION ?? env.EPHEMERIS_VERSION ?? '').trim();
+  if (explicit) return explicit.slice(0, 32);
+  const url = process.env.EPHEMERIS_API_URL || env.EPHEMERIS_API_URL || '';
+  const m = String(url).match(/\/(v\d+)(?:\/|$)/i);
+  return m ? m[1].toLowerCase() : 'unversioned';
+}
+
+/** JSON with object keys sorted at every level (stable across key orders). */
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(',')}]`;
+  if (v && typeof v === 'object') {
+    const keys = Object.keys(v).filter((k) => v[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+/** Hash of an Ephemeris request body (birth inputs + chart settings). */
+function settingsHash(ephemerisBody) {
+  return crypto.createHash('sha256').update(canonicalJson(ephemerisBody), 'utf8').digest('hex');
+}
+
+/**
+ * Stored result for exactly this request body and engine version, or null.
+ * @returns {Promise<object|null>} chart_results row
+ */
+async function findReusable(requestId, ephemerisBody, engine = 'api') {
+  return repo.findChartResult(requestId, settingsHash(ephemerisBody), ephemerisVersion(engine));
+}
+
+/**
+ * Store a validated Ephemeris response (idempotent on the key).
+ * @returns {Promise<object>} chart_results row
+ */
+async function save({ requestId, jobId = null, engine = 'api', ephemerisBody, chartSettings, result }) {
+  return repo.saveChartResult({
+    request_id: requestId,
+    job_id: jobId,
+    engine,
+    settings_hash: settingsHash(ephemerisBody),
+    ephemeris_version: ephemerisVersion(engine),
+    chart_settings: chartSettings,
+    ephemeris_request: ephemerisBody,
+    result,
+  });
+}
+
+module.exports = {
+  ephemerisVersion,
+  settingsHash,
+  findReusable,
+  save,
+};
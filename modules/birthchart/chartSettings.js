@@ -0,0 +1,171 @@
+// modules/birthchart/chartSettings.js
+'use strict';
+
+/**
+ * Chart settings
+ * --------------
+ * What the Ephemeris is asked to compute for a chart: house system, zodiac
+ * (tropical or a sidereal ayanamsha), observation point, language and optional
+ * points (nodes, Chiron, Lilith…).
+ *
+ * Resolution (lowest → highest precedence)
+ *  1) SYSTEM_DEFAULTS below (what used to be hard-coded in the handler).
+ *  2) The product's `chart` block in the catalog (modules/catalog), e.g.
+ *       "chart": { "house_system": "placidus", "language": "pt",
+ *                  "allowed_overrides": ["language"] }
+ *  3) Form overrides (`chart_<setting>` fields), only for settings listed in the
+ *     product's `allowed_overrides`; anything else is rejected with 422.
+ *
+ * The resolved object is stored on the request at submit and copied to the
+ * `product_jobs` row that used it, so a chart can be recomputed exactly later
+ * even after the catalog changes.
+ */
+
+const { AppError } = require('../../utils/appError');
+const catalog = require('../catalog/service');
+const baseLogger = require('../../utils/logger').child('birthchart.chart-settings');
+
+/* ------------------------------ Allowed values ------------------------------ */
+
+const OPTIONS = Object.freeze({
+  house_system: ['placidus', 'koch', 'equal', 'whole_sign', 'porphyry', 'regiomontanus', 'campanus'],
+  ayanamsha: ['tropical', 'lahiri', 'fagan_bradley', 'raman', 'krishnamurti'],
+  observation_point: ['topocentric', 'geocentric'],
+  language: ['pt', 'en', 'es'],
+  points: ['north_node', 'south_node', 'chiron', 'lilith', 'part_of_fortune', 'vertex'],
+});
+
+const SETTINGS = Object.freeze(Object.keys(OPTIONS));
+
+const SYSTEM_DEFAULTS = Object.freeze({
+  house_system: 'placidus',
+  ayanamsha: 'tropical',
+  observation_point: 'topocentric',
+  language: 'pt',
+  points: Object.freeze([]),
+});
+
+/** Public form field carrying the override of a setting. */
+function formKey(setting) {
+  return `chart_${setting}`;
+}
+
+const FORM_KEYS = Object.freeze(SETTINGS.map(formKey));
+
+/* --------------------------------- Helpers --------------------------------- */
+
+/** Normalize one value; returns undefined when it is not an allowed value. */
+function normalizeValue(setting, value) {
+  if (setting === 'points') {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const out = [];
+    for (const raw of list) {
+      const p = String(raw ?? '').trim().toLowerCase();
+      if (p === '') continue;
+      if (!OPTIONS.points.includes(p)) return undefined;
+      if (!out.includes(p)) out.push(p);
+    }
+    return out.sort();
+  }
+  const s = String(value ?? '').trim().toLowerCase();
+  return OPTIONS[setting].includes(s) ? s : undefined;
+}
+
+/** Product defaults over system defaults; invalid catalog values are ignored (and logged). */
+function productDefaults(productType) {
+  const chart = catalog.getProduct(productType, { includeInactive: true })?.chart || {};
+  const settings = { ...SYSTEM_DEFAULTS };
+  for (const setting of SETTINGS) {
+    if (chart[setting] === undefined) continue;
+    const v = normalizeValue(setting, chart[setting]);
+    if (v === undefined) {
+      baseLogger.warn({ productType, setting }, 'invalid chart setting in catalog; using system default');
+      continue;
+    }
+    settings[setting] = v;
+  }
+  const allowed = Array.isArray(chart.allowed_overrides)
+    ? chart.allowed_overrides.filter((s) => SETTINGS.includes(s))
+    : [];
+  return { settings, allowed };
+}
+
+/* ----------------------------------- API ------------------------------------ */
+
+/**
+ * Overrides present in a validated form (`chart_<setting>` → setting).
+ * Values are expected to be normalized by the validators already.
+ */
+function pickOverrides(input) {
+  const out = {};
+  for (const setting of SETTINGS) {
+    const v = input?.[formKey(setting)];
+    if (v !== undefined) out[setting] = v;
+  }
+  return out;
+}
+
+/**
+ * Settings for a product plus form overrides.
+ * @param {string} productType
+ * @param {object} [overrides] { language?, house_system?, ... }
+ * @returns {{ house_system: string, ayanamsha: string, observation_point: string, language: string, points: string[] }}
+ * @throws {AppError} chart_setting_not_allowed (422) for overrides the product does not allow
+ */
+function resolve(productType, overrides = {}) {
+  const { settings, allowed } = productDefaults(productType);
+  for (const [setting, value] of Object.entries(overrides || {})) {
+    if (!allowed.includes(setting)) {
+      throw new AppError('chart_setting_not_allowed', 'This chart setting cannot be changed for this product', 422, {
+        field: formKey(setting),
+        productType: String(productType || '').slice(0, 64),
+      });
+    }
+    const v = normalizeValue(setting, value);
+    if (v !== undefined) settings[setting] = v;
+  }
+  return settings;
+}
+
+/**
+ * Settings a request was sold with (stored at submit). Requests created before
+ * settings were stored get their product defaults.
+ */
+function forRequest(row) {
+  const stored = row?.chart_settings && typeof row.chart_settings === 'object' ? row.chart_settings : null;
+  if (!stored) return resolve(row?.product_type);
+
+  const settings = { ...SYSTEM_DEFAULTS };
+  for (const setting of SETTINGS) {
+    const v = normalizeValue(setting, stored[setting]);
+    if (v !== undefined) settings[setting] = v;
+  }
+  return settings;
+}
+
+/**
+ * Ephemeris `config` block for resolved settings.
+ * @param {object} settings  resolved settings (resolve()/forRequest())
+ * @param {{ birthTimeUnknown?: boolean }} [opts]
+ */
+function toEphemerisConfig(settings, { birthTimeUnknown = false } = {}) {
+  return {
+    observation_point: settings.observation_point,
+    ayanamsha: settings.ayanamsha,
+    house_system: settings.house_system,
+    language: settings.language,
+    ...(settings.points.length ? { points: settings.points } : {}),
+    ...(birthTimeUnknown ? { birth_time_unknown: true } : {}),
+  };
+}
+
+module.exports = {
+  OPTIONS,
+  SYSTEM_DEFAULTS,
+  FORM_KEYS,
+  normalizeValue,
+  pickOverrides,
+  resolve,
+  forRequest,
+  toEphemerisConfig,
+};
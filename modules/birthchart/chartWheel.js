@@ -0,0 +1,288 @@
+// modules/birthchart/chartWheel.js
+'use strict';
+
+/**
+ * Natal wheel (SVG)
+ * -----------------
+ * Renders a stored Ephemeris result (chart_results.result) as a self-contained
+ * SVG: zodiac ring with sign glyphs, house cusps and numbers, planet glyphs
+ * (retrograde marked ℞) and aspect lines. The same SVG is served by
+ * GET /birthchart/requests/:publicId/chart.svg and attached to the PAID n8n
+ * payload, so every channel shows the same drawing.
+ *
+ * Orientation: ascendant on the left, zodiac counter-clockwise (Aries at the
+ * left when houses are unknown). With birthTimeUnknown the houses and the
+ * ascendant of the noon chart are not drawn: they depend on the birth time.
+ *
+ * Input shapes (extractChart)
+ *  - Local engine / normalized: output.planets[{ id, longitude, is_retro }],
+ *    output.houses[{ longitude }], output.ascendant/midheaven.
+ *  - Ephemeris API list style: output as an array (or index-keyed object) of
+ *    { name, fullDegree, isRetro }, with "Ascendant" among the entries.
+ * Unknown bodies and malformed entries are skipped, never fatal.
+ */
+
+const SIZE = 600;
+const C = SIZE / 2;
+const R_OUTER = 290;
+const R_SIGNS = 250;
+const R_PLANETS = 215;
+const R_HOUSES = 160;
+const R_ASPECTS = 130;
+
+// Text presentation selector: keeps glyphs monochrome (no emoji rendering).
+const TEXT_VS = '\uFE0E';
+
+const SIGN_GLYPHS = ['♈', '♉', '♊', '♋', '♌', '♍', '♎', '♏', '♐', '♑', '♒', '♓'];
+const SIGN_COLORS = ['#c0392b', '#27ae60', '#d4a017', '#2e86c1']; // fire, earth, air, water
+
+const BODY_GLYPHS = {
+  sun: '☉', moon: '☽', mercury: '☿', venus: '♀', mars: '♂', jupiter: '♃',
+  saturn: '♄', uranus: '♅', neptune: '♆', pluto: '♇',
+  north_node: '☊', south_node: '☋', lilith: '⚸', chiron: '⚷', part_of_fortune: '⊗', vertex: 'Vx',
+};
+
+// Accepted names (any language/case) → body id.
+const BODY_ALIASES = {
+  sun: 'sun', sol: 'sun',
+  moon: 'moon', lua: 'moon', luna: 'moon',
+  mercury: 'mercury', mercurio: 'mercury',
+  venus: 'venus',
+  mars: 'mars', marte: 'mars',
+  jupiter: 'jupiter',
+  saturn: 'saturn', saturno: 'saturn',
+  uranus: 'uranus', urano: 'uranus',
+  neptune: 'neptune', netuno: 'neptune', neptuno: 'neptune',
+  pluto: 'pluto', plutao: 'pluto', pluton: 'pluto',
+  rahu: 'north_node', 'true node': 'north_node', 'mean node': 'north_node', north_node: 'north_node',
+  ketu: 'south_node', south_node: 'south_node',
+  chiron: 'chiron', quiron: 'chiron',
+  lilith: 'lilith',
+  part_of_fortune: 'part_of_fortune',
+  vertex: 'vertex',
+};
+
+const ASPECTS = [
+  { id: 'conjunction', angle: 0, orb: 8, color: '#7f8c8d' },
+  { id: 'opposition', angle: 180, orb: 8, color: '#c0392b' },
+  { id: 'trine', angle: 120, orb: 7, color: '#2e86c1' },
+  { id: 'square', angle: 90, orb: 7, color: '#c0392b' },
+  { id: 'sextile', angle: 60, orb: 5, color: '#2e86c1' },
+];
+
+// Aspect lines only between the ten planets (points would clutter the wheel).
+const ASPECT_BODIES = new Set(['sun', 'moon', 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto']);
+
+const TITLES = { pt: 'Mapa natal', en: 'Natal chart', es: 'Carta natal' };
+
+/* --------------------------------- Helpers --------------------------------- */
+
+const norm360 = (d) => (d >= 0 && d < 360 ? d : ((d % 360) + 360) % 360);
+const fmt = (n) => (Math.round(n * 100) / 100).toString();
+
+function toLongitude(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? norm360(n) : null;
+}
+
+function toBool(v) {
+  return v === true || String(v).toLowerCase() === 'true';
+}
+
+function bodyId(raw) {
+  const key = String(raw ?? '').trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return BODY_ALIASES[key] || BODY_ALIASES[key.replace(/\s+/g, '_')] || null;
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+/* ------------------------------ Chart extraction ----------------------------- */
+
+/**
+ * Bodies, houses and angles from an Ephemeris result (see module doc).
+ * @returns {{ bodies: Array<{ id: string, longitude: number, retro: boolean }>,
+ *             houses: number[] | null, ascendant: number | null, midheaven: number | null }}
+ */
+function extractChart(result) {
+  const out = result?.output;
+  const bodies = [];
+  let ascendant = null;
+  let midheaven = null;
+  let houses = null;
+
+  const entries = Array.isArray(out?.planets)
+    ? [...out.planets, ...(Array.isArray(out.points) ? out.points : [])]
+    : (Array.isArray(out) ? out : (out && typeof out === 'object' ? Object.values(out) : []))
+      .flatMap((e) => (e && typeof e === 'object' && !('name' in e) && !('id' in e) ? Object.values(e) : [e]));
+
+  for (const e of entries) {
+    if (!e || typeof e !== 'object') continue;
+    const longitude = toLongitude(e.longitude ?? e.fullDegree);
+    if (longitude == null) continue;
+    const name = String(e.id ?? e.name ?? '').toLowerCase();
+    if (name === 'ascendant') { ascendant = longitude; continue; }
+    if (name === 'midheaven' || name === 'mc') { midheaven = longitude; continue; }
+    const id = bodyId(e.id ?? e.name);
+    if (!id || bodies.some((b) => b.id === id)) continue;
+    bodies.push({ id, longitude, retro: toBool(e.is_retro ?? e.isRetro) });
+  }
+
+  if (out && !Array.isArray(out)) {
+    ascendant = toLongitude(out.ascendant?.longitude) ?? ascendant;
+    midheaven = toLongitude(out.midheaven?.longitude) ?? midheaven;
+    if (Array.isArray(out.houses) && out.houses.length === 12) {
+      const cusps = out.houses.map((h) => toLongitude(h?.longitude ?? h?.degree));
+      if (cusps.every((c) => c != null)) houses = cusps;
+    }
+  }
+
+  return { bodies, houses, ascendant, midheaven };
+}
+
+/** House (1..12) of a longitude given the 12 cusps, or null without houses. */
+function houseOf(longitude, cusps) {
+  if (!cusps) return null;
+  for (let i = 0; i < 12; i++) {
+    const span = norm360(cusps[(i + 1) % 12] - cusps[i]);
+    if (norm360(longitude - cusps[i]) < span) return i + 1;
+  }
+  return null;
+}
+
+/** Major aspects between planets, tightest first. */
+function findAspects(bodies) {
+  const planets = bodies.filter((b) => ASPECT_BODIES.has(b.id));
+  const found = [];
+  for (let i = 0; i < planets.length; i++) {
+    for (let j = i + 1; j < planets.length; j++) {
+      const sep = Math.abs(((planets[j].longitude - planets[i].longitude + 540) % 360) - 180);
+      for (const a of ASPECTS) {
+        const orb = Math.abs(sep - a.angle);
+        if (orb <= a.orb) {
+          found.push({ a: planets[i].id, b: planets[j].id, aspect: a.id, orb: Math.round(orb * 100) / 100 });
+          break;
+        }
+      }
+    }
+  }
+  return found.sort((x, y) => x.orb - y.orb);
+}
+
+/* --------------------------------- Drawing --------------------------------- */
+
+/** Screen point for an ecliptic longitude (ascendant on the left, counter-clockwise). */
+function pointAt(longitude, radius, asc) {
+  const theta = ((180 + longitude - asc) * Math.PI) / 180;
+  return { x: C + radius * Math.cos(theta), y: C - radius * Math.sin(theta) };
+}
+
+function line(p, q, attrs) {
+  return `<line x1="${fmt(p.x)}" y1="${fmt(p.y)}" x2="${fmt(q.x)}" y2="${fmt(q.y)}" ${attrs}/>`;
+}
+
+function text(p, content, attrs) {
+  return `<text x="${fmt(p.x)}" y="${fmt(p.y)}" text-anchor="middle" dominant-baseline="central" ${attrs}>${content}</text>`;
+}
+
+/** Spread glyph positions so close bodies do not overlap (min `gap` degrees apart). */
+function spread(bodies, gap = 7) {
+  const sorted = [...bodies].sort((a, b) => a.longitude - b.longitude);
+  const shown = sorted.map((b) => ({ ...b, shown: b.longitude }));
+  for (let pass = 0; pass < 10; pass++) {
+    let moved = false;
+    for (let i = 0; i < shown.length; i++) {
+      const cur = shown[i];
+      const next = shown[(i + 1) % shown.length];
+      if (shown.length < 2 || cur === next) break;
+      const d = norm360(next.shown - cur.shown);
+      if (d < gap) {
+        const push = (gap - d) / 2;
+        cur.shown = norm360(cur.shown - push);
+        next.shown = norm360(next.shown + push);
+        moved = true;
+      }
+    }
+    if (!moved) break;
+  }
+  return shown;
+}
+
+/**
+ * Render a natal wheel.
+ * @param {object} result   stored Ephemeris result
+ * @param {{ language?: string, birthTimeUnknown?: boolean }} [opts]
+ * @returns {string} SVG document
+ */
+function render(result, { language = 'pt', birthTimeUnknown = false } = {}) {
+  const chart = extractChart(result);
+  if (birthTimeUnknown) {
+    chart.houses = null;
+    chart.ascendant = null;
+  }
+  const asc = chart.ascendant ?? chart.houses?.[0] ?? 0;
+  const parts = [];
+
+  // Zodiac ring
+  parts.push(`<circle cx="${C}" cy="${C}" r="${R_OUTER}" fill="#fff" stroke="#333" stroke-width="2"/>`);
+  parts.push(`<circle cx="${C}" cy="${C}" r="${R_SIGNS}" fill="none" stroke="#333" stroke-width="1.5"/>`);
+  for (let s = 0; s < 12; s++) {
+    parts.push(line(pointAt(s * 30, R_SIGNS, asc), pointAt(s * 30, R_OUTER, asc), 'stroke="#333" stroke-width="1"'));
+    const color = SIGN_COLORS[s % 4];
+    parts.push(text(pointAt(s * 30 + 15, (R_SIGNS + R_OUTER) / 2, asc), SIGN_GLYPHS[s] + TEXT_VS,
+      `class="sign" font-size="24" fill="${color}"`));
+  }
+  for (let d = 0; d < 360; d += 5) {
+    const len = d % 10 === 0 ? 8 : 4;
+    parts.push(line(pointAt(d, R_SIGNS, asc), pointAt(d, R_SIGNS - len, asc), 'stroke="#999" stroke-width="0.6"'));
+  }
+
+  // Houses
+  parts.push(`<circle cx="${C}" cy="${C}" r="${R_HOUSES}" fill="none" stroke="#bbb" stroke-width="1"/>`);
+  if (chart.houses) {
+    chart.houses.forEach((cusp, i) => {
+      const angle = i === 0 || i === 3 || i === 6 || i === 9;
+      parts.push(line(pointAt(cusp, R_ASPECTS, asc), pointAt(cusp, R_SIGNS, asc),
+        `class="cusp" stroke="${angle ? '#333' : '#aaa'}" stroke-width="${angle ? 2 : 1}"`));
+      const next = chart.houses[(i + 1) % 12];
+      const mid = cusp + norm360(next - cusp) / 2;
+      parts.push(text(pointAt(mid, (R_HOUSES + R_ASPECTS) / 2, asc), String(i + 1),
+        'class="house" font-size="12" fill="#888"'));
+    });
+  }
+  parts.push(`<circle cx="${C}" cy="${C}" r="${R_ASPECTS}" fill="none" stroke="#bbb" stroke-width="1"/>`);
+
+  // Aspects
+  const byId = new Map(chart.bodies.map((b) => [b.id, b]));
+  for (const a of findAspects(chart.bodies)) {
+    if (a.aspect === 'conjunction') continue; // drawn as neighbouring glyphs
+    const color = ASPECTS.find((x) => x.id === a.aspect).color;
+    parts.push(line(pointAt(byId.get(a.a).longitude, R_ASPECTS, asc), pointAt(byId.get(a.b).longitude, R_ASPECTS, asc),
+      `class="aspect ${a.aspect}" stroke="${color}" stroke-width="1" stroke-opacity="0.7"`));
+  }
+
+  // Bodies
+  for (const b of spread(chart.bodies)) {
+    parts.push(line(pointAt(b.longitude, R_SIGNS, asc), pointAt(b.longitude, R_SIGNS - 12, asc), 'stroke="#333" stroke-width="1"'));
+    parts.push(line(pointAt(b.longitude, R_HOUSES, asc), pointAt(b.longitude, R_HOUSES + 6, asc), 'stroke="#333" stroke-width="1"'));
+    const glyph = (BODY_GLYPHS[b.id] || b.id) + (BODY_GLYPHS[b.id]?.length === 1 ? TEXT_VS : '');
+    parts.push(text(pointAt(b.shown, R_PLANETS, asc), escapeXml(glyph), `class="body ${b.id}" font-size="20" fill="#222"`));
+    if (b.retro) {
+      parts.push(text(pointAt(b.shown, R_PLANETS - 22, asc), '℞', 'class="retro" font-size="10" fill="#c0392b"'));
+    }
+  }
+
+  const title = escapeXml(TITLES[language] || TITLES.pt);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${SIZE} ${SIZE}" width="${SIZE}" height="${SIZE}" role="img" aria-label="${title}">`,
+    `<title>${title}</title>`,
+    '<g font-family="\'DejaVu Sans\', \'Segoe UI Symbol\', \'Noto Sans Symbols\', sans-serif">',
+    ...parts,
+    '</g>',
+    '</svg>',
+  ].join('\n');
+}
+
+module.exports = { render, extractChart, findAspects, houseOf };
@@ -5,13 +5,37 @@
  * Birthchart Controller
  * ---------------------
  * Fast path
- *  - Validate/normalize form.
+ *  - Validate/normalize form; product data (price, names, URLs) comes from modules/catalog.
+ *  - Chart settings (house system, language…) = product defaults + the form
+ *    overrides the product allows (./chartSettings); stored on the request.
+ *  - Optional `coupon_code`: quoted via modules/coupons before persisting; the
+ *    redemption is written in the same transaction as the request and the
+ *    discounted price is what every PSP gets as `productValue`. When no checkout
+ *    can be opened, the redemption is given back (coupons.releaseRedemption).
  *  - Persist request (placeholders for timezone).
- *  - Create PSP checkout and return URL immediately (NON-BLOCKING).
+ *  - Pick the PSP via payments/routingPolicy and persist the decision.
+ *  - Create PSP checkout and return URL immediately (NON-BLOCKING); transient PSP
+ *    failures fail over to the next provider in PAYMENT_FAILOVER_CHAIN.
  *
- * Deferred work (now moved here)
- *  - Resolve historical timezone via Google Time Zone API using birth_date/time.
- *  - Persist birth_timezone_id, birth_utc_offset_min and birth_utc_offset_hours asynchronously.
+ * Repeated submissions (double-clicks, Webflow retries)
+ *  - `Idempotency-Key` header: the first response is stored and replayed for
+ *    repeats of the same key (header `Idempotent-Replayed: true`); see modules/idempotency.
+ *  - Natural-key dedupe: an unpaid request with the same person, birth data,
+ *    product, coupon and chart settings created within FORM_DEDUPE_WINDOW_MS gets its existing
+ *    checkout back instead of a new request + preference.
+ *
+ * Checkout response contract
+ *  { url, provider, action, ref, orderId? }
+ *   - ref = opaque public id of the request (status polling / SSE); the
+ *     sequential request_id never reaches the browser.
+ *   - action = 'redirect'       -> frontend navigates to `url`.
+ *   - action = 'paypal_buttons' -> frontend renders PayPal Smart Buttons for `orderId`
+ *                                  (`url` is still the approval URL, kept as a fallback).
+ *
+ * Deferred work
+ *  - Historical timezone (birth_timezone_id, birth_utc_offset_*) is resolved by a
+ *    durable job with retries (./timezoneJobs); the first attempt runs in the
+ *    background right after the request is persisted.
  *
  * Non-functional
  *  - Structured logging; no PII in logs.
@@ -19,8 +43,12 @@
  */
 
 const { validateBirthchartPayload } = require('./validators');
+const chartSettings = require('./chartSettings');
+const chartWheel = require('./chartWheel');
+const chartPreview = require('./preview');
+const report = require('./report');
 const repo = require('./repository'); // will need updateTimezone writer (see notes below)
-const { getTimezoneAtMoment, toHours } = require('../../utils/timezone');
+const timezoneJobs = require('./timezoneJobs');
 
 const { env } = require('../../config/env');
 const { AppError } = require('../../utils/appError');
@@ -28,9 +56,17 @@ const baseLogger = require('../../utils/logger').child('form.birthchart');
 
 const mpService = require('../../payments/mercadoPago/service');
 const pagbankService = require('../../payments/pagBank/service');
-
-const PRODUCT_IMAGE_URL = 'https://backend-form-webflow-production.up.railway.app/assets/birthchart-productimage.png';
-const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY || null;
+const paypalService = require('../../payments/payPal/service');
+const routingPolicy = require('../../payments/routingPolicy');
+const catalog = require('../catalog/service');
+const coupons = require('../coupons/service');
+const idempotency = require('../idempotency/service');
+const checkoutFailover = require('../../payments/checkoutFailover');
+const priceAuthority = require('../../payments/priceAuthority');
+const resumeLink = require('./resumeLink');
+
+// Idempotency-Key namespace for this endpoint
+const IDEMPOTENCY_SCOPE = 'birthchart_form';
 
 /** Safe host extraction for logs (prevents leaking full URLs with query params/PII). */
 function safeHost(u) {
@@ -47,19 +83,6 @@ function pick(input, allowedKeys) {
   return out;
 }
 
-/**
- * Normalize to strict HH:MM; returns null if invalid.
- * Keeps consistent with utils/timezone normalization expectations.
- */
-function toHHMM(raw) {
-  const s = String(raw ?? '').trim();
-  const m = s.match(/^(\d{1,2}):(\d{1,2})(?::\d{1,2})?/);
-  if (!m) return null;
-  const h = Math.min(23, Math.max(0, parseInt(m[1], 10)));
-  const mi = Math.min(59, Math.max(0, parseInt(m[2], 10)));
-  return `${String(h).padStart(2, '0')}:${String(mi).padStart(2, '0')}`;
-}
-
 /** Allowed public form fields (whitelist). */
 const ALLOWED_FORM_KEYS = [
   'name',
@@ -70,6 +93,9 @@ const ALLOWED_FORM_KEYS = [
   'birth_time',
   'birth_place',
 
+  // "I don't know my birth time" checkbox (birth_time then optional)
+  'birth_time_unknown',
+
   // hidden/structured location fields
   'birth_place_place_id',
   'birth_place_full',
@@ -82,70 +108,276 @@ const ALLOWED_FORM_KEYS = [
 
   // product selector
   'product_type',
+
+  // optional PSP override (MERCADO_PAGO | PAGBANK | PAYPAL) and method (pix | card | paypal)
+  'payment_provider',
+  'payment_method',
+
+  // optional checkout currency (priced per currency in the catalog)
+  'currency',
+
+  // optional promo code
+  'coupon_code',
+
+  // chart overrides the product allows (chart_language, ...; see ./chartSettings)
+  ...chartSettings.FORM_KEYS,
 ];
 
+/**
+ * Safe, trimmed, typed object from a form body (whitelisted keys only), ready for
+ * validateBirthchartPayload. Shared by the submission and the preview.
+ */
+function normalizeFormBody(body) {
+  const raw = pick(body, ALLOWED_FORM_KEYS);
+  const filtered = {};
+  for (const [k, v] of Object.entries(raw)) {
+    filtered[k] = typeof v === 'string' ? v.trim() : v;
+  }
+
+  // Default product if not provided (keeps downstream stable)
+  if (!filtered.product_type) filtered.product_type = 'birth_chart';
+
+  // Normalize numeric fields
+  if (filtered.birth_place_lat != null && typeof filtered.birth_place_lat === 'string') {
+    const n = Number(filtered.birth_place_lat);
+    if (!Number.isNaN(n)) filtered.birth_place_lat = n;
+  }
+  if (filtered.birth_place_lng != null && typeof filtered.birth_place_lng === 'string') {
+    const n = Number(filtered.birth_place_lng);
+    if (!Number.isNaN(n)) filtered.birth_place_lng = n;
+  }
+
+  const gender = (filtered.gender_identity || '').toString().trim().toLowerCase();
+  const allowed = new Set(['female', 'male', 'not_informed']);
+  filtered.gender_identity = allowed.has(gender) ? gender : 'not_informed';
+
+  return filtered;
+}
+
 /* --------------------------- Payment provider select ------------------------------ */
-function getPaymentProvider() {
-  const raw =
-    (typeof process !== 'undefined' && process.env && process.env.PAYMENT_PROVIDER)
-      ? process.env.PAYMENT_PROVIDER
-      : env && env.PAYMENT_PROVIDER;
-
-  const v = String(raw || 'MERCADO_PAGO').trim().toUpperCase();
-  if (v === 'PAGBANK') return 'PAGBANK';
-  return 'MERCADO_PAGO';
+/** PayPal completion mode for the frontend: Smart Buttons (default) or approval redirect. */
+function getPayPalCheckoutMode() {
+  const raw = process.env.PAYPAL_CHECKOUT_MODE || (env && env.PAYPAL_CHECKOUT_MODE);
+  return String(raw || 'buttons').trim().toLowerCase() === 'redirect' ? 'redirect' : 'buttons';
+}
+
+/* ------------------------------ Repeated submissions ------------------------------ */
+
+function getDedupeWindowMs() {
+  const raw = process.env.FORM_DEDUPE_WINDOW_MS ?? env.FORM_DEDUPE_WINDOW_MS;
+  const n = Number(raw);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/** Routing id (MERCADO_PAGO | PAGBANK | PAYPAL) of the PSP that issued the row's checkout. */
+function checkoutIssuer(row) {
+  return row.payment_checkout_provider ||
+    (row.payment_provider === 'MP' ? 'MERCADO_PAGO' : row.payment_provider);
 }
 
 /**
- * Fire-and-forget timezone computation.
- * Uses Google Time Zone API exclusively and persists results if successful.
+ * Frontend contract for a checkout that already exists on a request row
+ * (same shape as a fresh checkout). Null when the row has nothing usable.
  */
-function triggerAsyncTimezoneCompute({ requestId, birth }) {
-  // Detach from the request lifecycle; do not await.
-  // Use setImmediate to avoid holding the event loop of the controller handler.
-  setImmediate(async () => {
-    const log = baseLogger.child('tz.async', { requestId });
-    try {
-      // Basic guards
-      const lat = Number(birth.lat);
-      const lng = Number(birth.lng);
-      const coordsOk = Number.isFinite(lat) && Number.isFinite(lng);
-      const dateStr = String(birth.date || '').slice(0, 10);
-      const hhmm = toHHMM(birth.time) || '12:00'; // defensive default
-
-      if (!coordsOk || !dateStr) {
-        log.warn({ coordsOk, dateStr }, 'skipping timezone compute: invalid inputs');
-        return;
-      }
-      if (!GOOGLE_MAPS_API_KEY) {
-        log.warn('GOOGLE_MAPS_API_KEY not configured; skipping timezone compute');
-        return;
-      }
-
-      const tz = await getTimezoneAtMoment({
-        lat, lng, birthDate: dateStr, birthTime: hhmm, apiKey: GOOGLE_MAPS_API_KEY,
-      });
+function checkoutResponseFor(row) {
+  const provider = checkoutIssuer(row);
 
-      if (!tz || tz.offsetMin == null) {
-        log.warn({ tz }, 'timezone unresolved; not updating DB');
-        return;
-      }
+  if (provider === 'PAYPAL') {
+    if (!row.payment_checkout_id) return null;
+    const action = getPayPalCheckoutMode() === 'redirect' && row.payment_link ? 'redirect' : 'paypal_buttons';
+    return { url: row.payment_link || null, provider, action, ref: row.public_id, orderId: row.payment_checkout_id };
+  }
+  if (!row.payment_link) return null;
+  return { url: row.payment_link, provider, action: 'redirect', ref: row.public_id };
+}
 
-      const offsetHours = toHours(tz.offsetMin);
-      await repo.updateBirthTimezone(requestId, {
-        birth_timezone_id: tz.tzId || null,
-        birth_utc_offset_min: tz.offsetMin,
-        birth_utc_offset_hours: offsetHours,
-      });
+/** Live checkout of a recent unpaid duplicate of this submission, if any. */
+async function findDuplicateCheckout(input, logger) {
+  const windowMs = getDedupeWindowMs();
+  if (!windowMs) return null;
 
-      log.info(
-        { tzId: tz.tzId || null, offsetMin: tz.offsetMin, offsetHours },
-        'timezone persisted asynchronously'
-      );
-    } catch (err) {
-      log.error({ msg: err?.message }, 'async timezone compute failed');
-    }
+  const row = await repo.findRecentUnpaidDuplicate(input, windowMs).catch((e) => {
+    logger.warn({ msg: e?.message }, 'duplicate lookup failed; creating a new request');
+    return null;
   });
+  const response = row ? checkoutResponseFor(row) : null;
+  return response ? { row, response } : null;
+}
+
+/* ------------------------------ Checkout resume ------------------------------ */
+
+// Payment statuses that can still be paid through a resume link.
+const RESUMABLE_STATUSES = new Set(['CREATED', 'PENDING', 'REJECTED', 'CANCELED', 'EXPIRED']);
+
+function getLinkMaxAgeMs() {
+  const n = Number(process.env.CHECKOUT_LINK_MAX_AGE_MS ?? env.CHECKOUT_LINK_MAX_AGE_MS);
+  return Number.isFinite(n) && n > 0 ? n : 24 * 60 * 60_000;
+}
+
+/**
+ * The stored payment link can be reused when the request is still awaiting
+ * payment, the link is recent enough and its PSP is still routable.
+ */
+function isReusableLink(row, route) {
+  const status = String(row.payment_status || '').toUpperCase();
+  if (!row.payment_link) return false;
+  if (status !== 'CREATED' && status !== 'PENDING') return false;
+  // PayPal PENDING = capture under review: the approval link is spent.
+  if (status === 'PENDING' && row.payment_provider === 'PAYPAL') return false;
+  if (!route.eligible.includes(checkoutIssuer(row))) return false;
+
+  const since = new Date(row.payment_updated_at || row.updated_at || row.created_at).getTime();
+  return Number.isFinite(since) && Date.now() - since < getLinkMaxAgeMs();
+}
+
+/**
+ * Checkout view of a catalog product (price, names, PSP options) for one request.
+ * The price is in the requested currency when the product has one (else its
+ * default). A client-chosen method narrows the PSP checkout to that method; an
+ * applied coupon (quote from modules/coupons) replaces the list price.
+ */
+function composeCheckoutProduct(p, { requestId, publicId, method, coupon, currency }) {
+  const price = catalog.getPrice(p, currency);
+  const urls = catalog.getReturnUrls(p.product_type, publicId);
+  return {
+    productType:         p.product_type,
+    productName:         p.name,
+    priceCents:          coupon ? coupon.finalCents : price.amountCents,
+    currency:            price.currency,
+    methods:             p.payment.methods,
+    payment:             catalog.getPaymentOptions(p, method),
+    imageUrl:            p.image_url,
+    description:         p.description,
+    itemDescription:     p.item_description,
+    itemId:              `${p.item_id_prefix || ''}${requestId}`,
+    categoryId:          p.category_id,
+    statementDescriptor: p.statement_descriptor,
+    successUrl:          urls.success,
+    metadata: {
+      source: 'webflow',
+      ...(p.metadata || {}),
+      ...(coupon ? { coupon_code: coupon.code, discount_cents: coupon.discountCents } : {}),
+    },
+  };
+}
+
+/**
+ * Create the checkout on one PSP and normalize the frontend contract:
+ *   { url, action, orderId?, checkoutRef }
+ * Called once per provider in the failover chain (ctx.signal carries the time budget).
+ */
+async function createProviderCheckout(provider, { newRequest, product }, ctx, logger) {
+  const paymentOptions = {
+    allow_pix:        product.payment.allow_pix,
+    allow_card:       product.payment.allow_card,
+    max_installments: product.payment.max_installments,
+  };
+
+  if (provider === 'PAYPAL') {
+    const publicBaseUrl = process.env.PUBLIC_BASE_URL || env.PUBLIC_BASE_URL;
+    const result = await paypalService.createCheckout({
+      requestId:    newRequest.request_id,
+      name:         newRequest.name,
+      email:        newRequest.email,
+      productType:  product.productType,
+      productName:  product.productName,
+      productValue: product.priceCents,
+      paymentOptions,
+      currency:     product.currency,
+      returnUrl:    `${publicBaseUrl}/payPal/return`,
+      cancelUrl:    `${publicBaseUrl}/payPal/return?cancel=1`,
+    }, ctx);
+
+    const mode = getPayPalCheckoutMode();
+    const action = mode === 'redirect' && result.approvalUrl ? 'redirect' : 'paypal_buttons';
+    logger.info(
+      { orderId: result.orderId || null, action, host: safeHost(result.approvalUrl) },
+      'paypal order created'
+    );
+    return { url: result.approvalUrl || null, orderId: result.orderId, action, checkoutRef: result.orderId || null };
+  }
+
+  if (provider === 'PAGBANK') {
+    const result = await pagbankService.createCheckout({
+      requestId:    newRequest.request_id,
+      name:         newRequest.name,
+      email:        newRequest.email,
+      productType:  product.productType,
+      productName:  product.productName,
+      productValue: product.priceCents,
+      paymentOptions,
+      productImageUrl: product.imageUrl,
+      currency:   product.currency,
+    }, ctx);
+
+    logger.info(
+      { checkoutId: result.checkoutId || null, host: safeHost(result.url) },
+      'pagbank checkout created'
+    );
+    return { url: result.url, action: 'redirect', checkoutRef: result.checkoutId || null };
+  }
+
+  const result = await mpService.createCheckout({
+    requestId:    newRequest.request_id,
+    name:         newRequest.name,
+    email:        newRequest.email,
+    productType:  product.productType,
+    productName:  product.productName,
+    productValue: product.priceCents,
+    paymentOptions,
+    productImageUrl: product.imageUrl,
+    currency:   product.currency,
+    metadata:   product.metadata,
+    descriptionProduct:  product.description,
+    itemId:              product.itemId,
+    itemCategoryId:      product.categoryId,
+    itemDescription:     product.itemDescription,
+    statementDescriptor: product.statementDescriptor,
+  }, ctx);
+
+  logger.info(
+    { preferenceId: result.preferenceId || null, host: safeHost(result.url) },
+    'mercadopago preference created'
+  );
+  return { url: result.url, action: 'redirect', checkoutRef: result.preferenceId || null };
+}
+
+/**
+ * Persist the routing decision, create the checkout along the failover chain
+ * and record which PSP issued it and the amount it charges. Audit writes are best-effort: they never
+ * block the checkout.
+ * @returns {Promise<{ provider: string, result: object }>}
+ */
+async function openCheckout(request, product, route, ctx, logger) {
+  logger.info(
+    { provider: route.provider, reason: route.reason, degraded: route.degraded, bucket: route.bucket },
+    'selecting PSP'
+  );
+
+  await repo.updatePaymentRouting(request.request_id, route).catch((e) => {
+    logger.warn({ msg: e?.message }, 'could not persist payment routing decision');
+  });
+
+  const checkout = await checkoutFailover.createWithFailover(
+    checkoutFailover.buildChain(route),
+    (p, { signal }) => createProviderCheckout(p, { newRequest: request, product }, { ...ctx, signal }, logger),
+    { log: logger }
+  );
+
+  await repo.recordCheckoutIssuer(request.request_id, {
+    provider: checkout.provider,
+    attempts: checkout.attempts,
+  }).catch((e) => {
+    logger.warn({ msg: e?.message }, 'could not persist checkout issuer');
+  });
+  await priceAuthority.recordCheckoutCharge(request.request_id, {
+    amountCents: product.priceCents,
+    currency:    product.currency,
+  }).catch((e) => {
+    logger.warn({ msg: e?.message }, 'could not persist checkout charge');
+  });
+
+  return { provider: checkout.provider, result: checkout.result };
 }
 
 /**
@@ -154,8 +386,13 @@ function triggerAsyncTimezoneCompute({ requestId, birth }) {
  */
 async function processForm(req, res, next) {
   const logger = (req.log || baseLogger).child('processForm', { rid: req.requestId });
+  let idemKey = null;
+  let idemOwned = false;
+  let redeemedRequestId = null; // request whose coupon redemption has no checkout yet
 
   try {
+    idemKey = idempotency.readKey(req);
+
     /* ----------------------- consent & input guards ------------------------ */
     const privacyConsent = (() => {
       const raw =
@@ -181,43 +418,71 @@ async function processForm(req, res, next) {
       );
     }
 
-    // Build a safe, trimmed, typed object from req.body (replaces older `filtered`)
-    const raw = pick(req.body, ALLOWED_FORM_KEYS);
-    const filtered = {};
-    for (const [k, v] of Object.entries(raw)) {
-      filtered[k] = typeof v === 'string' ? v.trim() : v;
-    }
+    const filtered = normalizeFormBody(req.body);
 
-    // Default product if not provided (keeps downstream stable)
-    if (!filtered.product_type) filtered.product_type = 'birth_chart';
+    // Validate/normalize via schema (may throw)
+    const input = validateBirthchartPayload(filtered);
 
-    // Normalize numeric fields
-    if (filtered.birth_place_lat != null && typeof filtered.birth_place_lat === 'string') {
-      const n = Number(filtered.birth_place_lat);
-      if (!Number.isNaN(n)) filtered.birth_place_lat = n;
-    }
-    if (filtered.birth_place_lng != null && typeof filtered.birth_place_lng === 'string') {
-      const n = Number(filtered.birth_place_lng);
-      if (!Number.isNaN(n)) filtered.birth_place_lng = n;
+    /* ------------- idempotency: replay repeats of the same key ------------- */
+    const idem = await idempotency.begin(IDEMPOTENCY_SCOPE, idemKey, idempotency.fingerprint(input));
+    if (idem.replay) {
+      logger.info('idempotent replay of a previous submission');
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(idem.replay.status).json(idem.replay.body);
     }
+    idemOwned = idem.owned;
+
+    // Resolve before persisting: the product may have left its active window meanwhile.
+    const catalogProduct = catalog.requireProduct(input.product_type);
+
+    // Product chart defaults + allowed form overrides (422 for disallowed ones).
+    const chart = chartSettings.resolve(catalogProduct.product_type, chartSettings.pickOverrides(input));
 
-    {
-    const raw = (filtered.gender_identity || '').toString().trim().toLowerCase();
-    const allowed = new Set(['female','male','not_informed']);
-    filtered.gender_identity = allowed.has(raw) ? raw : 'not_informed';
+    /* ------------- natural-key dedupe: reuse a live unpaid checkout -------- */
+    // Runs before the coupon quote: a repeat must not count as a second redemption.
+    const duplicate = await findDuplicateCheckout({ ...input, chart_settings: chart }, logger);
+    if (duplicate) {
+      logger.info(
+        { requestId: duplicate.row.request_id, provider: duplicate.response.provider },
+        'repeated submission; returning existing checkout'
+      );
+      await idempotency.complete(IDEMPOTENCY_SCOPE, idemKey, {
+        requestId: duplicate.row.request_id,
+        status: 200,
+        body: duplicate.response,
+      }, logger);
+      return res.status(200).json(duplicate.response);
     }
 
-    // Validate/normalize via schema (may throw)
-    const input = validateBirthchartPayload(filtered);
+    /* ---------------- coupon quote (read-only, fails fast with 422) -------- */
+    let coupon = null;
+    if (input.coupon_code) {
+      const listPrice = catalog.getPrice(catalogProduct, input.currency);
+      coupon = await coupons.quote(input.coupon_code, {
+        productType: catalogProduct.product_type,
+        currency:    listPrice.currency,
+        amountCents: listPrice.amountCents,
+        email:       input.email,
+      });
+      logger.info(
+        { discountType: coupon.discountType, discountCents: coupon.discountCents, finalCents: coupon.finalCents },
+        'coupon accepted'
+      );
+    }
 
     /* ------------------- persist request (PII kept out of logs) ----------- */
-    const newRequest = await repo.createBirthchartRequest({
+    // With a coupon, the request and its redemption commit (or roll back) together.
+    const newRequest = await coupons.persistWithCoupon(coupon, {
+      email:       input.email,
+      productType: catalogProduct.product_type,
+    }, (client) => repo.createBirthchartRequest({
       name:                 input.name,
       social_name:          input.social_name,
       gender_identity:      input.gender_identity,
       email:                input.email,
       birth_date:           input.birth_date,
       birth_time:           input.birth_time,
+      birth_time_unknown:   input.birth_time_unknown,
       birth_place:          input.birth_place,
       product_type:         input.product_type,
 
@@ -234,104 +499,66 @@ async function processForm(req, res, next) {
       birth_timezone_id:    null,
       birth_utc_offset_min: null,
       birth_utc_offset_hours: null,
-    }).catch((e) => {
+
+      chart_settings:        chart,
+
+      coupon_code:           coupon ? coupon.code : null,
+      list_price_cents:      coupon ? coupon.originalCents : null,
+      coupon_discount_cents: coupon ? coupon.discountCents : null,
+    }, { client })).catch((e) => {
+      if (e instanceof AppError) throw e; // coupon limits hit while redeeming
       throw AppError.fromUpstream('db_persist_failed', 'Could not persist birthchart request', e, { entity: 'birthchart_request' });
     });
 
     logger.info({ requestId: newRequest.request_id, productType: newRequest.product_type }, 'request persisted');
+    if (coupon) redeemedRequestId = newRequest.request_id;
 
-    /* --------- trigger async timezone compute (does NOT block response) --- */
-    triggerAsyncTimezoneCompute({
-      requestId: newRequest.request_id,
-      birth: {
-        date: input.birth_date,
-        time: input.birth_time,
-        lat:  input.birth_place_lat,
-        lng:  input.birth_place_lng,
-      },
-    });
+    /* ------ queue timezone resolution (first attempt does NOT block) ------ */
+    timezoneJobs.kick(newRequest.request_id, logger);
 
     /* ----------------------- compose product for checkout ------------------ */
-    const product = {
-      productType:  newRequest.product_type,
-      productName:  'MAPA NATAL ZODIKA',
-      priceCents:   3500,
-      currency:     'BRL',
-      payment: {
-        allow_pix: true,
-        allow_card: true,
-        max_installments: 1,
-      },
-      successUrl: `https://www.zodika.com.br/birthchart-payment-success?ref=${encodeURIComponent(newRequest.request_id)}`,
-      metadata: {
-        source: 'webflow',
-        product_version: 'v1',
-      },
-    };
-    const descriptionProduct = 'mapa natal';
-    const itemId = `bc${newRequest.request_id}`;
-    const itemCategoryId = 'services';
-    const itemDescription = 'astrologia mapa natal ebook digital';
+    const product = composeCheckoutProduct(catalogProduct, {
+      requestId: newRequest.request_id,
+      publicId:  newRequest.public_id,
+      method:    input.payment_method,
+      currency:  input.currency,
+      coupon,
+    });
 
     /* ----------------------- route to the chosen PSP ---------------------- */
-    const provider = getPaymentProvider();
-    logger.info({ provider }, 'selecting PSP');
-
+    const route = routingPolicy.decide({
+      requestKey:        newRequest.request_id,
+      currency:          product.currency,
+      country:           input.birth_place_country,
+      method:            input.payment_method,
+      requestedProvider: input.payment_provider,
+      allowedMethods:    product.methods,
+    });
     const ctx = { requestId: req.requestId, log: req.log || baseLogger };
-    let paymentResponse;
-
-    if (provider === 'PAGBANK') {
-      paymentResponse = await pagbankService.createCheckout({
-        requestId:    newRequest.request_id,
-        name:         newRequest.name,
-        email:        newRequest.email,
-        productType:  product.productType,
-        productName:  product.productName,
-        productValue: product.priceCents,
-        paymentOptions: {
-          allow_pix:        product.payment.allow_pix,
-          allow_card:       product.payment.allow_card,
-          max_installments: product.payment.max_installments,
-        },
-        productImageUrl: PRODUCT_IMAGE_URL,
-        currency:   product.currency,
-      }, ctx);
-
-      logger.info(
-        { checkoutId: paymentResponse.checkoutId || null, host: safeHost(paymentResponse.url) },
-        'pagbank checkout created'
-      );
-    } else {
-      paymentResponse = await mpService.createCheckout({
-        requestId:    newRequest.request_id,
-        name:         newRequest.name,
-        email:        newRequest.email,
-        productType:  product.productType,
-        productName:  product.productName,
-        productValue: product.priceCents,
-        paymentOptions: {
-          allow_pix:        product.payment.allow_pix,
-          allow_card:       product.payment.allow_card,
-          max_installments: product.payment.max_installments,
-        },
-        productImageUrl: PRODUCT_IMAGE_URL,
-        currency:   product.currency,
-        metadata:   product.metadata,
-        descriptionProduct,
-        itemId,
-        itemCategoryId,
-        itemDescription,
-      }, ctx);
-
-      logger.info(
-        { preferenceId: paymentResponse.preferenceId || null, host: safeHost(paymentResponse.url) },
-        'mercadopago preference created'
-      );
-    }
+    const { provider, result: paymentResponse } = await openCheckout(newRequest, product, route, ctx, logger);
+    redeemedRequestId = null;
 
     /* ------------------- contract expected by the frontend ----------------- */
-    return res.status(200).json({ url: paymentResponse.url });
+    // `url` stays first-class for older frontends that only read it.
+    const body = {
+      url:      paymentResponse.url,
+      provider,
+      action:   paymentResponse.action || 'redirect',
+      ref:      newRequest.public_id,
+      ...(paymentResponse.orderId ? { orderId: paymentResponse.orderId } : {}),
+    };
+    await idempotency.complete(IDEMPOTENCY_SCOPE, idemKey, {
+      requestId: newRequest.request_id,
+      status: 200,
+      body,
+    }, logger);
+    return res.status(200).json(body);
   } catch (err) {
+    // Let the client retry with the same key
+    if (idemOwned) await idempotency.release(IDEMPOTENCY_SCOPE, idemKey, logger);
+    // No checkout was opened: the coupon use goes back to the customer
+    if (redeemedRequestId) await coupons.releaseRedemption(redeemedRequestId, logger);
+
     if (err && err.name === 'ValidationError' && !err.code) {
       const wrapped = AppError.validation('validation_error', 'Validation Error', {
         details: err.details || undefined,
@@ -351,4 +578,221 @@ async function processForm(req, res, next) {
   }
 }
 
-module.exports = { processForm };
+/**
+ * GET /birthchart/checkout/:token (public; linked from the PENDING reminders)
+ * Sends the customer back to pay an abandoned request:
+ *  - invalid/expired token   → generic fail page (404 while resume links are disabled)
+ *  - already paid            → product success page
+ *  - stored link still valid → redirect to it
+ *  - otherwise               → fresh checkout for the same request (same price and
+ *                              coupon) on the PSP the routing policy picks now
+ */
+async function resumeCheckout(req, res) {
+  const logger = (req.log || baseLogger).child('resumeCheckout', { rid: req.requestId });
+  const failUrl = catalog.getReturnUrls(null).fail;
+
+  try {
+    const verdict = await resumeLink.verifyResumeToken(req.params.token);
+    if (!verdict.ok) {
+      logger.warn({ reason: verdict.reason }, 'resume token rejected');
+      if (verdict.reason === 'disabled') return res.status(404).json({ message: 'Not found' });
+      return res.redirect(302, failUrl);
+    }
+
+    const row = await repo.findByPublicId(verdict.publicId);
+    if (!row) {
+      logger.warn('resume token for unknown request');
+      return res.redirect(302, failUrl);
+    }
+
+    const urls = catalog.getReturnUrls(row.product_type, row.public_id);
+    const status = String(row.payment_status || '').toUpperCase();
+    if (status === 'APPROVED') return res.redirect(302, urls.success || failUrl);
+    if (status && !RESUMABLE_STATUSES.has(status)) {
+      logger.info({ requestId: row.request_id, status }, 'request cannot be resumed');
+      return res.redirect(302, urls.fail || failUrl);
+    }
+
+    const catalogProduct = catalog.requireProduct(row.product_type);
+    const charge = priceAuthority.expectedCharge(row);
+    const method = row.payment_route_decision?.inputs?.method || null;
+
+    const route = routingPolicy.decide({
+      requestKey:     row.request_id,
+      currency:       charge.currency,
+      country:        row.birth_place_country,
+      method,
+      allowedMethods: catalogProduct.payment.methods,
+    });
+
+    if (isReusableLink(row, route)) {
+      logger.info({ requestId: row.request_id, provider: checkoutIssuer(row) }, 'resuming existing checkout');
+      return res.redirect(302, row.payment_link);
+    }
+
+    const product = composeCheckoutProduct(catalogProduct, {
+      requestId: row.request_id,
+      publicId:  row.public_id,
+      method,
+      currency:  charge.currency,
+      coupon: row.coupon_code
+        ? { code: row.coupon_code, discountCents: Number(row.coupon_discount_cents) || 0, finalCents: charge.amountCents }
+        : null,
+    });
+
+    const ctx = { requestId: req.requestId, log: req.log || baseLogger };
+    const { provider, result } = await openCheckout(row, product, route, ctx, logger);
+    logger.info({ requestId: row.request_id, provider }, 'fresh checkout created for resume');
+
+    return res.redirect(302, result.url || urls.fail || failUrl);
+  } catch (err) {
+    logger.error({ code: err?.code, msg: err?.message }, 'checkout resume failed');
+    return res.redirect(302, failUrl);
+  }
+}
+
+/**
+ * GET /birthchart/requests/:publicId/chart (bearer auth, see router)
+ * Latest stored Ephemeris result of a request (./chartResults), for re-sends
+ * and support. 404 for unknown requests and requests without a stored chart.
+ */
+async function getChart(req, res, next) {
+  const logger = (req.log || baseLogger).child('getChart', { rid: req.requestId });
+
+  try {
+    const row = await repo.findByPublicId(req.params.publicId);
+    if (!row) throw new AppError('not_found', 'Request not found', 404);
+
+    const chart = await repo.findLatestChartResult(row.request_id);
+    if (!chart) throw new AppError('chart_not_available', 'No chart has been computed for this request yet', 404);
+
+    logger.info({ requestId: row.request_id, chartResultId: chart.chart_result_id }, 'chart retrieved');
+    return res.status(200).json({
+      ref:               row.public_id,
+      product_type:      row.product_type,
+      ephemeris_version: chart.ephemeris_version,
+      settings_hash:     chart.settings_hash,
+      chart_settings:    chart.chart_settings,
+      computed_at:       chart.created_at,
+      chart:             chart.result,
+    });
+  } catch (err) {
+    return next(err instanceof AppError
+      ? err
+      : AppError.fromUnexpected('chart_retrieval_failed', 'Failed to retrieve chart', { cause: err }));
+  }
+}
+
+/**
+ * GET /birthchart/requests/:publicId/chart.svg (bearer auth, see router)
+ * Natal wheel of the latest stored chart (./chartWheel), in the language the
+ * chart was computed with. Same 404s as getChart.
+ */
+async function getChartSvg(req, res, next) {
+  const logger = (req.log || baseLogger).child('getChartSvg', { rid: req.requestId });
+
+  try {
+    const row = await repo.findByPublicId(req.params.publicId);
+    if (!row) throw new AppError('not_found', 'Request not found', 404);
+
+    const chart = await repo.findLatestChartResult(row.request_id);
+    if (!chart) throw new AppError('chart_not_available', 'No chart has been computed for this request yet', 404);
+
+    const svg = chartWheel.render(chart.result, {
+      language: chart.chart_settings?.language,
+      birthTimeUnknown: row.birth_time_unknown === true,
+    });
+
+    logger.info({ requestId: row.request_id, chartResultId: chart.chart_result_id }, 'chart wheel rendered');
+    return res.status(200).type('image/svg+xml').send(svg);
+  } catch (err) {
+    return next(err instanceof AppError
+      ? err
+      : AppError.fromUnexpected('chart_render_failed', 'Failed to render chart', { cause: err }));
+  }
+}
+
+/** Refunded in full or charged back: the paid product is revoked. */
+function isPaymentReversed(row) {
+  const status = String(row.payment_status || '').toUpperCase();
+  if (status === 'CHARGED_BACK') return true;
+  return status === 'REFUNDED' && row.payment_status_detail !== 'partially_refunded';
+}
+
+/**
+ * GET /birthchart/report/:token (public; signed link in the PAID payload)
+ * Stored PDF report of a request (./report):
+ *  - links disabled / bad token / unknown report → 404
+ *  - expired link                                → 410
+ *  - payment refunded or charged back            → 410 (a partial refund keeps access)
+ */
+async function downloadReport(req, res, next) {
+  const logger = (req.log || baseLogger).child('downloadReport', { rid: req.requestId });
+
+  try {
+    const verdict = await report.verifyDownloadToken(req.params.token);
+    if (!verdict.ok) {
+      logger.warn({ reason: verdict.reason }, 'report token rejected');
+      if (verdict.reason === 'expired') throw new AppError('report_link_expired', 'This download link has expired', 410);
+      throw new AppError('not_found', 'Not found', 404);
+    }
+
+    const row = await repo.findByPublicId(verdict.publicId);
+    if (row && isPaymentReversed(row)) {
+      logger.warn({ requestId: row.request_id, status: row.payment_status }, 'report revoked');
+      throw new AppError('report_revoked', 'This report is no longer available', 410);
+    }
+    const stored = row ? await repo.findChartReport(row.request_id, verdict.checksum) : null;
+    if (!stored) throw new AppError('not_found', 'Not found', 404);
+
+    const content = Buffer.from(stored.content);
+    if (report.sha256(content) !== stored.checksum_sha256) {
+      throw AppError.fromUnexpected('report_checksum_mismatch', 'Stored report failed its checksum', {
+        details: { reportId: stored.report_id },
+      });
+    }
+
+    logger.info({ requestId: row.request_id, reportId: stored.report_id }, 'report downloaded');
+    return res
+      .status(200)
+      .set({
+        'Content-Disposition': `attachment; filename="zodika-${stored.product_type}-${stored.language}.pdf"`,
+        'Cache-Control': 'private, no-store',
+        ETag: `"${stored.checksum_sha256}"`,
+      })
+      .type('application/pdf')
+      .send(content);
+  } catch (err) {
+    return next(err instanceof AppError
+      ? err
+      : AppError.fromUnexpected('report_download_failed', 'Failed to download report', { cause: err }));
+  }
+}
+
+/**
+ * POST /birthchart/preview (public, refererAuth + its own rate limiter)
+ * Free pre-purchase teaser (./preview): Sun, Moon and Ascendant signs for the
+ * form data. Same validation as the submission; nothing is persisted.
+ */
+async function preview(req, res, next) {
+  const logger = (req.log || baseLogger).child('preview', { rid: req.requestId });
+
+  try {
+    const input = validateBirthchartPayload(normalizeFormBody(req.body));
+    catalog.requireProduct(input.product_type);
+
+    const out = await chartPreview.previewFor(input, logger);
+    return res.status(200).set('Cache-Control', 'no-store').json(out);
+  } catch (err) {
+    if (err && err.name === 'ValidationError' && !err.code) {
+      return next(AppError.validation('validation_error', 'Validation Error', {
+        details: err.details || undefined,
+      }));
+    }
+    return next(err instanceof AppError
+      ? err
+      : AppError.fromUnexpected('preview_failed', 'Failed to compute preview', { cause: err }));
+  }
+}
+
+module.exports = { processForm, preview, resumeCheckout, getChart, getChartSvg, downloadReport };
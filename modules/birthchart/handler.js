@@ -5,23 +5,50 @@
  * Birthchart Handler (post-payment, product-specific)
  * --------------------------------------------------
  * APPROVED on product_type = 'birth_chart':
- *   1) Load request (timezone already persisted by controller async job).
- *   2) Call Ephemeris API with X-API-KEY (+ optional Basic).
- *   3) Post consolidated payload (request + ephemeris + meta) to **n8n webhook**.
- *   4) Record execution footprint into product_jobs (idempotent).
+ *   1) Load request; the timezone is normally persisted by the timezone job and
+ *      resolved on demand when it has not run yet (./timezoneJobs).
+ *   2) Call Ephemeris API with X-API-KEY (+ optional Basic), or reuse the result
+ *      stored in chart_results for the same inputs/settings/engine (./chartResults);
+ *      fresh results are stored. When the API fails for good (or has no key), the
+ *      in-process engine (./localEphemeris) computes the chart instead
+ *      (EPHEMERIS_LOCAL_FALLBACK); EPHEMERIS_ENGINE=local makes it the primary.
+ *      The engine that produced the chart is recorded on the product_jobs row.
+ *   3) Interpret the chart (./interpretation), then render and store the PDF
+ *      report (./report) with a signed download link.
+ *   4) Post consolidated payload (request + ephemeris + interpretation + natal wheel
+ *      SVG + report link + meta) to **n8n webhook**; the wheel is drawn by ./chartWheel.
+ *   5) Record execution footprint into product_jobs (idempotent).
  *
  * Hardenings:
  *  - Accept DATE as string 'YYYY-MM-DD' **or** JavaScript Date (UTC) when building payload.
  *  - Strict numeric coercion and range checks (lat/lng/tz).
- *  - Timezone normalized as number with up to 3 decimals (serializes as -3 if integer).
+ *  - Timezone normalized as number with up to 6 decimals (serializes as -3 if integer);
+ *    Local Mean Time offsets (pre-standard-time births) carry fractional minutes.
  *  - Detailed logs for invalid payload (types + values).
  *  - Retries with backoff (429/502/503/504) and strict Ephemeris response validation.
+ *  - Ephemeris `config` comes from the chart settings stored on the request
+ *    (./chartSettings); the settings sent are recorded on the product_jobs row.
+ *  - birth_time_unknown: noon is sent with `config.birth_time_unknown = true` so the
+ *    Ephemeris omits houses/ascendant (solar-chart conventions); the flag is also
+ *    surfaced to n8n so the report text can adapt.
+ *
+ * REFUNDED / CHARGED_BACK: cancel queued schedules, record a product_jobs row and
+ * post a slim payload (+ `reversal` block) to WEBHOOK_URL_REFUNDED so n8n can
+ * revoke the delivery and notify finance.
  */
 
+const { env } = require('../../config/env');
 const baseLogger = require('../../utils/logger').child('birthchart.handler');
 const httpClient = require('../../utils/httpClient');
 const orchestrator = require('../../payments/orchestrator');
 const repo = require('./repository');
+const chartSettings = require('./chartSettings');
+const chartResults = require('./chartResults');
+const localEphemeris = require('./localEphemeris');
+const chartWheel = require('./chartWheel');
+const report = require('./report');
+const interpretation = require('./interpretation');
+const timezoneJobs = require('./timezoneJobs');
 
 // Env
 // NOTE: replaced MAKE_WEBHOOK_URL_PAID -> WEBHOOK_URL_PAID (full n8n Production URL)
@@ -52,9 +79,15 @@ const TRIGGER_PENDING = 'PENDING';
 const TRIGGER_PENDING_10M = 'PENDING_10M';
 const TRIGGER_PENDING_24H = 'PENDING_24H';
 
+// Money going back to the customer (refund issued by us / chargeback by the issuer)
+const TRIGGER_REFUNDED = 'REFUNDED';
+const TRIGGER_REFUNDED_PARTIAL = 'REFUNDED_PARTIAL';
+const TRIGGER_CHARGED_BACK = 'CHARGED_BACK';
+
 const WEBHOOK_URL_REJECTED = process.env.WEBHOOK_URL_REJECTED;
 const WEBHOOK_URL_PENDING_10M = process.env.WEBHOOK_URL_PENDING_10M;
 const WEBHOOK_URL_PENDING_24H = process.env.WEBHOOK_URL_PENDING_24H;
+const WEBHOOK_URL_REFUNDED = process.env.WEBHOOK_URL_REFUNDED;
 
 /** Build Basic Authorization header value if creds are present. */
 function buildBasicAuthHeader() {
@@ -69,6 +102,7 @@ function num(v) { const n = Number(v); return Number.isFinite(n) ? n : null; }
 function int(v) { const n = parseInt(v, 10); return Number.isFinite(n) ? n : null; }
 function clamp(n, min, max) { return Math.min(max, Math.max(min, n)); }
 function round3(n) { return Math.round(n * 1000) / 1000; }
+function round6(n) { return Math.round(n * 1e6) / 1e6; }
 
 /** Normalize time to strict HH:MM (24h). Returns null if cannot parse. */
 function toHHMM(raw) {
@@ -128,7 +162,7 @@ function toDateParts(birth_date, birth_time) {
 function deriveTimezoneHours(row) {
   const offMin = row && row.birth_utc_offset_min != null ? Number(row.birth_utc_offset_min) : null;
   if (Number.isFinite(offMin)) {
-    const tz = round3(offMin / 60);
+    const tz = round6(offMin / 60);
     if (tz >= -14 && tz <= 14) return tz;
   }
   const offHours = row && row.birth_utc_offset_hours != null ? Number(row.birth_utc_offset_hours) : null;
@@ -139,8 +173,11 @@ function deriveTimezoneHours(row) {
   return null;
 }
 
-/** Build Ephemeris POST body from request row and timezone (hours). */
-function buildEphemerisPayload(row, timezoneHours) {
+/**
+ * Build Ephemeris POST body from request row, timezone (hours) and chart settings
+ * (defaults to the settings stored on the request).
+ */
+function buildEphemerisPayload(row, timezoneHours, settings = chartSettings.forRequest(row)) {
   const { year, month, date, hours, minutes } = toDateParts(row.birth_date, row.birth_time);
 
   const lat = num(row.birth_place_lat);
@@ -166,12 +203,8 @@ function buildEphemerisPayload(row, timezoneHours) {
     seconds: 0,
     latitude: clamp(lat, -90, 90),
     longitude: clamp(lng, -180, 180),
-    timezone: round3(tz), // e.g. -3, -3.5, -3.75
-    config: {
-      observation_point: 'topocentric',
-      ayanamsha: 'tropical',
-      language: 'pt',
-    },
+    timezone: round6(tz), // e.g. -3, -3.5, -3.75, -3.108667 (LMT)
+    config: chartSettings.toEphemerisConfig(settings, { birthTimeUnknown: row.birth_time_unknown === true }),
   };
 
   if (body.timezone < -14 || body.timezone > 14) {
@@ -182,11 +215,30 @@ function buildEphemerisPayload(row, timezoneHours) {
   return body;
 }
 
+/**
+ * Coupon applied at checkout (null when none), so the email can mention it.
+ * Amounts are integer cents in the request currency.
+ */
+function buildDiscount(requestRow) {
+  if (!requestRow.coupon_code) return null;
+  const discount = int(requestRow.coupon_discount_cents) ?? 0;
+  const original = int(requestRow.list_price_cents);
+  return {
+    coupon_code: requestRow.coupon_code,
+    original_cents: original,
+    discount_cents: discount,
+    final_cents: original != null ? original - discount : null,
+  };
+}
+
 /**
  * Build the **n8n** webhook payload (PAID).
  * (kept shape for downstream compatibility)
  */
-function buildN8nPayload({ requestRow, ephemeris, job, providerMeta, ephemerisStatus }) {
+function buildN8nPayload({
+  requestRow, ephemeris, job, providerMeta, ephemerisStatus, chartSource = 'ephemeris', ephemerisEngine = 'api',
+  chartSvg = null, reportLink = null, interpretationText = null,
+}) {
   return {
     request: {
       request_id: requestRow.request_id,
@@ -197,11 +249,13 @@ function buildN8nPayload({ requestRow, ephemeris, job, providerMeta, ephemerisSt
       email: requestRow.email,
       birth_date: requestRow.birth_date,
       birth_time: requestRow.birth_time,
+      birth_time_unknown: requestRow.birth_time_unknown === true,
       birth_place: requestRow.birth_place,
       birth_place_lat: requestRow.birth_place_lat,
       birth_place_lng: requestRow.birth_place_lng,
       timezone:
         requestRow.birth_utc_offset_min != null ? Number(requestRow.birth_utc_offset_min) / 60 : null,
+      chart_settings: requestRow.chart_settings || null,
       created_at: requestRow.created_at,
       updated_at: requestRow.updated_at,
       payment: {
@@ -215,15 +269,21 @@ function buildN8nPayload({ requestRow, ephemeris, job, providerMeta, ephemerisSt
         link: requestRow.payment_link,
         authorized_at: requestRow.payment_authorized_at,
         updated_at: requestRow.payment_updated_at,
+        discount: buildDiscount(requestRow),
       },
     },
     ephemeris, // full validated response from Ephemeris API
+    interpretation: interpretationText, // text sections (./interpretation); null when unavailable
+    chart_svg: chartSvg, // natal wheel (./chartWheel); null when it could not be drawn
+    report: reportLink,  // PDF report (./report): { url, expires_at, checksum_sha256, ... } or null
     meta: {
       job_id: job?.job_id || null,
       trigger_status: providerMeta.trigger_status,
       source: 'birthchart/handler',
       provider: providerMeta.provider,
       ephemeris_status_code: ephemerisStatus ?? null,
+      chart_source: chartSource,
+      ephemeris_engine: ephemerisEngine,
       timestamp: new Date().toISOString(),
     },
   };
@@ -243,6 +303,7 @@ function buildSlimN8nPayload({ requestRow, jobs, job, providerMeta }) {
       email: requestRow.email,
       birth_date: requestRow.birth_date,
       birth_time: requestRow.birth_time,
+      birth_time_unknown: requestRow.birth_time_unknown === true,
       birth_place: requestRow.birth_place,
       birth_place_lat: requestRow.birth_place_lat,
       birth_place_lng: requestRow.birth_place_lng,
@@ -261,6 +322,7 @@ function buildSlimN8nPayload({ requestRow, jobs, job, providerMeta }) {
         link: requestRow.payment_link,
         authorized_at: requestRow.payment_authorized_at,
         updated_at: requestRow.payment_updated_at,
+        discount: buildDiscount(requestRow),
       },
     },
     jobs: Array.isArray(jobs) ? jobs : [],
@@ -314,6 +376,7 @@ async function callEphemerisWithRetry(url, body, headers, log) {
         headers,
         timeout: EPHEMERIS_HTTP_TIMEOUT_MS,
         retries: 0,
+        circuitBreaker: true,
       });
       const dur = Date.now() - t0;
       const status = res?.status || 0;
@@ -340,6 +403,8 @@ async function callEphemerisWithRetry(url, body, headers, log) {
       );
 
       lastErr = Object.assign(new Error('ephemeris_call_failed'), { status, errBody: safeErrBody, url });
+      // Open circuit: retrying here would only fail fast again until the cooldown ends.
+      if (e?.code === 'upstream_circuit_open') break;
       if (!isTransientStatus(status) || attempt === EPHEMERIS_RETRY_ATTEMPTS) break;
 
       const backoff = Math.round(EPHEMERIS_RETRY_BASE_MS * Math.pow(2, attempt) * (1 + Math.random() * 0.3));
@@ -351,6 +416,113 @@ async function callEphemerisWithRetry(url, body, headers, log) {
   throw lastErr || new Error('ephemeris_call_failed');
 }
 
+/** Primary chart engine: 'api' (Ephemeris API, default) or 'local' (./localEphemeris). */
+function getEphemerisEngine() {
+  const v = String(process.env.EPHEMERIS_ENGINE ?? env.EPHEMERIS_ENGINE ?? 'api').trim().toLowerCase();
+  return v === 'local' ? 'local' : 'api';
+}
+
+/** Whether the local engine takes over when the API fails for good (default on). */
+function isLocalFallbackEnabled() {
+  const v = String(process.env.EPHEMERIS_LOCAL_FALLBACK ?? env.EPHEMERIS_LOCAL_FALLBACK ?? 'true').trim().toLowerCase();
+  return !['false', '0', 'no', 'off'].includes(v);
+}
+
+/** Compute with the local engine (same validation as API responses). */
+function computeLocally(body) {
+  const t0 = Date.now();
+  const data = normalizeEphemerisData(localEphemeris.compute(body));
+  return { status: null, data, dur: Date.now() - t0, engine: 'local' };
+}
+
+/**
+ * Chart from the primary engine, falling back to the local one when the API
+ * fails for good. Resolves { status, data, dur, engine }; throws the API error
+ * when no engine could produce a chart.
+ */
+async function computeChart(body, primaryEngine, log) {
+  if (primaryEngine === 'local') return computeLocally(body);
+
+  let apiErr;
+  if (EPHEMERIS_API_KEY) {
+    const ephHeaders = {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+      'X-API-KEY': EPHEMERIS_API_KEY,
+      'User-Agent': 'ZodikaBackend/1.0',
+    };
+    const basic = buildBasicAuthHeader();
+    if (basic) ephHeaders.Authorization = basic;
+
+    try {
+      return { ...(await callEphemerisWithRetry(EPHEMERIS_API_URL, body, ephHeaders, log)), engine: 'api' };
+    } catch (e) {
+      apiErr = e;
+    }
+  } else {
+    apiErr = Object.assign(new Error('ephemeris_api_key_missing'), { status: 0 });
+  }
+
+  if (!isLocalFallbackEnabled()) throw apiErr;
+  try {
+    const res = computeLocally(body);
+    log.warn({ ephStatus: apiErr?.status || 0, reason: apiErr?.message }, 'ephemeris API unavailable; chart computed locally');
+    return res;
+  } catch (e) {
+    log.error({ msg: e?.message, detail: e?.detail }, 'local ephemeris failed');
+    throw apiErr;
+  }
+}
+
+/** Natal wheel SVG for the PAID payload; a drawing failure never blocks delivery. */
+function renderChartSvg(request, ephemerisData, settings, log) {
+  try {
+    return chartWheel.render(ephemerisData, {
+      language: settings?.language,
+      birthTimeUnknown: request.birth_time_unknown === true,
+    });
+  } catch (e) {
+    log.warn({ msg: e?.message }, 'could not render chart wheel');
+    return null;
+  }
+}
+
+/** Interpretation sections of the chart; a failure never blocks delivery. */
+function interpretChart(request, ephemerisData, settings, log) {
+  try {
+    return interpretation.interpret(ephemerisData, {
+      language: settings?.language,
+      genderIdentity: request.gender_identity,
+      birthTimeUnknown: request.birth_time_unknown === true,
+    });
+  } catch (e) {
+    log.warn({ msg: e?.message }, 'could not interpret chart');
+    return null;
+  }
+}
+
+/**
+ * Render/store the PDF report and sign its link; a failure never blocks delivery
+ * (n8n still gets the chart). Resolves the payload `report` block or null.
+ */
+async function generateReport(request, job, settings, ephemerisData, interpretationText, chartResultId, log) {
+  try {
+    const out = await report.generate({
+      request,
+      result: ephemerisData,
+      settings,
+      sections: interpretationText?.sections || [],
+      jobId: job.job_id,
+      chartResultId,
+    });
+    log.info({ checksum: out.checksum_sha256, bytes: out.size_bytes, linked: !!out.url }, 'report generated');
+    return out;
+  } catch (e) {
+    log.warn({ msg: e?.message }, 'could not generate report');
+    return null;
+  }
+}
+
 /* -------------------------------------------------------------------------- */
 /* Main Worker                                                                */
 /* -------------------------------------------------------------------------- */
@@ -363,7 +535,10 @@ async function onApprovedEvent(evt) {
     if (!evt?.requestId || evt.productType !== PRODUCT_TYPE) return;
     if (evt.normalizedStatus !== TRIGGER_APPROVED) return;
     if (!WEBHOOK_URL_PAID) { log.warn('WEBHOOK_URL_PAID not configured; skipping'); return; }
-    if (!EPHEMERIS_API_KEY) { log.warn('EPHEMERIS_API_KEY not configured; skipping'); return; }
+    if (!EPHEMERIS_API_KEY && getEphemerisEngine() === 'api' && !isLocalFallbackEnabled()) {
+      log.warn('EPHEMERIS_API_KEY not configured and local fallback disabled; skipping');
+      return;
+    }
 
     // 1) Idempotency
     const already = await repo.findSucceededJob(evt.requestId, PRODUCT_TYPE, TRIGGER_APPROVED);
@@ -373,25 +548,37 @@ async function onApprovedEvent(evt) {
     const job = await repo.markJobStart(evt.requestId, PRODUCT_TYPE, TRIGGER_APPROVED);
 
     // 3) Load request
-    const request = await repo.findByRequestId(evt.requestId);
+    let request = await repo.findByRequestId(evt.requestId);
     if (!request) {
       await repo.markJobFailed(job.job_id, 'request_not_found');
       log.warn('request not found');
       return;
     }
 
-    // 4) Expect timezone already computed
-    const tzHours = deriveTimezoneHours(request);
+    // 4) Timezone: resolve now if the timezone job has not persisted it yet
+    let tzHours = deriveTimezoneHours(request);
     if (!Number.isFinite(tzHours)) {
+      log.info('timezone missing on request; resolving on demand');
+      const resolved = await timezoneJobs.resolveNow(request, log);
+      if (resolved) {
+        request = resolved;
+        tzHours = deriveTimezoneHours(request);
+      }
+    }
+    if (!Number.isFinite(tzHours)) {
+      // The timezone job stays queued; its success re-runs this flow (see below).
       await repo.markJobFailed(job.job_id, 'timezone_missing');
-      log.warn({ rawMin: request.birth_utc_offset_min, rawHours: request.birth_utc_offset_hours }, 'timezone missing on request; aborting handler flow');
+      log.warn({ rawMin: request.birth_utc_offset_min, rawHours: request.birth_utc_offset_hours }, 'timezone unresolved; delivery deferred to the timezone job');
       return;
     }
 
-    // 5) Build Ephemeris payload (strict)
+    // 5) Build Ephemeris payload (strict) and record the chart settings it uses
+    const settings = chartSettings.forRequest(request);
+    await repo.recordJobChartSettings(job.job_id, settings);
+
     let ephBody;
     try {
-      ephBody = buildEphemerisPayload(request, tzHours);
+      ephBody = buildEphemerisPayload(request, tzHours, settings);
     } catch (e) {
       const detail = e?.detail ? JSON.stringify(e.detail) : undefined;
       await repo.markJobFailed(job.job_id, `${e?.message || 'ephemeris_payload_error'}${detail ? `:${detail}` : ''}`);
@@ -399,39 +586,74 @@ async function onApprovedEvent(evt) {
       return;
     }
 
-    // 6) Call Ephemeris (with X-API-KEY and optional Basic)
-    const ephHeaders = {
-      Accept: 'application/json',
-      'Content-Type': 'application/json',
-      'X-API-KEY': EPHEMERIS_API_KEY,
-      'User-Agent': 'ZodikaBackend/1.0',
-    };
-    const basic = buildBasicAuthHeader();
-    if (basic) ephHeaders.Authorization = basic;
-
+    // 6) Ephemeris: reuse the stored chart for these exact inputs, else compute it
+    const primaryEngine = getEphemerisEngine();
     let ephemerisData = null;
     let ephStatus = 0;
     let ephDur = 0;
+    let ephEngine = primaryEngine;
+    let chartResultId = null;
 
-    try {
-      const res = await callEphemerisWithRetry(EPHEMERIS_API_URL, ephBody, ephHeaders, log);
-      ephemerisData = res.data;   // validated object
-      ephStatus = res.status;
-      ephDur = res.dur;
-    } catch (e) {
-      const ephStatusErr = e?.status || 0;
-      await repo.markJobFailed(job.job_id, `ephemeris_error:${ephStatusErr}`);
-      log.warn({ ephStatus: ephStatusErr, url: e?.url || EPHEMERIS_API_URL, errBody: e?.errBody }, 'ephemeris request failed (final)');
-      return;
+    const stored = await chartResults.findReusable(request.request_id, ephBody, primaryEngine).catch((e) => {
+      log.warn({ msg: e?.message }, 'stored chart lookup failed; computing');
+      return null;
+    });
+
+    if (stored) {
+      ephemerisData = stored.result;
+      ephStatus = null; // no call made (job metrics stay empty)
+      ephEngine = stored.engine || primaryEngine;
+      chartResultId = stored.chart_result_id;
+      log.info({ chartResultId: stored.chart_result_id, engine: ephEngine }, 'reusing stored chart result');
+    } else {
+      try {
+        const res = await computeChart(ephBody, primaryEngine, log);
+        ephemerisData = res.data;   // validated object
+        ephStatus = res.status;
+        ephDur = res.dur;
+        ephEngine = res.engine;
+      } catch (e) {
+        const ephStatusErr = e?.status || 0;
+        await repo.markJobFailed(job.job_id, `ephemeris_error:${ephStatusErr}`);
+        log.warn({ ephStatus: ephStatusErr, url: e?.url || EPHEMERIS_API_URL, errBody: e?.errBody }, 'ephemeris request failed (final)');
+        return;
+      }
+
+      // Best-effort: a failed insert only means the next delivery computes it again.
+      const saved = await chartResults.save({
+        requestId: request.request_id,
+        jobId: job.job_id,
+        engine: ephEngine,
+        ephemerisBody: ephBody,
+        chartSettings: settings,
+        result: ephemerisData,
+      }).catch((e) => log.warn({ msg: e?.message }, 'could not store chart result'));
+      chartResultId = saved?.chart_result_id ?? null;
     }
 
-    // 7) Post to **n8n** (PAID)
+    await repo.markJobPartialMetrics(job.job_id, {
+      ephemeris_http_status: ephStatus,
+      ephemeris_duration_ms: ephDur || null,
+      ephemeris_engine: ephEngine,
+    });
+
+    // 7) Interpretation texts and PDF report (stored; signed link in the payload)
+    const interpretationText = interpretChart(request, ephemerisData, settings, log);
+    const reportLink = await generateReport(request, job, settings, ephemerisData, interpretationText, chartResultId, log);
+
+    // 8) Post to **n8n** (PAID)
     const n8nPayload = buildN8nPayload({
-      requestRow: { ...request, birth_utc_offset_min: request.birth_utc_offset_min },
+      requestRow: { ...request, birth_utc_offset_min: request.birth_utc_offset_min, chart_settings: settings },
       ephemeris: ephemerisData,
       job,
       providerMeta: { provider: evt.provider, trigger_status: evt.normalizedStatus },
-      ephemerisStatus: ephStatus,
+      // A stored result was a 200 from the Ephemeris when it was computed.
+      ephemerisStatus: stored ? 200 : ephStatus,
+      chartSource: stored ? 'stored' : 'ephemeris',
+      ephemerisEngine: ephEngine,
+      chartSvg: renderChartSvg(request, ephemerisData, settings, log),
+      reportLink,
+      interpretationText,
     });
 
     let n8nStatus = 0;
@@ -453,7 +675,7 @@ async function onApprovedEvent(evt) {
       return;
     }
 
-    // 8) Finish job
+    // 9) Finish job
     await repo.markJobSucceeded(job.job_id, {
       ephemeris_http_status: ephStatus,
       webhook_http_status: n8nStatus,
@@ -552,6 +774,117 @@ async function onRejectedEvent(evt) {
   }
 }
 
+/**
+ * Job trigger for a reversal event. Full refunds and chargebacks run once per
+ * request; each partial refund (recorded by payments/refunds) gets its own run.
+ */
+function reversalTrigger(evt) {
+  if (evt.normalizedStatus === TRIGGER_CHARGED_BACK) return TRIGGER_CHARGED_BACK;
+  return evt.refund?.partial ? TRIGGER_REFUNDED_PARTIAL : TRIGGER_REFUNDED;
+}
+
+/** What n8n needs to tell a refund from a chargeback (and partial from full). */
+function buildReversal(evt) {
+  const chargeback = evt.normalizedStatus === TRIGGER_CHARGED_BACK;
+  return {
+    kind: chargeback ? 'chargeback' : 'refund',
+    partial: !chargeback && !!evt.refund?.partial,
+    status_detail: evt.statusDetail || null,
+    refund_id: evt.refund?.refundId ?? null,
+    amount_cents: evt.refund?.amountCents ?? null,
+    refunded_total_cents: evt.refund?.refundedTotalCents ?? null,
+    currency: evt.currency || null,
+  };
+}
+
+async function onRefundedEvent(evt) {
+  const log = baseLogger.child('refunded', { requestId: evt?.requestId, provider: evt?.provider });
+
+  try {
+    // 0) Guards
+    if (!evt?.requestId || evt.productType !== PRODUCT_TYPE) return;
+    if (evt.normalizedStatus !== TRIGGER_REFUNDED && evt.normalizedStatus !== TRIGGER_CHARGED_BACK) return;
+    if (!WEBHOOK_URL_REFUNDED) { log.warn('WEBHOOK_URL_REFUNDED not configured; skipping'); return; }
+
+    const trigger = reversalTrigger(evt);
+
+    // 1) Idempotency (provider webhooks may repeat the same reversal)
+    if (trigger !== TRIGGER_REFUNDED_PARTIAL) {
+      const already = await repo.findSucceededJob(evt.requestId, PRODUCT_TYPE, trigger);
+      if (already) { log.info({ jobId: already.job_id }, 'job already completed; skipping'); return; }
+    }
+
+    // 2) Start job
+    const job = await repo.markJobStart(evt.requestId, PRODUCT_TYPE, trigger);
+
+    // 3) Load request
+    const request = await repo.findByRequestId(evt.requestId);
+    if (!request) {
+      await repo.markJobFailed(job.job_id, 'request_not_found');
+      log.warn('request not found');
+      return;
+    }
+
+    // 4) Cancel any queued reminders (PENDING_10M / PENDING_24H)
+    try {
+      await repo.cancelPendingSchedules(evt.requestId, PRODUCT_TYPE);
+    } catch (e) {
+      log.warn({ err: e?.message }, 'cancelPendingSchedules failed');
+    }
+
+    // 5) Snapshot jobs for this request
+    let jobs = [];
+    try {
+      jobs = await repo.listJobsForRequest(evt.requestId, PRODUCT_TYPE);
+    } catch (e) {
+      log.warn({ err: e?.message }, 'listJobsForRequest failed');
+      jobs = [];
+    }
+
+    // 6) Post to **n8n** (REFUNDED) with slim payload
+    const n8nPayload = {
+      ...buildSlimN8nPayload({
+        requestRow: request,
+        jobs,
+        job,
+        providerMeta: { provider: evt.provider, trigger_status: trigger },
+      }),
+      reversal: buildReversal(evt),
+    };
+
+    let n8nStatus = 0;
+    let n8nDur = 0;
+
+    try {
+      const t = Date.now();
+      const n8nRes = await httpClient.post(WEBHOOK_URL_REFUNDED, n8nPayload, {
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        timeout: N8N_HTTP_TIMEOUT_MS,
+        retries: 0,
+      });
+      n8nDur = Date.now() - t;
+      n8nStatus = n8nRes?.status || 0;
+    } catch (e) {
+      n8nStatus = e?.response?.status || 0;
+      await repo.markJobFailed(job.job_id, `n8n_webhook_error:${n8nStatus}`);
+      log.warn({ n8nStatus, trigger }, 'n8n webhook (refunded) failed');
+      return;
+    }
+
+    // 7) Finish job
+    await repo.markJobSucceeded(job.job_id, {
+      ephemeris_http_status: null,
+      webhook_http_status: n8nStatus,
+      ephemeris_duration_ms: null,
+      webhook_duration_ms: n8nDur,
+    });
+
+    log.info({ jobId: job.job_id, n8nStatus, trigger }, 'refunded flow completed');
+  } catch (err) {
+    baseLogger.error({ msg: err?.message }, 'birthchart refunded handler failed');
+  }
+}
+
 async function onPendingEvent(evt) {
   const log = baseLogger.child('pending', { requestId: evt?.requestId, provider: evt?.provider });
 
@@ -587,6 +920,32 @@ orchestrator.events.on('payments:status-changed', (evt) => {
   if (evt?.normalizedStatus === TRIGGER_PENDING && evt?.productType === PRODUCT_TYPE) {
     onPendingEvent(evt);
   }
+  if ((evt?.normalizedStatus === TRIGGER_REFUNDED || evt?.normalizedStatus === TRIGGER_CHARGED_BACK) &&
+      evt?.productType === PRODUCT_TYPE) {
+    onRefundedEvent(evt);
+  }
+});
+
+// A paid request whose delivery failed on a missing timezone is retried once the job resolves it.
+timezoneJobs.events.on('timezone:resolved', ({ requestId, request }) => {
+  if (request?.product_type !== PRODUCT_TYPE) return;
+  if (String(request.payment_status || '').toUpperCase() !== TRIGGER_APPROVED) return;
+  onApprovedEvent({
+    requestId,
+    productType: PRODUCT_TYPE,
+    provider: request.payment_provider || null,
+    normalizedStatus: TRIGGER_APPROVED,
+  });
 });
 
-module.exports = { onApprovedEvent, onRejectedEvent, onPendingEvent };
+module.exports = {
+  onApprovedEvent,
+  onRejectedEvent,
+  onPendingEvent,
+  onRefundedEvent,
+
+  // Ephemeris steps shared with the pre-purchase preview (./preview)
+  buildEphemerisPayload,
+  getEphemerisEngine,
+  computeChart,
+};
@@ -0,0 +1,155 @@
+// modules/birthchart/interpretation.js
+'use strict';
+
+/**
+ * Interpretation texts
+ * --------------------
+ * Rule-based reading of a chart: each placement is mapped to curated text
+ * blocks stored per language in ./interpretations/<language>.json.
+ *
+ * Rules (section → items, in this order)
+ *  - ascendant:          sign of the ascendant → signs.<sign>.ascendant
+ *  - planets_in_signs:   planet meaning + signs.<sign>.style
+ *  - planets_in_houses:  houses.<n> with the planet as {body}
+ *  - aspects:            major aspects between planets (./chartWheel.findAspects,
+ *                        tightest first) → aspects.<aspect>.text with both themes
+ * Ascendant and houses are skipped when the birth time is unknown or the chart
+ * has no houses. Placements without a text are skipped, never fatal.
+ *
+ * Text syntax
+ *  - {name} placeholders: {body}, {sign}, {house}, {a}, {b}, {aspect}, {a_theme}, {b_theme}.
+ *  - {feminine|masculine|neutral} gendered variants, picked from the request's
+ *    gender_identity (female / male / anything else → neutral).
+ *
+ * The result travels next to `ephemeris` in the PAID payload (`interpretation`)
+ * and fills the interpretation chapter of the PDF report (./report).
+ */
+
+const chartWheel = require('./chartWheel');
+
+const TEXTS = Object.freeze({
+  pt: require('./interpretations/pt.json'),
+  en: require('./interpretations/en.json'),
+  es: require('./interpretations/es.json'),
+});
+
+const DEFAULT_LANGUAGE = 'pt';
+
+const SIGN_IDS = [
+  'aries', 'taurus', 'gemini', 'cancer', 'leo', 'virgo',
+  'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces',
+];
+
+const PLANETS = ['sun', 'moon', 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto'];
+
+const GENDER_VARIANT = { female: 0, male: 1 };
+
+/* --------------------------------- Helpers --------------------------------- */
+
+/** 'female' | 'male' | 'neutral' from zodika_requests.gender_identity. */
+function genderOf(genderIdentity) {
+  const g = String(genderIdentity ?? '').trim().toLowerCase();
+  return g in GENDER_VARIANT ? g : 'neutral';
+}
+
+/** Resolve gendered variants, then placeholders. */
+function fill(text, vars, gender) {
+  const variant = GENDER_VARIANT[gender] ?? 2;
+  return String(text ?? '')
+    .replace(/\{([^{}|]*)\|([^{}|]*)\|([^{}|]*)\}/g, (_, ...alts) => alts[variant])
+    .replace(/\{(\w+)\}/g, (m, key) => (vars[key] != null ? String(vars[key]) : m));
+}
+
+const signIdOf = (longitude) => SIGN_IDS[Math.floor((((longitude % 360) + 360) % 360) / 30) % 12];
+
+/* ----------------------------------- API ------------------------------------ */
+
+/**
+ * Interpretation of a stored Ephemeris result.
+ * @param {object} result   Ephemeris result (chart_results.result)
+ * @param {{ language?: string, genderIdentity?: string, birthTimeUnknown?: boolean }} [opts]
+ * @returns {{ version: string, language: string, gender: string,
+ *             sections: Array<{ id: string, title: string, items: Array<{ key: string, title: string, text: string }> }> }}
+ */
+function interpret(result, { language, genderIdentity, birthTimeUnknown = false } = {}) {
+  const lang = TEXTS[language] ? language : DEFAULT_LANGUAGE;
+  const t = TEXTS[lang];
+  const gender = genderOf(genderIdentity);
+  const chart = chartWheel.extractChart(result);
+  const houses = birthTimeUnknown ? null : chart.houses;
+  const planets = chart.bodies.filter((b) => PLANETS.includes(b.id) && t.bodies[b.id]);
+
+  const section = (id, items) => ({ id, title: t.sections[id], items: items.filter(Boolean) });
+  const sections = [];
+
+  // Ascendant
+  if (!birthTimeUnknown && chart.ascendant != null) {
+    const sign = t.signs[signIdOf(chart.ascendant)];
+    if (sign?.ascendant) {
+      sections.push(section('ascendant', [{
+        key: `ascendant.${signIdOf(chart.ascendant)}`,
+        title: fill(t.titles.ascendant, { sign: sign.name }, gender),
+        text: fill(sign.ascendant, {}, gender),
+      }]));
+    }
+  }
+
+  // Planets in signs
+  sections.push(section('planets_in_signs', planets.map((b) => {
+    const signId = signIdOf(b.longitude);
+    const body = t.bodies[b.id];
+    const sign = t.signs[signId];
+    if (!sign?.style) return null;
+    const vars = { body: body.name, sign: sign.name };
+    return {
+      key: `${b.id}.${signId}`,
+      title: fill(t.titles.planet_in_sign, vars, gender),
+      text: `${fill(body.meaning, vars, gender)} ${fill(sign.style, vars, gender)}`,
+    };
+  })));
+
+  // Planets in houses
+  if (houses) {
+    sections.push(section('planets_in_houses', planets.map((b) => {
+      const house = chartWheel.houseOf(b.longitude, houses);
+      const text = house ? t.houses[String(house)] : null;
+      if (!text) return null;
+      const body = t.bodies[b.id];
+      return {
+        key: `${b.id}.house_${house}`,
+        title: fill(t.titles.planet_in_house, { body: body.name, house }, gender),
+        text: fill(text, { body: body.ref, house }, gender),
+      };
+    })));
+  }
+
+  // Aspects
+  sections.push(section('aspects', chartWheel.findAspects(planets).map((a) => {
+    const aspect = t.aspects[a.aspect];
+    if (!aspect) return null;
+    const vars = {
+      a: t.bodies[a.a].name, b: t.bodies[a.b].name, aspect: aspect.name,
+      a_theme: t.bodies[a.a].theme, b_theme: t.bodies[a.b].theme,
+    };
+    return {
+      key: `${a.a}.${a.aspect}.${a.b}`,
+      title: fill(t.titles.aspect, vars, gender),
+      text: fill(aspect.text, vars, gender),
+    };
+  })));
+
+  return {
+    version: t.version,
+    language: lang,
+    gender,
+    sections: sections.filter((s) => s.items.length),
+  };
+}
+
+/** Sign of a longitude with its name in a language: { id, name }. */
+function signOf(longitude, language) {
+  const id = signIdOf(longitude);
+  return { id, name: (TEXTS[language] || TEXTS[DEFAULT_LANGUAGE]).signs[id].name };
+}
+
+module.exports = { interpret, signOf };
@@ -0,0 +1,382 @@
+// modules/birthchart/localEphemeris.js
+'use strict';
+
+/**
+ * Local ephemeris engine
+ * ----------------------
+ * In-process chart calculator (astronomy-engine, VSOP87/ELP-based, no network)
+ * used when the Ephemeris API is unavailable, or as the primary engine with
+ * EPHEMERIS_ENGINE=local (see ./handler).
+ *
+ * Input : the Ephemeris API request body built by the handler
+ *         { year, month, date, hours, minutes, seconds, latitude, longitude,
+ *           timezone, config: { observation_point, ayanamsha, house_system,
+ *           language, points?, birth_time_unknown? } }
+ * Output: { statusCode: 200, engine: 'local', engine_version, output, meta },
+ *         accepted by the handler's normalizeEphemerisData().
+ *
+ * Precision
+ *  - Apparent positions on the true ecliptic of date (light time, aberration,
+ *    nutation); topocentric parallax when observation_point = 'topocentric'.
+ *  - Houses: placidus, koch, equal, whole_sign, porphyry, regiomontanus,
+ *    campanus. Placidus/Koch are undefined near the poles; Porphyry is used then
+ *    and reported in `meta.house_system_used`.
+ *  - Sidereal zodiacs use the ayanamsha at J2000 moved by the general precession
+ *    rate (sub-arcminute for modern births).
+ *  - Optional points: mean lunar node, mean Lilith, part of fortune, vertex.
+ *    Chiron is not available offline and is listed in `meta.unsupported_points`.
+ *  - birth_time_unknown: no houses, angles or house-based points.
+ */
+
+const Astronomy = require('astronomy-engine');
+
+// Bump when the math below changes: stored results are keyed by it (./chartResults).
+const ENGINE_VERSION = 'local-1';
+
+const BODIES = [
+  ['sun', 'Sun'], ['moon', 'Moon'], ['mercury', 'Mercury'], ['venus', 'Venus'], ['mars', 'Mars'],
+  ['jupiter', 'Jupiter'], ['saturn', 'Saturn'], ['uranus', 'Uranus'], ['neptune', 'Neptune'], ['pluto', 'Pluto'],
+];
+
+const SIGN_IDS = [
+  'aries', 'taurus', 'gemini', 'cancer', 'leo', 'virgo',
+  'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces',
+];
+
+const LABELS = {
+  pt: {
+    signs: ['Áries', 'Touro', 'Gêmeos', 'Câncer', 'Leão', 'Virgem', 'Libra', 'Escorpião', 'Sagitário', 'Capricórnio', 'Aquário', 'Peixes'],
+    bodies: {
+      sun: 'Sol', moon: 'Lua', mercury: 'Mercúrio', venus: 'Vênus', mars: 'Marte', jupiter: 'Júpiter',
+      saturn: 'Saturno', uranus: 'Urano', neptune: 'Netuno', pluto: 'Plutão',
+      ascendant: 'Ascendente', midheaven: 'Meio do Céu', north_node: 'Nodo Norte', south_node: 'Nodo Sul',
+      lilith: 'Lilith', part_of_fortune: 'Parte da Fortuna', vertex: 'Vértice',
+    },
+  },
+  en: {
+    signs: ['Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo', 'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'],
+    bodies: {
+      sun: 'Sun', moon: 'Moon', mercury: 'Mercury', venus: 'Venus', mars: 'Mars', jupiter: 'Jupiter',
+      saturn: 'Saturn', uranus: 'Uranus', neptune: 'Neptune', pluto: 'Pluto',
+      ascendant: 'Ascendant', midheaven: 'Midheaven', north_node: 'North Node', south_node: 'South Node',
+      lilith: 'Lilith', part_of_fortune: 'Part of Fortune', vertex: 'Vertex',
+    },
+  },
+  es: {
+    signs: ['Aries', 'Tauro', 'Géminis', 'Cáncer', 'Leo', 'Virgo', 'Libra', 'Escorpio', 'Sagitario', 'Capricornio', 'Acuario', 'Piscis'],
+    bodies: {
+      sun: 'Sol', moon: 'Luna', mercury: 'Mercurio', venus: 'Venus', mars: 'Marte', jupiter: 'Júpiter',
+      saturn: 'Saturno', uranus: 'Urano', neptune: 'Neptuno', pluto: 'Plutón',
+      ascendant: 'Ascendente', midheaven: 'Medio Cielo', north_node: 'Nodo Norte', south_node: 'Nodo Sur',
+      lilith: 'Lilith', part_of_fortune: 'Parte de la Fortuna', vertex: 'Vértice',
+    },
+  },
+};
+
+// Ayanamsha at J2000.0 (degrees) and general precession in longitude (degrees/Julian year).
+const AYANAMSHA_J2000 = {
+  lahiri: 23.857092,
+  fagan_bradley: 24.740300,
+  raman: 22.410791,
+  krishnamurti: 23.760240,
+};
+const PRECESSION_DEG_PER_YEAR = 5028.796195 / 3600 / 100;
+
+/* ---------------------------------- Math ----------------------------------- */
+
+const RAD = Math.PI / 180;
+const sin = (d) => Math.sin(d * RAD);
+const cos = (d) => Math.cos(d * RAD);
+const tan = (d) => Math.tan(d * RAD);
+const atan2 = (y, x) => Math.atan2(y, x) / RAD;
+const norm360 = (d) => ((d % 360) + 360) % 360;
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+
+/** Ecliptic longitude of an equatorial (of date) direction. */
+function eqToEclLon(v, eps) {
+  return norm360(atan2(v[1] * cos(eps) + v[2] * sin(eps), v[0]));
+}
+
+/** Ecliptic longitude → equatorial declination / right ascension (of date). */
+function eclToDec(lon, eps) { return Math.asin(sin(eps) * sin(lon)) / RAD; }
+function raToEclLon(ra, eps) { return norm360(atan2(sin(ra), cos(ra) * cos(eps))); }
+
+/** Diurnal semi-arc (degrees), or null when the point never rises/sets. */
+function semiArc(dec, lat) {
+  const x = -tan(lat) * tan(dec);
+  return Math.abs(x) > 1 ? null : Math.acos(x) / RAD;
+}
+
+/** Ascendant for a local sidereal angle (RAMC) and (pole) latitude. */
+function ascendant(ramc, lat, eps) {
+  return norm360(atan2(cos(ramc), -(sin(ramc) * cos(eps) + tan(lat) * sin(eps))));
+}
+
+function midheaven(ramc, eps) {
+  return norm360(atan2(sin(ramc), cos(ramc) * cos(eps)));
+}
+
+/** Local horizon frame in equatorial coordinates of date: zenith, north and east points. */
+function horizonFrame(ramc, lat) {
+  return {
+    zenith: [cos(lat) * cos(ramc), cos(lat) * sin(ramc), sin(lat)],
+    north: [-sin(lat) * cos(ramc), -sin(lat) * sin(ramc), cos(lat)],
+    east: [-sin(ramc), cos(ramc), 0],
+  };
+}
+
+/** Vertex: western intersection of the ecliptic with the prime vertical (pole = north point). */
+function vertex(ramc, lat, eps) {
+  const { north, east } = horizonFrame(ramc, lat);
+  let v = cross(north, [0, -sin(eps), cos(eps)]);
+  if (dot(v, east) > 0) v = v.map((c) => -c);
+  return eqToEclLon(v, eps);
+}
+
+/* --------------------------------- Houses ---------------------------------- */
+
+/**
+ * Intersection of the ecliptic with the great circle through the north/south
+ * horizon points and `p` (eastern intersection): Regiomontanus and Campanus cusps.
+ */
+function cuspThroughHorizonPoles(p, north, east, eps) {
+  const pole = cross(north, p);
+  let v = cross(pole, [0, -sin(eps), cos(eps)]);
+  if (dot(v, east) < 0) v = v.map((c) => -c);
+  return eqToEclLon(v, eps);
+}
+
+/** Placidus: iterate RA = RAMC + fraction of the point's own semi-arc. */
+function placidusCusp(ramc, lat, eps, fraction, below) {
+  let lon = norm360(ramc + (below ? 180 : 0));
+  for (let i = 0; i < 100; i++) {
+    const dsa = semiArc(eclToDec(lon, eps), lat);
+    if (dsa == null) return null;
+    const ra = below ? ramc + 180 - fraction * (180 - dsa) : ramc + fraction * dsa;
+    const next = raToEclLon(ra, eps);
+    const delta = Math.abs(((next - lon + 540) % 360) - 180);
+    lon = next;
+    if (delta < 1e-9) break;
+  }
+  return lon;
+}
+
+/** Cusps 11, 12, 2, 3 (1 = asc, 10 = mc); the rest are their opposites. */
+function intermediateCusps(system, { ramc, lat, eps, asc, mc }) {
+  switch (system) {
+    case 'placidus': {
+      const c = [
+        placidusCusp(ramc, lat, eps, 1 / 3, false), placidusCusp(ramc, lat, eps, 2 / 3, false),
+        placidusCusp(ramc, lat, eps, 2 / 3, true), placidusCusp(ramc, lat, eps, 1 / 3, true),
+      ];
+      return c.includes(null) ? null : c;
+    }
+    case 'koch': {
+      const dsa = semiArc(eclToDec(mc, eps), lat);
+      if (dsa == null) return null;
+      return [
+        ascendant(ramc - (2 * dsa) / 3, lat, eps), ascendant(ramc - dsa / 3, lat, eps),
+        ascendant(ramc + dsa / 3, lat, eps), ascendant(ramc + (2 * dsa) / 3, lat, eps),
+      ];
+    }
+    case 'regiomontanus':
+    case 'campanus': {
+      const { zenith, north, east } = horizonFrame(ramc, lat);
+      // Regiomontanus divides the equator, Campanus the prime vertical, from the east point up.
+      const up = system === 'regiomontanus' ? [cos(ramc), sin(ramc), 0] : zenith;
+      const at = (h) => east.map((e, i) => e * cos(h) + up[i] * sin(h));
+      return [60, 30, -30, -60].map((h) => cuspThroughHorizonPoles(at(h), north, east, eps));
+    }
+    case 'porphyry': {
+      const upper = norm360(asc - mc);
+      const lower = norm360(mc + 180 - asc);
+      return [mc + upper / 3, mc + (2 * upper) / 3, asc + lower / 3, asc + (2 * lower) / 3].map(norm360);
+    }
+    default:
+      return null;
+  }
+}
+
+function computeHouses(system, angles) {
+  const { asc } = angles;
+  if (system === 'equal') return Array.from({ length: 12 }, (_, i) => norm360(asc + 30 * i));
+  if (system === 'whole_sign') return Array.from({ length: 12 }, (_, i) => norm360(Math.floor(asc / 30) * 30 + 30 * i));
+
+  const [c11, c12, c2, c3] = intermediateCusps(system, angles);
+  const { mc } = angles;
+  return [asc, c2, c3, mc + 180, c11 + 180, c12 + 180, asc + 180, c2 + 180, c3 + 180, mc, c11, c12].map(norm360);
+}
+
+/** House (1..12) of a longitude given the 12 cusps. */
+function houseOf(lon, cusps) {
+  for (let i = 0; i < 12; i++) {
+    const start = cusps[i];
+    const span = norm360(cusps[(i + 1) % 12] - start);
+    if (norm360(lon - start) < span) return i + 1;
+  }
+  return 1;
+}
+
+/* --------------------------------- Points ---------------------------------- */
+
+/** Julian centuries (TT) since J2000. */
+function centuries(time) { return time.tt / 36525; }
+
+/** Mean ascending lunar node (Meeus 47.7). */
+function meanNode(time) {
+  const T = centuries(time);
+  return norm360(125.0445479 - 1934.1362891 * T + 0.0020754 * T * T + (T ** 3) / 467441 - (T ** 4) / 60616000);
+}
+
+/** Mean lunar apogee (Black Moon Lilith), from the mean perigee (Meeus 47.7). */
+function meanLilith(time) {
+  const T = centuries(time);
+  const perigee = 83.3532465 + 4069.0137287 * T - 0.01032 * T * T - (T ** 3) / 80053 + (T ** 4) / 18999000;
+  return norm360(perigee + 180);
+}
+
+/* -------------------------------- Positions -------------------------------- */
+
+/** Apparent ecliptic longitude (of date) of a body, geocentric or topocentric. */
+function bodyLongitude(name, time, observer) {
+  const body = Astronomy.Body[name];
+  let v = name === 'Moon' ? Astronomy.GeoMoon(time) : Astronomy.GeoVector(body, time, true);
+  if (observer) {
+    const o = Astronomy.ObserverVector(time, observer, false);
+    v = new Astronomy.Vector(v.x - o.x, v.y - o.y, v.z - o.z, time);
+  }
+  const ect = Astronomy.RotateVector(Astronomy.Rotation_EQJ_ECT(time), v);
+  return norm360(Astronomy.SphereFromVector(ect).lon);
+}
+
+function ayanamshaAt(id, time) {
+  if (!AYANAMSHA_J2000[id]) return 0;
+  return AYANAMSHA_J2000[id] + PRECESSION_DEG_PER_YEAR * (time.tt / 365.25);
+}
+
+/* ----------------------------------- API ------------------------------------ */
+
+/**
+ * Compute a chart from an Ephemeris API request body.
+ * @param {object} body  see module doc
+ * @returns {object} Ephemeris-shaped response (statusCode 200)
+ * @throws {Error} invalid_local_ephemeris_input for malformed bodies
+ */
+function compute(body) {
+  const cfg = body?.config || {};
+  const { year, month, date, hours, minutes } = body || {};
+  const seconds = Number(body?.seconds) || 0;
+  const lat = Number(body?.latitude);
+  const lng = Number(body?.longitude);
+  const tz = Number(body?.timezone);
+  const utcMs = Date.UTC(year, month - 1, date, hours, minutes, seconds) - tz * 3_600_000;
+  if (![lat, lng, tz, utcMs].every(Number.isFinite)) {
+    const e = new Error('invalid_local_ephemeris_input');
+    e.detail = { year, month, date, hours, minutes, latitude: body?.latitude, longitude: body?.longitude, timezone: body?.timezone };
+    throw e;
+  }
+
+  const language = LABELS[cfg.language] ? cfg.language : 'pt';
+  const labels = LABELS[language];
+  const time = Astronomy.MakeTime(new Date(utcMs));
+  const eps = Astronomy.e_tilt(time).tobl;
+  const ayanamsha = ayanamshaAt(cfg.ayanamsha, time);
+  const observer = cfg.observation_point === 'geocentric' ? null : new Astronomy.Observer(lat, lng, 0);
+  const withHouses = cfg.birth_time_unknown !== true;
+
+  const place = (id, tropicalLon, extra = {}) => {
+    const lon = norm360(tropicalLon - ayanamsha);
+    const sign = Math.floor(lon / 30);
+    return {
+      id,
+      name: labels.bodies[id] || id,
+      longitude: round6(lon),
+      sign_id: SIGN_IDS[sign],
+      sign: labels.signs[sign],
+      sign_num: sign + 1,
+      degree_in_sign: round6(lon - sign * 30),
+      ...extra,
+    };
+  };
+
+  // Angles and houses (tropical), then converted by place().
+  let angles = null;
+  let cusps = null;
+  let houseSystemUsed = null;
+  if (withHouses) {
+    const ramc = norm360(Astronomy.SiderealTime(time) * 15 + lng);
+    const asc = ascendant(ramc, lat, eps);
+    const mc = midheaven(ramc, eps);
+    angles = { ramc, lat, eps, asc, mc };
+
+    houseSystemUsed = cfg.house_system || 'placidus';
+    if (!['equal', 'whole_sign'].includes(houseSystemUsed) && !intermediateCusps(houseSystemUsed, angles)) {
+      houseSystemUsed = 'porphyry';
+    }
+    cusps = computeHouses(houseSystemUsed, angles);
+  }
+  // Zodiac shifts move cusps and bodies alike: house membership is computed tropically.
+  const houseFor = (tropicalLon) => (cusps ? { house: houseOf(tropicalLon, cusps) } : {});
+
+  const planets = BODIES.map(([id, name]) => {
+    const lon = bodyLongitude(name, time, observer);
+    // Daily motion from ±12h (retrograde when negative).
+    const before = bodyLongitude(name, time.AddDays(-0.5), observer);
+    const after = bodyLongitude(name, time.AddDays(0.5), observer);
+    const speed = ((after - before + 540) % 360) - 180;
+    return place(id, lon, { speed: round6(speed), is_retro: speed < 0, ...houseFor(lon) });
+  });
+
+  const requested = Array.isArray(cfg.points) ? cfg.points : [];
+  const points = [];
+  const unsupported = [];
+  const sun = bodyLongitude('Sun', time, observer);
+  const moon = bodyLongitude('Moon', time, observer);
+  for (const id of requested) {
+    let lon = null;
+    if (id === 'north_node') lon = meanNode(time);
+    else if (id === 'south_node') lon = meanNode(time) + 180;
+    else if (id === 'lilith') lon = meanLilith(time);
+    else if (id === 'part_of_fortune' && angles) {
+      // Day chart (Sun above the horizon): Asc + Moon − Sun; night chart: Asc + Sun − Moon.
+      const day = houseOf(sun, computeHouses('equal', angles)) >= 7;
+      lon = day ? angles.asc + moon - sun : angles.asc + sun - moon;
+    } else if (id === 'vertex' && angles) {
+      lon = vertex(angles.ramc, angles.lat, eps);
+    }
+    if (lon == null) { if (id === 'chiron') unsupported.push(id); continue; }
+    points.push(place(id, norm360(lon), houseFor(norm360(lon))));
+  }
+
+  const output = { planets, points };
+  if (angles) {
+    output.ascendant = place('ascendant', angles.asc);
+    output.midheaven = place('midheaven', angles.mc);
+    output.houses = cusps.map((c, i) => ({ ...place(`house_${i + 1}`, c), house: i + 1 }));
+  }
+
+  return {
+    statusCode: 200,
+    engine: 'local',
+    engine_version: ENGINE_VERSION,
+    output,
+    meta: {
+      julian_day_ut: round6(time.ut + 2451545.0),
+      observation_point: observer ? 'topocentric' : 'geocentric',
+      ayanamsha: cfg.ayanamsha || 'tropical',
+      ayanamsha_value: round6(ayanamsha),
+      house_system: withHouses ? (cfg.house_system || 'placidus') : null,
+      house_system_used: houseSystemUsed,
+      birth_time_unknown: !withHouses,
+      language,
+      unsupported_points: unsupported,
+    },
+  };
+}
+
+module.exports = { compute, ENGINE_VERSION, _internals: { ascendant, midheaven, vertex, computeHouses } };
@@ -0,0 +1,136 @@
+// modules/birthchart/preview.js
+'use strict';
+
+/**
+ * Free chart preview (pre-purchase)
+ * ---------------------------------
+ * Teaser shown by the form before checkout: Sun, Moon and Ascendant signs.
+ *
+ * Pipeline (same steps as the APPROVED handler, nothing persisted)
+ *  - Chart settings: product defaults + allowed form overrides (./chartSettings).
+ *  - Historical timezone for the birth moment (utils/timezone).
+ *  - Ephemeris body (handler.buildEphemerisPayload) and chart from the configured
+ *    engine, with the local fallback (handler.computeChart).
+ *
+ * Cache
+ *  - In-memory, keyed by the birth-data hash of the Ephemeris body
+ *    (chartResults.settingsHash: date, time, place, timezone and chart config,
+ *    so the chart language is part of the key) plus the engine version.
+ *  - PREVIEW_CACHE_TTL_MS (24h) / PREVIEW_CACHE_MAX_ENTRIES (1000, oldest evicted).
+ *
+ * Only the teaser leaves this module: no positions, houses or aspects.
+ * Ascendant is null when the birth time is unknown.
+ */
+
+const { env } = require('../../config/env');
+const { AppError } = require('../../utils/appError');
+const { getTimezoneAtMoment } = require('../../utils/timezone');
+const chartSettings = require('./chartSettings');
+const chartResults = require('./chartResults');
+const chartWheel = require('./chartWheel');
+const interpretation = require('./interpretation');
+const handler = require('./handler');
+
+function knob(name, fallback) {
+  const n = Number(process.env[name] ?? env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/* ---------------------------------- Cache ---------------------------------- */
+
+const CACHE = new Map();
+
+function getCache(key) {
+  const rec = CACHE.get(key);
+  if (!rec) return null;
+  if (Date.now() > rec.expireAt) { CACHE.delete(key); return null; }
+  return rec.value;
+}
+
+function setCache(key, value) {
+  if (CACHE.size >= knob('PREVIEW_CACHE_MAX_ENTRIES', 1000)) {
+    const first = CACHE.keys().next().value;
+    if (first) CACHE.delete(first);
+  }
+  CACHE.set(key, { value, expireAt: Date.now() + knob('PREVIEW_CACHE_TTL_MS', 24 * 60 * 60 * 1000) });
+}
+
+/* --------------------------------- Helpers --------------------------------- */
+
+/** Teaser subset of an Ephemeris result. */
+function teaserOf(result, { language, birthTimeUnknown }) {
+  const chart = chartWheel.extractChart(result);
+  const signAt = (longitude) => {
+    if (longitude == null) return null;
+    const sign = interpretation.signOf(longitude, language);
+    return { sign_id: sign.id, sign: sign.name };
+  };
+  const bodyAt = (id) => signAt(chart.bodies.find((b) => b.id === id)?.longitude);
+
+  return {
+    sun: bodyAt('sun'),
+    moon: bodyAt('moon'),
+    ascendant: birthTimeUnknown ? null : signAt(chart.ascendant),
+  };
+}
+
+/* ----------------------------------- API ------------------------------------ */
+
+/**
+ * Teaser for a validated form payload (validateBirthchartPayload output).
+ * @returns {Promise<{ preview: { sun: object|null, moon: object|null, ascendant: object|null },
+ *                     language: string, birth_time_unknown: boolean, cached: boolean }>}
+ * @throws {AppError} 422 without coordinates / with disallowed chart overrides,
+ *                    503 when the timezone or the chart cannot be computed.
+ */
+async function previewFor(input, log) {
+  if (input.birth_place_lat == null || input.birth_place_lng == null) {
+    throw new AppError('birth_coordinates_required', 'Pick the birth place from the suggestions to see the preview', 422, {
+      field: 'birth_place',
+    });
+  }
+
+  const settings = chartSettings.resolve(input.product_type, chartSettings.pickOverrides(input));
+  const birthTimeUnknown = input.birth_time_unknown === true;
+
+  const tz = await getTimezoneAtMoment({
+    lat: input.birth_place_lat,
+    lng: input.birth_place_lng,
+    birthDate: input.birth_date,
+    birthTime: input.birth_time,
+    apiKey: process.env.GOOGLE_MAPS_API_KEY || null,
+  });
+  if (!tz || tz.offsetMin == null) {
+    throw new AppError('preview_unavailable', 'Preview is temporarily unavailable', 503, { reason: 'timezone_unresolved' });
+  }
+
+  const row = {
+    birth_date: input.birth_date,
+    birth_time: input.birth_time,
+    birth_time_unknown: birthTimeUnknown,
+    birth_place_lat: input.birth_place_lat,
+    birth_place_lng: input.birth_place_lng,
+  };
+  const body = handler.buildEphemerisPayload(row, tz.offsetMin / 60, settings);
+  const engine = handler.getEphemerisEngine();
+  const key = `${chartResults.ephemerisVersion(engine)}:${chartResults.settingsHash(body)}`;
+
+  const meta = { language: settings.language, birth_time_unknown: birthTimeUnknown };
+  const hit = getCache(key);
+  if (hit) return { preview: hit, ...meta, cached: true };
+
+  let computed;
+  try {
+    computed = await handler.computeChart(body, engine, log);
+  } catch (e) {
+    log.warn({ ephStatus: e?.status || 0, msg: e?.message }, 'preview chart failed');
+    throw new AppError('preview_unavailable', 'Preview is temporarily unavailable', 503, { reason: 'chart_unavailable' });
+  }
+
+  const preview = teaserOf(computed.data, { language: settings.language, birthTimeUnknown });
+  setCache(key, preview);
+  log.info({ engine: computed.engine, durMs: computed.dur }, 'preview computed');
+  return { preview, ...meta, cached: false };
+}
+
+module.exports = { previewFor };
@@ -0,0 +1,358 @@
+// modules/birthchart/report.js
+'use strict';
+
+/**
+ * Natal report (PDF)
+ * ------------------
+ * The "ebook" the customer buys: birth data (name, social name, date, time,
+ * place), the computed chart (placements, angles, house cusps, aspects) and the
+ * interpretation sections, paginated into a PDF from the product/language
+ * template (./reportTemplates) with utils/pdf.
+ *
+ *  - Rendering is deterministic: the same request, chart and template version
+ *    give the same bytes, so a re-delivery finds the stored report by checksum
+ *    instead of keeping duplicates.
+ *  - Stored in `chart_reports` with its SHA-256 checksum (and size, language,
+ *    template version, chart it came from).
+ *  - Download: GET /birthchart/report/:token, a utils/signedToken link with
+ *    `typ: 'report_download'` carrying the request's public id and the checksum,
+ *    valid REPORT_DOWNLOAD_TTL_MS. Secret: REPORT_DOWNLOAD_SECRET through the
+ *    secret provider (env fallback); empty = reports are still stored, but no
+ *    link is built and the endpoint 404s.
+ *
+ * The APPROVED handler generates the report and puts the link in the PAID
+ * payload (`report` block), so delivery does not depend on n8n building it.
+ */
+
+const crypto = require('crypto');
+
+const { get: getSecret } = require('../../config/secretProvider');
+const { env } = require('../../config/env');
+const signedToken = require('../../utils/signedToken');
+const pdf = require('../../utils/pdf');
+const repo = require('./repository');
+const chartWheel = require('./chartWheel');
+const { templateFor } = require('./reportTemplates');
+
+const TOKEN_TYPE = 'report_download';
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60_000;
+
+/* --------------------------------- Layout ---------------------------------- */
+
+const MARGIN = 56;
+const BODY_SIZE = 10.5;
+const LINE_HEIGHT = 1.45;
+const ACCENT = '#5b2c83';
+const MUTED = '#666666';
+
+/** Vertical cursor over pages of a document; opens a new page when needed. */
+function createLayout(doc) {
+  let page = doc.addPage();
+  let y = page.height - MARGIN;
+  const width = page.width - 2 * MARGIN;
+
+  const layout = {
+    width,
+    get page() { return page; },
+    get y() { return y; },
+
+    ensure(height) {
+      if (y - height < MARGIN + 24) {
+        page = doc.addPage();
+        y = page.height - MARGIN;
+      }
+    },
+
+    gap(h) { y -= h; },
+
+    paragraph(text, { size = BODY_SIZE, bold = false, color = '#222222', indent = 0 } = {}) {
+      const lh = size * LINE_HEIGHT;
+      for (const line of pdf.wrapText(text, width - indent, size, bold)) {
+        layout.ensure(lh);
+        y -= lh;
+        page.text(MARGIN + indent, y, line, { size, bold, color });
+      }
+    },
+
+    heading(text) {
+      layout.ensure(60);
+      y -= 22;
+      page.text(MARGIN, y, text, { size: 15, bold: true, color: ACCENT });
+      y -= 6;
+      page.line(MARGIN, y, MARGIN + width, y, { width: 0.8, color: ACCENT });
+      y -= 4;
+    },
+
+    /** Row of cells at relative x offsets. */
+    row(cells, { bold = false, shade = false } = {}) {
+      const lh = BODY_SIZE * LINE_HEIGHT + 2;
+      layout.ensure(lh);
+      y -= lh;
+      if (shade) page.rect(MARGIN, y - 4, width, lh, { fill: '#f1ecf6' });
+      for (const [x, text] of cells) page.text(MARGIN + x, y, text, { size: BODY_SIZE, bold });
+    },
+  };
+  return layout;
+}
+
+/* --------------------------------- Helpers --------------------------------- */
+
+const norm360 = (d) => ((d % 360) + 360) % 360;
+
+/** 19°22' */
+function formatDegree(longitude) {
+  const inSign = norm360(longitude) % 30;
+  let deg = Math.floor(inSign);
+  let min = Math.round((inSign - deg) * 60);
+  if (min === 60) { deg += 1; min = 0; }
+  return `${deg}°${String(min).padStart(2, '0')}'`;
+}
+
+function signOf(longitude, vocabulary) {
+  return vocabulary.signs[Math.floor(norm360(longitude) / 30) % 12];
+}
+
+function formatBirthDate(value, language) {
+  let y; let m; let d;
+  if (value instanceof Date && !isNaN(value)) {
+    [y, m, d] = [value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate()];
+  } else {
+    const match = String(value ?? '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return String(value ?? '');
+    [y, m, d] = match.slice(1).map(Number);
+  }
+  const dd = String(d).padStart(2, '0');
+  const mm = String(m).padStart(2, '0');
+  return language === 'en' ? `${y}-${mm}-${dd}` : `${dd}/${mm}/${y}`;
+}
+
+function formatCoordinates(lat, lng) {
+  const la = Number(lat);
+  const lo = Number(lng);
+  if (!Number.isFinite(la) || !Number.isFinite(lo)) return '';
+  return `${Math.abs(la).toFixed(4)}° ${la < 0 ? 'S' : 'N'}, ${Math.abs(lo).toFixed(4)}° ${lo < 0 ? 'W' : 'E'}`;
+}
+
+function formatUtcOffset(offsetMin) {
+  const v = Number(offsetMin);
+  if (offsetMin == null || !Number.isFinite(v)) return '';
+  const total = Math.round(Math.abs(v));
+  const hh = String(Math.floor(total / 60)).padStart(2, '0');
+  const mm = String(total % 60).padStart(2, '0');
+  return `UTC${v < 0 ? '-' : '+'}${hh}:${mm}`;
+}
+
+/* -------------------------------- Rendering -------------------------------- */
+
+/**
+ * Render the report.
+ * @param {object} params
+ * @param {object} params.request    zodika_requests row
+ * @param {object} params.result     stored Ephemeris result (chart_results.result)
+ * @param {object} params.settings   resolved chart settings (./chartSettings)
+ * @param {Array<{ title: string, paragraphs?: string[], items?: Array<{ title: string, text: string }> }>} [params.sections]
+ *        interpretation (./interpretation sections, or plain paragraphs)
+ * @returns {{ buffer: Buffer, template: object }}
+ */
+function render({ request, result, settings, sections = [] }) {
+  const tpl = templateFor(request.product_type, settings?.language);
+  const { labels, vocabulary } = tpl;
+  const chart = chartWheel.extractChart(result);
+  const timeUnknown = request.birth_time_unknown === true;
+  const houses = timeUnknown ? null : chart.houses;
+
+  const doc = pdf.createDocument({ title: `${tpl.title} · ${request.social_name || request.name}`, author: 'Zodika', subject: tpl.subtitle });
+  const layout = createLayout(doc);
+
+  // Cover block
+  layout.gap(40);
+  layout.page.text(MARGIN, layout.y, tpl.title, { size: 28, bold: true, color: ACCENT });
+  layout.gap(26);
+  layout.page.text(MARGIN, layout.y, tpl.subtitle, { size: 13, color: MUTED });
+  layout.gap(36);
+  layout.page.text(MARGIN, layout.y, request.social_name || request.name || '', { size: 20, bold: true });
+  layout.gap(10);
+  for (const p of tpl.intro) { layout.gap(6); layout.paragraph(p); }
+
+  // Birth data
+  layout.heading(labels.birth_data);
+  const time = timeUnknown ? labels.birth_time_unknown : String(request.birth_time ?? '').slice(0, 5);
+  const facts = [
+    [labels.name, request.name],
+    [labels.social_name, request.social_name],
+    [labels.birth_date, formatBirthDate(request.birth_date, tpl.language)],
+    [labels.birth_time, time],
+    [labels.birth_place, request.birth_place],
+    [labels.coordinates, formatCoordinates(request.birth_place_lat, request.birth_place_lng)],
+    [labels.timezone, formatUtcOffset(request.birth_utc_offset_min)],
+    [labels.settings, settings
+      ? `${vocabulary.house_systems[settings.house_system] || settings.house_system} / ${vocabulary.zodiac[settings.ayanamsha] || settings.ayanamsha}`
+      : ''],
+  ];
+  for (const [label, value] of facts) {
+    if (!value) continue;
+    layout.row([[0, `${label}:`], [150, String(value)]]);
+  }
+  if (timeUnknown) { layout.gap(6); layout.paragraph(tpl.time_unknown_note, { color: MUTED, size: 9.5 }); }
+
+  // Placements
+  layout.heading(labels.placements);
+  layout.row([[6, labels.body], [170, labels.sign], [300, labels.degree], ...(houses ? [[390, labels.house]] : [])], { bold: true, shade: true });
+  for (const b of chart.bodies) {
+    const name = (vocabulary.bodies[b.id] || b.id) + (b.retro ? ` (${labels.retrograde})` : '');
+    const house = chartWheel.houseOf(b.longitude, houses);
+    layout.row([
+      [6, name], [170, signOf(b.longitude, vocabulary)], [300, formatDegree(b.longitude)],
+      ...(house ? [[390, String(house)]] : []),
+    ]);
+  }
+
+  // Angles and houses
+  if (!timeUnknown && chart.ascendant != null) {
+    layout.heading(labels.angles);
+    layout.row([[6, labels.ascendant], [170, signOf(chart.ascendant, vocabulary)], [300, formatDegree(chart.ascendant)]]);
+    if (chart.midheaven != null) {
+      layout.row([[6, labels.midheaven], [170, signOf(chart.midheaven, vocabulary)], [300, formatDegree(chart.midheaven)]]);
+    }
+    if (houses) {
+      layout.gap(8);
+      layout.paragraph(labels.houses, { bold: true });
+      houses.forEach((cusp, i) => {
+        layout.row([[6, String(i + 1)], [170, signOf(cusp, vocabulary)], [300, formatDegree(cusp)]], { shade: i % 2 === 0 });
+      });
+    }
+  }
+
+  // Aspects
+  const aspects = chartWheel.findAspects(chart.bodies);
+  if (aspects.length) {
+    layout.heading(labels.aspects);
+    for (const a of aspects) {
+      layout.row([
+        [6, `${vocabulary.bodies[a.a]} – ${vocabulary.bodies[a.b]}`],
+        [230, vocabulary.aspects[a.aspect]],
+        [360, `${labels.orb} ${formatDegree(a.orb)}`],
+      ]);
+    }
+  }
+
+  // Interpretation
+  const textSections = (sections || []).filter((s) => s && ((s.paragraphs || []).length || (s.items || []).length));
+  if (textSections.length) {
+    layout.heading(labels.interpretation);
+    for (const s of textSections) {
+      if (s.title) { layout.gap(10); layout.paragraph(s.title, { bold: true, size: 12.5, color: ACCENT }); }
+      for (const p of s.paragraphs || []) { layout.gap(4); layout.paragraph(p); }
+      for (const item of s.items || []) {
+        layout.gap(6);
+        if (item.title) layout.paragraph(item.title, { bold: true });
+        layout.paragraph(item.text);
+      }
+    }
+  }
+
+  layout.gap(18);
+  layout.paragraph(tpl.closing, { color: MUTED });
+
+  // Footers (page N / total)
+  const total = doc.pages.length;
+  doc.pages.forEach((page, i) => {
+    page.line(MARGIN, MARGIN, page.width - MARGIN, MARGIN, { width: 0.4, color: '#cccccc' });
+    page.text(MARGIN, MARGIN - 14, tpl.footer, { size: 8, color: MUTED });
+    page.text(page.width - MARGIN, MARGIN - 14, `${labels.page} ${i + 1} / ${total}`, { size: 8, color: MUTED, align: 'right' });
+  });
+
+  return { buffer: doc.toBuffer(), template: tpl };
+}
+
+/* ---------------------------- Download links -------------------------------- */
+
+async function resolveSecret() {
+  try {
+    const v = await getSecret('REPORT_DOWNLOAD_SECRET', { required: false });
+    if (v) return String(v);
+  } catch { /* fall back to env */ }
+  return process.env.REPORT_DOWNLOAD_SECRET || env.REPORT_DOWNLOAD_SECRET || '';
+}
+
+function getTtlMs() {
+  const v = Number(process.env.REPORT_DOWNLOAD_TTL_MS ?? env.REPORT_DOWNLOAD_TTL_MS);
+  return Number.isFinite(v) && v > 0 ? v : DEFAULT_TTL_MS;
+}
+
+/**
+ * Signed download link of a stored report, or null when links are disabled.
+ * @returns {Promise<{ url: string, expires_at: string } | null>}
+ */
+async function buildDownloadUrl(publicId, checksum) {
+  if (!publicId || !checksum) return null;
+  const secret = await resolveSecret();
+  if (!secret) return null;
+  const ttlMs = getTtlMs();
+  const base = String(process.env.PUBLIC_BASE_URL || env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  const token = signedToken.sign(TOKEN_TYPE, { ref: String(publicId), sha: String(checksum) }, secret, ttlMs);
+  // exp is floored to seconds in the token
+  const expiresAt = new Date(Math.floor((Date.now() + ttlMs) / 1000) * 1000).toISOString();
+  return { url: `${base}/birthchart/report/${token}`, expires_at: expiresAt };
+}
+
+/**
+ * Verify a download token.
+ * @returns {Promise<{ ok: true, publicId: string, checksum: string } | { ok: false, reason: string }>}
+ *          reason: disabled | malformed | bad_signature | wrong_type | expired
+ */
+async function verifyDownloadToken(token) {
+  const secret = await resolveSecret();
+  if (!secret) return { ok: false, reason: 'disabled' };
+  const out = signedToken.verify(TOKEN_TYPE, token, secret);
+  if (!out.ok) return out;
+  const { ref, sha } = out.claims;
+  if (typeof ref !== 'string' || typeof sha !== 'string') return { ok: false, reason: 'malformed' };
+  return { ok: true, publicId: ref, checksum: sha };
+}
+
+/* --------------------------------- Pipeline -------------------------------- */
+
+function sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+/**
+ * Render, store (idempotent on request + checksum) and link the report of a paid request.
+ * @param {object} params   see render(); plus jobId and chartResultId for the audit trail
+ * @returns {Promise<{ checksum_sha256: string, size_bytes: number, language: string,
+ *                     template_version: string, url: string|null, expires_at: string|null }>}
+ */
+async function generate({ request, result, settings, sections = [], jobId = null, chartResultId = null }) {
+  const { buffer, template } = render({ request, result, settings, sections });
+  const checksum = sha256(buffer);
+
+  const row = await repo.saveChartReport({
+    request_id: request.request_id,
+    job_id: jobId,
+    chart_result_id: chartResultId,
+    product_type: template.product_type,
+    language: template.language,
+    template_version: template.version,
+    checksum_sha256: checksum,
+    content: buffer,
+  });
+
+  const link = await buildDownloadUrl(request.public_id, row.checksum_sha256);
+  return {
+    checksum_sha256: row.checksum_sha256,
+    size_bytes: Number(row.size_bytes),
+    language: row.language,
+    template_version: row.template_version,
+    url: link?.url || null,
+    expires_at: link?.expires_at || null,
+  };
+}
+
+module.exports = {
+  render,
+  generate,
+  buildDownloadUrl,
+  verifyDownloadToken,
+  sha256,
+};
@@ -0,0 +1,164 @@
+// modules/birthchart/reportTemplates.js
+'use strict';
+
+/**
+ * PDF report templates
+ * --------------------
+ * Texts and labels of the natal report (./report), per product and language.
+ *
+ *  - TEMPLATES[product_type][language]; a product without its own template uses
+ *    `birth_chart`, a language without a template uses the product's `pt`.
+ *  - `version` is part of every stored report: bump it when a template changes
+ *    the output, so re-deliveries render (and checksum) the new layout.
+ *  - Vocabulary shared by every product of a language (planet, sign and aspect
+ *    names) lives in VOCABULARY.
+ */
+
+const DEFAULT_PRODUCT = 'birth_chart';
+const DEFAULT_LANGUAGE = 'pt';
+
+/* -------------------------------- Vocabulary -------------------------------- */
+
+const VOCABULARY = Object.freeze({
+  pt: {
+    signs: ['Áries', 'Touro', 'Gêmeos', 'Câncer', 'Leão', 'Virgem', 'Libra', 'Escorpião', 'Sagitário', 'Capricórnio', 'Aquário', 'Peixes'],
+    bodies: {
+      sun: 'Sol', moon: 'Lua', mercury: 'Mercúrio', venus: 'Vênus', mars: 'Marte', jupiter: 'Júpiter',
+      saturn: 'Saturno', uranus: 'Urano', neptune: 'Netuno', pluto: 'Plutão',
+      north_node: 'Nodo Norte', south_node: 'Nodo Sul', chiron: 'Quíron', lilith: 'Lilith',
+      part_of_fortune: 'Parte da Fortuna', vertex: 'Vértice',
+    },
+    aspects: { conjunction: 'Conjunção', opposition: 'Oposição', trine: 'Trígono', square: 'Quadratura', sextile: 'Sextil' },
+    house_systems: {
+      placidus: 'Placidus', koch: 'Koch', equal: 'Casas iguais', whole_sign: 'Signos inteiros',
+      porphyry: 'Porfírio', regiomontanus: 'Regiomontanus', campanus: 'Campanus',
+    },
+    zodiac: { tropical: 'Tropical', lahiri: 'Sideral (Lahiri)', fagan_bradley: 'Sideral (Fagan-Bradley)', raman: 'Sideral (Raman)', krishnamurti: 'Sideral (Krishnamurti)' },
+  },
+  en: {
+    signs: ['Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo', 'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'],
+    bodies: {
+      sun: 'Sun', moon: 'Moon', mercury: 'Mercury', venus: 'Venus', mars: 'Mars', jupiter: 'Jupiter',
+      saturn: 'Saturn', uranus: 'Uranus', neptune: 'Neptune', pluto: 'Pluto',
+      north_node: 'North Node', south_node: 'South Node', chiron: 'Chiron', lilith: 'Lilith',
+      part_of_fortune: 'Part of Fortune', vertex: 'Vertex',
+    },
+    aspects: { conjunction: 'Conjunction', opposition: 'Opposition', trine: 'Trine', square: 'Square', sextile: 'Sextile' },
+    house_systems: {
+      placidus: 'Placidus', koch: 'Koch', equal: 'Equal houses', whole_sign: 'Whole signs',
+      porphyry: 'Porphyry', regiomontanus: 'Regiomontanus', campanus: 'Campanus',
+    },
+    zodiac: { tropical: 'Tropical', lahiri: 'Sidereal (Lahiri)', fagan_bradley: 'Sidereal (Fagan-Bradley)', raman: 'Sidereal (Raman)', krishnamurti: 'Sidereal (Krishnamurti)' },
+  },
+  es: {
+    signs: ['Aries', 'Tauro', 'Géminis', 'Cáncer', 'Leo', 'Virgo', 'Libra', 'Escorpio', 'Sagitario', 'Capricornio', 'Acuario', 'Piscis'],
+    bodies: {
+      sun: 'Sol', moon: 'Luna', mercury: 'Mercurio', venus: 'Venus', mars: 'Marte', jupiter: 'Júpiter',
+      saturn: 'Saturno', uranus: 'Urano', neptune: 'Neptuno', pluto: 'Plutón',
+      north_node: 'Nodo Norte', south_node: 'Nodo Sur', chiron: 'Quirón', lilith: 'Lilith',
+      part_of_fortune: 'Parte de la Fortuna', vertex: 'Vértice',
+    },
+    aspects: { conjunction: 'Conjunción', opposition: 'Oposición', trine: 'Trígono', square: 'Cuadratura', sextile: 'Sextil' },
+    house_systems: {
+      placidus: 'Placidus', koch: 'Koch', equal: 'Casas iguales', whole_sign: 'Signos enteros',
+      porphyry: 'Porfirio', regiomontanus: 'Regiomontanus', campanus: 'Campanus',
+    },
+    zodiac: { tropical: 'Tropical', lahiri: 'Sideral (Lahiri)', fagan_bradley: 'Sideral (Fagan-Bradley)', raman: 'Sideral (Raman)', krishnamurti: 'Sideral (Krishnamurti)' },
+  },
+});
+
+/* -------------------------------- Templates --------------------------------- */
+
+const TEMPLATES = Object.freeze({
+  birth_chart: {
+    pt: {
+      version: 'birth_chart.pt.1',
+      title: 'Mapa Astral',
+      subtitle: 'Seu ebook personalizado',
+      footer: 'Zodika · Mapa Astral',
+      intro: [
+        'Este relatório reúne as posições do céu no momento e no local do seu nascimento. ' +
+        'Cada planeta ocupa um signo e uma casa, e os ângulos entre eles formam os aspectos ' +
+        'que dão o tom do seu mapa.',
+      ],
+      time_unknown_note:
+        'Como a hora de nascimento não foi informada, o mapa foi calculado para o meio-dia: ' +
+        'casas e ascendente não são exibidos e a posição da Lua pode variar alguns graus.',
+      labels: {
+        birth_data: 'Dados de nascimento', name: 'Nome', social_name: 'Nome social', birth_date: 'Data',
+        birth_time: 'Hora', birth_time_unknown: 'desconhecida', birth_place: 'Local',
+        coordinates: 'Coordenadas', timezone: 'Fuso horário', settings: 'Sistema de casas / zodíaco',
+        placements: 'Posições planetárias', body: 'Planeta', sign: 'Signo', degree: 'Grau', house: 'Casa',
+        retrograde: 'retrógrado', angles: 'Ângulos', ascendant: 'Ascendente', midheaven: 'Meio do Céu',
+        houses: 'Cúspides das casas', aspects: 'Aspectos', orb: 'orbe', interpretation: 'Interpretação',
+        page: 'Página',
+      },
+      closing: 'Com carinho, equipe Zodika.',
+    },
+    en: {
+      version: 'birth_chart.en.1',
+      title: 'Natal Chart',
+      subtitle: 'Your personalized ebook',
+      footer: 'Zodika · Natal Chart',
+      intro: [
+        'This report gathers the positions of the sky at the time and place of your birth. ' +
+        'Each planet sits in a sign and a house, and the angles between them form the aspects ' +
+        'that set the tone of your chart.',
+      ],
+      time_unknown_note:
+        'Since no birth time was given, the chart was computed for noon: houses and the ' +
+        'ascendant are not shown and the Moon may be a few degrees off.',
+      labels: {
+        birth_data: 'Birth data', name: 'Name', social_name: 'Social name', birth_date: 'Date',
+        birth_time: 'Time', birth_time_unknown: 'unknown', birth_place: 'Place',
+        coordinates: 'Coordinates', timezone: 'Time zone', settings: 'House system / zodiac',
+        placements: 'Planetary positions', body: 'Planet', sign: 'Sign', degree: 'Degree', house: 'House',
+        retrograde: 'retrograde', angles: 'Angles', ascendant: 'Ascendant', midheaven: 'Midheaven',
+        houses: 'House cusps', aspects: 'Aspects', orb: 'orb', interpretation: 'Interpretation',
+        page: 'Page',
+      },
+      closing: 'With care, the Zodika team.',
+    },
+    es: {
+      version: 'birth_chart.es.1',
+      title: 'Carta Natal',
+      subtitle: 'Tu ebook personalizado',
+      footer: 'Zodika · Carta Natal',
+      intro: [
+        'Este informe reúne las posiciones del cielo en el momento y el lugar de tu nacimiento. ' +
+        'Cada planeta ocupa un signo y una casa, y los ángulos entre ellos forman los aspectos ' +
+        'que dan el tono de tu carta.',
+      ],
+      time_unknown_note:
+        'Como no se informó la hora de nacimiento, la carta se calculó para el mediodía: ' +
+        'no se muestran las casas ni el ascendente y la Luna puede variar algunos grados.',
+      labels: {
+        birth_data: 'Datos de nacimiento', name: 'Nombre', social_name: 'Nombre social', birth_date: 'Fecha',
+        birth_time: 'Hora', birth_time_unknown: 'desconocida', birth_place: 'Lugar',
+        coordinates: 'Coordenadas', timezone: 'Huso horario', settings: 'Sistema de casas / zodíaco',
+        placements: 'Posiciones planetarias', body: 'Planeta', sign: 'Signo', degree: 'Grado', house: 'Casa',
+        retrograde: 'retrógrado', angles: 'Ángulos', ascendant: 'Ascendente', midheaven: 'Medio Cielo',
+        houses: 'Cúspides de las casas', aspects: 'Aspectos', orb: 'orbe', interpretation: 'Interpretación',
+        page: 'Página',
+      },
+      closing: 'Con cariño, el equipo Zodika.',
+    },
+  },
+});
+
+/**
+ * Template for a product and language (with fallbacks, see module doc).
+ * @returns {object} template + `product_type`, `language` actually used and `vocabulary`
+ */
+function templateFor(productType, language) {
+  const product = TEMPLATES[productType] ? productType : DEFAULT_PRODUCT;
+  const lang = TEMPLATES[product][language] ? language : DEFAULT_LANGUAGE;
+  return {
+    ...TEMPLATES[product][lang],
+    product_type: product,
+    language: lang,
+    vocabulary: VOCABULARY[lang],
+  };
+}
+
+module.exports = { templateFor };
@@ -7,10 +7,16 @@
  * Database access layer for the Birthchart request flow.
  *
  * Responsibilities
- *  - Persist validated requests into `public.zodika_requests`.
- *  - Fetch requests by id.
- *  - Post-payment job footprints in `public.product_jobs`.
+ *  - Persist validated requests into `public.zodika_requests` (optionally inside a
+ *    caller-owned transaction, e.g. together with a coupon redemption).
+ *  - Fetch requests by id (internal `request_id`) or by `public_id` (the opaque
+ *    UUID browsers see; the sequential id never leaves the backend/PSPs).
+ *  - Post-payment job footprints in `public.product_jobs` (incl. the chart
+ *    settings each job sent to the Ephemeris) and the validated Ephemeris results
+ *    in `public.chart_results`.
  *  - Update timezone fields on the request (async write from controller).
+ *  - Record the payment routing decision (audit of which PSP was picked and why)
+ *    and which PSP finally issued the checkout link (failover trail).
  *
  * Notes
  *  - Inputs are expected to be validated at the controller level (Zod).
@@ -18,8 +24,11 @@
  *  - Use parameterized SQL only (no string interpolation).
  */
 
+const crypto = require('crypto');
 const db = require('../../db/db');
 
+const PUBLIC_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
 /* --------------------------------- Helpers --------------------------------- */
 
 function toTrimmedOrNull(v, max) {
@@ -59,18 +68,27 @@ function toJsonOrNull(v, maxBytes = 10_000) {
   return null;
 }
 
+/** Whether a browser-supplied reference is shaped like a public id (UUID). */
+function isPublicId(v) {
+  return typeof v === 'string' && PUBLIC_ID_RE.test(v.trim());
+}
+
 /* ------------------------------- Requests ---------------------------------- */
 
 /**
  * Insert a new birthchart request.
  * Timezone columns are accepted to allow placeholders (usually null at submit).
+ * Coupon columns record the applied discount (null when no coupon was used).
+ * A random `public_id` (UUID v4) is generated here for browser-facing URLs.
+ * Pass `{ client }` to run inside a caller-owned transaction.
  */
-async function createBirthchartRequest(data) {
+async function createBirthchartRequest(data, { client } = {}) {
   const {
-    name, social_name, gender_identity, email, birth_date, birth_time, birth_place, product_type,
+    name, social_name, gender_identity, email, birth_date, birth_time, birth_time_unknown, birth_place, product_type,
     birth_place_place_id, birth_place_full, birth_place_country, birth_place_admin1,
     birth_place_admin2, birth_place_lat, birth_place_lng, birth_place_json,
     birth_timezone_id, birth_utc_offset_min, birth_utc_offset_hours,
+    coupon_code, list_price_cents, coupon_discount_cents, chart_settings,
   } = data;
 
 
@@ -91,18 +109,26 @@ async function createBirthchartRequest(data) {
   const v_birth_tz_id      = toTrimmedOrNull(birth_timezone_id, 128);
   const v_birth_utc_min    = toNumberOrNull(birth_utc_offset_min);
   const v_birth_utc_hours  = toNumberOrNull(birth_utc_offset_hours);
+  const v_coupon_code      = toTrimmedOrNull(coupon_code, 64);
+  const v_list_price       = toNumberOrNull(list_price_cents);
+  const v_coupon_discount  = toNumberOrNull(coupon_discount_cents);
+  const v_chart_settings   = toJsonOrNull(chart_settings);
 
   const sql = `
   INSERT INTO public.zodika_requests (
       name, social_name, gender_identity, email, birth_date, birth_time, birth_place, product_type,
       birth_place_place_id, birth_place_full, birth_place_country, birth_place_admin1,
       birth_place_admin2, birth_place_lat, birth_place_lng, birth_place_json,
-      birth_timezone_id, birth_utc_offset_min, birth_utc_offset_hours
+      birth_timezone_id, birth_utc_offset_min, birth_utc_offset_hours,
+      coupon_code, list_price_cents, coupon_discount_cents,
+      public_id, birth_time_unknown, chart_settings
     ) VALUES (
       $1, $2, $3, $4, $5::date, $6::time, $7, $8,
       $9, $10, $11, $12,
       $13, $14::float8, $15::float8, $16::jsonb,
-      $17, $18::int, $19::numeric
+      $17, $18::int, $19::numeric,
+      $20, $21::int, $22::int,
+      $23::uuid, $24::boolean, $25::jsonb
     )
     RETURNING *;
   `;
@@ -112,8 +138,10 @@ async function createBirthchartRequest(data) {
     v_place_id, v_place_full, v_place_country, v_place_admin1,
     v_place_admin2, v_lat, v_lng, v_place_json,
     v_birth_tz_id, v_birth_utc_min, v_birth_utc_hours,
+    v_coupon_code, v_list_price, v_coupon_discount,
+    crypto.randomUUID(), birth_time_unknown === true, v_chart_settings,
   ];
-  const { rows } = await db.query(sql, params);
+  const { rows } = await (client || db).query(sql, params);
   return rows[0];
 }
 
@@ -129,8 +157,69 @@ async function findByRequestId(requestId) {
 }
 
 /**
- * Update timezone fields unconditionally (authoritative async write from controller).
- * Stores offset in MINUTES and HOURS in DB.
+ * Fetch a request by its public id. Anything not shaped like a UUID (e.g. a
+ * sequential id probed from a browser) returns null without hitting the DB.
+ */
+async function findByPublicId(publicId) {
+  if (!isPublicId(publicId)) return null;
+  const sql = `
+    SELECT *
+      FROM public.zodika_requests
+     WHERE public_id = $1::uuid
+     LIMIT 1;
+  `;
+  const { rows } = await db.query(sql, [publicId.trim().toLowerCase()]);
+  return rows[0] || null;
+}
+
+/**
+ * Most recent unpaid request with the same natural key (name, email, birth data,
+ * place, product, coupon and chart settings) created within `windowMs` that already has a live
+ * checkout (CREATED/PENDING with a link or checkout id). Used to hand back the
+ * existing checkout on repeated submissions instead of creating another one.
+ * A PENDING PayPal capture is excluded: its approval link can no longer be used.
+ */
+async function findRecentUnpaidDuplicate(data, windowMs) {
+  const sql = `
+    SELECT *
+      FROM public.zodika_requests
+     WHERE lower(email) = lower($1)
+       AND product_type = $2
+       AND birth_date = $3::date
+       AND birth_time = $4::time
+       AND birth_time_unknown = $10::boolean
+       AND lower(name) = lower($5)
+       AND lower(birth_place) IS NOT DISTINCT FROM lower($6)
+       AND birth_place_place_id IS NOT DISTINCT FROM $7
+       AND coupon_code IS NOT DISTINCT FROM $8
+       AND chart_settings IS NOT DISTINCT FROM $11::jsonb
+       AND created_at > NOW() - ($9::int * INTERVAL '1 millisecond')
+       AND payment_status IN ('CREATED', 'PENDING')
+       AND (payment_link IS NOT NULL OR payment_checkout_id IS NOT NULL)
+       AND NOT (payment_provider = 'PAYPAL' AND payment_status = 'PENDING')
+     ORDER BY created_at DESC
+     LIMIT 1;
+  `;
+  const params = [
+    toEmail(data.email),
+    toTrimmedOrNull(data.product_type, 64),
+    data.birth_date,
+    data.birth_time,
+    toTrimmedOrNull(data.name, 120),
+    toTrimmedOrNull(data.birth_place, 120),
+    toTrimmedOrNull(data.birth_place_place_id, 128),
+    toTrimmedOrNull(data.coupon_code, 64),
+    Math.max(0, Math.round(Number(windowMs) || 0)),
+    data.birth_time_unknown === true,
+    toJsonOrNull(data.chart_settings),
+  ];
+  const { rows } = await db.query(sql, params);
+  return rows[0] || null;
+}
+
+/**
+ * Update timezone fields unconditionally (authoritative write from the timezone job).
+ * Stores offset in MINUTES and HOURS in DB, plus where it came from (lmt, google…).
  *
  * NOTE: This is the canonical writer for timezone after the form submit.
  */
@@ -138,21 +227,25 @@ async function updateBirthTimezone(requestId, {
   birth_timezone_id,
   birth_utc_offset_min,
   birth_utc_offset_hours,
+  birth_timezone_source = null,
 }) {
   const v_tz_id     = toTrimmedOrNull(birth_timezone_id, 128);
   const v_off_min   = toNumberOrNull(birth_utc_offset_min);
   const v_off_hours = toNumberOrNull(birth_utc_offset_hours);
+  const v_source    = toTrimmedOrNull(birth_timezone_source, 16);
 
+  // Minutes keep 3 decimals: Local Mean Time offsets are fractional.
   const sql = `
     UPDATE public.zodika_requests
        SET birth_timezone_id      = $2,
-           birth_utc_offset_min   = $3::int,
+           birth_utc_offset_min   = ROUND($3::numeric, 3),
            birth_utc_offset_hours = ROUND($4::numeric, 3),
+           birth_timezone_source  = $5,
            updated_at             = NOW()
      WHERE request_id = $1
     RETURNING *;
   `;
-  const params = [requestId, v_tz_id, v_off_min, v_off_hours];
+  const params = [requestId, v_tz_id, v_off_min, v_off_hours, v_source];
   const { rows } = await db.query(sql, params);
   return rows[0] || null;
 }
@@ -181,6 +274,71 @@ async function updateTimezoneIfMissing(requestId, { tzId, offsetMin }) {
   return rows[0] || null;
 }
 
+/**
+ * Persist the payment routing decision (see payments/routingPolicy.decide).
+ * Overwritten on every checkout attempt for the request; the row keeps the latest.
+ */
+async function updatePaymentRouting(requestId, decision) {
+  const sql = `
+    UPDATE public.zodika_requests
+       SET payment_route_provider = $2,
+           payment_route_reason   = $3,
+           payment_route_decision = $4::jsonb,
+           payment_routed_at      = NOW(),
+           updated_at             = NOW()
+     WHERE request_id = $1
+    RETURNING request_id;
+  `;
+  const params = [
+    requestId,
+    toTrimmedOrNull(decision?.provider, 32),
+    toTrimmedOrNull(decision?.reason, 64),
+    JSON.stringify(decision || {}),
+  ];
+  const { rows } = await db.query(sql, params);
+  return rows[0] || null;
+}
+
+/**
+ * Persist the provider that actually issued the checkout link plus the attempt
+ * trail from payments/checkoutFailover (no PII: provider, code, status, ms).
+ */
+async function recordCheckoutIssuer(requestId, { provider, attempts }) {
+  const sql = `
+    UPDATE public.zodika_requests
+       SET payment_checkout_provider = $2,
+           payment_checkout_attempts = $3::jsonb,
+           updated_at                = NOW()
+     WHERE request_id = $1
+    RETURNING request_id;
+  `;
+  const params = [
+    requestId,
+    toTrimmedOrNull(provider, 32),
+    JSON.stringify(Array.isArray(attempts) ? attempts : []),
+  ];
+  const { rows } = await db.query(sql, params);
+  return rows[0] || null;
+}
+
+/**
+ * Persist the amount/currency the latest checkout was opened with; captures are
+ * verified against it (payments/priceAuthority.verifyCharge).
+ */
+async function recordCheckoutCharge(requestId, { amountCents, currency }) {
+  const sql = `
+    UPDATE public.zodika_requests
+       SET checkout_amount_cents = $2::int,
+           checkout_currency     = $3,
+           updated_at            = NOW()
+     WHERE request_id = $1
+    RETURNING request_id;
+  `;
+  const params = [requestId, amountCents, toTrimmedOrNull(String(currency || '').toUpperCase(), 8)];
+  const { rows } = await db.query(sql, params);
+  return rows[0] || null;
+}
+
 /* ---------------------------- Product Jobs (audit) -------------------------- */
 
 /** Return SUCCEEDED job (idempotency gate) if any for (request, product, trigger). */
@@ -219,12 +377,29 @@ async function markJobStart(requestId, productType, triggerStatus) {
   return rows[0];
 }
 
-/** Optional partial metrics update while RUNNING. */
+/** Chart settings a job sends to the Ephemeris (reproducibility trail). */
+async function recordJobChartSettings(jobId, chartSettings) {
+  const sql = `
+    UPDATE public.product_jobs
+       SET chart_settings = $2::jsonb,
+           updated_at     = NOW()
+     WHERE job_id = $1
+    RETURNING job_id;
+  `;
+  const { rows } = await db.query(sql, [jobId, toJsonOrNull(chartSettings)]);
+  return rows[0] || null;
+}
+
+/**
+ * Optional partial metrics update while RUNNING.
+ * `ephemeris_engine`: which engine produced the chart ('api' | 'local').
+ */
 async function markJobPartialMetrics(jobId, {
   ephemeris_http_status = null,
   webhook_http_status = null,
   ephemeris_duration_ms = null,
   webhook_duration_ms = null,
+  ephemeris_engine = null,
 }) {
   const sql = `
     UPDATE public.product_jobs
@@ -232,11 +407,15 @@ async function markJobPartialMetrics(jobId, {
            webhook_http_status   = COALESCE($3, webhook_http_status),
            ephemeris_duration_ms = COALESCE($4, ephemeris_duration_ms),
            webhook_duration_ms   = COALESCE($5, webhook_duration_ms),
+           ephemeris_engine      = COALESCE($6, ephemeris_engine),
            updated_at            = NOW()
      WHERE job_id = $1
     RETURNING *;
   `;
-  const params = [jobId, ephemeris_http_status, webhook_http_status, ephemeris_duration_ms, webhook_duration_ms];
+  const params = [
+    jobId, ephemeris_http_status, webhook_http_status, ephemeris_duration_ms, webhook_duration_ms,
+    toTrimmedOrNull(ephemeris_engine, 16),
+  ];
   const { rows } = await db.query(sql, params);
   return rows[0] || null;
 }
@@ -385,16 +564,260 @@ async function markScheduleCanceled(schedId) {
   return rows[0] || null;
 }
 
+/* ------------------------------- Timezone Jobs ------------------------------ */
+
+/**
+ * Queue timezone resolution for a request. A `failed` or `done` job is re-queued
+ * with a fresh attempt budget (backfill); a queued/running one is left alone.
+ * Returns the queued row, or null when a job was already in flight.
+ */
+async function enqueueTimezoneJob(requestId) {
+  const sql = `
+    INSERT INTO public.timezone_jobs AS j (request_id, status, attempts, next_run_at)
+    VALUES ($1, 'queued', 0, NOW())
+    ON CONFLICT (request_id) DO UPDATE
+       SET status      = 'queued',
+           attempts    = 0,
+           next_run_at = NOW(),
+           last_error  = NULL,
+           updated_at  = NOW()
+     WHERE j.status IN ('failed', 'done')
+    RETURNING *;
+  `;
+  const { rows } = await db.query(sql, [requestId]);
+  return rows[0] || null;
+}
+
+/**
+ * Claim one job right away (first attempt after submit). Reclaims a `running`
+ * row untouched for `staleMs` (its worker died). Null when not claimable.
+ */
+async function claimTimezoneJob(requestId, staleMs) {
+  const sql = `
+    UPDATE public.timezone_jobs
+       SET status     = 'running',
+           attempts   = attempts + 1,
+           updated_at = NOW()
+     WHERE request_id = $1
+       AND (status = 'queued'
+            OR (status = 'running' AND updated_at <= NOW() - ($2::int * INTERVAL '1 millisecond')))
+    RETURNING *;
+  `;
+  const { rows } = await db.query(sql, [requestId, staleMs]);
+  return rows[0] || null;
+}
+
+/** Claim due jobs (queued and due, or stale running). Safe across instances. */
+async function claimDueTimezoneJobs(limit, staleMs) {
+  const lim = Math.max(1, Math.min(Number(limit) || 50, 500));
+  const sql = `
+    UPDATE public.timezone_jobs AS j
+       SET status     = 'running',
+           attempts   = j.attempts + 1,
+           updated_at = NOW()
+      FROM (
+        SELECT request_id
+          FROM public.timezone_jobs
+         WHERE (status = 'queued' AND next_run_at <= NOW())
+            OR (status = 'running' AND updated_at <= NOW() - ($2::int * INTERVAL '1 millisecond'))
+         ORDER BY next_run_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+      ) due
+     WHERE j.request_id = due.request_id
+    RETURNING j.*;
+  `;
+  const { rows } = await db.query(sql, [lim, staleMs]);
+  return rows || [];
+}
+
+async function completeTimezoneJob(requestId) {
+  const sql = `
+    UPDATE public.timezone_jobs
+       SET status     = 'done',
+           last_error = NULL,
+           updated_at = NOW()
+     WHERE request_id = $1
+    RETURNING *;
+  `;
+  const { rows } = await db.query(sql, [requestId]);
+  return rows[0] || null;
+}
+
+/**
+ * Record a failed attempt: re-queued after `retryInMs`, or `failed` for good
+ * when retryInMs is null.
+ */
+async function failTimezoneJob(requestId, { error, retryInMs }) {
+  const sql = `
+    UPDATE public.timezone_jobs
+       SET status      = CASE WHEN $3::int IS NULL THEN 'failed' ELSE 'queued' END,
+           next_run_at = CASE WHEN $3::int IS NULL THEN next_run_at
+                              ELSE NOW() + ($3::int * INTERVAL '1 millisecond') END,
+           last_error  = $2,
+           updated_at  = NOW()
+     WHERE request_id = $1
+    RETURNING *;
+  `;
+  const params = [requestId, toTrimmedOrNull(error, 500), retryInMs ?? null];
+  const { rows } = await db.query(sql, params);
+  return rows[0] || null;
+}
+
+/**
+ * Requests still missing their UTC offset (backfill), in request_id order.
+ * Keyset pagination: pass the last request_id seen as `afterId`.
+ */
+async function listRequestsMissingTimezone(limit = 200, afterId = 0) {
+  const lim = Math.max(1, Math.min(Number(limit) || 200, 1000));
+  const sql = `
+    SELECT request_id
+      FROM public.zodika_requests
+     WHERE birth_utc_offset_min IS NULL
+       AND birth_utc_offset_hours IS NULL
+       AND request_id > $2
+     ORDER BY request_id ASC
+     LIMIT $1;
+  `;
+  const { rows } = await db.query(sql, [lim, afterId]);
+  return rows || [];
+}
+
+/* ------------------------------- Chart Results ------------------------------ */
+
+/** Stored Ephemeris result for an exact (request, settings hash, engine version). */
+async function findChartResult(requestId, settingsHash, ephemerisVersion) {
+  const sql = `
+    SELECT *
+      FROM public.chart_results
+     WHERE request_id = $1
+       AND settings_hash = $2
+       AND ephemeris_version = $3
+     LIMIT 1;
+  `;
+  const { rows } = await db.query(sql, [requestId, settingsHash, ephemerisVersion]);
+  return rows[0] || null;
+}
+
+/**
+ * Insert a validated Ephemeris result. Idempotent on the key: a concurrent
+ * insert of the same chart returns the row that won.
+ */
+async function saveChartResult({
+  request_id, job_id = null, engine = 'api', settings_hash, ephemeris_version,
+  chart_settings, ephemeris_request, result,
+}) {
+  const sql = `
+    WITH ins AS (
+      INSERT INTO public.chart_results (
+        request_id, settings_hash, ephemeris_version,
+        chart_settings, ephemeris_request, result, job_id, engine
+      ) VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6::jsonb, $7, $8)
+      ON CONFLICT (request_id, settings_hash, ephemeris_version) DO NOTHING
+      RETURNING *
+    )
+    SELECT * FROM ins
+    UNION ALL
+    SELECT *
+      FROM public.chart_results
+     WHERE request_id = $1
+       AND settings_hash = $2
+       AND ephemeris_version = $3
+       AND NOT EXISTS (SELECT 1 FROM ins)
+    LIMIT 1;
+  `;
+  // Results exceed toJsonOrNull's size cap for form input; serialize as-is.
+  const params = [
+    request_id, settings_hash, ephemeris_version,
+    JSON.stringify(chart_settings ?? {}), JSON.stringify(ephemeris_request ?? {}), JSON.stringify(result),
+    job_id, toTrimmedOrNull(engine, 16) || 'api',
+  ];
+  const { rows } = await db.query(sql, params);
+  return rows[0] || null;
+}
+
+/** Most recently stored chart of a request (retrieval API). */
+async function findLatestChartResult(requestId) {
+  const sql = `
+    SELECT *
+      FROM public.chart_results
+     WHERE request_id = $1
+     ORDER BY created_at DESC, chart_result_id DESC
+     LIMIT 1;
+  `;
+  const { rows } = await db.query(sql, [requestId]);
+  return rows[0] || null;
+}
+
+/* ------------------------------- Chart Reports ------------------------------ */
+
+/**
+ * Store a rendered PDF report (idempotent on request + checksum).
+ * Returns the stored row without its content.
+ */
+async function saveChartReport({
+  request_id, job_id = null, chart_result_id = null, product_type, language,
+  template_version, checksum_sha256, content,
+}) {
+  const sql = `
+    WITH ins AS (
+      INSERT INTO public.chart_reports (
+        request_id, job_id, chart_result_id, product_type, language,
+        template_version, checksum_sha256, size_bytes, content
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (request_id, checksum_sha256) DO NOTHING
+      RETURNING report_id, request_id, product_type, language, template_version,
+                checksum_sha256, size_bytes, created_at
+    )
+    SELECT * FROM ins
+    UNION ALL
+    SELECT report_id, request_id, product_type, language, template_version,
+           checksum_sha256, size_bytes, created_at
+      FROM public.chart_reports
+     WHERE request_id = $1
+       AND checksum_sha256 = $7
+       AND NOT EXISTS (SELECT 1 FROM ins)
+    LIMIT 1;
+  `;
+  const params = [
+    request_id, job_id, chart_result_id,
+    toTrimmedOrNull(product_type, 64), toTrimmedOrNull(language, 8), toTrimmedOrNull(template_version, 64),
+    checksum_sha256, content.length, content,
+  ];
+  const { rows } = await db.query(sql, params);
+  return rows[0] || null;
+}
+
+/** Stored report (with content) of a request by checksum (download links). */
+async function findChartReport(requestId, checksum) {
+  const sql = `
+    SELECT *
+      FROM public.chart_reports
+     WHERE request_id = $1
+       AND checksum_sha256 = $2
+     LIMIT 1;
+  `;
+  const { rows } = await db.query(sql, [requestId, String(checksum || '').toLowerCase()]);
+  return rows[0] || null;
+}
+
 module.exports = {
   // Requests
   createBirthchartRequest,
   findByRequestId,
+  findByPublicId,
+  isPublicId,
+  findRecentUnpaidDuplicate,
   updateBirthTimezone,       // <- new canonical writer
   updateTimezoneIfMissing,   // <- deprecated (kept for backward compatibility)
+  updatePaymentRouting,
+  recordCheckoutIssuer,
+  recordCheckoutCharge,
 
   // Jobs
   findSucceededJob,
   markJobStart,
+  recordJobChartSettings,
   markJobPartialMetrics,
   markJobSucceeded,
   markJobFailed,
@@ -408,4 +831,21 @@ module.exports = {
   pickDueSchedules,
   markScheduleFired,
   markScheduleCanceled,
+
+  // Chart results
+  findChartResult,
+  saveChartResult,
+  findLatestChartResult,
+
+  // Chart reports
+  saveChartReport,
+  findChartReport,
+
+  // Timezone jobs
+  enqueueTimezoneJob,
+  claimTimezoneJob,
+  claimDueTimezoneJobs,
+  completeTimezoneJob,
+  failTimezoneJob,
+  listRequestsMissingTimezone,
 };
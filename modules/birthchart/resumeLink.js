@@ -0,0 +1,66 @@
+// modules/birthchart/resumeLink.js
+'use strict';
+
+/**
+ * Checkout resume links
+ * ---------------------
+ * `GET /birthchart/checkout/:token` brings a customer back to pay an abandoned
+ * request (links are sent by the n8n PENDING reminders).
+ *
+ *  - Token = utils/signedToken with `typ: 'checkout_resume'` and the request's
+ *    public id (never the sequential request_id), valid CHECKOUT_RESUME_TTL_MS.
+ *  - Secret: CHECKOUT_RESUME_SECRET through the secret provider (env fallback).
+ *    Empty secret = feature disabled: no resume URL is built and the endpoint 404s.
+ */
+
+const { get: getSecret } = require('../../config/secretProvider');
+const { env } = require('../../config/env');
+const signedToken = require('../../utils/signedToken');
+
+const TOKEN_TYPE = 'checkout_resume';
+const DEFAULT_TTL_MS = 72 * 60 * 60_000; // outlives the 24h reminder
+
+async function resolveSecret() {
+  try {
+    const v = await getSecret('CHECKOUT_RESUME_SECRET', { required: false });
+    if (v) return String(v);
+  } catch { /* fall back to env */ }
+  return process.env.CHECKOUT_RESUME_SECRET || env.CHECKOUT_RESUME_SECRET || '';
+}
+
+function getTtlMs() {
+  const n = Number(process.env.CHECKOUT_RESUME_TTL_MS ?? env.CHECKOUT_RESUME_TTL_MS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_MS;
+}
+
+/**
+ * Absolute resume URL for a request, or null when the feature is disabled.
+ * @param {string} publicId zodika_requests.public_id
+ */
+async function buildResumeUrl(publicId) {
+  if (!publicId) return null;
+  const secret = await resolveSecret();
+  if (!secret) return null;
+  const base = String(process.env.PUBLIC_BASE_URL || env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  const token = signedToken.sign(TOKEN_TYPE, { ref: String(publicId) }, secret, getTtlMs());
+  return `${base}/birthchart/checkout/${token}`;
+}
+
+/**
+ * Verify a resume token.
+ * @returns {Promise<{ ok: true, publicId: string } | { ok: false, reason: string }>}
+ *          reason: disabled | malformed | bad_signature | wrong_type | expired
+ */
+async function verifyResumeToken(token) {
+  const secret = await resolveSecret();
+  if (!secret) return { ok: false, reason: 'disabled' };
+  const out = signedToken.verify(TOKEN_TYPE, token, secret);
+  if (!out.ok) return out;
+  if (typeof out.claims.ref !== 'string') return { ok: false, reason: 'malformed' };
+  return { ok: true, publicId: out.claims.ref };
+}
+
+module.exports = {
+  buildResumeUrl,
+  verifyResumeToken,
+};
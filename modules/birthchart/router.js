@@ -16,6 +16,25 @@
  *   2) controller.processForm
  *      - Business logic: validation, persistence, and payment checkout creation.
  *
+ * POST /birthchart/preview
+ *   - Free pre-purchase teaser (Sun, Moon, Ascendant signs; see ./preview). Same
+ *     refererAuth; rate-limited by PREVIEW_RL_* instead of the form limiter (index.js).
+ *
+ * GET /birthchart/checkout/:token
+ *   - Signed, expiring resume link sent in the PENDING reminders (see ./resumeLink).
+ *     No refererAuth: it is opened from e-mail clients.
+ *
+ * GET /birthchart/report/:token
+ *   - Signed, expiring PDF report link from the PAID payload (see ./report).
+ *     No refererAuth: it is opened from e-mail clients.
+ *
+ * GET /birthchart/requests/:publicId/chart
+ *   - Stored Ephemeris result of a request (support / re-sends). Bearer
+ *     ADMIN_API_TOKEN (middlewares/adminAuth; 404 when unset), never cached.
+ *
+ * GET /birthchart/requests/:publicId/chart.svg
+ *   - Natal wheel of that chart (./chartWheel). Same auth and caching.
+ *
  * Security notes:
  *   - Never log raw request bodies from public forms; rely on structured logs only.
  */
@@ -24,6 +43,7 @@ const express = require('express');
 const router = express.Router();
 
 const refererAuth = require('../../middlewares/refererAuth');
+const adminAuth = require('../../middlewares/adminAuth');
 const controller = require('./controller');
 
 /**
@@ -36,4 +56,44 @@ router.post(
   controller.processForm
 );
 
+/**
+ * POST /birthchart/preview
+ * Teaser of the chart for the form data; nothing is persisted.
+ */
+router.post('/preview', refererAuth, controller.preview);
+
+/**
+ * GET /birthchart/checkout/:token
+ * Redirects to the request's live payment link or to a fresh checkout.
+ */
+router.get('/checkout/:token', controller.resumeCheckout);
+
+/**
+ * GET /birthchart/report/:token
+ * Streams the stored PDF report of a paid request.
+ */
+router.get('/report/:token', controller.downloadReport);
+
+/**
+ * GET /birthchart/requests/:publicId/chart
+ * Latest stored chart of a request (authenticated).
+ */
+router.get(
+  '/requests/:publicId/chart',
+  (req, res, next) => { res.set('Cache-Control', 'no-store'); next(); },
+  adminAuth,
+  controller.getChart
+);
+
+/**
+ * GET /birthchart/requests/:publicId/chart.svg
+ * Natal wheel of the latest stored chart (authenticated).
+ */
+router.get(
+  '/requests/:publicId/chart.svg',
+  (req, res, next) => { res.set('Cache-Control', 'no-store'); next(); },
+  adminAuth,
+  controller.getChartSvg
+);
+
 module.exports = router;
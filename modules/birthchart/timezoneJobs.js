@@ -0,0 +1,196 @@
+// modules/birthchart/timezoneJobs.js
+'use strict';
+
+/**
+ * Birth timezone jobs
+ * -------------------
+ * Resolves the historical UTC offset of a birth (TZ_PROVIDERS chain in
+ * utils/timezone) and persists it on `zodika_requests`. Durable: every request
+ * gets a `timezone_jobs` row, so API errors and restarts only delay the result.
+ *
+ *  - Submit:    enqueue() + an immediate first attempt (kick()).
+ *  - Retries:   runDue() on every scheduler tick (utils/scheduler); exponential
+ *               backoff from TZ_JOB_BACKOFF_BASE_MS up to TZ_JOB_BACKOFF_MAX_MS,
+ *               `failed` after TZ_JOB_MAX_ATTEMPTS.
+ *  - APPROVED:  the handler calls resolveNow() when the offset is still missing.
+ *  - Backfill:  scripts/backfillTimezones.js re-queues requests without offsets.
+ *
+ * Every successful resolution emits `timezone:resolved` ({ requestId, request })
+ * so a paid request that could not be delivered yet is picked up again.
+ */
+
+const { EventEmitter } = require('events');
+
+const { env } = require('../../config/env');
+const baseLogger = require('../../utils/logger').child('birthchart.tz');
+const { getTimezoneAtMoment, toHours } = require('../../utils/timezone');
+const repo = require('./repository');
+
+const events = new EventEmitter();
+
+// A `running` job untouched this long is reclaimed (worker crashed mid-attempt).
+const STALE_MS = 5 * 60_000;
+
+function knob(name, fallback) {
+  const n = Number(process.env[name] ?? env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function getMaxAttempts() { return knob('TZ_JOB_MAX_ATTEMPTS', 8); }
+
+/** Delay before the next attempt, after `attempts` failed ones. */
+function backoffMs(attempts) {
+  const base = knob('TZ_JOB_BACKOFF_BASE_MS', 60_000);
+  const max = knob('TZ_JOB_BACKOFF_MAX_MS', 6 * 60 * 60_000);
+  return Math.min(max, base * 2 ** Math.max(0, attempts - 1));
+}
+
+/** Normalize to strict HH:MM; returns null if invalid. */
+function toHHMM(raw) {
+  const s = String(raw ?? '').trim();
+  const m = s.match(/^(\d{1,2}):(\d{1,2})(?::\d{1,2})?/);
+  if (!m) return null;
+  const h = Math.min(23, Math.max(0, parseInt(m[1], 10)));
+  const mi = Math.min(59, Math.max(0, parseInt(m[2], 10)));
+  return `${String(h).padStart(2, '0')}:${String(mi).padStart(2, '0')}`;
+}
+
+function toDateStr(v) {
+  if (v instanceof Date && !isNaN(v)) return v.toISOString().slice(0, 10);
+  return String(v || '').slice(0, 10);
+}
+
+/* -------------------------------- Resolution -------------------------------- */
+
+/**
+ * Resolve and persist the offset for one request row.
+ * @returns {Promise<{ ok: true, request: object } | { ok: false, error: string, retryable: boolean }>}
+ */
+async function resolveForRequest(request) {
+  const lat = request.birth_place_lat == null ? NaN : Number(request.birth_place_lat);
+  const lng = request.birth_place_lng == null ? NaN : Number(request.birth_place_lng);
+  const birthDate = toDateStr(request.birth_date);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || !/^\d{4}-\d{2}-\d{2}$/.test(birthDate)) {
+    return { ok: false, error: 'invalid_birth_inputs', retryable: false };
+  }
+
+  // Without a Google key the chain skips Google (offline provider, if enabled).
+  const tz = await getTimezoneAtMoment({
+    lat, lng, birthDate, birthTime: toHHMM(request.birth_time) || '12:00',
+    apiKey: process.env.GOOGLE_MAPS_API_KEY || null,
+  });
+  if (!tz || tz.offsetMin == null) return { ok: false, error: 'timezone_unresolved', retryable: true };
+
+  const updated = await repo.updateBirthTimezone(request.request_id, {
+    birth_timezone_id: tz.tzId || null,
+    birth_utc_offset_min: tz.offsetMin,
+    birth_utc_offset_hours: toHours(tz.offsetMin),
+    birth_timezone_source: tz.source || null,
+  });
+  return { ok: true, request: updated || { ...request, birth_utc_offset_min: tz.offsetMin } };
+}
+
+function hasOffset(request) {
+  return request?.birth_utc_offset_min != null || request?.birth_utc_offset_hours != null;
+}
+
+/** Run one claimed job to completion or to its next retry. */
+async function processJob(job) {
+  const log = baseLogger.child('job', { requestId: job.request_id, attempt: job.attempts });
+
+  try {
+    const request = await repo.findByRequestId(job.request_id);
+    if (!request) {
+      await repo.failTimezoneJob(job.request_id, { error: 'request_not_found', retryInMs: null });
+      log.warn('request not found; job failed');
+      return;
+    }
+    if (hasOffset(request)) {
+      await repo.completeTimezoneJob(job.request_id);
+      return;
+    }
+
+    const out = await resolveForRequest(request);
+    if (out.ok) {
+      await repo.completeTimezoneJob(job.request_id);
+      log.info({ tzId: out.request.birth_timezone_id || null }, 'timezone persisted');
+      events.emit('timezone:resolved', { requestId: job.request_id, request: out.request });
+      return;
+    }
+
+    const retryInMs = out.retryable && job.attempts < getMaxAttempts() ? backoffMs(job.attempts) : null;
+    await repo.failTimezoneJob(job.request_id, { error: out.error, retryInMs });
+    log.warn({ error: out.error, retryInMs }, retryInMs == null ? 'timezone job failed for good' : 'timezone attempt failed; retry scheduled');
+  } catch (err) {
+    const retryInMs = job.attempts < getMaxAttempts() ? backoffMs(job.attempts) : null;
+    await repo.failTimezoneJob(job.request_id, { error: err?.message || 'unexpected_error', retryInMs }).catch(() => {});
+    log.error({ msg: err?.message, retryInMs }, 'timezone attempt crashed');
+  }
+}
+
+/* ----------------------------------- API ------------------------------------ */
+
+/** Queue a request (best-effort: a failed insert is repaired by the backfill). */
+async function enqueue(requestId, log = baseLogger) {
+  try {
+    return await repo.enqueueTimezoneJob(requestId);
+  } catch (e) {
+    log.warn({ msg: e?.message, requestId }, 'could not queue timezone job');
+    return null;
+  }
+}
+
+/** Queue and make the first attempt off the request path (does not block the caller). */
+function kick(requestId, log = baseLogger) {
+  setImmediate(async () => {
+    const queued = await enqueue(requestId, log);
+    if (!queued) return;
+    try {
+      const job = await repo.claimTimezoneJob(requestId, STALE_MS);
+      if (job) await processJob(job);
+    } catch (e) {
+      log.warn({ msg: e?.message, requestId }, 'first timezone attempt failed; left to the scheduler');
+    }
+  });
+}
+
+/** Process due jobs (scheduler tick). Returns how many were claimed. */
+async function runDue(limit = 50) {
+  const jobs = await repo.claimDueTimezoneJobs(limit, STALE_MS);
+  for (const job of jobs) {
+    await processJob(job);
+  }
+  return jobs.length;
+}
+
+/**
+ * Resolve synchronously for a request row missing its offset (APPROVED flow).
+ * On failure the job is (re-)queued so the scheduler keeps trying.
+ * @returns {Promise<object|null>} updated request row, or null when unresolved
+ */
+async function resolveNow(request, log = baseLogger) {
+  let out;
+  try {
+    out = await resolveForRequest(request);
+  } catch (e) {
+    out = { ok: false, error: e?.message || 'unexpected_error', retryable: true };
+  }
+
+  if (out.ok) {
+    await repo.completeTimezoneJob(request.request_id).catch(() => {});
+    return out.request;
+  }
+
+  log.warn({ error: out.error }, 'on-demand timezone resolution failed');
+  if (out.retryable) await enqueue(request.request_id, log);
+  return null;
+}
+
+module.exports = {
+  events,
+  enqueue,
+  kick,
+  runDue,
+  resolveNow,
+  backoffMs,
+};
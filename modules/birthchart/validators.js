@@ -2,6 +2,8 @@
 'use strict';
 
 const { z } = require('zod');
+const catalog = require('../catalog/service');
+const chartSettings = require('./chartSettings');
 
 /**
  * Birthchart validators (Zod)
@@ -10,7 +12,11 @@ const { z } = require('zod');
  * - Strong, reusable schemas with clear error messages.
  * - Trim/normalize inputs (lowercasing emails, coercing numbers when safe).
  * - Validate date/time formats AND logical ranges (YYYY-MM-DD, HH:MM, lat/lng ranges).
+ * - `birth_time_unknown`: birth_time becomes optional and is stored as noon
+ *   (UNKNOWN_BIRTH_TIME); downstream uses the flag, never the placeholder time.
  * - Accept structured objects for "birth_place_json" (not only JSON strings).
+ * - Optional chart overrides (`chart_language`, ...) are checked against the known
+ *   values here; whether the product allows them is decided by ./chartSettings.
  * - Enforce reasonable max lengths to prevent oversized public payloads.
  *
  * Security/PII
@@ -111,10 +117,31 @@ const DateYMD = z
   .refine((v) => v >= '1700-01-01', 'date must be on/after 1700-01-01')
   .refine((v) => v <= todayYMD(), 'date cannot be in the future');
 
-const TimeHHmm = z
-  .string({ required_error: 'birth_time is required', invalid_type_error: 'birth_time must be a string' })
-  .trim()
-  .refine(isValidHHmm, 'time format must be HH:MM');
+/**
+ * birth_time may be empty when `birth_time_unknown` is set (required otherwise,
+ * enforced on the root schema). Empty -> undefined.
+ */
+const OptionalTimeHHmm = z
+  .union([z.string().trim(), z.literal(''), z.null(), z.undefined()], {
+    invalid_type_error: 'birth_time must be a string',
+  })
+  .transform((v) => {
+    if (v == null) return undefined;
+    const s = String(v).trim();
+    return s === '' ? undefined : s;
+  })
+  .refine((v) => v === undefined || isValidHHmm(v), 'time format must be HH:MM');
+
+/** Stored birth_time when the customer does not know it (noon convention). */
+const UNKNOWN_BIRTH_TIME = '12:00';
+
+/** Checkbox-style flag: true, 1, "true", "on", "yes", "1" -> true; anything else -> false. */
+const BooleanFlag = z.preprocess((v) => {
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'number') return v === 1;
+  const s = String(v ?? '').trim().toLowerCase();
+  return s === 'true' || s === 'on' || s === 'yes' || s === '1';
+}, z.boolean());
 
 const BirthPlaceSchema = z
   .string({ required_error: 'birth_place is required', invalid_type_error: 'birth_place must be a string' })
@@ -123,13 +150,95 @@ const BirthPlaceSchema = z
   .max(120, 'birth_place must have at most 120 characters');
 
 /**
- * Product type is currently fixed by business requirements.
- * Normalize to lowercase first, then enforce the literal.
+ * Product type must be an active product in the catalog (modules/catalog).
+ * Normalize to lowercase first, then check the catalog snapshot.
  */
 const ProductTypeSchema = z
   .string({ required_error: 'product_type is required', invalid_type_error: 'product_type must be a string' })
   .transform((s) => String(s).trim().toLowerCase())
-  .refine((s) => s === 'birth_chart', { message: 'invalid product_type' });
+  .refine((s) => catalog.isActiveProduct(s), { message: 'invalid product_type' });
+
+/**
+ * Optional per-request PSP choice. Empty -> undefined (server default applies).
+ * Accepts a few common aliases ("mp", "mercadopago") and normalizes to the
+ * provider ids used by the controller.
+ */
+const PAYMENT_PROVIDER_ALIASES = {
+  MP: 'MERCADO_PAGO',
+  MERCADOPAGO: 'MERCADO_PAGO',
+  MERCADO_PAGO: 'MERCADO_PAGO',
+  PAGBANK: 'PAGBANK',
+  PAGSEGURO: 'PAGBANK',
+  PAYPAL: 'PAYPAL',
+};
+
+const OptionalPaymentProviderSchema = z
+  .union([z.string().trim(), z.literal(''), z.null(), z.undefined()])
+  .transform((v) => {
+    if (v == null) return undefined;
+    const s = String(v).trim().toUpperCase().replace(/[\s-]+/g, '_');
+    return s === '' ? undefined : (PAYMENT_PROVIDER_ALIASES[s] || s);
+  })
+  .refine((v) => v === undefined || Object.values(PAYMENT_PROVIDER_ALIASES).includes(v), {
+    message: 'invalid payment_provider',
+  });
+
+/** Optional client-chosen payment method; empty -> undefined. */
+const OptionalPaymentMethodSchema = z
+  .union([z.string().trim(), z.literal(''), z.null(), z.undefined()])
+  .transform((v) => {
+    if (v == null) return undefined;
+    const s = String(v).trim().toLowerCase();
+    return s === '' ? undefined : s;
+  })
+  .refine((v) => v === undefined || ['pix', 'card', 'paypal'].includes(v), {
+    message: 'payment_method must be one of pix, card, paypal',
+  });
+
+/**
+ * Optional checkout currency (ISO 4217); empty -> undefined. Normalized to uppercase.
+ * A currency the product has no price in falls back to its default (modules/catalog).
+ */
+const OptionalCurrencySchema = z
+  .union([z.string().trim(), z.literal(''), z.null(), z.undefined()])
+  .transform((v) => {
+    if (v == null) return undefined;
+    const s = String(v).trim().toUpperCase();
+    return s === '' ? undefined : s;
+  })
+  .refine((v) => v === undefined || /^[A-Z]{3}$/.test(v), {
+    message: 'currency must be a 3-letter ISO 4217 code',
+  });
+
+/**
+ * Optional promo code; empty -> undefined. Normalized to uppercase.
+ * Only the format is checked here; validity is checked by modules/coupons.
+ */
+const OptionalCouponCodeSchema = z
+  .union([z.string().trim(), z.literal(''), z.null(), z.undefined()])
+  .transform((v) => {
+    if (v == null) return undefined;
+    const s = String(v).trim().toUpperCase();
+    return s === '' ? undefined : s;
+  })
+  .refine((v) => v === undefined || /^[A-Z0-9_-]{3,32}$/.test(v), {
+    message: 'invalid coupon_code',
+  });
+
+/**
+ * Optional chart setting override (`chart_<setting>`); empty -> undefined.
+ * `chart_points` accepts a comma-separated list or an array.
+ */
+function optionalChartSetting(setting) {
+  return z
+    .union([z.string().trim(), z.array(z.string()), z.literal(''), z.null(), z.undefined()])
+    .transform((v) => {
+      if (v == null || (typeof v === 'string' && v.trim() === '')) return undefined;
+      const n = chartSettings.normalizeValue(setting, v);
+      return n === undefined ? null : n; // null = invalid, rejected below
+    })
+    .refine((v) => v !== null, { message: `invalid chart_${setting}` });
+}
 
 /**
  * Country coming from Google Places is often a full name ("Brasil", "Brazil").
@@ -242,9 +351,21 @@ const birthchartSchema = z.preprocess(
       gender_identity: GenderIdentitySchema,
       email: EmailSchema,
       birth_date: DateYMD,
-      birth_time: TimeHHmm,
+      birth_time: OptionalTimeHHmm,
+      birth_time_unknown: BooleanFlag,
       birth_place: BirthPlaceSchema,
       product_type: ProductTypeSchema,
+      payment_provider: OptionalPaymentProviderSchema,
+      payment_method: OptionalPaymentMethodSchema,
+      currency: OptionalCurrencySchema,
+      coupon_code: OptionalCouponCodeSchema,
+
+      // Chart overrides (allowed per product, see ./chartSettings)
+      chart_house_system: optionalChartSetting('house_system'),
+      chart_ayanamsha: optionalChartSetting('ayanamsha'),
+      chart_observation_point: optionalChartSetting('observation_point'),
+      chart_language: optionalChartSetting('language'),
+      chart_points: optionalChartSetting('points'),
 
       birth_place_place_id: PlaceIdSchema,
       birth_place_full: OptionalPlaceFull,
@@ -269,6 +390,13 @@ const birthchartSchema = z.preprocess(
       privacy_agreed: z.coerce.boolean().optional(),
     })
     .strict()
+    .superRefine((d, ctx) => {
+      if (!d.birth_time_unknown && d.birth_time === undefined) {
+        ctx.addIssue({ code: 'custom', path: ['birth_time'], message: 'birth_time is required' });
+      }
+    })
+    // Unknown time: any sent time is ignored and noon is stored.
+    .transform((d) => (d.birth_time_unknown ? { ...d, birth_time: UNKNOWN_BIRTH_TIME } : d))
 );
 
 /* ----------------------------- Public API (module) -------------------------- */
@@ -297,4 +425,5 @@ function validateBirthchartPayload(payload) {
 module.exports = {
   validateBirthchartPayload,
   birthchartSchema,
+  UNKNOWN_BIRTH_TIME,
 };
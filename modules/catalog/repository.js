@@ -0,0 +1,32 @@
+// modules/catalog/repository.js
+'use strict';
+
+/**
+ * Catalog Repository
+ * ------------------
+ * Reads product definitions from `public.product_catalog` (CATALOG_SOURCE=db).
+ *
+ * Notes
+ *  - `definition` is a JSONB document with the same shape as an entry in
+ *    modules/catalog/catalog.json; the service validates it.
+ *  - Active windows live in columns so they can be edited without touching JSON.
+ *  - Use parameterized SQL only (no string interpolation).
+ */
+
+const db = require('../../db/db');
+
+/** All enabled products (active windows are evaluated by the service at read time). */
+async function listEnabledProducts() {
+  const sql = `
+    SELECT product_type, definition, active_from, active_until, updated_at
+      FROM public.product_catalog
+     WHERE enabled = TRUE
+     ORDER BY product_type ASC;
+  `;
+  const { rows } = await db.query(sql);
+  return rows;
+}
+
+module.exports = {
+  listEnabledProducts,
+};
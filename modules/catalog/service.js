@@ -0,0 +1,253 @@
+// modules/catalog/service.js
+'use strict';
+
+/**
+ * Product Catalog
+ * ---------------
+ * Single source of truth for what we sell: names, prices per currency, allowed
+ * payment methods, statement descriptors, return URLs, active windows and chart
+ * settings (`chart`, see modules/birthchart/chartSettings).
+ *
+ * Sources (CATALOG_SOURCE)
+ *  - file (default): modules/catalog/catalog.json, or CATALOG_FILE when set.
+ *  - db            : `public.product_catalog`, refreshed every CATALOG_REFRESH_MS.
+ *                    The file is still loaded first so reads never hit an empty
+ *                    catalog while the first DB refresh is in flight.
+ *
+ * Reads are synchronous (in-memory snapshot) so zod validators can use them.
+ *
+ * URL templates
+ *  - `{ref}` is replaced by the URL-encoded request reference.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+
+const { env } = require('../../config/env');
+const { AppError } = require('../../utils/appError');
+const baseLogger = require('../../utils/logger').child('catalog');
+const repo = require('./repository');
+
+const DEFAULT_FILE = path.join(__dirname, 'catalog.json');
+
+/* --------------------------------- Schemas --------------------------------- */
+
+const HttpsUrl = z
+  .string()
+  .trim()
+  .refine((u) => {
+    try { return new URL(u.replace('{ref}', 'x')).protocol === 'https:'; } catch { return false; }
+  }, 'must be an https URL');
+
+const UrlsSchema = z.object({
+  success: HttpsUrl,
+  pending: HttpsUrl,
+  fail: HttpsUrl,
+});
+
+const IsoDateOrNull = z
+  .union([z.string(), z.date(), z.null(), z.undefined()])
+  .transform((v) => {
+    if (v == null || v === '') return null;
+    const d = v instanceof Date ? v : new Date(v);
+    return Number.isNaN(d.getTime()) ? null : d;
+  });
+
+const ProductSchema = z.object({
+  product_type: z.string().trim().toLowerCase().regex(/^[a-z0-9_]{2,64}$/),
+  name: z.string().trim().min(1).max(150),
+  description: z.string().trim().max(200).optional(),
+  item_description: z.string().trim().max(600).optional(),
+  item_id_prefix: z.string().trim().max(16).optional(),
+  category_id: z.string().trim().max(64).optional(),
+  image_url: HttpsUrl.optional(),
+  statement_descriptor: z.string().trim().max(64).optional(),
+  prices: z
+    .record(z.string(), z.number().int().positive())
+    .refine((p) => Object.keys(p).length > 0, 'at least one price is required'),
+  default_currency: z.string().trim().length(3).optional(),
+  payment: z.object({
+    methods: z.array(z.enum(['pix', 'card', 'paypal'])).min(1),
+    max_installments: z.number().int().min(1).max(12).default(1),
+  }),
+  urls: UrlsSchema,
+  active_from: IsoDateOrNull,
+  active_until: IsoDateOrNull,
+  // Ephemeris chart settings + allowed form overrides (checked by modules/birthchart/chartSettings).
+  chart: z.record(z.string(), z.any()).optional(),
+  metadata: z.record(z.string(), z.any()).optional(),
+});
+
+/* --------------------------------- State ----------------------------------- */
+
+let snapshot = { defaults: null, products: new Map(), source: 'none', loadedAt: null };
+let refreshTimer = null;
+
+/** Validate raw definitions; invalid entries are skipped (and logged), never fatal. */
+function buildSnapshot(rawProducts, defaults, source) {
+  const products = new Map();
+  for (const raw of rawProducts || []) {
+    const parsed = ProductSchema.safeParse(raw);
+    if (!parsed.success) {
+      baseLogger.warn(
+        { productType: raw?.product_type, issues: parsed.error.issues.map((i) => i.path.join('.')) },
+        'invalid catalog entry skipped'
+      );
+      continue;
+    }
+    const p = parsed.data;
+    const prices = {};
+    for (const [cur, cents] of Object.entries(p.prices)) prices[cur.toUpperCase()] = cents;
+    products.set(p.product_type, {
+      ...p,
+      prices,
+      default_currency: (p.default_currency || Object.keys(prices)[0]).toUpperCase(),
+    });
+  }
+  return { defaults: defaults || snapshot.defaults, products, source, loadedAt: new Date() };
+}
+
+function loadFile(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const defaults = json.defaults?.urls ? UrlsSchema.parse(json.defaults.urls) : null;
+  snapshot = buildSnapshot(json.products, { urls: defaults }, 'file');
+}
+
+function getSource() {
+  const v = String(process.env.CATALOG_SOURCE || env.CATALOG_SOURCE || 'file').toLowerCase();
+  return v === 'db' ? 'db' : 'file';
+}
+
+/**
+ * Reload from Postgres (CATALOG_SOURCE=db). Keeps the previous snapshot on failure.
+ * @returns {Promise<number>} number of products loaded
+ */
+async function refresh() {
+  if (getSource() !== 'db') return snapshot.products.size;
+  const log = baseLogger.child('refresh');
+  try {
+    const rows = await repo.listEnabledProducts();
+    const raws = rows.map((r) => ({
+      ...(r.definition || {}),
+      product_type: r.product_type,
+      active_from: r.active_from,
+      active_until: r.active_until,
+    }));
+    snapshot = buildSnapshot(raws, snapshot.defaults, 'db');
+    log.info({ products: snapshot.products.size }, 'catalog refreshed');
+  } catch (err) {
+    log.warn({ msg: err?.message }, 'catalog refresh failed; keeping previous snapshot');
+  }
+  return snapshot.products.size;
+}
+
+/** Start periodic DB refreshes (no-op for file source). Safe to call more than once. */
+function init() {
+  if (getSource() !== 'db' || refreshTimer) return;
+  refresh();
+  const every = Number(process.env.CATALOG_REFRESH_MS || env.CATALOG_REFRESH_MS) || 5 * 60_000;
+  refreshTimer = setInterval(refresh, every);
+  refreshTimer.unref?.();
+}
+
+/* --------------------------------- Reads ----------------------------------- */
+
+function isWithinWindow(p, at) {
+  const t = (at instanceof Date ? at : new Date()).getTime();
+  if (p.active_from && t < p.active_from.getTime()) return false;
+  if (p.active_until && t >= p.active_until.getTime()) return false;
+  return true;
+}
+
+/**
+ * Product definition by type.
+ * @param {string} productType
+ * @param {object} [opts] { at?: Date, includeInactive?: boolean }
+ * @returns {object|null}
+ */
+function getProduct(productType, opts = {}) {
+  const p = snapshot.products.get(String(productType || '').trim().toLowerCase());
+  if (!p) return null;
+  if (!opts.includeInactive && !isWithinWindow(p, opts.at)) return null;
+  return p;
+}
+
+/** Like getProduct, but throws `product_not_available` (422) for unknown/inactive products. */
+function requireProduct(productType, opts = {}) {
+  const p = getProduct(productType, opts);
+  if (!p) {
+    throw new AppError('product_not_available', 'Product is not available', 422, {
+      productType: String(productType || '').slice(0, 64),
+    });
+  }
+  return p;
+}
+
+function isActiveProduct(productType, at) {
+  return getProduct(productType, { at }) !== null;
+}
+
+function listActiveProductTypes(at) {
+  return [...snapshot.products.values()].filter((p) => isWithinWindow(p, at)).map((p) => p.product_type);
+}
+
+/**
+ * Price in integer cents for a currency (falls back to the product default currency).
+ * @returns {{ amountCents: number, currency: string }}
+ */
+function getPrice(product, currency) {
+  const cur = String(currency || '').toUpperCase();
+  if (cur && product.prices[cur] != null) return { amountCents: product.prices[cur], currency: cur };
+  return { amountCents: product.prices[product.default_currency], currency: product.default_currency };
+}
+
+/**
+ * PSP payment options for a product, narrowed by a client-chosen method.
+ * @returns {{ allow_pix: boolean, allow_card: boolean, max_installments: number }}
+ */
+function getPaymentOptions(product, method) {
+  const methods = product.payment.methods;
+  return {
+    allow_pix:  methods.includes('pix') && method !== 'card',
+    allow_card: methods.includes('card') && method !== 'pix',
+    max_installments: product.payment.max_installments,
+  };
+}
+
+/**
+ * Customer-facing return URLs for a product (catalog defaults when unknown).
+ * @returns {{ success: string, pending: string, fail: string }}
+ */
+function getReturnUrls(productType, ref) {
+  const p = getProduct(productType, { includeInactive: true });
+  const urls = p?.urls || snapshot.defaults?.urls;
+  const fill = (tpl) => {
+    if (!tpl) return null;
+    if (tpl.includes('{ref}')) {
+      return ref != null ? tpl.replace('{ref}', encodeURIComponent(String(ref))) : tpl.replace(/[?&][^?&]*=\{ref\}/, '');
+    }
+    return tpl;
+  };
+  return {
+    success: fill(urls?.success),
+    pending: fill(urls?.pending),
+    fail: fill(urls?.fail),
+  };
+}
+
+/* ------------------------------ Initial load ------------------------------- */
+
+loadFile(process.env.CATALOG_FILE || env.CATALOG_FILE || DEFAULT_FILE);
+
+module.exports = {
+  init,
+  refresh,
+  getProduct,
+  requireProduct,
+  isActiveProduct,
+  listActiveProductTypes,
+  getPrice,
+  getPaymentOptions,
+  getReturnUrls,
+};
@@ -0,0 +1,110 @@
+// modules/coupons/repository.js
+'use strict';
+
+/**
+ * Coupons Repository
+ * ------------------
+ * Access to `public.coupons` and `public.coupon_redemptions`.
+ *
+ * Notes
+ *  - Codes are stored uppercase; callers pass normalized codes.
+ *  - Queries accept an optional `{ client }` (PoolClient) so they can join the
+ *    transaction that persists the request (see db.withTransaction).
+ *  - Use parameterized SQL only (no string interpolation).
+ */
+
+const db = require('../../db/db');
+
+/** Coupon by code (any state; the service evaluates validity). */
+async function findByCode(code, { client } = {}) {
+  const sql = `
+    SELECT *
+      FROM public.coupons
+     WHERE code = $1
+     LIMIT 1;
+  `;
+  const { rows } = await (client || db).query(sql, [code]);
+  return rows[0] || null;
+}
+
+/** How many times an email already redeemed a coupon. */
+async function countRedemptionsByEmail(code, email, { client } = {}) {
+  const sql = `
+    SELECT COUNT(*)::int AS n
+      FROM public.coupon_redemptions
+     WHERE coupon_code = $1
+       AND email = $2;
+  `;
+  const { rows } = await (client || db).query(sql, [code, email]);
+  return rows[0]?.n || 0;
+}
+
+/**
+ * Consume one redemption if the coupon is still redeemable right now.
+ * The row lock taken by the UPDATE serializes concurrent redemptions of the
+ * same code until the surrounding transaction ends.
+ * @returns {Promise<object|null>} updated coupon, or null when not redeemable
+ */
+async function claimRedemption(code, { client } = {}) {
+  const sql = `
+    UPDATE public.coupons
+       SET redemptions_count = redemptions_count + 1,
+           updated_at        = NOW()
+     WHERE code = $1
+       AND active = TRUE
+       AND (valid_from IS NULL OR valid_from <= NOW())
+       AND (expires_at IS NULL OR expires_at > NOW())
+       AND (max_redemptions IS NULL OR redemptions_count < max_redemptions)
+    RETURNING *;
+  `;
+  const { rows } = await (client || db).query(sql, [code]);
+  return rows[0] || null;
+}
+
+/** Record the redemption for one request (unique per request). */
+async function insertRedemption(r, { client } = {}) {
+  const sql = `
+    INSERT INTO public.coupon_redemptions (
+      coupon_code, request_id, email, product_type, currency,
+      original_cents, discount_cents, final_cents
+    ) VALUES ($1, $2::bigint, $3, $4, $5, $6::int, $7::int, $8::int)
+    RETURNING *;
+  `;
+  const params = [
+    r.code, r.requestId, r.email, r.productType, r.currency,
+    r.originalCents, r.discountCents, r.finalCents,
+  ];
+  const { rows } = await (client || db).query(sql, params);
+  return rows[0];
+}
+
+/**
+ * Give back the redemption of a request: the row is deleted and the coupon's
+ * counter decremented in one statement.
+ * @returns {Promise<string|null>} released coupon code, or null when the request had none
+ */
+async function deleteRedemption(requestId, { client } = {}) {
+  const sql = `
+    WITH released AS (
+      DELETE FROM public.coupon_redemptions
+       WHERE request_id = $1::bigint
+      RETURNING coupon_code
+    )
+    UPDATE public.coupons c
+       SET redemptions_count = GREATEST(c.redemptions_count - 1, 0),
+           updated_at        = NOW()
+      FROM released r
+     WHERE c.code = r.coupon_code
+    RETURNING c.code;
+  `;
+  const { rows } = await (client || db).query(sql, [requestId]);
+  return rows[0]?.code || null;
+}
+
+module.exports = {
+  findByCode,
+  countRedemptionsByEmail,
+  claimRedemption,
+  insertRedemption,
+  deleteRedemption,
+};
@@ -0,0 +1,191 @@
+// modules/coupons/service.js
+'use strict';
+
+/**
+ * Coupons (promo codes)
+ * ---------------------
+ * Two steps at checkout:
+ *  1) quote()            : read-only check + discount math, before anything is
+ *                          persisted (fast 422 for bad codes).
+ *  2) persistWithCoupon(): persists the request and the redemption in ONE
+ *                          transaction. The redemption re-checks every limit
+ *                          under a row lock, so two concurrent submits can never
+ *                          both take the last redemption.
+ *  3) releaseRedemption(): when no checkout could be opened for the request, the
+ *                          redemption is given back (row deleted, use un-counted)
+ *                          so the customer's retry can redeem the code again.
+ *
+ * Rules
+ *  - discount_type 'percent' (1..100) or 'fixed' (cents, same currency as the price).
+ *  - valid_from / expires_at window, max_redemptions, per_email_limit, product_types.
+ *  - The charged amount never drops below MIN_CHARGE_CENTS (PSPs reject zero-value
+ *    checkouts), so a 100% coupon still charges the minimum.
+ *
+ * Errors (AppError, 422, details.field = 'coupon_code')
+ *  coupon_invalid | coupon_expired | coupon_not_applicable |
+ *  coupon_exhausted | coupon_email_limit_reached
+ */
+
+const db = require('../../db/db');
+const { AppError } = require('../../utils/appError');
+const baseLogger = require('../../utils/logger').child('coupons');
+const repo = require('./repository');
+
+const MIN_CHARGE_CENTS = 100;
+
+/* --------------------------------- Helpers --------------------------------- */
+
+/** Uppercase, trimmed code; null when empty. */
+function normalizeCode(raw) {
+  const s = String(raw ?? '').trim().toUpperCase();
+  return s === '' ? null : s;
+}
+
+function couponError(code, message, extra) {
+  return new AppError(code, message, 422, { field: 'coupon_code', ...(extra || {}) });
+}
+
+/**
+ * Discount for one price.
+ * @returns {{ originalCents: number, discountCents: number, finalCents: number }}
+ */
+function computeDiscount(coupon, amountCents) {
+  const original = Math.max(0, Math.round(Number(amountCents) || 0));
+  const value = Number(coupon.discount_value) || 0;
+  let discount = coupon.discount_type === 'percent'
+    ? Math.round((original * value) / 100)
+    : Math.round(value);
+  discount = Math.min(discount, Math.max(0, original - MIN_CHARGE_CENTS));
+  discount = Math.max(0, discount);
+  return { originalCents: original, discountCents: discount, finalCents: original - discount };
+}
+
+/**
+ * Throw the specific coupon error when it cannot be used for this purchase.
+ * Redemption counters are read from the given row (fresh under lock in redeem()).
+ */
+function assertApplicable(coupon, { productType, currency, at = new Date() }) {
+  if (!coupon || !coupon.active) {
+    throw couponError('coupon_invalid', 'Coupon code is not valid');
+  }
+  const t = at.getTime();
+  if ((coupon.valid_from && t < new Date(coupon.valid_from).getTime()) ||
+      (coupon.expires_at && t >= new Date(coupon.expires_at).getTime())) {
+    throw couponError('coupon_expired', 'Coupon code is expired or not yet valid');
+  }
+  const products = Array.isArray(coupon.product_types) ? coupon.product_types : null;
+  if (products && products.length && !products.includes(productType)) {
+    throw couponError('coupon_not_applicable', 'Coupon code does not apply to this product');
+  }
+  if (coupon.discount_type === 'fixed' &&
+      String(coupon.currency || '').toUpperCase() !== String(currency || '').toUpperCase()) {
+    throw couponError('coupon_not_applicable', 'Coupon code does not apply to this currency');
+  }
+  if (coupon.max_redemptions != null &&
+      Number(coupon.redemptions_count) >= Number(coupon.max_redemptions)) {
+    throw couponError('coupon_exhausted', 'Coupon code has reached its redemption limit');
+  }
+}
+
+async function assertEmailLimit(coupon, email, opts) {
+  if (coupon.per_email_limit == null) return;
+  const used = await repo.countRedemptionsByEmail(coupon.code, email, opts);
+  if (used >= Number(coupon.per_email_limit)) {
+    throw couponError('coupon_email_limit_reached', 'Coupon code was already used with this email');
+  }
+}
+
+/* ---------------------------------- API ------------------------------------ */
+
+/**
+ * Validate a code for one purchase and compute the discount (no writes).
+ * @param {string} code
+ * @param {object} p { productType, currency, amountCents, email }
+ * @returns {Promise<object>} { code, discountType, discountValue, currency,
+ *                              originalCents, discountCents, finalCents }
+ */
+async function quote(code, { productType, currency, amountCents, email }) {
+  const normalized = normalizeCode(code);
+  const coupon = normalized ? await repo.findByCode(normalized) : null;
+  assertApplicable(coupon, { productType, currency });
+  await assertEmailLimit(coupon, String(email || '').toLowerCase());
+
+  return {
+    code: coupon.code,
+    discountType: coupon.discount_type,
+    discountValue: Number(coupon.discount_value),
+    currency: String(currency || '').toUpperCase(),
+    ...computeDiscount(coupon, amountCents),
+  };
+}
+
+/**
+ * Consume one redemption for a request (must run inside a transaction).
+ * @param {object} q      result of quote()
+ * @param {object} p      { requestId, email, productType }
+ * @param {object} opts   { client } PoolClient of the surrounding transaction
+ */
+async function redeem(q, { requestId, email, productType }, { client }) {
+  const mail = String(email || '').toLowerCase();
+  const claimed = await repo.claimRedemption(q.code, { client });
+  if (!claimed) {
+    // Explain why with the current row; anything else means the last slot was taken.
+    const fresh = await repo.findByCode(q.code, { client });
+    assertApplicable(fresh, { productType, currency: q.currency });
+    throw couponError('coupon_exhausted', 'Coupon code has reached its redemption limit');
+  }
+  await assertEmailLimit(claimed, mail, { client });
+
+  return repo.insertRedemption({
+    code: q.code,
+    requestId,
+    email: mail,
+    productType,
+    currency: q.currency,
+    originalCents: q.originalCents,
+    discountCents: q.discountCents,
+    finalCents: q.finalCents,
+  }, { client });
+}
+
+/**
+ * Persist a request and, when a quote is given, its redemption atomically.
+ * @param {object|null} q                result of quote() (null = no coupon)
+ * @param {object} p                     { email, productType }
+ * @param {(client?: object) => Promise<object>} persistFn inserts the request row
+ * @returns {Promise<object>} the request row returned by persistFn
+ */
+async function persistWithCoupon(q, { email, productType }, persistFn) {
+  if (!q) return persistFn(undefined);
+  return db.withTransaction(async (client) => {
+    const row = await persistFn(client);
+    await redeem(q, { requestId: row.request_id, email, productType }, { client });
+    return row;
+  });
+}
+
+/**
+ * Give back the redemption of a request that never reached a checkout.
+ * Best-effort: a failure is logged, never thrown (the caller is already failing).
+ * @returns {Promise<string|null>} released coupon code, or null
+ */
+async function releaseRedemption(requestId, log = baseLogger) {
+  try {
+    const code = await repo.deleteRedemption(requestId);
+    if (code) log.info({ requestId, couponCode: code }, 'coupon redemption released');
+    return code;
+  } catch (e) {
+    log.warn({ requestId, msg: e?.message }, 'could not release coupon redemption');
+    return null;
+  }
+}
+
+module.exports = {
+  MIN_CHARGE_CENTS,
+  normalizeCode,
+  computeDiscount,
+  quote,
+  redeem,
+  persistWithCoupon,
+  releaseRedemption,
+};
@@ -0,0 +1,96 @@
+// modules/idempotency/repository.js
+'use strict';
+
+/**
+ * Idempotency Repository
+ * ----------------------
+ * Persistence for client Idempotency-Key headers (`public.idempotency_keys`).
+ *
+ * Notes
+ *  - Keys are namespaced by `scope` (one per endpoint, e.g. 'birthchart_form').
+ *  - claim() is a single atomic statement: concurrent repeats of one key cannot
+ *    both own it.
+ *  - Use parameterized SQL only (no string interpolation).
+ */
+
+const db = require('../../db/db');
+
+/**
+ * Take ownership of a key (PROCESSING). Succeeds for a new key, an expired one,
+ * or a PROCESSING row with the same fingerprint untouched for `staleMs` (its
+ * owner crashed). Returns the owned row, or null when someone else holds it.
+ */
+async function claim(scope, key, fingerprint, { ttlMs, staleMs }) {
+  const sql = `
+    INSERT INTO public.idempotency_keys AS k (
+      scope, idempotency_key, fingerprint, status, expires_at
+    ) VALUES (
+      $1, $2, $3, 'PROCESSING', NOW() + ($4::int * INTERVAL '1 millisecond')
+    )
+    ON CONFLICT (scope, idempotency_key) DO UPDATE
+       SET fingerprint     = EXCLUDED.fingerprint,
+           status          = 'PROCESSING',
+           request_id      = NULL,
+           response_status = NULL,
+           response_body   = NULL,
+           created_at      = NOW(),
+           updated_at      = NOW(),
+           expires_at      = EXCLUDED.expires_at
+     WHERE k.expires_at <= NOW()
+        OR (k.status = 'PROCESSING'
+            AND k.fingerprint = EXCLUDED.fingerprint
+            AND k.updated_at <= NOW() - ($5::int * INTERVAL '1 millisecond'))
+    RETURNING *;
+  `;
+  const { rows } = await db.query(sql, [scope, key, fingerprint, ttlMs, staleMs]);
+  return rows[0] || null;
+}
+
+async function find(scope, key) {
+  const sql = `
+    SELECT *
+      FROM public.idempotency_keys
+     WHERE scope = $1
+       AND idempotency_key = $2
+     LIMIT 1;
+  `;
+  const { rows } = await db.query(sql, [scope, key]);
+  return rows[0] || null;
+}
+
+/** Store the response to replay for this key. */
+async function complete(scope, key, { requestId, status, body }) {
+  const sql = `
+    UPDATE public.idempotency_keys
+       SET status          = 'COMPLETED',
+           request_id      = $3,
+           response_status = $4::int,
+           response_body   = $5::jsonb,
+           updated_at      = NOW()
+     WHERE scope = $1
+       AND idempotency_key = $2
+    RETURNING *;
+  `;
+  const params = [scope, key, requestId ?? null, status, JSON.stringify(body ?? null)];
+  const { rows } = await db.query(sql, params);
+  return rows[0] || null;
+}
+
+/** Drop a PROCESSING key after a failure so the client can retry with it. */
+async function release(scope, key) {
+  const sql = `
+    DELETE FROM public.idempotency_keys
+     WHERE scope = $1
+       AND idempotency_key = $2
+       AND status = 'PROCESSING';
+  `;
+  const { rowCount } = await db.query(sql, [scope, key]);
+  return rowCount || 0;
+}
+
+module.exports = {
+  claim,
+  find,
+  complete,
+  release,
+};
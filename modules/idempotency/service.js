@@ -0,0 +1,114 @@
+// modules/idempotency/service.js
+'use strict';
+
+/**
+ * Idempotency-Key support for public POST endpoints
+ * -------------------------------------------------
+ * Flow (per scope, e.g. 'birthchart_form')
+ *  1) readKey(req)  → optional `Idempotency-Key` header (8–255 visible ASCII).
+ *  2) begin()       → claims the key, or returns the stored response to replay.
+ *       same key + different body  → 409 idempotency_key_conflict
+ *       same key still in progress → 409 request_in_progress
+ *  3) complete()    → stores the response (replayed for KEY_TTL_MS).
+ *     release()     → on failure, frees the key so the client can retry.
+ *
+ * Without a header every helper is a no-op, so callers need no branching.
+ */
+
+const crypto = require('crypto');
+
+const { AppError } = require('../../utils/appError');
+const baseLogger = require('../../utils/logger').child('idempotency');
+const repo = require('./repository');
+
+const KEY_RE = /^[\x21-\x7E]{8,255}$/;
+
+// How long a completed response is replayed.
+const KEY_TTL_MS = 24 * 60 * 60_000;
+// A PROCESSING key untouched this long is considered abandoned (owner crashed).
+const STALE_MS = 2 * 60_000;
+
+/**
+ * Read and validate the Idempotency-Key header.
+ * @returns {string|null}
+ * @throws {AppError} idempotency_key_invalid (400)
+ */
+function readKey(req) {
+  const raw = req.get?.('idempotency-key');
+  if (raw == null || raw === '') return null;
+  const key = String(raw).trim();
+  if (!KEY_RE.test(key)) {
+    throw new AppError('idempotency_key_invalid', 'Idempotency-Key must be 8-255 visible ASCII characters', 400, {
+      field: 'Idempotency-Key',
+    });
+  }
+  return key;
+}
+
+/** JSON with sorted object keys, so equal payloads hash equally. */
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object' && !(v instanceof Date)) {
+    return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+function fingerprint(payload) {
+  return crypto.createHash('sha256').update(stableStringify(payload), 'utf8').digest('hex');
+}
+
+/**
+ * Claim a key or fetch the response to replay.
+ * @returns {Promise<{ owned: boolean, replay?: { status: number, body: any } }>}
+ * @throws {AppError} idempotency_key_conflict | request_in_progress (409)
+ */
+async function begin(scope, key, fp) {
+  if (!key) return { owned: false };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const owned = await repo.claim(scope, key, fp, { ttlMs: KEY_TTL_MS, staleMs: STALE_MS });
+    if (owned) return { owned: true };
+
+    const existing = await repo.find(scope, key);
+    if (!existing) continue; // released between both statements: claim again
+
+    if (existing.fingerprint !== fp) {
+      throw new AppError('idempotency_key_conflict', 'Idempotency-Key was already used with a different payload', 409);
+    }
+    if (existing.status === 'COMPLETED') {
+      return { owned: false, replay: { status: existing.response_status || 200, body: existing.response_body } };
+    }
+    break;
+  }
+  throw new AppError('request_in_progress', 'A request with this Idempotency-Key is still being processed', 409);
+}
+
+/** Store the response for replays (best-effort: a failure only loses the replay). */
+async function complete(scope, key, { requestId, status, body }, log = baseLogger) {
+  if (!key) return;
+  try {
+    await repo.complete(scope, key, { requestId, status, body });
+  } catch (e) {
+    log.warn({ msg: e?.message, scope }, 'could not store idempotent response');
+  }
+}
+
+/** Free a claimed key after a failure (best-effort). */
+async function release(scope, key, log = baseLogger) {
+  if (!key) return;
+  try {
+    await repo.release(scope, key);
+  } catch (e) {
+    log.warn({ msg: e?.message, scope }, 'could not release idempotency key');
+  }
+}
+
+module.exports = {
+  readKey,
+  fingerprint,
+  begin,
+  complete,
+  release,
+  KEY_TTL_MS,
+};
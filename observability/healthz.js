@@ -3,8 +3,10 @@
 
 /**
  * Lightweight /healthz endpoint with DB ping.
- * - Returns 200 {"status":"ok","db":"ok"} when DB is reachable.
+ * - Returns 200 {"status":"ok","db":"ok","circuits":{...}} when DB is reachable.
  * - Returns 503 when DB ping fails (no sensitive info leaked).
+ * - Open upstream circuits (utils/circuitBreaker) report "degraded" but keep 200:
+ *   an upstream outage is not a reason for the platform to restart this instance.
  *
  * Usage (in your index.js):
  *   const healthzRouter = require('./observability/healthz');
@@ -14,14 +16,18 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/db'); // keep your existing DB wrapper
+const circuitBreaker = require('../utils/circuitBreaker');
 
 router.get('/', async (_req, res) => {
+  const circuits = circuitBreaker.snapshot();
+  const anyOpen = Object.values(circuits).some((c) => c.state !== 'closed');
+
   try {
     await db.query('SELECT 1'); // trivial ping
-    return res.status(200).json({ status: 'ok', db: 'ok' });
+    return res.status(200).json({ status: anyOpen ? 'degraded' : 'ok', db: 'ok', circuits });
   } catch {
     // Do not expose error details here to avoid leaking infra internals
-    return res.status(503).json({ status: 'degraded', db: 'unreachable' });
+    return res.status(503).json({ status: 'degraded', db: 'unreachable', circuits });
   }
 });
 
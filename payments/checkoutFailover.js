@@ -0,0 +1,143 @@
+// payments/checkoutFailover.js
+'use strict';
+
+/**
+ * Checkout Failover
+ * -----------------
+ * Runs checkout creation across an ordered chain of PSPs so a provider outage
+ * does not cost the sale.
+ *
+ * Rules
+ *  - The routed provider goes first; the rest come from PAYMENT_FAILOVER_CHAIN,
+ *    restricted to providers the routing policy found eligible for this checkout.
+ *  - Each attempt gets its own time budget (PAYMENT_CHECKOUT_BUDGET_MS) through
+ *    an AbortSignal passed to the service (`ctx.signal`).
+ *  - Only transient failures (AppError.isTransient: timeouts, network, 408/429/5xx)
+ *    move on to the next provider; permanent ones (e.g. 400/422) are rethrown.
+ *
+ * Output
+ *  { provider, result, attempts[] } where attempts is a PII-free audit trail:
+ *  [{ provider, outcome: 'ok'|'error', code?, status?, transient?, ms }]
+ */
+
+const { env } = require('../config/env');
+const { AppError } = require('../utils/appError');
+const baseLogger = require('../utils/logger').child('payments.failover');
+
+/* ------------------------------- Metrics (optional) ------------------------------- */
+
+let prom = null;
+try { prom = require('prom-client'); } catch { /* metrics disabled */ }
+
+const attemptCounter = prom
+  ? new prom.Counter({
+      name: 'zodika_checkout_attempts_total',
+      help: 'Checkout creation attempts by provider and outcome',
+      labelNames: ['provider', 'outcome'],
+    })
+  : null;
+
+const failoverCounter = prom
+  ? new prom.Counter({
+      name: 'zodika_checkout_failover_total',
+      help: 'Checkout failovers from one provider to the next',
+      labelNames: ['from', 'to', 'code'],
+    })
+  : null;
+
+/* --------------------------------- Helpers ---------------------------------------- */
+
+const PROVIDERS = ['MERCADO_PAGO', 'PAGBANK', 'PAYPAL'];
+
+function parseChain(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((s) => s.trim().toUpperCase())
+    .filter((s) => PROVIDERS.includes(s));
+}
+
+function getBudgetMs() {
+  const n = Number(process.env.PAYMENT_CHECKOUT_BUDGET_MS || env.PAYMENT_CHECKOUT_BUDGET_MS);
+  return Number.isFinite(n) && n > 0 ? n : 15_000;
+}
+
+/**
+ * Ordered provider chain for a routing decision (payments/routingPolicy.decide).
+ * @param {{ provider: string, eligible?: string[] }} route
+ * @returns {string[]}
+ */
+function buildChain(route) {
+  const primary = route.provider;
+  const eligible = Array.isArray(route.eligible) ? route.eligible : [primary];
+  const configured = parseChain(process.env.PAYMENT_FAILOVER_CHAIN ?? env.PAYMENT_FAILOVER_CHAIN);
+
+  const chain = [primary];
+  for (const p of configured) {
+    if (p !== primary && eligible.includes(p) && !chain.includes(p)) chain.push(p);
+  }
+  return chain;
+}
+
+/* ---------------------------------- Runner ---------------------------------------- */
+
+/**
+ * Try `attemptFn(provider, { signal })` along the chain until one succeeds.
+ * @param {string[]} chain
+ * @param {(provider: string, opts: { signal: AbortSignal }) => Promise<any>} attemptFn
+ * @param {object} [opts] { log, budgetMs }
+ * @returns {Promise<{ provider: string, result: any, attempts: object[] }>}
+ * @throws the last provider error (permanent error, or chain exhausted)
+ */
+async function createWithFailover(chain, attemptFn, opts = {}) {
+  const log = (opts.log || baseLogger).child('failover');
+  const budgetMs = Number.isFinite(opts.budgetMs) ? opts.budgetMs : getBudgetMs();
+  const attempts = [];
+
+  for (let i = 0; i < chain.length; i++) {
+    const provider = chain[i];
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), budgetMs);
+    const t0 = Date.now();
+
+    try {
+      const result = await attemptFn(provider, { signal: controller.signal });
+      attempts.push({ provider, outcome: 'ok', ms: Date.now() - t0 });
+      if (attemptCounter) attemptCounter.labels(provider, 'ok').inc();
+      if (i > 0) log.warn({ provider, attempts }, 'checkout issued by failover provider');
+      return { provider, result, attempts };
+    } catch (err) {
+      const timedOut = controller.signal.aborted;
+      const transient = timedOut || AppError.isTransient(err);
+      const code = timedOut ? 'checkout_budget_exceeded' : (err?.code || 'internal_error');
+
+      attempts.push({
+        provider,
+        outcome: 'error',
+        code,
+        status: err?.status || null,
+        transient,
+        ms: Date.now() - t0,
+      });
+      if (attemptCounter) attemptCounter.labels(provider, transient ? 'transient_error' : 'permanent_error').inc();
+
+      const next = chain[i + 1];
+      if (!transient || !next) {
+        log.error({ provider, code, transient, attempts: attempts.length }, 'checkout creation failed');
+        throw err;
+      }
+
+      if (failoverCounter) failoverCounter.labels(provider, next, code).inc();
+      log.warn({ from: provider, to: next, code, status: err?.status || null }, 'checkout failover');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Only reachable with an empty chain.
+  throw new AppError('payment_route_unavailable', 'No payment provider available for checkout', 503);
+}
+
+module.exports = {
+  buildChain,
+  createWithFailover,
+};
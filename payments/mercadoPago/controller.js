@@ -4,6 +4,7 @@
 const mpService = require('./service');
 const mpRepository = require('./repository');
 const birthchartRepository = require('../../modules/birthchart/repository');
+const catalog = require('../../modules/catalog/service');
 const AppError = require('../../utils/appError');
 const baseLogger = require('../../utils/logger').child('payments.mp.controller');
 
@@ -127,10 +128,12 @@ async function createCheckout(req, res) {
  * Customer browser return after checkout.
  *
  * Behavior:
- * - Resolve requestId (from QS or repository).
+ * - Resolve the request server-side: from the preference record (preference_id)
+ *   or from an opaque public `ref`. A bare `external_reference` (sequential id)
+ *   is only trusted when it matches the preference record.
  * - Map return status to a stable set.
  * - Redirect to product-specific success on APPROVED/PAID, appending:
- *   * Query:   ?ref=<requestId>
+ *   * Query:   ?ref=<public_id>
  *   * Fragment: #em=<maskedEmail>  (optional, best-effort; not logged by servers)
  * - Redirect to generic pending/fail otherwise.
  */
@@ -149,48 +152,42 @@ async function handleReturn(req, res) {
     req.query.collectionId ||
     null;
 
-  let requestId =
-    req.query.external_reference ||
-    req.query.request_id ||
-    req.query.requestId ||
-    req.query.merchant_order_id ||
-    req.query.collection_id ||
-    req.query.payment_id ||
-    null;
+  const externalReference = req.query.external_reference || null;
+  const publicRef = req.query.ref || req.query.request_id || req.query.requestId || null;
 
   let retStatus = normalizeReturnStatus(req.query);
 
   try {
-    if (!requestId && preferenceId && typeof mpRepository.findByPreferenceId === 'function') {
+    let r = null;
+    if (preferenceId && typeof mpRepository.findByPreferenceId === 'function') {
       const rec = await mpRepository.findByPreferenceId(preferenceId);
-      requestId = rec?.request_id || requestId;
-      if (rec?.status && String(rec.status).toUpperCase() === 'APPROVED') {
-        retStatus = 'APPROVED';
+      const consistent = rec?.request_id &&
+        (!externalReference || String(rec.external_reference ?? rec.request_id) === String(externalReference));
+      if (consistent) {
+        r = await birthchartRepository.findByRequestId(rec.request_id);
+        if (rec?.status && String(rec.status).toUpperCase() === 'APPROVED') {
+          retStatus = 'APPROVED';
+        }
       }
     }
-
-    let productType = null;
-    let emailMasked = '';
-    if (requestId && typeof birthchartRepository.findByRequestId === 'function') {
-      const r = await birthchartRepository.findByRequestId(requestId);
-      productType = r?.product_type || null;
-      if (r?.email) emailMasked = maskEmail(String(r.email));
+    if (!r && publicRef) {
+      r = await birthchartRepository.findByPublicId(publicRef);
     }
 
-    const successUrlByProduct = {
-      birth_chart: (id) =>
-        `https://www.zodika.com.br/birthchart-payment-success?ref=${encodeURIComponent(id)}`,
-    };
-    const failUrl = 'https://www.zodika.com.br/payment-fail';
-    const pendingUrl = 'https://www.zodika.com.br/payment-pending';
+    const productType = r?.product_type || null;
+    const ref = r?.public_id || null;
+    const emailMasked = r?.email ? maskEmail(String(r.email)) : '';
 
-    if (retStatus === 'APPROVED' || retStatus === 'PAID') {
-      if (!requestId) return res.redirect('https://www.zodika.com.br/payment-success');
+    // Product-specific return pages come from the catalog (defaults for unknown products).
+    const urls = catalog.getReturnUrls(productType, ref);
+    const failUrl = urls.fail;
+    const pendingUrl = urls.pending;
 
-      const resolver = successUrlByProduct[productType] || successUrlByProduct.birth_chart;
+    if (retStatus === 'APPROVED' || retStatus === 'PAID') {
+      if (!ref) return res.redirect(catalog.getReturnUrls(null).success);
 
       // use URL to attached payment_id
-      const u = new URL(resolver(requestId));
+      const u = new URL(urls.success);
       if (paymentId) u.searchParams.set('payment_id', String(paymentId));
 
       const finalUrl = emailMasked
@@ -202,7 +199,7 @@ async function handleReturn(req, res) {
 
     if (retStatus === 'PENDING') {
       let target = new URL(pendingUrl);
-      if (requestId) target.searchParams.set('ref', String(requestId));
+      if (ref) target.searchParams.set('ref', String(ref));
       if (paymentId) target.searchParams.set('payment_id', String(paymentId));
       if (emailMasked) target.hash = `em=${encodeURIComponent(emailMasked)}`;
       return res.redirect(target.toString());
@@ -211,59 +208,74 @@ async function handleReturn(req, res) {
     return res.redirect(failUrl);
   } catch (err) {
     (req.log || baseLogger).logError(err, { where: 'mp.controller.handleReturn' });
-    return res.redirect('https://www.zodika.com.br/payment-fail');
+    return res.redirect(catalog.getReturnUrls(null).fail);
   }
 }
 
 // --- SSE hub (in-memory) + bridge to orchestrator
+// Channels are keyed by the internal request_id (what orchestrator events carry);
+// browsers only ever see the request's public id (`ref`).
 const orchestrator = require('../../payments/orchestrator');
 const sseHub = {
   channels: new Map(),
-  add(requestId, res) {
+  add(requestId, ref, res) {
     const k = String(requestId);
-    if (!this.channels.has(k)) this.channels.set(k, new Set());
-    this.channels.get(k).add(res);
+    if (!this.channels.has(k)) this.channels.set(k, { ref, clients: new Set() });
+    this.channels.get(k).clients.add(res);
   },
   remove(requestId, res) {
     const k = String(requestId);
-    const set = this.channels.get(k);
-    if (!set) return;
-    set.delete(res);
-    if (set.size === 0) this.channels.delete(k);
+    const ch = this.channels.get(k);
+    if (!ch) return;
+    ch.clients.delete(res);
+    if (ch.clients.size === 0) this.channels.delete(k);
   },
   broadcast(requestId, payload) {
-    const set = this.channels.get(String(requestId));
-    if (!set || set.size === 0) return 0;
-    const data = `data: ${JSON.stringify(payload)}\n\n`;
-    for (const res of set) { try { res.write(data); } catch {} }
-    return set.size;
+    const ch = this.channels.get(String(requestId));
+    if (!ch || ch.clients.size === 0) return 0;
+    const data = `data: ${JSON.stringify({ ref: ch.ref, ...payload })}\n\n`;
+    for (const res of ch.clients) { try { res.write(data); } catch {} }
+    return ch.clients.size;
   },
 };
 
-/** GET /mercadoPago/status?request_id=...  (safety polling ) */
+/** Public view of a request's payment status (no internal ids). */
+function statusView(r) {
+  return {
+    ref: r.public_id,
+    status: r.payment_status,
+    statusDetail: r.payment_status_detail,
+    updatedAt: r.payment_updated_at || r.updated_at,
+  };
+}
+
+/** GET /mercadoPago/status?ref=<public_id>  (safety polling ) */
 async function getPaymentStatus(req, res) {
   echoRequestId(req, res);
   try {
-    const requestId = req.query.request_id || req.query.requestId;
-    if (!requestId) return res.status(400).json({ error: 'missing_request_id' });
-    const r = await birthchartRepository.findByRequestId(requestId);
+    const ref = req.query.ref || req.query.request_id || req.query.requestId;
+    if (!ref) return res.status(400).json({ error: 'missing_request_id' });
+    const r = await birthchartRepository.findByPublicId(String(ref));
     if (!r) return res.status(404).json({ error: 'not_found' });
-    return res.json({
-      requestId: r.request_id,
-      status: r.payment_status,
-      statusDetail: r.payment_status_detail,
-      updatedAt: r.payment_updated_at || r.updated_at,
-    });
+    return res.json(statusView(r));
   } catch {
     return res.status(500).json({ error: 'status_lookup_failed' });
   }
 }
 
-/** GET /mercadoPago/stream?request_id=...  (SSE on time) */
+/** GET /mercadoPago/stream?ref=<public_id>  (SSE on time) */
 async function streamStatus(req, res) {
   echoRequestId(req, res);
-  const requestId = req.query.request_id || req.query.requestId;
-  if (!requestId) return res.status(400).end();
+  const ref = req.query.ref || req.query.request_id || req.query.requestId;
+  if (!ref) return res.status(400).end();
+
+  let r;
+  try {
+    r = await birthchartRepository.findByPublicId(String(ref));
+  } catch {
+    return res.status(500).end();
+  }
+  if (!r) return res.status(404).end();
 
   res.set({
     'Content-Type': 'text/event-stream',
@@ -275,26 +287,15 @@ async function streamStatus(req, res) {
 
   const keepalive = setInterval(() => { try { res.write(': ping\n\n'); } catch {} }, 25_000);
 
-  try {
-    const r = await birthchartRepository.findByRequestId(requestId);
-    if (r) {
-      res.write(`data: ${JSON.stringify({
-        requestId: r.request_id,
-        status: r.payment_status,
-        statusDetail: r.payment_status_detail,
-        updatedAt: r.payment_updated_at || r.updated_at,
-      })}\n\n`);
-    }
-  } catch {}
+  try { res.write(`data: ${JSON.stringify(statusView(r))}\n\n`); } catch {}
 
-  sseHub.add(requestId, res);
-  req.on('close', () => { clearInterval(keepalive); sseHub.remove(requestId, res); try { res.end(); } catch {} });
+  sseHub.add(r.request_id, r.public_id, res);
+  req.on('close', () => { clearInterval(keepalive); sseHub.remove(r.request_id, res); try { res.end(); } catch {} });
 }
 
 orchestrator.events.on('payments:status-changed', (evt) => {
   if (!evt?.requestId || evt?.productType !== 'birth_chart') return;
   sseHub.broadcast(evt.requestId, {
-    requestId: evt.requestId,
     status: evt.normalizedStatus,
     provider: evt.provider || null,
     ts: new Date().toISOString(),
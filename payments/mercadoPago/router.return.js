@@ -16,6 +16,8 @@
  *   GET|HEAD /mercadoPago/return/success
  *   GET|HEAD /mercadoPago/return/failure
  *   GET|HEAD /mercadoPago/return/pending
+ *   GET      /mercadoPago/status?ref=<public_id>
+ *   GET      /mercadoPago/stream?ref=<public_id>
  */
 
 const express = require('express');
@@ -22,6 +22,8 @@
  *         - externalReference (optional; defaults to requestId)
  *         - name, email, Type, Value, Name, paymentOptions,
  *           currency, productImageUrl, returnUrl, metadata
+ *   - refundPayment(input, ctx?) -> { refundId, status, amountCents, raw }
+ *       input: { paymentId, amountCents, idempotencyKey }
  *   - processWebhook(body, meta, ctx?) -> { ok, ... }
  *   - events (EventEmitter)
  */
@@ -153,7 +155,7 @@ async function createCheckout(input, ctx = {}) {
     currency, productImageUrl, returnUrl, metadata = {},
     externalReference, descriptionProduct, // optional external reference; falls back to requestId
     payerTaxId, payerTaxIdType,
-    itemId, itemCategoryId, itemDescription,
+    itemId, itemCategoryId, itemDescription, statementDescriptor: statementDescriptorRaw,
   } = input || {};
 
   const log = (ctx.log || baseLogger).child('create', { rid: ctx.requestId });
@@ -226,7 +228,7 @@ async function createCheckout(input, ctx = {}) {
 
   // Statement descriptor
   const statementDescriptor = buildStatementDescriptor(
-    descriptionProduct || productName || productType || 'ebook'
+    statementDescriptorRaw || descriptionProduct || productName || productType || 'ebook'
   );
 
   const safeItemId = (itemId || `bc_${String(requestId).slice(0, 50)}`).toString();
@@ -289,6 +291,7 @@ async function createCheckout(input, ctx = {}) {
     timeout: PER_ATTEMPT_TIMEOUT_MS,
     retries: RETRIES,
     retryBackoffMs: RETRY_BACKOFF,
+    circuitBreaker: true,
   };
 
   // Optional: propagate caller abort if provided by controller
@@ -418,6 +421,7 @@ async function fetchPayment(paymentId, ctx = {}) {
       timeout: timeoutMs,
       retries,
       retryBackoffMs: [0, 250, 600, 1200],
+      circuitBreaker: true,
       ...(ctx.signal ? { signal: ctx.signal } : {}),
     });
     observe(op, res?.status, t0);
@@ -429,6 +433,71 @@ async function fetchPayment(paymentId, ctx = {}) {
   }
 }
 
+/* --------------------------------- refundPayment ----------------------------------- */
+
+/**
+ * Refund a payment (full or partial) via POST /v1/payments/{id}/refunds.
+ * The amount is always explicit; the caller computes what is still refundable.
+ * Safe to retry with the same idempotency key (MP replays the first result).
+ */
+async function refundPayment(input, ctx = {}) {
+  const { paymentId, amountCents, idempotencyKey } = input || {};
+  const log = (ctx.log || baseLogger).child('refund', { rid: ctx.requestId });
+
+  const cents = Number(amountCents);
+  if (!paymentId || !idempotencyKey || !Number.isInteger(cents) || cents <= 0) {
+    throw AppError.fromUnexpected(
+      'mp_refund_failed',
+      'paymentId, idempotencyKey and integer amountCents > 0 are required',
+      { status: 400 }
+    );
+  }
+
+  const MP_ACCESS_TOKEN = process.env.MP_ACCESS_TOKEN || env.MP_ACCESS_TOKEN;
+  if (!MP_ACCESS_TOKEN) {
+    throw AppError.fromUnexpected('mp_config_missing', 'MP_ACCESS_TOKEN is not configured', { status: 500 });
+  }
+
+  const op = 'refund_payment';
+  const t0 = process.hrtime.bigint();
+  const url = `https://api.mercadopago.com/v1/payments/${encodeURIComponent(paymentId)}/refunds`;
+
+  try {
+    const res = await httpClient.post(url, { amount: cents / 100 }, {
+      headers: {
+        Authorization: `Bearer ${MP_ACCESS_TOKEN}`,
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        'X-Idempotency-Key': String(idempotencyKey),
+      },
+      timeout: Number(process.env.MP_REFUND_TIMEOUT_MS || 15000),
+      retries: 1, // idempotent by key
+      retryBackoffMs: [0, 500],
+      circuitBreaker: true,
+      ...(ctx.signal ? { signal: ctx.signal } : {}),
+    });
+    observe(op, res?.status, t0);
+
+    const data = res?.data || {};
+    log.info({ status: res?.status, refundId: data.id || null, refundStatus: data.status || null }, 'refund created');
+    return {
+      refundId: data.id != null ? String(data.id) : null,
+      status: data.status || null,
+      amountCents: data.amount != null ? Math.round(Number(data.amount) * 100) : cents,
+      raw: data,
+    };
+  } catch (e) {
+    observe(op, e?.response?.status || 'ERR', t0);
+    log.error({ status: e?.response?.status, msg: e?.message }, 'refund failed');
+    throw AppError.fromUpstream(
+      'mp_refund_failed',
+      'Failed to refund payment with Mercado Pago',
+      e,
+      { provider: 'mercadopago', endpoint: 'payments/refunds' }
+    );
+  }
+}
+
 /* -------------------------------- Webhook handler ---------------------------------- */
 
 async function processWebhook(body, meta = {}, ctx = {}) {
@@ -615,4 +684,4 @@ async function processWebhook(body, meta = {}, ctx = {}) {
   }
 }
 
-module.exports = { createCheckout, processWebhook, events };
+module.exports = { createCheckout, refundPayment, processWebhook, events };
@@ -15,6 +15,7 @@
 const { EventEmitter } = require('events');
 const db = require('../db/db');
 const baseLogger = require('../utils/logger').child('payments.orchestrator');
+const { canonicalizeStatus: canonicalizePagBankStatus } = require('./pagBank/mapPayload');
 
 // Public event bus (singleton)
 const events = new EventEmitter();
@@ -52,6 +53,73 @@ function mapMpToNormalizedStatus(mpStatus) {
   }
 }
 
+/* PagBank → normalized (on top of pagBank/mapPayload canonicalizeStatus):
+ *   PAID (PAID, PAID_OUT, AUTHORIZED, ...)     → APPROVED
+ *   PENDING (IN_ANALYSIS, AWAITING_PAYMENT, ...) → PENDING
+ *   CANCELED ← DECLINED | REFUSED | FAILED     → REJECTED
+ *   CANCELED ← CANCELED | CANCELLED            → CANCELED
+ *   REFUNDED ← CHARGEBACK                      → CHARGED_BACK
+ *   REFUNDED ← REFUNDED | REVERSED | ...       → REFUNDED
+ *   CREATED                                    → CREATED
+ *   EXPIRED                                    → EXPIRED
+ *   (others)                                   → UPDATED
+ *
+ * The canonical PagBank set folds declines into CANCELED and chargebacks into
+ * REFUNDED; we keep the raw status around to split them back out, since the
+ * product handlers react differently to each.
+ */
+const PB_REJECTED_RAW = new Set(['DECLINED', 'REFUSED', 'FAILED']);
+
+function mapPagBankToNormalizedStatus(rawStatus) {
+  const raw = String(rawStatus || '').trim().toUpperCase();
+  switch (canonicalizePagBankStatus(raw)) {
+    case 'PAID':       return 'APPROVED';
+    case 'PENDING':    return 'PENDING';
+    case 'CANCELED':   return PB_REJECTED_RAW.has(raw) ? 'REJECTED' : 'CANCELED';
+    case 'REFUNDED':   return raw === 'CHARGEBACK' ? 'CHARGED_BACK' : 'REFUNDED';
+    case 'CREATED':    return 'CREATED';
+    case 'EXPIRED':    return 'EXPIRED';
+    default:           return 'UPDATED';
+  }
+}
+
+/* PayPal → normalized (order + capture statuses share one matrix):
+ *   COMPLETED (capture / captured order)       → APPROVED
+ *   PENDING (capture under review)             → PENDING
+ *   APPROVED (order approved, not captured)    → PENDING
+ *   PAYER_ACTION_REQUIRED                      → REQUIRES_ACTION
+ *   CREATED | SAVED (order)                    → CREATED
+ *   DECLINED | DENIED | FAILED                 → REJECTED
+ *   VOIDED | CANCELLED | CANCELED              → CANCELED
+ *   REFUNDED | PARTIALLY_REFUNDED              → REFUNDED
+ *   REVERSED (capture reversal/chargeback)     → CHARGED_BACK
+ *   (others)                                   → UPDATED
+ *
+ * When both an order status and a capture status are available, the capture
+ * wins: an order can be COMPLETED while its capture is still PENDING.
+ */
+
+function mapPayPalToNormalizedStatus(ppStatus) {
+  switch (String(ppStatus || '').trim().toUpperCase()) {
+    case 'COMPLETED':             return 'APPROVED';
+    case 'PENDING':
+    case 'APPROVED':              return 'PENDING';
+    case 'PAYER_ACTION_REQUIRED': return 'REQUIRES_ACTION';
+    case 'CREATED':
+    case 'SAVED':                 return 'CREATED';
+    case 'DECLINED':
+    case 'DENIED':
+    case 'FAILED':                return 'REJECTED';
+    case 'VOIDED':
+    case 'CANCELLED':
+    case 'CANCELED':              return 'CANCELED';
+    case 'REFUNDED':
+    case 'PARTIALLY_REFUNDED':    return 'REFUNDED';
+    case 'REVERSED':              return 'CHARGED_BACK';
+    default:                      return 'UPDATED';
+  }
+}
+
 /* -------------------------------- Helpers -------------------------------- */
 
 function toCents(amount) {
@@ -67,26 +135,82 @@ function toDateOrNull(v) {
   return Number.isFinite(d.getTime()) ? d : null;
 }
 
+/** PagBank already reports integer cents; accept number or numeric string. */
+function toIntCentsOrNull(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(n) : null;
+}
+
+/** First charge object across PagBank payload variants (charge, data, charges[]). */
+function pickPagBankCharge(p) {
+  if (!p || typeof p !== 'object') return null;
+  if (p.charge && typeof p.charge === 'object') return p.charge;
+  if (Array.isArray(p.charges) && p.charges.length) return p.charges[0];
+  if (Array.isArray(p.data?.charges) && p.data.charges.length) return p.data.charges[0];
+  if (p.data && typeof p.data === 'object') return p.data;
+  return p;
+}
+
 /**
- * Fetch basic request context to enrich emitted events (product_type, request_id).
- * Prefers request_id; falls back to payment_checkout_id.
+ * Fetch basic request context to enrich emitted events (product_type, request_id),
+ * plus the charged amount / authorization time a reversal must keep.
+ * Prefers request_id; falls back to payment_checkout_id, then payment_payment_id.
  */
-async function getRequestContext({ requestId, checkoutId }) {
-  if (Number.isFinite(requestId)) {
-    const { rows } = await db.query(
-      `SELECT request_id, product_type FROM public.zodika_requests WHERE request_id = $1 LIMIT 1`,
-      [requestId]
-    );
-    return rows[0] || null;
-  }
-  if (checkoutId) {
-    const { rows } = await db.query(
-      `SELECT request_id, product_type FROM public.zodika_requests WHERE payment_checkout_id = $1 LIMIT 1`,
-      [checkoutId]
-    );
-    return rows[0] || null;
+async function getRequestContext({ requestId, checkoutId, paymentId }) {
+  const cols = 'request_id, product_type, payment_amount_cents, payment_authorized_at';
+  let where = null;
+  let key = null;
+  if (Number.isFinite(requestId)) { where = 'request_id'; key = requestId; }
+  else if (checkoutId) { where = 'payment_checkout_id'; key = checkoutId; }
+  else if (paymentId) { where = 'payment_payment_id'; key = paymentId; }
+  if (!where) return null;
+
+  const { rows } = await db.query(
+    `SELECT ${cols} FROM public.zodika_requests WHERE ${where} = $1 LIMIT 1`,
+    [key]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Flatten a PayPal order (Orders API / capture response) or a bare capture
+ * resource (PAYMENT.CAPTURE.* webhooks) into the fields the snapshot needs.
+ * Our request id travels as purchase_units[0].reference_id and custom_id;
+ * captures only echo custom_id.
+ */
+function extractPayPalFields(obj) {
+  const o = obj && typeof obj === 'object' ? obj : {};
+  const pu = Array.isArray(o.purchase_units) ? o.purchase_units[0] : null;
+
+  if (pu) {
+    const captures = Array.isArray(pu.payments?.captures) ? pu.payments.captures : [];
+    const capture = captures[0] || null;
+    return {
+      orderId:      o.id || null,
+      captureId:    capture?.id || null,
+      status:       capture?.status || o.status || null,
+      statusDetail: capture?.status_details?.reason || null,
+      amount:       capture?.amount?.value ?? pu.amount?.value ?? null,
+      currency:     capture?.amount?.currency_code || pu.amount?.currency_code || null,
+      requestRef:   pu.custom_id || pu.reference_id || capture?.custom_id || null,
+      authorizedAt: capture?.status === 'COMPLETED'
+        ? (capture.update_time || capture.create_time || null)
+        : null,
+    };
   }
-  return null;
+
+  // Bare capture resource
+  return {
+    orderId:      o.supplementary_data?.related_ids?.order_id || null,
+    captureId:    o.id || null,
+    status:       o.status || null,
+    statusDetail: o.status_details?.reason || null,
+    amount:       o.amount?.value ?? null,
+    currency:     o.amount?.currency_code || null,
+    requestRef:   o.custom_id || null,
+    authorizedAt: o.status === 'COMPLETED' ? (o.update_time || o.create_time || null) : null,
+  };
 }
 
 /* ------------------------------ Snapshots -------------------------------- */
@@ -94,16 +218,17 @@ async function getRequestContext({ requestId, checkoutId }) {
 /**
  * snapshotCheckoutCreated
  * -----------------------
- * Called when a checkout preference is created (no payment yet).
- * Writes provider=MP, status=CREATED, checkout_id, link, amount, currency,
- * and emits 'payments:status-changed' with normalizedStatus='CREATED'.
+ * Called when a checkout (MP preference / PagBank checkout / PayPal order)
+ * is created (no payment yet). Writes provider, status=CREATED, checkout_id,
+ * link, amount, currency, and emits 'payments:status-changed' with
+ * normalizedStatus='CREATED'. `provider` defaults to 'MP' for older callers.
  */
-async function snapshotCheckoutCreated({ requestId, checkoutId, link, amountCents, currency = 'BRL' }) {
-  const log = baseLogger.child('snapshot.created', { requestId, checkoutId });
+async function snapshotCheckoutCreated({ requestId, checkoutId, link, amountCents, currency = 'BRL', provider = 'MP' }) {
+  const log = baseLogger.child('snapshot.created', { requestId, checkoutId, provider });
 
   const sql = `
     UPDATE public.zodika_requests
-       SET payment_provider      = 'MP',
+       SET payment_provider      = $6,
            payment_status        = 'CREATED',
            payment_status_detail = NULL,
            payment_amount_cents  = $2,
@@ -116,7 +241,7 @@ async function snapshotCheckoutCreated({ requestId, checkoutId, link, amountCent
            updated_at            = NOW()
      WHERE request_id            = $1
   `;
-  const params = [requestId, amountCents ?? null, currency ?? null, checkoutId ?? null, link ?? null];
+  const params = [requestId, amountCents ?? null, currency ?? null, checkoutId ?? null, link ?? null, provider];
 
   try {
     const t0 = Date.now();
@@ -135,7 +260,7 @@ async function snapshotCheckoutCreated({ requestId, checkoutId, link, amountCent
     events.emit('payments:status-changed', {
       requestId,
       productType: ctx?.product_type || null,
-      provider: 'MP',
+      provider,
       normalizedStatus: 'CREATED',
       statusDetail: null,
       amountCents: amountCents ?? null,
@@ -150,6 +275,79 @@ async function snapshotCheckoutCreated({ requestId, checkoutId, link, amountCent
   }
 }
 
+/**
+ * writePaymentSnapshot (internal)
+ * -------------------------------
+ * Provider-agnostic writer for the payment_* columns of zodika_requests.
+ * Prefers update by request_id; falls back to payment_checkout_id when the
+ * provider payload does not carry a usable reference.
+ */
+async function writePaymentSnapshot(provider, snap, log) {
+  const byRequestId = Number.isFinite(snap.requestId);
+
+  const sql = `
+    UPDATE public.zodika_requests
+       SET payment_provider      = $2,
+           payment_status        = $3,
+           payment_status_detail = $4,
+           payment_amount_cents  = COALESCE($5, payment_amount_cents),
+           payment_currency      = COALESCE($6, payment_currency),
+           payment_checkout_id   = COALESCE($7, payment_checkout_id),
+           payment_payment_id    = COALESCE($8, payment_payment_id),
+           payment_link          = COALESCE($9, payment_link),
+           payment_authorized_at = $10,
+           payment_updated_at    = NOW(),
+           updated_at            = NOW()
+     WHERE ${byRequestId ? 'request_id = $1' : 'payment_checkout_id = $1'}
+  `;
+
+  const params = [
+    byRequestId ? snap.requestId : snap.checkoutId,   // $1
+    provider,                                         // $2
+    snap.normalizedStatus,                            // $3
+    snap.statusDetail,                                // $4
+    snap.amountCents,                                 // $5
+    snap.currency,                                    // $6
+    snap.checkoutId,                                  // $7
+    snap.paymentId,                                   // $8
+    snap.link,                                        // $9
+    snap.authorizedAt,                                // $10
+  ];
+
+  try {
+    const t0 = Date.now();
+    await db.query(sql, params);
+    log.info(
+      { durationMs: Date.now() - t0 },
+      `payment snapshot updated (by ${byRequestId ? 'request_id' : 'checkout_id'})`
+    );
+  } catch (err) {
+    log.error({ err: err.message }, 'payment snapshot update failed');
+  }
+}
+
+/** Emit the normalized domain event for downstream product handlers. */
+function emitStatusChanged(provider, snap, ctx, extra) {
+  try {
+    events.emit('payments:status-changed', {
+      requestId: Number.isFinite(snap.requestId) ? snap.requestId : (ctx?.request_id ?? null),
+      productType: ctx?.product_type || null,
+      provider,
+      normalizedStatus: snap.normalizedStatus,   // e.g., 'APPROVED', 'PENDING', ...
+      statusDetail: snap.statusDetail,
+      amountCents: snap.amountCents,
+      currency: snap.currency,
+      checkoutId: snap.checkoutId || null,
+      paymentId: snap.paymentId,
+      authorizedAt: snap.authorizedAt,
+      link: snap.link ?? null,
+      ...(extra || {}),
+    });
+  } catch (e) {
+    baseLogger.warn({ msg: e.message }, 'emit status-changed failed');
+  }
+}
+
 /**
  * updateFromMP
  * ------------
@@ -172,100 +370,255 @@ async function updateFromMP(payment, opts = {}) {
 
   const log = baseLogger.child('update.mp', { requestId, preferenceId });
 
-  const normalizedStatus = mapMpToNormalizedStatus(payment?.status);
-  const statusDetail     = payment?.status_detail || null;
-  const amountCents      = toCents(payment?.transaction_amount);
-  const currency         = payment?.currency_id || 'BRL';
-  const paymentId        = payment?.id ? String(payment.id) : null;
-  const authAt           = toDateOrNull(payment?.date_approved);
+  const snap = {
+    requestId,
+    normalizedStatus: mapMpToNormalizedStatus(payment?.status),
+    statusDetail:     payment?.status_detail || null,
+    amountCents:      toCents(payment?.transaction_amount),
+    currency:         payment?.currency_id || 'BRL',
+    checkoutId:       preferenceId,
+    paymentId:        payment?.id ? String(payment.id) : null,
+    link,
+    authorizedAt:     toDateOrNull(payment?.date_approved),
+  };
 
-  // Prefer update by request_id; if missing, update by checkout_id.
-  const sqlByRequestId = `
-    UPDATE public.zodika_requests
-       SET payment_provider      = 'MP',
-           payment_status        = $2,
-           payment_status_detail = $3,
-           payment_amount_cents  = $4,
-           payment_currency      = $5,
-           payment_checkout_id   = COALESCE($6, payment_checkout_id),
-           payment_payment_id    = $7,
-           payment_link          = COALESCE($8, payment_link),
-           payment_authorized_at = $9,
-           payment_updated_at    = NOW(),
-           updated_at            = NOW()
-     WHERE request_id            = $1
-  `;
+  // Enrich event with product_type / possibly resolve request_id by checkout
+  let ctx = null;
+  try { ctx = await getRequestContext({ requestId, checkoutId: preferenceId }); } catch (_) { /* ignore */ }
 
-  const sqlByCheckoutId = `
-    UPDATE public.zodika_requests
-       SET payment_provider      = 'MP',
-           payment_status        = $2,
-           payment_status_detail = $3,
-           payment_amount_cents  = $4,
-           payment_currency      = $5,
-           payment_checkout_id   = COALESCE($6, payment_checkout_id),
-           payment_payment_id    = $7,
-           payment_link          = COALESCE($8, payment_link),
-           payment_authorized_at = $9,
-           payment_updated_at    = NOW(),
-           updated_at            = NOW()
-     WHERE payment_checkout_id   = $10
-  `;
+  await writePaymentSnapshot('MP', snap, log);
+  emitStatusChanged('MP', snap, ctx);
+}
 
-  const paramsCommon = [
-    normalizedStatus,                       // $2 (now 'APPROVED' when MP says 'approved')
-    statusDetail,                           // $3
-    amountCents,                            // $4
-    currency,                               // $5
-    preferenceId,                           // $6
-    paymentId,                              // $7
-    link,                                   // $8
-    authAt,                                 // $9
-  ];
+/**
+ * updateFromPagBank
+ * -----------------
+ * Called from the PagBank webhook with the raw payload and the fields already
+ * extracted by mapWebhookPayload. Same contract as updateFromMP: writes the
+ * provider-agnostic snapshot and emits 'payments:status-changed'.
+ *
+ * opts:
+ *  - requestId: number (preferred; comes from reference_id)
+ *  - checkoutId: string (fallback when requestId is unavailable)
+ *  - chargeId: string (stored as payment_payment_id)
+ *  - status: raw provider status (before canonicalization)
+ *  - link: string (optional; PAY link saved on pagbank_request)
+ */
+async function updateFromPagBank(payload, opts = {}) {
+  const requestId  = Number(opts.requestId);
+  const checkoutId = opts.checkoutId || null;
+
+  if (!Number.isFinite(requestId) && !checkoutId) return;
+
+  const log = baseLogger.child('update.pagbank', { requestId, checkoutId });
+
+  const charge = pickPagBankCharge(payload);
+  const snap = {
+    requestId,
+    normalizedStatus: mapPagBankToNormalizedStatus(opts.status ?? charge?.status),
+    statusDetail:     charge?.payment_response?.message || charge?.payment_response?.code || null,
+    amountCents:      toIntCentsOrNull(charge?.amount?.value),
+    currency:         charge?.amount?.currency || 'BRL',
+    checkoutId,
+    paymentId:        opts.chargeId ? String(opts.chargeId) : null,
+    link:             opts.link ?? null,
+    authorizedAt:     toDateOrNull(charge?.paid_at),
+  };
 
-  // Enrich event with product_type / possibly resolve request_id by checkout
   let ctx = null;
-  try { ctx = await getRequestContext({ requestId, checkoutId: preferenceId }); } catch (_) { /* ignore */ }
+  try { ctx = await getRequestContext({ requestId, checkoutId }); } catch (_) { /* ignore */ }
+
+  await writePaymentSnapshot('PAGBANK', snap, log);
+  emitStatusChanged('PAGBANK', snap, ctx);
+}
+
+/**
+ * updateFromPayPal
+ * ----------------
+ * Called after an order capture (Orders API response) and from
+ * PAYMENT.CAPTURE.* webhooks (capture resource). Same contract as
+ * updateFromMP: writes the snapshot and emits 'payments:status-changed'.
+ *
+ * opts:
+ *  - requestId: number (preferred; otherwise resolved from custom_id / reference_id)
+ *  - orderId: string (stored as payment_checkout_id; fallback lookup key)
+ *  - status: raw PayPal status override (optional)
+ *  - link: string (optional; approval URL)
+ *  - reversal: true when `resource` is a refund or a dispute, not a capture
+ *    (PAYMENT.CAPTURE.REFUNDED / REVERSED, CUSTOMER.DISPUTE.*). See applyPayPalReversal.
+ *  - captureId / refundedTotalCents / statusDetail: reversal only
+ */
+async function updateFromPayPal(resource, opts = {}) {
+  if (opts.reversal) return applyPayPalReversal(resource, opts);
+
+  const f = extractPayPalFields(resource);
+
+  let requestId = Number(opts.requestId);
+  if (!Number.isFinite(requestId) && f.requestRef != null) requestId = Number(f.requestRef);
+  const orderId = opts.orderId || f.orderId || null;
 
-  const effectiveRequestId = Number.isFinite(requestId)
-    ? requestId
-    : (ctx?.request_id ?? null);
+  if (!Number.isFinite(requestId) && !orderId) return;
+
+  const log = baseLogger.child('update.paypal', { requestId, orderId });
+
+  const snap = {
+    requestId,
+    normalizedStatus: mapPayPalToNormalizedStatus(opts.status ?? f.status),
+    statusDetail:     f.statusDetail,
+    amountCents:      toCents(f.amount),
+    currency:         f.currency,
+    checkoutId:       orderId,
+    paymentId:        f.captureId ? String(f.captureId) : null,
+    link:             opts.link ?? null,
+    authorizedAt:     toDateOrNull(f.authorizedAt),
+  };
+
+  let ctx = null;
+  try { ctx = await getRequestContext({ requestId, checkoutId: orderId }); } catch (_) { /* ignore */ }
 
+  await writePaymentSnapshot('PAYPAL', snap, log);
+  emitStatusChanged('PAYPAL', snap, ctx);
+}
+
+/**
+ * Refund / chargeback of a PayPal capture. The resource amount and id belong to
+ * the refund (or dispute), so the row keeps its charged amount, capture id and
+ * authorization time. The request is found by opts.requestId, opts.orderId or
+ * the reversed capture (opts.captureId). A refund is partial while
+ * opts.refundedTotalCents is below the charged amount.
+ *
+ * Refunds carry the same `refund` block as recordRefund (refundId is PayPal's
+ * refund id here). Refunds we issued ourselves are skipped: recordRefund
+ * already wrote and announced them.
+ */
+async function applyPayPalReversal(resource, opts) {
+  const r = resource && typeof resource === 'object' ? resource : {};
+  const captureId = opts.captureId ? String(opts.captureId) : null;
+
+  let ctx = null;
   try {
-    const t0 = Date.now();
-    if (Number.isFinite(requestId)) {
-      await db.query(sqlByRequestId, [requestId, ...paramsCommon]);
-      log.info({ durationMs: Date.now() - t0 }, 'payment snapshot updated (by request_id)');
-    } else {
-      await db.query(sqlByCheckoutId, [...paramsCommon, preferenceId]);
-      log.info({ durationMs: Date.now() - t0 }, 'payment snapshot updated (by checkout_id)');
-    }
-  } catch (err) {
-    log.error({ err: err.message }, 'payment snapshot update failed');
+    ctx = await getRequestContext({
+      requestId: Number(opts.requestId),
+      checkoutId: opts.orderId || null,
+      paymentId: captureId,
+    });
+  } catch (_) { /* ignore */ }
+
+  const requestId = Number(ctx?.request_id ?? opts.requestId);
+  if (!Number.isFinite(requestId)) {
+    baseLogger.warn({ captureId, orderId: opts.orderId || null }, 'PayPal reversal for an unknown request; skipped');
+    return;
   }
 
-  // Emit normalized event for downstream product handlers
+  const log = baseLogger.child('update.paypal', { requestId, captureId });
+
+  const normalizedStatus = mapPayPalToNormalizedStatus(opts.status ?? r.status);
+  if (normalizedStatus === 'REFUNDED' && r.id && await isIssuedRefund('PAYPAL', r.id)) {
+    log.info({ refundId: r.id }, 'refund issued by us; already recorded');
+    return;
+  }
+
+  const paid = toIntCentsOrNull(ctx?.payment_amount_cents);
+  const total = toIntCentsOrNull(opts.refundedTotalCents);
+  const partial = normalizedStatus === 'REFUNDED' && paid != null && total != null && total < paid;
+
+  const snap = {
+    requestId,
+    normalizedStatus,
+    statusDetail:     normalizedStatus === 'REFUNDED'
+      ? (partial ? 'partially_refunded' : 'refunded')
+      : (opts.statusDetail ?? r.status_details?.reason ?? null),
+    amountCents:      null, // keep the charged amount
+    currency:         null,
+    checkoutId:       opts.orderId || null,
+    paymentId:        captureId,
+    link:             null,
+    authorizedAt:     toDateOrNull(ctx?.payment_authorized_at),
+  };
+
+  await writePaymentSnapshot('PAYPAL', snap, log);
+  emitStatusChanged('PAYPAL', { ...snap, amountCents: paid }, ctx, normalizedStatus === 'REFUNDED'
+    ? {
+        refund: {
+          refundId: r.id ?? null,
+          amountCents: toCents(r.amount?.value),
+          refundedTotalCents: total,
+          partial,
+        },
+      }
+    : undefined);
+}
+
+/** True when payments/refunds issued this provider refund (best-effort lookup). */
+async function isIssuedRefund(provider, providerRefundId) {
   try {
-    events.emit('payments:status-changed', {
-      requestId: effectiveRequestId,
-      productType: ctx?.product_type || null,
-      provider: 'MP',
-      normalizedStatus,               // e.g., 'APPROVED', 'PENDING', ...
-      statusDetail,
-      amountCents,
-      currency,
-      checkoutId: preferenceId || null,
-      paymentId,
-      authorizedAt: authAt,
-      link: link ?? null,
-    });
-  } catch (e) {
-    baseLogger.warn({ msg: e.message }, 'emit status-changed failed');
+    const { rows } = await db.query(
+      `SELECT 1 FROM public.payment_refunds WHERE provider = $1 AND provider_refund_id = $2 LIMIT 1`,
+      [provider, String(providerRefundId)]
+    );
+    return rows.length > 0;
+  } catch (_) {
+    return false;
   }
 }
 
+/**
+ * recordRefund
+ * ------------
+ * Called by payments/refunds after a provider accepted a refund we issued.
+ * Writes status REFUNDED (detail 'refunded' | 'partially_refunded') and emits
+ * 'payments:status-changed' with an extra `refund` block:
+ *   { refundId, amountCents, refundedTotalCents, partial }
+ *
+ * opts:
+ *  - requestId, provider (MP | PAGBANK | PAYPAL)
+ *  - refundId (our payment_refunds.refund_id), amountCents (this refund)
+ *  - refundedTotalCents (all successful refunds so far), paymentAmountCents
+ *  - currency, checkoutId, paymentId, authorizedAt (kept as-is on the snapshot)
+ */
+async function recordRefund(opts = {}) {
+  const requestId = Number(opts.requestId);
+  if (!Number.isFinite(requestId) || !opts.provider) return;
+
+  const log = baseLogger.child('update.refund', { requestId, provider: opts.provider });
+
+  const paid = toIntCentsOrNull(opts.paymentAmountCents);
+  const total = toIntCentsOrNull(opts.refundedTotalCents) ?? 0;
+  const partial = paid != null ? total < paid : false;
+
+  const snap = {
+    requestId,
+    normalizedStatus: 'REFUNDED',
+    statusDetail:     partial ? 'partially_refunded' : 'refunded',
+    amountCents:      null, // keep the charged amount
+    currency:         opts.currency || null,
+    checkoutId:       opts.checkoutId || null,
+    paymentId:        opts.paymentId ? String(opts.paymentId) : null,
+    link:             null,
+    authorizedAt:     toDateOrNull(opts.authorizedAt),
+  };
+
+  let ctx = null;
+  try { ctx = await getRequestContext({ requestId }); } catch (_) { /* ignore */ }
+
+  await writePaymentSnapshot(opts.provider, snap, log);
+  emitStatusChanged(opts.provider, { ...snap, amountCents: paid }, ctx, {
+    refund: {
+      refundId: opts.refundId ?? null,
+      amountCents: toIntCentsOrNull(opts.amountCents),
+      refundedTotalCents: total,
+      partial,
+    },
+  });
+}
+
 module.exports = {
   events,                    // exported EventEmitter
   snapshotCheckoutCreated,
   updateFromMP,
+  updateFromPagBank,
+  updateFromPayPal,
+  recordRefund,
+  mapPagBankToNormalizedStatus,
+  mapPayPalToNormalizedStatus,
 };
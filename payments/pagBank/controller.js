@@ -4,6 +4,7 @@
 const pagbankService = require('./service');
 const pagbankRepository = require('./repository');
 const birthchartRepository = require('../../modules/birthchart/repository');
+const catalog = require('../../modules/catalog/service');
 const AppError = require('../../utils/appError');
 const baseLogger = require('../../utils/logger').child('payments.pagbank.controller');
 
@@ -83,32 +84,28 @@ async function handleReturn(req, res) {
 
   const checkoutId = req.query.checkout_id || req.query.checkoutId || null;
   const status = String(req.query.status || '').toUpperCase();
-  let requestId = req.query.request_id || req.query.requestId || null;
+  // Browser-supplied references must be public ids (never the sequential request_id)
+  const publicRef = req.query.ref || req.query.request_id || req.query.requestId || null;
 
   try {
-    if (!requestId && checkoutId && typeof pagbankRepository.findByCheckoutId === 'function') {
+    let r = null;
+    if (checkoutId && typeof pagbankRepository.findByCheckoutId === 'function') {
       const rec = await pagbankRepository.findByCheckoutId(checkoutId);
-      requestId = rec?.request_id || requestId;
+      if (rec?.request_id) r = await birthchartRepository.findByRequestId(rec.request_id);
     }
-
-    let productType = null;
-    if (requestId && typeof birthchartRepository.findByRequestId === 'function') {
-      const r = await birthchartRepository.findByRequestId(requestId);
-      productType = r?.product_type || null;
+    if (!r && publicRef) {
+      r = await birthchartRepository.findByPublicId(String(publicRef));
     }
+    const ref = r?.public_id || null;
 
-    const successUrlByProduct = {
-      birth_chart: (id) =>
-        `https://www.zodika.com.br/birthchart-payment-success?ref=${encodeURIComponent(id)}`,
-    };
-    const failUrl = 'https://www.zodika.com.br/payment-fail';
-    const pendingUrl = 'https://www.zodika.com.br/payment-pending';
+    // Product-specific return pages come from the catalog (defaults for unknown products).
+    const urls = catalog.getReturnUrls(r?.product_type || null, ref);
+    const failUrl = urls.fail;
+    const pendingUrl = urls.pending;
 
     if (status === 'APPROVED' || status === 'PAID') {
-      if (!requestId) return res.redirect('https://www.zodika.com.br/payment-success');
-
-      const resolver = successUrlByProduct[productType] || successUrlByProduct.birth_chart;
-      return res.redirect(resolver(requestId));
+      if (!ref) return res.redirect(catalog.getReturnUrls(null).success);
+      return res.redirect(urls.success);
     }
 
     if (status === 'PENDING') {
@@ -118,7 +115,7 @@ async function handleReturn(req, res) {
     return res.redirect(failUrl);
   } catch (err) {
     (req.log || baseLogger).logError(err, { where: 'pagbank.controller.handleReturn' });
-    return res.redirect('https://www.zodika.com.br/payment-fail');
+    return res.redirect(catalog.getReturnUrls(null).fail);
   }
 }
 
@@ -11,6 +11,7 @@
  *     chargeId,       // when applicable
  *     referenceId,    // external reference / request id
  *     status,         // canonical uppercased status; defaults to 'CREATED' for checkout-only events
+ *     rawStatus,      // provider status before canonicalization (uppercased) when present
  *     customer,       // { name, email, tax_id } when available
  *   }
  */
@@ -102,14 +103,18 @@ function canonicalizeStatus(rawUpper) {
  * Business rule: a "checkout-only" event (no explicit status AND has checkout ID but no charge ID)
  * must be treated as the start of the flow → 'CREATED'.
  */
-function mapStatus(p, objectType, { chargeId, checkoutId }) {
-  const raw = first(
+function pickRawStatus(p) {
+  return first(
     p?.status,
     p?.data?.status,
     p?.charge?.status,
     p?.checkout?.status,
     p?.current_status
   );
+}
+
+function mapStatus(p, objectType, { chargeId, checkoutId }) {
+  const raw = pickRawStatus(p);
 
   if (!raw) {
     if (objectType === 'checkout') return 'CREATED';
@@ -195,8 +200,9 @@ function mapWebhookPayload(payload) {
     chargeId: ids.chargeId,
     referenceId: ids.referenceId,
     status,
+    rawStatus: upper(pickRawStatus(p)),
     customer,
   };
 }
 
-module.exports = { mapWebhookPayload };
+module.exports = { mapWebhookPayload, canonicalizeStatus };
@@ -6,6 +6,8 @@
  * Responsibilities
  *   - Create hosted checkouts.
  *   - Process PagBank webhooks (feed mapping via mapWebhookPayload).
+ *   - Keep zodika_requests in sync via the payments orchestrator
+ *     (normalized 'payments:status-changed' event).
  *   - Emit domain events ("payment:paid") on PAID.
  *
  * Non-functional
@@ -16,6 +18,8 @@
  *
  * API
  *   - createCheckout(input, ctx?) -> { url, checkoutId }
+ *   - refundCharge(input, ctx?) -> { refundId, status, amountCents, raw }
+ *       input: { chargeId, amountCents, idempotencyKey }
  *   - processWebhook(payload, meta, ctx?) -> { ok, ... }
  *   - events (EventEmitter)
  */
@@ -29,6 +33,7 @@ const uuid = () => (crypto.randomUUID ? crypto.randomUUID() : Math.random().toSt
 const { env } = require('../../config/env');
 const pagbankRepository = require('./repository');
 const { mapWebhookPayload } = require('./mapPayload');
+const orchestrator = require('../orchestrator');
 
 const events = new EventEmitter();
 
@@ -198,6 +203,8 @@ async function createCheckout(input, ctx = {}) {
       timeout: PER_ATTEMPT_TIMEOUT_MS,
       retries: RETRIES,
       retryBackoffMs: [0, 250],
+      circuitBreaker: true,
+      ...(ctx.signal ? { signal: ctx.signal } : {}),
     });
 
     observe(op, res?.status, t0);
@@ -231,6 +238,19 @@ async function createCheckout(input, ctx = {}) {
       raw: data,
     });
 
+    try {
+      await orchestrator.snapshotCheckoutCreated({
+        requestId: Number(requestId),
+        checkoutId: data.id || null,
+        link: payLink,
+        amountCents: valueNum,
+        currency: currency || 'BRL',
+        provider: 'PAGBANK',
+      });
+    } catch (e) {
+      log.warn({ msg: e?.message }, 'could not snapshot CREATED state');
+    }
+
     // Best-effort audit trail
     try {
       await pagbankRepository.logEvent({
@@ -266,13 +286,80 @@ async function createCheckout(input, ctx = {}) {
   }
 }
 
+/**
+ * Refund a charge (full or partial) via POST /charges/{id}/cancel.
+ * PagBank answers with the charge itself; `amount.summary.refunded` tells how
+ * much of it is refunded so far. Safe to retry with the same idempotency key.
+ */
+async function refundCharge(input, ctx = {}) {
+  const { chargeId, amountCents, idempotencyKey } = input || {};
+  const log = (ctx.log || baseLogger).child('refund', { rid: ctx.requestId });
+
+  const cents = Number(amountCents);
+  if (!chargeId || !idempotencyKey || !Number.isInteger(cents) || cents <= 0) {
+    throw AppError.fromUnexpected(
+      'pagbank_refund_failed',
+      'chargeId, idempotencyKey and integer amountCents > 0 are required',
+      { status: 400 }
+    );
+  }
+
+  const PB_TOKEN = process.env.PAGBANK_API_TOKEN || env.PAGBANK_API_TOKEN;
+  if (!PB_TOKEN) {
+    throw AppError.fromUnexpected('pagbank_config_missing', 'PAGBANK_API_TOKEN is not configured', { status: 500 });
+  }
+
+  const base = (process.env.PAGBANK_BASE_URL || env.PAGBANK_BASE_URL || 'https://api.pagbank.com.br').replace(/\/+$/, '');
+  const url = `${base}/charges/${encodeURIComponent(chargeId)}/cancel`;
+
+  const op = 'refund_charge';
+  const t0 = process.hrtime.bigint();
+
+  try {
+    const res = await httpClient.post(url, { amount: { value: cents } }, {
+      headers: {
+        Authorization: `Bearer ${PB_TOKEN}`,
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        'X-Idempotency-Key': String(idempotencyKey),
+      },
+      timeout: 15_000,
+      retries: 1, // idempotent by key
+      retryBackoffMs: [0, 500],
+      circuitBreaker: true,
+      ...(ctx.signal ? { signal: ctx.signal } : {}),
+    });
+    observe(op, res?.status, t0);
+
+    const data = res?.data || {};
+    log.info({ status: res?.status, chargeStatus: data.status || null }, 'charge refunded');
+    return {
+      refundId: null, // PagBank has no separate refund resource
+      status: data.status || null,
+      amountCents: cents,
+      raw: data,
+    };
+  } catch (e) {
+    observe(op, e?.response?.status || 'ERR', t0);
+    log.error({ status: e?.response?.status, msg: e?.message }, 'refund charge failed');
+    throw AppError.fromUpstream(
+      'pagbank_refund_failed',
+      'Failed to refund charge with PagBank',
+      e,
+      { provider: 'pagbank', endpoint: 'charges/cancel' }
+    );
+  }
+}
+
 /* -------------------------------- Webhook handler ---------------------------------- */
 
 async function processWebhook(p, meta = {}, ctx = {}) {
   const log = (ctx.log || baseLogger).child('webhook', { rid: ctx.requestId });
 
   try {
-    const { eventId, objectType, checkoutId, chargeId, referenceId, status, customer } = mapWebhookPayload(p);
+    const {
+      eventId, objectType, checkoutId, chargeId, referenceId, status, rawStatus, customer,
+    } = mapWebhookPayload(p);
 
     const logged = await pagbankRepository.logEvent({
       event_uid: eventId,
@@ -304,6 +391,33 @@ async function processWebhook(p, meta = {}, ctx = {}) {
       });
     }
 
+    /* ---- Payment snapshot → zodika_requests ---------------------------------- */
+    // reference_id is our request_id (see createCheckout); fall back to the
+    // checkout/charge records when the webhook does not carry it.
+    let reqIdNum = Number(referenceId);
+    let pbLink;
+    if (checkoutId) {
+      try {
+        const rec = await pagbankRepository.findByCheckoutId(checkoutId);
+        pbLink = rec?.link || undefined;
+        if (!Number.isFinite(reqIdNum) && rec?.request_id != null) reqIdNum = Number(rec.request_id);
+      } catch (e) {
+        log.warn({ msg: e.message }, 'could not read pagbank_request link');
+      }
+    }
+
+    try {
+      await orchestrator.updateFromPagBank(p, {
+        requestId: Number.isFinite(reqIdNum) ? reqIdNum : undefined,
+        checkoutId: checkoutId || undefined,
+        chargeId: chargeId || undefined,
+        status: rawStatus || status,
+        link: pbLink,
+      });
+    } catch (e) {
+      log.warn({ msg: e.message }, 'payment snapshot skipped');
+    }
+
     if (status === 'PAID') {
       const record = chargeId
         ? await pagbankRepository.findByChargeId(chargeId)
@@ -326,4 +440,4 @@ async function processWebhook(p, meta = {}, ctx = {}) {
   }
 }
 
-module.exports = { createCheckout, processWebhook, events };
+module.exports = { createCheckout, refundCharge, processWebhook, events };
@@ -3,6 +3,8 @@
 
 const paypalService         = require('./service');
 const birthchartRepository  = require('../../modules/birthchart/repository');
+const catalog               = require('../../modules/catalog/service');
+const priceAuthority        = require('../priceAuthority');
 const AppError              = require('../../utils/appError');
 const baseLogger            = require('../../utils/logger').child('payments.paypal.controller');
 const orchestrator          = require('../../payments/orchestrator');
@@ -20,19 +22,34 @@ function echoRequestId(req, res) {
   return rid;
 }
 
+// Payment statuses a new order may replace (same set as the birthchart resume
+// link). PayPal PENDING is a capture under review, so it is not one of them.
+const OPENABLE_STATUSES = new Set(['CREATED', 'PENDING', 'REJECTED', 'CANCELED', 'EXPIRED']);
+
+/** Whether a new PayPal order may be opened for the request (no status = no checkout yet). */
+function canOpenCheckout(row) {
+  const status = String(row?.payment_status || '').toUpperCase();
+  if (!status) return true;
+  if (status === 'PENDING' && row.payment_provider === 'PAYPAL') return false;
+  return OPENABLE_STATUSES.has(status);
+}
+
 /**
  * POST /paypal/checkout
- * Creates a PayPal order for the given request/product.
+ * Creates a PayPal order for a persisted request.
  *
- * Expected body fields (mirroring MP as much as possible):
- *  - requestId   (required)
- *  - name        (optional, payer name)
- *  - email       (optional, payer email)
- *  - productType (required, e.g. "birth_chart")
- *  - productValue (required, integer cents)
- *  - productName  (optional, human-readable name)
+ * Expected body fields:
+ *  - ref         (required) – public id of the request (`requestId` accepted as an alias)
+ *  - name        (optional, payer name; defaults to the request's)
+ *  - email       (optional, payer email; defaults to the request's)
  *  - paymentOptions (optional, mirrors MP structure)
- *  - currency      (optional, default "BRL")
+ *
+ * Price authority: amount, currency and product come from the persisted request
+ * and the catalog (payments/priceAuthority). Client-sent `productValue`,
+ * `currency`, `productType` and `productName` are ignored (a mismatch is logged).
+ *
+ * 409 paypal_checkout_not_allowed when the request is paid, refunded, charged
+ * back or has a capture under review: a new order would reset its payment snapshot.
  */
 async function createCheckout(req, res) {
   const rid = echoRequestId(req, res);
@@ -40,38 +57,69 @@ async function createCheckout(req, res) {
 
   try {
     const {
-      requestId,
+      ref: bodyRef,
+      requestId: legacyRef,
       name,
       email,
-      productType,
-      productValue,
-      productName,
+      productType: clientProductType,
+      productValue: clientValue,
+      currency: clientCurrency,
       paymentOptions,
-      currency,
     } = req.body || {};
+    const ref = bodyRef || legacyRef;
 
-    if (!requestId || !productType || !productValue) {
+    if (!ref) {
       log.warn({ reason: 'missing_fields' }, 'invalid request');
       return res.status(400).json({
         error: 'invalid_request',
-        details: 'requestId, productType and productValue are required.',
+        details: 'ref is required.',
       });
     }
 
+    const request = await birthchartRepository.findByPublicId(String(ref));
+    if (!request) {
+      return res.status(404).json({ error: 'not_found' });
+    }
+    if (!canOpenCheckout(request)) {
+      log.warn({ requestId: request.request_id, status: request.payment_status }, 'checkout refused for payment status');
+      return res.status(409).json({
+        error: 'paypal_checkout_not_allowed',
+        details: { context: 'paypal', paymentStatus: request.payment_status },
+      });
+    }
+    const price = priceAuthority.expectedCharge(request);
+
+    if ((clientValue != null && Number(clientValue) !== price.amountCents) ||
+        (clientCurrency && String(clientCurrency).toUpperCase() !== price.currency) ||
+        (clientProductType && clientProductType !== price.productType)) {
+      log.warn(
+        { requestId: request.request_id, expectedCents: price.amountCents, currency: price.currency },
+        'client-supplied price ignored'
+      );
+    }
+
     const result = await paypalService.createCheckout(
       {
-        requestId,
-        name,
-        email,
-        productType,
-        productValue,
-        productName,
+        requestId:    request.request_id,
+        name:         name || request.name,
+        email:        email || request.email,
+        productType:  price.productType,
+        productValue: price.amountCents,
+        productName:  price.productName,
         paymentOptions,
-        currency,
+        currency:     price.currency,
       },
       { requestId: rid, log }
     );
 
+    // Captures of this order are verified against the price it was created with.
+    await priceAuthority.recordCheckoutCharge(request.request_id, {
+      amountCents: price.amountCents,
+      currency:    price.currency,
+    }).catch((e) => {
+      log.warn({ msg: e?.message }, 'could not persist checkout charge');
+    });
+
     // Convention: service should return { orderId, approvalUrl? }
     return res.status(201).json({
       orderId: result.orderId,
@@ -102,11 +150,13 @@ async function createCheckout(req, res) {
  *
  * Expected body fields:
  *  - orderId   (required)  – PayPal order id returned on checkout
- *  - requestId (optional)  – internal request id for extra safety
+ *    (the request is resolved from the order itself, never from the body)
  *
  * Behavior:
  *  - Delegates capture to service (PayPal Orders API).
- *  - Lets service update internal records / orchestrator as needed.
+ *  - Lets service update internal records / orchestrator as needed; the service
+ *    refuses to trust an approval whose captured amount differs from the
+ *    expected price (409 paypal_amount_mismatch).
  *  - Returns minimal normalized payload for frontend.
  */
 async function captureOrder(req, res) {
@@ -114,7 +164,7 @@ async function captureOrder(req, res) {
   const log = (req.log || baseLogger).child('captureOrder', { rid });
 
   try {
-    const { orderId, orderID, requestId } = req.body || {};
+    const { orderId, orderID } = req.body || {};
     const finalOrderId = orderId || orderID;
 
     if (!finalOrderId) {
@@ -126,10 +176,7 @@ async function captureOrder(req, res) {
     }
 
     const capture = await paypalService.captureOrder(
-      {
-        orderId: finalOrderId,
-        requestId: requestId || null,
-      },
+      { orderId: finalOrderId },
       { requestId: rid, log }
     );
 
@@ -158,64 +205,138 @@ async function captureOrder(req, res) {
   }
 }
 
+/**
+ * GET /paypal/return?token=<orderId>&PayerID=...
+ * Browser lands here after approving (or cancelling) on paypal.com when the
+ * birthchart checkout runs in redirect mode (PAYPAL_CHECKOUT_MODE=redirect).
+ *
+ * Behavior:
+ *  - cancel=1 (our cancel_url) or missing token -> fail page.
+ *  - Otherwise captures the order server-side (idempotent PayPal-Request-Id)
+ *    and redirects to success/pending/fail, like the Mercado Pago return.
+ */
+async function handleReturn(req, res) {
+  const rid = echoRequestId(req, res);
+  const log = (req.log || baseLogger).child('handleReturn', { rid });
+
+  const defaults = catalog.getReturnUrls(null);
+
+  const orderId = req.query.token || req.query.orderId || null;
+  if (!orderId || req.query.cancel) {
+    log.info({ cancelled: !!req.query.cancel }, 'customer returned from PayPal without approval');
+    return res.redirect(defaults.fail);
+  }
+
+  try {
+    const capture = await paypalService.captureOrder({ orderId }, { requestId: rid, log });
+
+    const pu = Array.isArray(capture?.purchase_units) ? capture.purchase_units[0] : null;
+    const requestId = pu?.custom_id || pu?.reference_id || null;
+    const captureStatus = String(
+      pu?.payments?.captures?.[0]?.status || capture?.status || ''
+    ).toUpperCase();
+
+    log.info({ orderId, status: captureStatus }, 'customer returned from PayPal checkout');
+
+    const r = requestId
+      ? await birthchartRepository.findByRequestId(requestId).catch(() => null)
+      : null;
+    const ref = r?.public_id || null;
+    const urls = catalog.getReturnUrls(r?.product_type || null, ref);
+
+    if (captureStatus === 'COMPLETED') {
+      if (!ref) return res.redirect(defaults.success);
+      const u = new URL(urls.success);
+      u.searchParams.set('payment_id', String(orderId));
+      return res.redirect(u.toString());
+    }
+
+    if (captureStatus === 'PENDING') {
+      const target = new URL(urls.pending);
+      if (ref) target.searchParams.set('ref', String(ref));
+      target.searchParams.set('payment_id', String(orderId));
+      return res.redirect(target.toString());
+    }
+
+    return res.redirect(urls.fail);
+  } catch (err) {
+    (req.log || baseLogger).logError(err, { where: 'paypal.controller.handleReturn' });
+    return res.redirect(defaults.fail);
+  }
+}
+
 // --- SSE hub (in-memory) + bridge to orchestrator (same pattern as MP) ------
+// Keyed by the internal request_id; browsers only see the public id (`ref`).
 const sseHub = {
   channels: new Map(),
-  add(requestId, res) {
+  add(requestId, ref, res) {
     const k = String(requestId);
-    if (!this.channels.has(k)) this.channels.set(k, new Set());
-    this.channels.get(k).add(res);
+    if (!this.channels.has(k)) this.channels.set(k, { ref, clients: new Set() });
+    this.channels.get(k).clients.add(res);
   },
   remove(requestId, res) {
     const k = String(requestId);
-    const set = this.channels.get(k);
-    if (!set) return;
-    set.delete(res);
-    if (set.size === 0) this.channels.delete(k);
+    const ch = this.channels.get(k);
+    if (!ch) return;
+    ch.clients.delete(res);
+    if (ch.clients.size === 0) this.channels.delete(k);
   },
   broadcast(requestId, payload) {
-    const set = this.channels.get(String(requestId));
-    if (!set || set.size === 0) return 0;
-    const data = `data: ${JSON.stringify(payload)}\n\n`;
-    for (const res of set) {
+    const ch = this.channels.get(String(requestId));
+    if (!ch || ch.clients.size === 0) return 0;
+    const data = `data: ${JSON.stringify({ ref: ch.ref, ...payload })}\n\n`;
+    for (const res of ch.clients) {
       try {
         res.write(data);
       } catch {
         // ignore broken pipes
       }
     }
-    return set.size;
+    return ch.clients.size;
   },
 };
 
-/** GET /paypal/status?request_id=...  (safety polling) */
+/** Public view of a request's payment status (no internal ids). */
+function statusView(r) {
+  return {
+    ref: r.public_id,
+    status: r.payment_status,
+    statusDetail: r.payment_status_detail,
+    updatedAt: r.payment_updated_at || r.updated_at,
+  };
+}
+
+/** GET /paypal/status?ref=<public_id>  (safety polling) */
 async function getPaymentStatus(req, res) {
   echoRequestId(req, res);
   try {
-    const requestId = req.query.request_id || req.query.requestId;
-    if (!requestId) {
+    const ref = req.query.ref || req.query.request_id || req.query.requestId;
+    if (!ref) {
       return res.status(400).json({ error: 'missing_request_id' });
     }
 
-    const r = await birthchartRepository.findByRequestId(requestId);
+    const r = await birthchartRepository.findByPublicId(String(ref));
     if (!r) return res.status(404).json({ error: 'not_found' });
 
-    return res.json({
-      requestId: r.request_id,
-      status: r.payment_status,
-      statusDetail: r.payment_status_detail,
-      updatedAt: r.payment_updated_at || r.updated_at,
-    });
+    return res.json(statusView(r));
   } catch {
     return res.status(500).json({ error: 'status_lookup_failed' });
   }
 }
 
-/** GET /paypal/stream?request_id=...  (SSE in real time) */
+/** GET /paypal/stream?ref=<public_id>  (SSE in real time) */
 async function streamStatus(req, res) {
   echoRequestId(req, res);
-  const requestId = req.query.request_id || req.query.requestId;
-  if (!requestId) return res.status(400).end();
+  const ref = req.query.ref || req.query.request_id || req.query.requestId;
+  if (!ref) return res.status(400).end();
+
+  let r;
+  try {
+    r = await birthchartRepository.findByPublicId(String(ref));
+  } catch {
+    return res.status(500).end();
+  }
+  if (!r) return res.status(404).end();
 
   res.set({
     'Content-Type': 'text/event-stream',
@@ -234,25 +355,15 @@ async function streamStatus(req, res) {
   }, 25_000);
 
   try {
-    const r = await birthchartRepository.findByRequestId(requestId);
-    if (r) {
-      res.write(
-        `data: ${JSON.stringify({
-          requestId: r.request_id,
-          status: r.payment_status,
-          statusDetail: r.payment_status_detail,
-          updatedAt: r.payment_updated_at || r.updated_at,
-        })}\n\n`
-      );
-    }
+    res.write(`data: ${JSON.stringify(statusView(r))}\n\n`);
   } catch {
     // best-effort only
   }
 
-  sseHub.add(requestId, res);
+  sseHub.add(r.request_id, r.public_id, res);
   req.on('close', () => {
     clearInterval(keepalive);
-    sseHub.remove(requestId, res);
+    sseHub.remove(r.request_id, res);
     try {
       res.end();
     } catch {
@@ -270,7 +381,6 @@ async function streamStatus(req, res) {
 orchestrator.events.on('payments:status-changed', (evt) => {
   if (!evt?.requestId || evt?.productType !== 'birth_chart') return;
   sseHub.broadcast(evt.requestId, {
-    requestId: evt.requestId,
     status: evt.normalizedStatus,
     provider: evt.provider || null,
     ts: new Date().toISOString(),
@@ -280,6 +390,7 @@ orchestrator.events.on('payments:status-changed', (evt) => {
 module.exports = {
   createCheckout,
   captureOrder,
+  handleReturn,
   getPaymentStatus,
   streamStatus,
 };
@@ -17,6 +17,7 @@
  * Routes:
  *   POST /paypal/checkout        -> create PayPal order (intent to pay)
  *   POST /paypal/capture         -> capture approved PayPal order
+ *   GET  /paypal/return          -> browser return from paypal.com (redirect mode)
  *   GET  /paypal/status          -> lookup normalized payment status (optional)
  *   GET  /paypal/stream          -> SSE status stream (optional)
  */
@@ -61,13 +62,20 @@ router.post('/checkout', asyncHandler(paypalController.createCheckout));
 router.post('/capture', asyncHandler(paypalController.captureOrder));
 
 /**
- * GET /paypal/status?request_id=...
+ * GET /paypal/return?token=<orderId>
+ * Approval return for redirect-mode checkouts: captures and redirects to the
+ * success/pending/fail pages.
+ */
+router.get('/return', asyncHandler(paypalController.handleReturn));
+
+/**
+ * GET /paypal/status?ref=<public_id>
  * Optional safety polling endpoint to check normalized payment status.
  */
 router.get('/status', asyncHandler(paypalController.getPaymentStatus));
 
 /**
- * GET /paypal/stream?request_id=...
+ * GET /paypal/stream?ref=<public_id>
  * Optional SSE endpoint to stream payment status updates in real time.
  */
 router.get('/stream', asyncHandler(paypalController.streamStatus));
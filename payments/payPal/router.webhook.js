@@ -6,12 +6,15 @@
  * ---------------------
  * Production goals:
  *  - Enforce optional path secret before any processing.
- *  - Soft authentication: capture headers/flags, mas NÃO bloquear entrega.
+ *  - Forward the PayPal transmission headers so the service can verify the
+ *    signature with PayPal (verify-webhook-signature) before any state change.
  *  - Build a minimal, PII-free metadata envelope.
- *  - Sempre retornar 200 (service layer é idempotente).
+ *  - Retornar 200, exceto quando o service recusa a entrega
+ *    (401 assinatura inválida, 503 verificação indisponível → PayPal reenvia).
  *
  * Requirements:
- *  - `req.rawBody` deve estar disponível (configurado no app-level com verify hook).
+ *  - app-level express.raw() on /webhook/paypal: the body arrives as a Buffer
+ *    and is parsed here.
  *
  * Rotas:
  *  - POST /webhook/paypal
@@ -81,9 +84,9 @@ function buildSafeHeaders(req, authFlags) {
 }
 
 /**
- * Build soft-auth flags.
+ * Build auth flags.
  *
- * Para PayPal, a verificação real de assinatura deve ser feita
+ * Para PayPal, a verificação real de assinatura é feita
  * via API `/v1/notifications/verify-webhook-signature` no service.
  * Aqui só marcamos a presença dos headers relevantes.
  */
@@ -91,11 +94,32 @@ function buildAuthFlags(req) {
   return {
     provider: 'paypal',
     pathSecretOk: !!(req.webhookAuth && req.webhookAuth.pathSecretOk),
-    signatureOk: false, // será ajustado pelo service se/ver quando verificar de fato
+    signatureOk: false, // set by the service once PayPal verifies the delivery
     hasTransmissionSig: Boolean(req.get('paypal-transmission-sig')),
   };
 }
 
+/** Headers PayPal signs the delivery with (verification only; never persisted). */
+function buildTransmission(req) {
+  return {
+    transmissionId: req.get('paypal-transmission-id') || null,
+    transmissionTime: req.get('paypal-transmission-time') || null,
+    transmissionSig: req.get('paypal-transmission-sig') || null,
+    certUrl: req.get('paypal-cert-url') || null,
+    authAlgo: req.get('paypal-auth-algo') || null,
+  };
+}
+
+/** Parse the raw JSON body (Buffer from express.raw); {} when malformed. */
+function parseBody(req) {
+  const raw = req.body;
+  if (!Buffer.isBuffer(raw)) return raw && typeof raw === 'object' ? raw : {};
+  try {
+    const text = raw.toString('utf8');
+    return text ? JSON.parse(text) : {};
+  } catch { return {}; }
+}
+
 /** Build the metadata object passed to the service layer (lean, PII-free). */
 function buildMeta(req, body, authFlags) {
   return {
@@ -103,6 +127,7 @@ function buildMeta(req, body, authFlags) {
     query: req.query || {},
     topic: body?.event_type || undefined, // PayPal usa event_type
     auth: authFlags,
+    transmission: buildTransmission(req),
   };
 }
 
@@ -141,8 +166,9 @@ function pathSecretGuard(req, res, next) {
 /**
  * Order:
  *  1) pathSecretGuard → early reject se path secret não bater (quando configurado)
- *  2) soft auth       → marca flags; NUNCA bloqueia entrega
- *  3) handler         → encaminha pro service; SEMPRE 200
+ *  2) auth flags      → marca flags e separa os headers de transmissão
+ *  3) handler         → encaminha pro service (que verifica a assinatura);
+ *                       200, ou o status da recusa (401 / 503)
  */
 router.post('/webhook/paypal/:secret?', pathSecretGuard, async (req, res, next) => {
   const rid = getRequestId(req);
@@ -150,13 +176,13 @@ router.post('/webhook/paypal/:secret?', pathSecretGuard, async (req, res, next)
   res.set('Cache-Control', 'no-store');
 
   try {
-    const body = req.body || {};
+    const body = parseBody(req);
     const authFlags = buildAuthFlags(req);
     const meta = buildMeta(req, body, authFlags);
     const ctx = { requestId: rid, log: req.log };
 
-    const out = await service.processWebhook(body, meta, ctx);
-    res.status(200).json(out || { ok: true });
+    const { status = 200, ...out } = (await service.processWebhook(body, meta, ctx)) || { ok: true };
+    res.status(status).json(out);
   } catch (err) {
     // Nunca bloquear entrega do PayPal; ainda assim, jogar pro error pipeline.
     try {
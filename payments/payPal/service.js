@@ -8,6 +8,8 @@
  *   - Create checkout orders (Orders API) and return the order id.
  *   - Capture approved orders.
  *   - Process webhooks and upsert normalized records.
+ *   - Keep zodika_requests in sync via the payments orchestrator
+ *     (normalized 'payments:status-changed' event).
  *   - Emit domain events ("payment:paid") on COMPLETED.
  *
  * Production notes
@@ -18,8 +20,19 @@
  *
  * API
  *   - createCheckout(input, ctx?) -> { orderId, approvalUrl? }
+ *       input.returnUrl / input.cancelUrl are only needed for the redirect
+ *       flow (buyer approves on paypal.com and comes back to /payPal/return).
  *   - captureOrder(input, ctx?)   -> PayPal capture/order payload
- *   - processWebhook(body, meta, ctx?) -> { ok, ... }
+ *       A COMPLETED capture is only trusted (request snapshot, domain events)
+ *       when its amount/currency match the expected price of the request
+ *       (payments/priceAuthority); otherwise 409 paypal_amount_mismatch.
+ *   - refundCapture(input, ctx?)  -> { refundId, status, amountCents, raw }
+ *       input: { captureId, amountCents, currency, idempotencyKey }
+ *   - processWebhook(body, meta, ctx?) -> { ok, status?, ... }
+ *       Every delivery is verified with PayPal (verifyWebhookSignature) before it
+ *       can touch zodika_requests: 401 when it does not verify, 503 when PayPal
+ *       cannot tell (PayPal retries non-2xx deliveries).
+ *   - verifyWebhookSignature(event, transmission, ctx?) -> boolean
  *   - events (EventEmitter)
  */
 
@@ -31,6 +44,7 @@ const { AppError } = require('../../utils/appError');
 const { env }      = require('../../config/env');
 const paypalRepo   = require('./repository');
 const orchestrator = require('../orchestrator');
+const priceAuthority = require('../priceAuthority');
 
 const events = new EventEmitter();
 
@@ -106,6 +120,12 @@ function mapPayPalStatus(status) {
   }
 }
 
+/** Only well-formed HTTPS URLs are forwarded as return/cancel URLs. */
+function isHttpsUrl(u) {
+  if (!u) return false;
+  try { return new URL(String(u)).protocol === 'https:'; } catch { return false; }
+}
+
 /** Deterministic idempotency key (short and stable per logical request). */
 function buildIdempotencyKey(kind, key) {
   return `paypal-${kind}-${String(key).slice(0, 64)}`;
@@ -138,6 +158,7 @@ async function getAccessToken(ctx = {}) {
         timeout: Number(process.env.PAYPAL_HTTP_TIMEOUT_MS || 8000),
         retries: Number(process.env.PAYPAL_HTTP_RETRIES || 0),
         retryBackoffMs: [0, 250],
+        circuitBreaker: true,
         ...(ctx.signal ? { signal: ctx.signal } : {}),
       }
     );
@@ -165,6 +186,109 @@ async function getAccessToken(ctx = {}) {
   }
 }
 
+/**
+ * Price check for a COMPLETED capture. Returns null when the captured amount and
+ * currency match the expected price of the request, otherwise the failed verdict
+ * (the approval must not be trusted; the capture needs a manual refund/review).
+ */
+async function findChargeMismatch(requestId, charged, log) {
+  const verdict = requestId
+    ? await priceAuthority.verifyCharge(requestId, charged)
+    : { ok: false, expected: null, reason: 'request_unknown' };
+  if (verdict.ok) return null;
+
+  log.error(
+    {
+      requestId: requestId || null,
+      reason: verdict.reason,
+      expectedCents: verdict.expected?.amountCents ?? null,
+      expectedCurrency: verdict.expected?.currency ?? null,
+      capturedCents: charged.amountCents,
+      capturedCurrency: charged.currency,
+    },
+    'PayPal capture does not match the expected price; approval not trusted'
+  );
+  return verdict;
+}
+
+/**
+ * Capture id a refund / reversal resource belongs to (its "up" link points
+ * at /v2/payments/captures/{id}).
+ */
+function parentCaptureId(resource) {
+  const links = Array.isArray(resource?.links) ? resource.links : [];
+  const up = links.find((l) => l?.rel === 'up' && /\/captures\//.test(String(l.href || '')));
+  const m = up ? String(up.href).match(/\/captures\/([^/?#]+)/) : null;
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+/* ------------------------------ Webhook signature ---------------------------------- */
+
+/**
+ * Verify a webhook delivery via POST /v1/notifications/verify-webhook-signature.
+ *
+ * transmission: { transmissionId, transmissionTime, transmissionSig, certUrl, authAlgo }
+ *   (the paypal-* headers of the delivery; never persisted)
+ *
+ * Returns true only when PayPal answers SUCCESS for PAYPAL_WEBHOOK_ID. False when
+ * the webhook id or a transmission header is missing, or the signature does not
+ * verify. Throws (upstream AppError) when PayPal cannot be asked.
+ */
+async function verifyWebhookSignature(event, transmission, ctx = {}) {
+  const log = (ctx.log || baseLogger).child('webhook.verify', { rid: ctx.requestId });
+  const webhookId = process.env.PAYPAL_WEBHOOK_ID || env.PAYPAL_WEBHOOK_ID || null;
+  const t = transmission || {};
+
+  if (!webhookId) {
+    log.error('PAYPAL_WEBHOOK_ID not configured; PayPal webhooks cannot be verified');
+    return false;
+  }
+  if (!t.transmissionId || !t.transmissionTime || !t.transmissionSig || !t.certUrl || !t.authAlgo) {
+    return false;
+  }
+
+  const { API_BASE } = getPayPalConfig();
+  const accessToken = await getAccessToken(ctx);
+
+  const op = 'paypal_verify_webhook';
+  const t0 = process.hrtime.bigint();
+  const url = `${API_BASE}/v1/notifications/verify-webhook-signature`;
+
+  try {
+    const res = await httpClient.post(url, {
+      auth_algo: t.authAlgo,
+      cert_url: t.certUrl,
+      transmission_id: t.transmissionId,
+      transmission_sig: t.transmissionSig,
+      transmission_time: t.transmissionTime,
+      webhook_id: webhookId,
+      webhook_event: event,
+    }, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      timeout: Number(process.env.PAYPAL_HTTP_TIMEOUT_MS || 8000),
+      retries: Number(process.env.PAYPAL_HTTP_RETRIES || 0),
+      retryBackoffMs: [0, 250],
+      circuitBreaker: true,
+      ...(ctx.signal ? { signal: ctx.signal } : {}),
+    });
+    observe(op, res?.status, t0);
+    return String(res?.data?.verification_status || '').toUpperCase() === 'SUCCESS';
+  } catch (e) {
+    observe(op, e?.response?.status || 'ERR', t0);
+    log.error({ status: e?.response?.status, msg: e?.message }, 'webhook signature verification failed');
+    throw AppError.fromUpstream(
+      'paypal_webhook_verification_failed',
+      'Failed to verify PayPal webhook signature',
+      e,
+      { provider: 'paypal', endpoint: url }
+    );
+  }
+}
+
 /* --------------------------------- createCheckout ---------------------------------- */
 
 /**
@@ -179,7 +303,7 @@ async function createCheckout(input, ctx = {}) {
   const {
     requestId, name, email, productType,
     productValue, productName, paymentOptions,
-    currency,
+    currency, returnUrl, cancelUrl,
   } = input || {};
 
   const log = (ctx.log || baseLogger).child('create', { rid: ctx.requestId });
@@ -222,6 +346,8 @@ async function createCheckout(input, ctx = {}) {
     purchase_units: [
       {
         reference_id: String(requestId),
+        // Echoed back on capture resources (webhooks), unlike reference_id.
+        custom_id: String(requestId),
         description: description.toString().slice(0, 127),
         amount: {
           currency_code: currency || 'BRL',
@@ -233,6 +359,8 @@ async function createCheckout(input, ctx = {}) {
       brand_name: 'zodika',
       shipping_preference: 'NO_SHIPPING',
       user_action: 'PAY_NOW',
+      ...(isHttpsUrl(returnUrl) ? { return_url: returnUrl } : {}),
+      ...(isHttpsUrl(cancelUrl) ? { cancel_url: cancelUrl } : {}),
     },
     payer: (name || email)
       ? {
@@ -254,6 +382,7 @@ async function createCheckout(input, ctx = {}) {
     timeout: Number(process.env.PAYPAL_HTTP_TIMEOUT_MS || 8000),
     retries: Number(process.env.PAYPAL_HTTP_RETRIES || 0),
     retryBackoffMs: [0, 250],
+    circuitBreaker: true,
     ...(ctx.signal ? { signal: ctx.signal } : {}),
   };
 
@@ -300,15 +429,14 @@ async function createCheckout(input, ctx = {}) {
 
       // Snapshot para orchestrator (ex.: salvar link/amount num lugar central)
       try {
-        if (typeof orchestrator.snapshotCheckoutCreated === 'function') {
-          await orchestrator.snapshotCheckoutCreated({
-            requestId: Number(requestId),
-            checkoutId: orderId,
-            link: approvalUrl || null,
-            amountCents: valueNum,
-            currency: currency || 'BRL',
-          });
-        }
+        await orchestrator.snapshotCheckoutCreated({
+          requestId: Number(requestId),
+          checkoutId: orderId,
+          link: approvalUrl || null,
+          amountCents: valueNum,
+          currency: currency || 'BRL',
+          provider: 'PAYPAL',
+        });
       } catch (e) {
         log.warn({ msg: e?.message }, 'could not snapshot CREATED state (PayPal)');
       }
@@ -390,6 +518,7 @@ async function captureOrder(input, ctx = {}) {
     timeout: Number(process.env.PAYPAL_HTTP_TIMEOUT_MS || 10000),
     retries: Number(process.env.PAYPAL_HTTP_RETRIES || 0),
     retryBackoffMs: [0, 250],
+    circuitBreaker: true,
     ...(ctx.signal ? { signal: ctx.signal } : {}),
   };
 
@@ -413,13 +542,18 @@ async function captureOrder(input, ctx = {}) {
       ? Math.round(Number(amountValue) * 100)
       : null;
 
+    // The order's own ids win over the client-sent requestId.
+    const safeReqId = pu?.custom_id || pu?.reference_id || requestId || null;
+
+    const mismatch = normalizedStatus === 'APPROVED'
+      ? await findChargeMismatch(safeReqId, { amountCents: valueCents, currency: amountCurrency }, log)
+      : null;
+
     // Persistência / snapshot best-effort
     const persistAsync = String(process.env.PAYPAL_PERSIST_ASYNC || 'true')
       .toLowerCase() === 'true';
 
     const persistWork = async () => {
-      const safeReqId = requestId || pu?.reference_id || null;
-
       try {
         await paypalRepo.upsertPaymentByOrderId({
           order_id: orderId,
@@ -434,14 +568,15 @@ async function captureOrder(input, ctx = {}) {
         log.warn({ msg: e?.message }, 'could not upsert PayPal payment');
       }
 
+      // Untrusted capture: keep the audit row only
+      if (mismatch) return;
+
       // Snapshot para zodika_requests via orchestrator
       try {
-        if (typeof orchestrator.updateFromPayPal === 'function') {
-          await orchestrator.updateFromPayPal(data, {
-            requestId: safeReqId ? Number(safeReqId) : undefined,
-            orderId,
-          });
-        }
+        await orchestrator.updateFromPayPal(data, {
+          requestId: safeReqId ? Number(safeReqId) : undefined,
+          orderId,
+        });
       } catch (e) {
         log.warn({ msg: e?.message }, 'payment snapshot skipped (PayPal)');
       }
@@ -481,8 +616,18 @@ async function captureOrder(input, ctx = {}) {
       await persistWork();
     }
 
+    if (mismatch) {
+      throw new AppError('paypal_amount_mismatch', 'Captured amount does not match the expected price', 409, {
+        provider: 'paypal',
+        orderId,
+        requestId: safeReqId,
+        reason: mismatch.reason,
+      });
+    }
+
     return data;
   } catch (e) {
+    if (e?.code === 'paypal_amount_mismatch') throw e;
     observe(op, e?.response?.status || 'ERR', t0);
     baseLogger.error(
       { status: e?.response?.status, msg: e?.message },
@@ -513,9 +658,8 @@ async function processWebhook(body, meta = {}, ctx = {}) {
     const eventType = body?.event_type || meta?.topic || null;
     const resource  = body?.resource || {};
     const headers   = meta.headers || {};
-    const webhookId = process.env.PAYPAL_WEBHOOK_ID || env.PAYPAL_WEBHOOK_ID || null;
 
-    // Audit event first
+    // Audit event first (rejected deliveries are kept for investigation)
     const providerEventUid =
       headers['x-request-id'] ||
       headers['x-correlation-id'] ||
@@ -531,13 +675,29 @@ async function processWebhook(body, meta = {}, ctx = {}) {
       order_id: resource.id || null,
     });
 
-    // (Opcional) Verificação de assinatura via API do PayPal.
-    // Mantemos como TODO para não explodir complexidade agora.
-    // meta.auth.signatureOk pode ser ajustado aqui se você implementar depois.
+    // Signature check with PayPal: custom_id is only our sequential request id,
+    // so an unverified event must never reach zodika_requests.
+    let verified = false;
+    try {
+      verified = await verifyWebhookSignature(body, meta.transmission, ctx);
+    } catch (e) {
+      return { ok: false, error: e?.code || 'paypal_webhook_verification_failed', status: 503 };
+    }
+    if (!verified) {
+      log.warn({ eventType, resourceId: resource.id || null }, 'unverified PayPal webhook rejected');
+      return { ok: false, error: 'webhook_signature_invalid', status: 401 };
+    }
+    if (meta.auth) meta.auth.signatureOk = true;
 
     // Tratamento básico de eventos relevantes
     if (eventType === 'PAYMENT.CAPTURE.COMPLETED') {
       await handleCaptureCompletedWebhook(body, meta, ctx, log);
+    } else if (eventType === 'PAYMENT.CAPTURE.DENIED' || eventType === 'PAYMENT.CAPTURE.PENDING') {
+      await handleCaptureStatusWebhook(body, meta, ctx, log);
+    } else if (eventType === 'PAYMENT.CAPTURE.REFUNDED' || eventType === 'PAYMENT.CAPTURE.REVERSED') {
+      await handleCaptureReversalWebhook(body, meta, ctx, log);
+    } else if (String(eventType || '').startsWith('CUSTOMER.DISPUTE.')) {
+      await handleDisputeWebhook(body, meta, ctx, log);
     } else if (eventType === 'CHECKOUT.ORDER.APPROVED') {
       await handleOrderApprovedWebhook(body, meta, ctx, log);
     }
@@ -563,9 +723,9 @@ async function handleCaptureCompletedWebhook(body, meta, ctx, log) {
   const captureId = resource.id || null;
   const status = resource.status || 'COMPLETED';
 
+  // custom_id carries our request id (see createCheckout), never the order id.
   const orderId =
     resource.supplementary_data?.related_ids?.order_id ||
-    resource?.custom_id ||
     null;
 
   const amountValue = resource?.amount?.value || null;
@@ -576,7 +736,7 @@ async function handleCaptureCompletedWebhook(body, meta, ctx, log) {
 
   const normalizedStatus = mapPayPalStatus(status);
 
-  // requestId pode estar em custom_id ou reference_id (dependendo de como você modelar depois)
+  // requestId vem em custom_id (capture resources não trazem reference_id)
   const safeReqId = resource.custom_id || null;
 
   try {
@@ -594,6 +754,15 @@ async function handleCaptureCompletedWebhook(body, meta, ctx, log) {
     log.warn({ msg: e?.message }, 'could not upsert capture from webhook');
   }
 
+  if (normalizedStatus === 'APPROVED') {
+    const mismatch = await findChargeMismatch(
+      safeReqId,
+      { amountCents: valueCents, currency: amountCurrency },
+      log
+    );
+    if (mismatch) return;
+  }
+
   if (safeReqId) {
     try {
       await paypalRepo.updateRequestStatusByRequestId(
@@ -606,6 +775,17 @@ async function handleCaptureCompletedWebhook(body, meta, ctx, log) {
     }
   }
 
+  // Snapshot para zodika_requests via orchestrator
+  try {
+    await orchestrator.updateFromPayPal(resource, {
+      requestId: safeReqId ? Number(safeReqId) : undefined,
+      orderId: orderId || undefined,
+      status,
+    });
+  } catch (e) {
+    log.warn({ msg: e?.message }, 'payment snapshot skipped (PayPal webhook)');
+  }
+
   if (normalizedStatus === 'APPROVED') {
     events.emit('payment:paid', {
       requestId: safeReqId || null,
@@ -618,10 +798,109 @@ async function handleCaptureCompletedWebhook(body, meta, ctx, log) {
   }
 }
 
+/**
+ * Handle PAYMENT.CAPTURE.DENIED / PAYMENT.CAPTURE.PENDING webhooks.
+ * Only the capture record and the request snapshot move; no domain event.
+ */
+async function handleCaptureStatusWebhook(body, meta, ctx, log) {
+  const resource = body?.resource || {};
+  const captureId = resource.id || null;
+  const status = resource.status || null;
+  const orderId = resource.supplementary_data?.related_ids?.order_id || null;
+  const safeReqId = resource.custom_id || null;
+
+  const amountValue = resource?.amount?.value || null;
+  const valueCents = amountValue != null
+    ? Math.round(Number(amountValue) * 100)
+    : null;
+
+  try {
+    await paypalRepo.upsertPaymentByCaptureId({
+      capture_id: captureId,
+      order_id: orderId,
+      status,
+      normalized_status: mapPayPalStatus(status),
+      request_id: safeReqId,
+      amount_cents: valueCents,
+      currency: resource?.amount?.currency_code || null,
+      raw: resource,
+    });
+  } catch (e) {
+    log.warn({ msg: e?.message }, 'could not upsert capture from webhook');
+  }
+
+  try {
+    await orchestrator.updateFromPayPal(resource, {
+      requestId: safeReqId ? Number(safeReqId) : undefined,
+      orderId: orderId || undefined,
+    });
+  } catch (e) {
+    log.warn({ msg: e?.message }, 'payment snapshot skipped (PayPal webhook)');
+  }
+}
+
+/**
+ * Handle PAYMENT.CAPTURE.REFUNDED / PAYMENT.CAPTURE.REVERSED webhooks.
+ * The resource is the refund (or reversal) itself: its id and amount are not
+ * the capture's, so the snapshot is moved as a reversal of the parent capture.
+ */
+async function handleCaptureReversalWebhook(body, meta, ctx, log) {
+  const resource = body?.resource || {};
+  const reversed = body?.event_type === 'PAYMENT.CAPTURE.REVERSED';
+  const captureId = parentCaptureId(resource);
+
+  const totalRefunded = resource.seller_payable_breakdown?.total_refunded_amount?.value;
+
+  try {
+    await orchestrator.updateFromPayPal(resource, {
+      reversal: true,
+      captureId,
+      status: reversed ? 'REVERSED' : 'REFUNDED',
+      refundedTotalCents: totalRefunded != null ? Math.round(Number(totalRefunded) * 100) : null,
+    });
+    log.info({ captureId, refundId: resource.id || null, reversed }, 'PayPal capture reversal recorded');
+  } catch (e) {
+    log.warn({ msg: e?.message }, 'payment snapshot skipped (PayPal reversal webhook)');
+  }
+}
+
+/**
+ * Handle CUSTOMER.DISPUTE.* webhooks.
+ * Only disputes that take the money back move the request to CHARGED_BACK:
+ * a card chargeback (stage CHARGEBACK) or a dispute resolved in the buyer's
+ * favour. Inquiries and claims still under review are audited only.
+ */
+async function handleDisputeWebhook(body, meta, ctx, log) {
+  const dispute = body?.resource || {};
+  const resolved = body?.event_type === 'CUSTOMER.DISPUTE.RESOLVED';
+  const lost = resolved
+    ? dispute.dispute_outcome?.outcome_code === 'RESOLVED_BUYER_FAVOUR'
+    : dispute.dispute_life_cycle_stage === 'CHARGEBACK';
+  if (!lost) return;
+
+  const tx = Array.isArray(dispute.disputed_transactions) ? dispute.disputed_transactions[0] : null;
+  const requestRef = tx?.custom ? Number(tx.custom) : NaN;
+
+  try {
+    await orchestrator.updateFromPayPal(dispute, {
+      reversal: true,
+      requestId: Number.isFinite(requestRef) ? requestRef : undefined,
+      captureId: tx?.seller_transaction_id || null,
+      status: 'REVERSED',
+      statusDetail: dispute.reason || null,
+    });
+    log.info({ disputeId: dispute.dispute_id || null, captureId: tx?.seller_transaction_id || null }, 'PayPal dispute recorded as chargeback');
+  } catch (e) {
+    log.warn({ msg: e?.message }, 'payment snapshot skipped (PayPal dispute webhook)');
+  }
+}
+
 /**
  * Handle CHECKOUT.ORDER.APPROVED webhooks.
  * Many setups rely solely on CAPTURE.COMPLETED, mas podemos usar esse
  * evento para reconciliar estados intermediários, se necessário.
+ * Deliberately does NOT touch the zodika_requests snapshot: this webhook can
+ * arrive after the capture and would downgrade APPROVED back to PENDING.
  */
 async function handleOrderApprovedWebhook(body, meta, ctx, log) {
   const resource = body?.resource || {};
@@ -657,9 +936,76 @@ async function handleOrderApprovedWebhook(body, meta, ctx, log) {
   }
 }
 
+/* --------------------------------- refundCapture ----------------------------------- */
+
+/**
+ * Refund a capture (full or partial) via POST /v2/payments/captures/{id}/refund.
+ * Safe to retry with the same idempotency key (PayPal-Request-Id).
+ */
+async function refundCapture(input, ctx = {}) {
+  const { captureId, amountCents, currency, idempotencyKey } = input || {};
+  const log = (ctx.log || baseLogger).child('refund', { rid: ctx.requestId });
+
+  const value = centsToDecimalString(amountCents);
+  if (!captureId || !idempotencyKey || !currency || !value || Number(amountCents) <= 0) {
+    throw AppError.fromUnexpected(
+      'paypal_refund_failed',
+      'captureId, idempotencyKey, currency and amountCents > 0 are required',
+      { status: 400 }
+    );
+  }
+
+  const { API_BASE } = getPayPalConfig();
+  const accessToken = await getAccessToken(ctx);
+
+  const op = 'paypal_refund_capture';
+  const t0 = process.hrtime.bigint();
+  const url = `${API_BASE}/v2/payments/captures/${encodeURIComponent(captureId)}/refund`;
+
+  try {
+    const res = await httpClient.post(url, {
+      amount: { value, currency_code: String(currency).toUpperCase() },
+    }, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        'PayPal-Request-Id': String(idempotencyKey),
+        Prefer: 'return=representation',
+      },
+      timeout: Number(process.env.PAYPAL_HTTP_TIMEOUT_MS || 10000),
+      retries: 1, // idempotent by PayPal-Request-Id
+      retryBackoffMs: [0, 500],
+      circuitBreaker: true,
+      ...(ctx.signal ? { signal: ctx.signal } : {}),
+    });
+    observe(op, res?.status, t0);
+
+    const data = res?.data || {};
+    log.info({ status: res?.status, refundId: data.id || null, refundStatus: data.status || null }, 'capture refunded');
+    return {
+      refundId: data.id || null,
+      status: data.status || null,
+      amountCents: data.amount?.value != null ? Math.round(Number(data.amount.value) * 100) : Number(amountCents),
+      raw: data,
+    };
+  } catch (e) {
+    observe(op, e?.response?.status || 'ERR', t0);
+    log.error({ status: e?.response?.status, msg: e?.message }, 'refund capture failed');
+    throw AppError.fromUpstream(
+      'paypal_refund_failed',
+      'Failed to refund capture with PayPal',
+      e,
+      { provider: 'paypal', endpoint: 'captures/refund' }
+    );
+  }
+}
+
 module.exports = {
   createCheckout,
   captureOrder,
+  refundCapture,
   processWebhook,
+  verifyWebhookSignature,
   events,
 };
@@ -0,0 +1,137 @@
+// payments/priceAuthority.js
+'use strict';
+
+/**
+ * Checkout Price Authority
+ * ------------------------
+ * Public checkout routes never take the amount from the browser. What a request
+ * must be charged is derived server-side from:
+ *  - the persisted request (product_type, and the coupon price columns when a
+ *    coupon was redeemed at submit time), and
+ *  - the catalog definition: list price in the checkout currency chosen at
+ *    submit time (persisted with the routing decision, the same one the
+ *    birthchart controller quotes coupons in), else the product's default.
+ *
+ * Once a checkout is opened, the amount it was opened with is stored on the
+ * request (checkout_amount_cents / checkout_currency, recordCheckoutCharge) and
+ * captures are verified against it: a catalog price change between checkout and
+ * approval must not reject a legitimate payment. Rows without it fall back to
+ * the catalog.
+ *
+ * API
+ *  - expectedCharge(requestRow, opts?)      -> { amountCents, currency, productType, productName }
+ *  - resolveCheckoutPrice(requestId, opts?) -> { request, amountCents, currency, productType, productName }
+ *  - recordCheckoutCharge(requestId, charge) -> persists { amountCents, currency } of a new checkout
+ *  - verifyCharge(requestId, charged)       -> { ok, expected, reason? }
+ *      Used on capture: an approval is only trusted when the captured amount and
+ *      currency match the recorded checkout charge (catalog when none was recorded).
+ */
+
+const { AppError } = require('../utils/appError');
+const catalog = require('../modules/catalog/service');
+const requestsRepo = require('../modules/birthchart/repository');
+
+function toCents(v) {
+  const n = Number(v);
+  return v != null && Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/** Checkout currency of a request (routing decision input, see payments/routingPolicy). */
+function requestCurrency(requestRow) {
+  return requestRow.payment_route_decision?.inputs?.currency || null;
+}
+
+/**
+ * Expected charge for a persisted request.
+ * @param {object} requestRow zodika_requests row
+ * @param {object} [opts] { includeInactive?: boolean } (true when verifying a past charge)
+ * @throws {AppError} product_not_available (422)
+ */
+function expectedCharge(requestRow, opts = {}) {
+  const product = catalog.requireProduct(requestRow.product_type, { includeInactive: !!opts.includeInactive });
+  const list = catalog.getPrice(product, requestCurrency(requestRow));
+
+  // Coupon price fixed at submit time (list - discount), see modules/coupons
+  const listCents = toCents(requestRow.list_price_cents);
+  const discountCents = Number(requestRow.coupon_discount_cents);
+  const amountCents = requestRow.coupon_code && listCents && Number.isInteger(discountCents)
+    ? listCents - discountCents
+    : list.amountCents;
+
+  return {
+    amountCents,
+    currency: list.currency,
+    productType: product.product_type,
+    productName: product.name,
+  };
+}
+
+/** Charge recorded when the request's latest checkout was opened, or null. */
+function recordedCharge(requestRow) {
+  const amountCents = toCents(requestRow.checkout_amount_cents);
+  const currency = String(requestRow.checkout_currency || '').trim().toUpperCase();
+  if (!amountCents || !currency) return null;
+  return { amountCents, currency, productType: requestRow.product_type };
+}
+
+/** @throws {AppError} request_not_found (404) */
+async function loadRequest(requestId) {
+  const request = requestId ? await requestsRepo.findByRequestId(requestId) : null;
+  if (!request) {
+    throw new AppError('request_not_found', 'Request not found', 404, {
+      requestId: String(requestId || '').slice(0, 64) || null,
+    });
+  }
+  return request;
+}
+
+/**
+ * Load a request and compute its expected charge (checkout creation).
+ * @throws {AppError} request_not_found (404) | product_not_available (422)
+ */
+async function resolveCheckoutPrice(requestId, opts = {}) {
+  const request = await loadRequest(requestId);
+  return { request, ...expectedCharge(request, opts) };
+}
+
+/**
+ * Remember what a freshly opened checkout charges (amount after coupon, currency).
+ * @param {string|number} requestId
+ * @param {{ amountCents: number, currency: string }} charge
+ */
+async function recordCheckoutCharge(requestId, { amountCents, currency }) {
+  return requestsRepo.recordCheckoutCharge(requestId, { amountCents, currency });
+}
+
+/**
+ * Compare a provider-reported charge with the expected one.
+ * @param {string|number} requestId
+ * @param {{ amountCents: number|null, currency: string|null }} charged
+ * @returns {Promise<{ ok: boolean, expected: object|null, reason?: string }>}
+ */
+async function verifyCharge(requestId, charged) {
+  let expected;
+  try {
+    const request = await loadRequest(requestId);
+    const charge = recordedCharge(request) || expectedCharge(request, { includeInactive: true });
+    expected = { requestId: request.request_id, ...charge };
+  } catch (e) {
+    if (e instanceof AppError && e.status < 500) return { ok: false, expected: null, reason: e.code };
+    throw e;
+  }
+
+  if (charged?.amountCents !== expected.amountCents) {
+    return { ok: false, expected, reason: 'amount_mismatch' };
+  }
+  if (String(charged?.currency || '').toUpperCase() !== expected.currency) {
+    return { ok: false, expected, reason: 'currency_mismatch' };
+  }
+  return { ok: true, expected };
+}
+
+module.exports = {
+  expectedCharge,
+  resolveCheckoutPrice,
+  recordCheckoutCharge,
+  verifyCharge,
+};
@@ -0,0 +1,165 @@
+// payments/refunds/repository.js
+'use strict';
+
+/**
+ * Refunds Repository
+ * ------------------
+ * Persistence for refund attempts (`public.payment_refunds`).
+ *
+ * Notes
+ *  - Queries accept an optional `{ client }` (PoolClient) so the attempt can be
+ *    reserved in the same transaction that locks the request row.
+ *  - `raw` keeps the provider response for support; it carries no card data.
+ *  - Use parameterized SQL only (no string interpolation).
+ */
+
+const db = require('../../db/db');
+
+/**
+ * Payment snapshot of a request. With `forUpdate` (inside a transaction) the
+ * row stays locked until commit, serializing concurrent refunds of a request.
+ */
+async function findPaymentSnapshot(requestId, { client, forUpdate = false } = {}) {
+  const sql = `
+    SELECT request_id, product_type, payment_provider, payment_status,
+           payment_amount_cents, payment_currency, payment_checkout_id,
+           payment_payment_id, payment_authorized_at
+      FROM public.zodika_requests
+     WHERE request_id = $1
+     ${forUpdate ? 'FOR UPDATE' : ''};
+  `;
+  const { rows } = await (client || db).query(sql, [requestId]);
+  return rows[0] || null;
+}
+
+async function findByIdempotencyKey(key, { client } = {}) {
+  const sql = `
+    SELECT *
+      FROM public.payment_refunds
+     WHERE idempotency_key = $1
+     LIMIT 1;
+  `;
+  const { rows } = await (client || db).query(sql, [key]);
+  return rows[0] || null;
+}
+
+/**
+ * Refund totals for a request:
+ *  - refundedCents : SUCCEEDED attempts
+ *  - reservedCents : SUCCEEDED + PROCESSING (amount no longer available)
+ *  - inFlight      : PROCESSING attempts younger than `lockMs`
+ */
+async function getRefundTotals(requestId, lockMs, { client } = {}) {
+  const sql = `
+    SELECT COALESCE(SUM(amount_cents) FILTER (WHERE status = 'SUCCEEDED'), 0)::int AS refunded_cents,
+           COALESCE(SUM(amount_cents) FILTER (WHERE status IN ('SUCCEEDED', 'PROCESSING')), 0)::int AS reserved_cents,
+           COUNT(*) FILTER (
+             WHERE status = 'PROCESSING'
+               AND updated_at > NOW() - ($2::int * INTERVAL '1 millisecond')
+           )::int AS in_flight
+      FROM public.payment_refunds
+     WHERE request_id = $1;
+  `;
+  const { rows } = await (client || db).query(sql, [requestId, lockMs]);
+  const r = rows[0] || {};
+  return {
+    refundedCents: r.refunded_cents || 0,
+    reservedCents: r.reserved_cents || 0,
+    inFlight: r.in_flight || 0,
+  };
+}
+
+/** Insert a PROCESSING attempt. */
+async function insertAttempt(a, { client } = {}) {
+  const sql = `
+    INSERT INTO public.payment_refunds (
+      request_id, provider, payment_id, amount_cents, currency, full_refund,
+      status, idempotency_key, reason, requested_by
+    ) VALUES ($1, $2, $3, $4::int, $5, $6, 'PROCESSING', $7, $8, $9)
+    RETURNING *;
+  `;
+  const params = [
+    a.requestId, a.provider, a.paymentId, a.amountCents, a.currency || null, !!a.fullRefund,
+    a.idempotencyKey, a.reason || null, a.requestedBy || null,
+  ];
+  const { rows } = await (client || db).query(sql, params);
+  return rows[0];
+}
+
+/**
+ * Put an attempt back to PROCESSING before re-sending it with the same key.
+ * Only while it is still in `fromStatus` (a PROCESSING attempt also has to be
+ * older than `staleMs`); null when another call claimed it first.
+ */
+async function markProcessing(refundId, { fromStatus, staleMs }, { client } = {}) {
+  const sql = `
+    UPDATE public.payment_refunds
+       SET status = 'PROCESSING', error_code = NULL, error_status = NULL, updated_at = NOW()
+     WHERE refund_id = $1
+       AND status = $2::text
+       AND ($2::text <> 'PROCESSING' OR updated_at <= NOW() - ($3::int * INTERVAL '1 millisecond'))
+    RETURNING *;
+  `;
+  const { rows } = await (client || db).query(sql, [refundId, fromStatus, staleMs]);
+  return rows[0] || null;
+}
+
+async function markSucceeded(refundId, { providerRefundId, providerStatus, raw }) {
+  const sql = `
+    UPDATE public.payment_refunds
+       SET status             = 'SUCCEEDED',
+           provider_refund_id = $2,
+           provider_status    = $3,
+           raw                = $4::jsonb,
+           error_code         = NULL,
+           error_status       = NULL,
+           updated_at         = NOW()
+     WHERE refund_id = $1
+    RETURNING *;
+  `;
+  const params = [refundId, providerRefundId || null, providerStatus || null, JSON.stringify(raw ?? null)];
+  const { rows } = await db.query(sql, params);
+  return rows[0] || null;
+}
+
+/**
+ * Keep the attempt PROCESSING (outcome unknown: timeout / 5xx) but note the
+ * error; its amount stays reserved until it is re-sent with the same key.
+ */
+async function noteError(refundId, { errorCode, errorStatus }) {
+  const sql = `
+    UPDATE public.payment_refunds
+       SET error_code   = $2,
+           error_status = $3::int,
+           updated_at   = NOW()
+     WHERE refund_id = $1
+    RETURNING *;
+  `;
+  const { rows } = await db.query(sql, [refundId, errorCode || null, errorStatus ?? null]);
+  return rows[0] || null;
+}
+
+async function markFailed(refundId, { errorCode, errorStatus }) {
+  const sql = `
+    UPDATE public.payment_refunds
+       SET status       = 'FAILED',
+           error_code   = $2,
+           error_status = $3::int,
+           updated_at   = NOW()
+     WHERE refund_id = $1
+    RETURNING *;
+  `;
+  const { rows } = await db.query(sql, [refundId, errorCode || null, errorStatus ?? null]);
+  return rows[0] || null;
+}
+
+module.exports = {
+  findPaymentSnapshot,
+  findByIdempotencyKey,
+  getRefundTotals,
+  insertAttempt,
+  markProcessing,
+  markSucceeded,
+  noteError,
+  markFailed,
+};
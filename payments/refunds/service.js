@@ -0,0 +1,330 @@
+// payments/refunds/service.js
+'use strict';
+
+/**
+ * Refunds
+ * -------
+ * Issues full or partial refunds on the provider that took the payment and
+ * records every attempt in `public.payment_refunds`.
+ *
+ * Flow (refundRequest)
+ *  1) Reserve: in one transaction, lock the request row, check what is still
+ *     refundable and insert a PROCESSING attempt with its idempotency key.
+ *  2) Call the provider adapter with that key:
+ *       MP      → POST /v1/payments/{payment_id}/refunds
+ *       PAGBANK → POST /charges/{charge_id}/cancel
+ *       PAYPAL  → POST /v2/payments/captures/{capture_id}/refund
+ *  3) Success → SUCCEEDED + orchestrator.recordRefund (status REFUNDED, emits
+ *     'payments:status-changed' with a `refund` block).
+ *     Definitive provider error (4xx) → FAILED (amount released).
+ *     Unknown outcome (timeout / 5xx / circuit open) → stays PROCESSING with the
+ *     error noted; its amount stays reserved until the same key is re-sent.
+ *
+ * Idempotency
+ *  - Callers may pass their own key (Idempotency-Key header). Re-sending a key:
+ *      SUCCEEDED  → the stored attempt is returned (no provider call).
+ *      FAILED     → re-sent to the provider with the same key.
+ *      PROCESSING → 409 while fresh; re-sent once older than IN_FLIGHT_WINDOW_MS.
+ *    A re-send takes the same lock and refundable-amount check as step 1 and
+ *    claims the attempt with a conditional update (409 if another call won).
+ *  - Without a key a random one is generated per call.
+ */
+
+const crypto = require('crypto');
+
+const db = require('../../db/db');
+const { AppError } = require('../../utils/appError');
+const baseLogger = require('../../utils/logger').child('payments.refunds');
+const orchestrator = require('../orchestrator');
+const repo = require('./repository');
+
+const mpService = require('../mercadoPago/service');
+const pagbankService = require('../pagBank/service');
+const paypalService = require('../payPal/service');
+
+// A PROCESSING attempt younger than this blocks other refunds of the request.
+const IN_FLIGHT_WINDOW_MS = 2 * 60_000;
+
+// Payment statuses that still have money to give back.
+const REFUNDABLE_STATUSES = new Set(['APPROVED', 'REFUNDED']);
+
+/* ------------------------------- Metrics (optional) -------------------------------- */
+
+let prom = null;
+try { prom = require('prom-client'); } catch { /* metrics disabled */ }
+
+const refundCounter = prom
+  ? new prom.Counter({
+      name: 'zodika_refunds_total',
+      help: 'Refund attempts by provider and outcome',
+      labelNames: ['provider', 'outcome'],
+    })
+  : null;
+
+function count(provider, outcome) {
+  if (refundCounter) refundCounter.labels(provider, outcome).inc();
+}
+
+/* --------------------------------- Adapters ---------------------------------------- */
+
+/** One adapter per provider; each receives the persisted attempt row. */
+const ADAPTERS = {
+  MP: (a, ctx) => mpService.refundPayment({
+    paymentId: a.payment_id,
+    amountCents: a.amount_cents,
+    idempotencyKey: a.idempotency_key,
+  }, ctx),
+  PAGBANK: (a, ctx) => pagbankService.refundCharge({
+    chargeId: a.payment_id,
+    amountCents: a.amount_cents,
+    idempotencyKey: a.idempotency_key,
+  }, ctx),
+  PAYPAL: (a, ctx) => paypalService.refundCapture({
+    captureId: a.payment_id,
+    amountCents: a.amount_cents,
+    currency: a.currency,
+    idempotencyKey: a.idempotency_key,
+  }, ctx),
+};
+
+/** payment_provider values on zodika_requests (MP | PAGBANK | PAYPAL) plus routing ids. */
+function normalizeProvider(p) {
+  const s = String(p || '').trim().toUpperCase();
+  return s === 'MERCADO_PAGO' ? 'MP' : s;
+}
+
+function newIdempotencyKey(requestId) {
+  const rnd = crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex');
+  return `refund-${requestId}-${rnd}`;
+}
+
+/**
+ * Whether the provider may have applied the refund despite the error: timeouts and
+ * network errors (no upstream status), transient upstream statuses, or an open
+ * circuit (an earlier retry may have reached the provider).
+ */
+function isUnknownOutcome(e) {
+  if (e.details?.upstreamStatus != null) return AppError.isTransient(e);
+  return e.code === 'upstream_circuit_open' || e.status === 502 || e.status === 504;
+}
+
+function isStale(attempt) {
+  const t = new Date(attempt.updated_at || attempt.created_at).getTime();
+  return !Number.isFinite(t) || Date.now() - t >= IN_FLIGHT_WINDOW_MS;
+}
+
+/* --------------------------------- Steps ------------------------------------------- */
+
+/**
+ * Lock the request row (inside `client`'s transaction) and check it still has a
+ * captured payment to refund and no refund in flight.
+ */
+async function lockRefundable(requestId, client) {
+  const snap = await repo.findPaymentSnapshot(requestId, { client, forUpdate: true });
+  if (!snap) throw new AppError('request_not_found', 'Request not found', 404, { requestId });
+
+  const provider = normalizeProvider(snap.payment_provider);
+  const paid = Number(snap.payment_amount_cents);
+  if (!REFUNDABLE_STATUSES.has(String(snap.payment_status || '').toUpperCase()) ||
+      !snap.payment_payment_id || !(paid > 0)) {
+    throw new AppError('refund_not_allowed', 'Request has no captured payment to refund', 409, {
+      paymentStatus: snap.payment_status || null,
+    });
+  }
+  if (!ADAPTERS[provider]) {
+    throw new AppError('refund_provider_unsupported', 'Refunds are not supported for this provider', 422, {
+      provider: snap.payment_provider || null,
+    });
+  }
+
+  const totals = await repo.getRefundTotals(requestId, IN_FLIGHT_WINDOW_MS, { client });
+  if (totals.inFlight > 0) {
+    throw new AppError('refund_in_progress', 'Another refund for this request is in progress', 409);
+  }
+
+  return { snap, provider, paid, totals };
+}
+
+/** Step 1: lock, check limits and insert the PROCESSING attempt (one transaction). */
+async function reserveAttempt({ requestId, amountCents, reason, idempotencyKey, requestedBy }) {
+  return db.withTransaction(async (client) => {
+    const { snap, provider, paid, totals } = await lockRefundable(requestId, client);
+
+    const remaining = paid - totals.reservedCents;
+    if (remaining <= 0) {
+      throw new AppError('refund_not_allowed', 'Payment is already fully refunded', 409, {
+        refundedCents: totals.refundedCents,
+      });
+    }
+    const amount = amountCents ?? remaining;
+    if (!Number.isInteger(amount) || amount <= 0 || amount > remaining) {
+      throw new AppError('refund_amount_invalid', 'Refund amount exceeds the refundable amount', 422, {
+        field: 'amount_cents',
+        remainingCents: remaining,
+      });
+    }
+
+    const attempt = await repo.insertAttempt({
+      requestId,
+      provider,
+      paymentId: snap.payment_payment_id,
+      amountCents: amount,
+      currency: snap.payment_currency,
+      fullRefund: amount === remaining && totals.reservedCents === 0,
+      idempotencyKey,
+      reason,
+      requestedBy,
+    }, { client });
+
+    return { attempt, snap };
+  });
+}
+
+/**
+ * Step 1 for a re-sent key: same lock and checks as reserveAttempt, then the
+ * attempt goes back to PROCESSING only if it is still FAILED (or PROCESSING past
+ * the in-flight window). 409 when a concurrent re-send got there first.
+ */
+async function reclaimAttempt(existing) {
+  return db.withTransaction(async (client) => {
+    const { snap, paid, totals } = await lockRefundable(existing.request_id, client);
+
+    // A stale PROCESSING attempt still holds its own amount in reservedCents.
+    const amount = Number(existing.amount_cents);
+    const remaining = paid - totals.reservedCents + (existing.status === 'PROCESSING' ? amount : 0);
+    if (amount > remaining) {
+      throw new AppError('refund_amount_invalid', 'Refund amount exceeds the refundable amount', 422, {
+        field: 'amount_cents',
+        remainingCents: Math.max(remaining, 0),
+      });
+    }
+
+    const attempt = await repo.markProcessing(existing.refund_id, {
+      fromStatus: existing.status,
+      staleMs: IN_FLIGHT_WINDOW_MS,
+    }, { client });
+    if (!attempt) {
+      throw new AppError('refund_in_progress', 'This refund is already being re-sent', 409);
+    }
+
+    return { attempt, snap };
+  });
+}
+
+/** Steps 2–3: call the provider and settle the attempt. */
+async function executeAttempt(attempt, snap, ctx, log) {
+  const provider = attempt.provider;
+  let result;
+  try {
+    result = await ADAPTERS[provider](attempt, ctx);
+  } catch (err) {
+    const e = err instanceof AppError ? err : AppError.wrap(err, 'refund_failed', 502);
+    const errorStatus = e.details?.upstreamStatus ?? e.status ?? null;
+    const unknownOutcome = isUnknownOutcome(e);
+
+    if (unknownOutcome) {
+      await repo.noteError(attempt.refund_id, { errorCode: e.code, errorStatus }).catch(() => {});
+    } else {
+      await repo.markFailed(attempt.refund_id, { errorCode: e.code, errorStatus }).catch(() => {});
+    }
+    count(provider, unknownOutcome ? 'unknown' : 'failed');
+    log.error(
+      { refundId: attempt.refund_id, provider, code: e.code, status: errorStatus, unknownOutcome },
+      'refund attempt failed'
+    );
+
+    e.details = {
+      ...(e.details || {}),
+      refundId: attempt.refund_id,
+      idempotencyKey: attempt.idempotency_key,
+      retryable: unknownOutcome,
+    };
+    throw e;
+  }
+
+  const done = await repo.markSucceeded(attempt.refund_id, {
+    providerRefundId: result.refundId,
+    providerStatus: result.status,
+    raw: result.raw,
+  });
+  count(provider, 'succeeded');
+
+  const totals = await repo.getRefundTotals(attempt.request_id, IN_FLIGHT_WINDOW_MS);
+  log.info(
+    { refundId: attempt.refund_id, provider, amountCents: attempt.amount_cents, refundedCents: totals.refundedCents },
+    'refund succeeded'
+  );
+
+  await orchestrator.recordRefund({
+    requestId: Number(attempt.request_id),
+    provider,
+    refundId: attempt.refund_id,
+    amountCents: attempt.amount_cents,
+    refundedTotalCents: totals.refundedCents,
+    paymentAmountCents: snap?.payment_amount_cents,
+    currency: attempt.currency,
+    checkoutId: snap?.payment_checkout_id,
+    paymentId: attempt.payment_id,
+    authorizedAt: snap?.payment_authorized_at,
+  }).catch((e) => log.warn({ msg: e?.message }, 'refund snapshot skipped'));
+
+  return { refund: done, refundedTotalCents: totals.refundedCents };
+}
+
+/* ---------------------------------- API -------------------------------------------- */
+
+/**
+ * Refund a paid request (full when amountCents is omitted).
+ * @param {object} input { requestId, amountCents?, reason?, idempotencyKey?, requestedBy? }
+ * @param {object} [ctx] { log?, requestId?, signal? }
+ * @returns {Promise<{ refund: object, refundedTotalCents: number|null, replayed: boolean }>}
+ * @throws {AppError} request_not_found | refund_not_allowed | refund_amount_invalid |
+ *                    refund_in_progress | refund_provider_unsupported |
+ *                    idempotency_key_conflict | <provider>_refund_failed
+ */
+async function refundRequest(input, ctx = {}) {
+  const { requestId, amountCents, reason, requestedBy } = input || {};
+  const log = (ctx.log || baseLogger).child('refund', { rid: ctx.requestId, requestId });
+
+  if (input?.idempotencyKey) {
+    const existing = await repo.findByIdempotencyKey(input.idempotencyKey);
+    if (existing) {
+      if (String(existing.request_id) !== String(requestId) ||
+          (amountCents != null && Number(existing.amount_cents) !== amountCents)) {
+        throw new AppError('idempotency_key_conflict', 'Idempotency-Key was already used for another refund', 409);
+      }
+      if (existing.status === 'SUCCEEDED') {
+        return { refund: existing, refundedTotalCents: null, replayed: true };
+      }
+      if (existing.status === 'PROCESSING' && !isStale(existing)) {
+        throw new AppError('refund_in_progress', 'This refund is still in progress', 409);
+      }
+      log.info({ refundId: existing.refund_id, status: existing.status }, 're-sending refund attempt');
+      const { attempt, snap } = await reclaimAttempt(existing);
+      const out = await executeAttempt(attempt, snap, ctx, log);
+      return { ...out, replayed: true };
+    }
+  }
+
+  const { attempt, snap } = await reserveAttempt({
+    requestId,
+    amountCents,
+    reason,
+    requestedBy,
+    idempotencyKey: input?.idempotencyKey || newIdempotencyKey(requestId),
+  }).catch((e) => {
+    // Same key raced in from a concurrent call
+    if (e?.code === '23505') {
+      throw new AppError('refund_in_progress', 'This refund is already being processed', 409);
+    }
+    throw e;
+  });
+
+  const out = await executeAttempt(attempt, snap, ctx, log);
+  return { ...out, replayed: false };
+}
+
+module.exports = {
+  refundRequest,
+  IN_FLIGHT_WINDOW_MS,
+};
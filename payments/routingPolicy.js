@@ -0,0 +1,259 @@
+// payments/routingPolicy.js
+'use strict';
+
+/**
+ * Payment Routing Policy
+ * ----------------------
+ * Picks the PSP (MERCADO_PAGO | PAGBANK | PAYPAL) for a single checkout.
+ *
+ * Inputs (all optional except the request key):
+ *  - currency           : checkout currency (BRL only works on MP/PagBank).
+ *  - country            : customer's country as typed/geocoded (birth_place_country).
+ *  - method             : client-chosen method ('pix' | 'card' | 'paypal').
+ *  - requestedProvider  : explicit provider override sent by the form.
+ *  - requestKey         : stable key (request_id) used for deterministic A/B buckets.
+ *  - allowedMethods     : methods the product accepts (catalog); providers that
+ *                         support none of them are not eligible.
+ *
+ * Policy (first match wins, always restricted to eligible + healthy providers):
+ *  1) requestedProvider          -> reason 'client_provider'
+ *  2) method = 'paypal'          -> reason 'method'
+ *  3) non-BRL currency           -> reason 'currency'
+ *  4) foreign country (not pix)  -> reason 'country' (PayPal)
+ *  5) single eligible provider   -> reason 'only_eligible'
+ *  6) PAYMENT_ROUTING_WEIGHTS    -> reason 'weighted'
+ *  7) PAYMENT_PROVIDER default   -> reason 'default'
+ *  8) first eligible provider    -> reason 'fallback'
+ *
+ * Health
+ *  - A provider is unhealthy when listed in PAYMENT_PROVIDERS_DISABLED, when it
+ *    lacks credentials (PayPal), when the httpClient circuit for its API host is
+ *    open, or when a caller-provided probe says so.
+ *  - If every eligible provider is unhealthy we still route (flagged `degraded`)
+ *    instead of failing the sale on a possibly stale health signal.
+ *
+ * Output
+ *  { provider, reason, degraded, bucket, eligible[], inputs{} } — safe to persist
+ *  (no PII; country is normalized to a short tag).
+ */
+
+const crypto = require('crypto');
+const { env } = require('../config/env');
+const { AppError } = require('../utils/appError');
+const circuitBreaker = require('../utils/circuitBreaker');
+
+const PROVIDERS = ['MERCADO_PAGO', 'PAGBANK', 'PAYPAL'];
+
+/** What each PSP can take. `currencies: null` means "any". */
+const CAPABILITIES = {
+  MERCADO_PAGO: { currencies: ['BRL'], methods: ['pix', 'card'] },
+  PAGBANK:      { currencies: ['BRL'], methods: ['pix', 'card'] },
+  PAYPAL:       { currencies: null,    methods: ['paypal', 'card'] },
+};
+
+const METHODS = ['pix', 'card', 'paypal'];
+
+/* ------------------------------- Metrics (optional) ------------------------------- */
+
+let prom = null;
+try { prom = require('prom-client'); } catch { /* metrics disabled */ }
+
+const routeCounter = prom
+  ? new prom.Counter({
+      name: 'zodika_payment_route_decisions_total',
+      help: 'Payment routing decisions by provider and reason',
+      labelNames: ['provider', 'reason'],
+    })
+  : null;
+
+/* --------------------------------- Helpers ---------------------------------------- */
+
+function normalizeProvider(v) {
+  if (!v) return null;
+  const s = String(v).trim().toUpperCase();
+  return PROVIDERS.includes(s) ? s : null;
+}
+
+function normalizeMethod(v) {
+  if (!v) return null;
+  const s = String(v).trim().toLowerCase();
+  return METHODS.includes(s) ? s : null;
+}
+
+/** Strip accents/punctuation so "Brasil", "brazil", "BR" compare equal. */
+function normalizeCountry(v) {
+  if (!v) return null;
+  const s = String(v)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z ]/g, '')
+    .trim()
+    .toUpperCase();
+  return s || null;
+}
+
+const DOMESTIC_COUNTRIES = new Set(['BR', 'BRA', 'BRASIL', 'BRAZIL']);
+
+/** Country tag for the decision: 'BR' | 'FOREIGN' | null (unknown → treated as BR). */
+function countryTag(country) {
+  const c = normalizeCountry(country);
+  if (!c) return null;
+  return DOMESTIC_COUNTRIES.has(c) ? 'BR' : 'FOREIGN';
+}
+
+/**
+ * Parse PAYMENT_ROUTING_WEIGHTS, e.g. "MERCADO_PAGO:80,PAGBANK:20".
+ * Unknown providers and non-positive weights are ignored.
+ */
+function parseWeights(raw) {
+  const out = {};
+  for (const part of String(raw || '').split(',')) {
+    const [k, v] = part.split(/[:=]/).map((x) => (x || '').trim());
+    const p = normalizeProvider(k);
+    const w = Number(v);
+    if (p && Number.isFinite(w) && w > 0) out[p] = w;
+  }
+  return out;
+}
+
+function parseList(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((s) => normalizeProvider(s))
+    .filter(Boolean);
+}
+
+/** Deterministic 0..99 bucket so a request keeps its A/B arm on retries. */
+function bucketFor(key) {
+  const h = crypto.createHash('sha256').update(String(key ?? '')).digest();
+  return h.readUInt32BE(0) % 100;
+}
+
+function supports(provider, { currency, method, allowedMethods }) {
+  const cap = CAPABILITIES[provider];
+  if (!cap) return false;
+  if (currency && cap.currencies && !cap.currencies.includes(currency)) return false;
+  if (method && !cap.methods.includes(method)) return false;
+  if (allowedMethods && !cap.methods.some((m) => allowedMethods.includes(m))) return false;
+  return true;
+}
+
+/* ---------------------------------- Config ---------------------------------------- */
+
+function getDefaultProvider() {
+  return normalizeProvider(process.env.PAYMENT_PROVIDER || env.PAYMENT_PROVIDER) || 'MERCADO_PAGO';
+}
+
+function getWeights() {
+  return parseWeights(process.env.PAYMENT_ROUTING_WEIGHTS || env.PAYMENT_ROUTING_WEIGHTS);
+}
+
+/** API host each service calls (circuit breakers are keyed by host). */
+function providerHost(provider) {
+  try {
+    if (provider === 'MERCADO_PAGO') return 'api.mercadopago.com';
+    if (provider === 'PAGBANK') {
+      return new URL(process.env.PAGBANK_BASE_URL || env.PAGBANK_BASE_URL || 'https://api.pagbank.com.br').host;
+    }
+    if (provider === 'PAYPAL') {
+      const mode = String(process.env.PAYPAL_ENV || env.PAYPAL_ENV || 'sandbox').toLowerCase();
+      return mode === 'live' ? 'api-m.paypal.com' : 'api-m.sandbox.paypal.com';
+    }
+  } catch { /* fall through */ }
+  return null;
+}
+
+/** Static health: kill switch list + PayPal credentials + open circuits. */
+function isConfiguredHealthy(provider) {
+  const disabled = parseList(process.env.PAYMENT_PROVIDERS_DISABLED || env.PAYMENT_PROVIDERS_DISABLED);
+  if (disabled.includes(provider)) return false;
+  if (circuitBreaker.isOpen(providerHost(provider))) return false;
+  if (provider === 'PAYPAL') {
+    const id = process.env.PAYPAL_CLIENT_ID || env.PAYPAL_CLIENT_ID;
+    const secret = process.env.PAYPAL_CLIENT_SECRET || env.PAYPAL_CLIENT_SECRET;
+    return Boolean(id && secret);
+  }
+  return true;
+}
+
+/* ---------------------------------- Policy ---------------------------------------- */
+
+/**
+ * Decide the PSP for one checkout.
+ * @param {object} input  { requestKey, currency, country, method, requestedProvider, allowedMethods }
+ * @param {object} [opts] { isHealthy(provider) -> bool, weights, defaultProvider }
+ * @returns {{ provider: string, reason: string, degraded: boolean, bucket: number|null,
+ *             eligible: string[], inputs: object }}
+ * @throws {AppError} payment_route_unavailable (422) when no PSP supports the inputs.
+ */
+function decide(input = {}, opts = {}) {
+  const currency = String(input.currency || 'BRL').trim().toUpperCase();
+  const method = normalizeMethod(input.method);
+  const requested = normalizeProvider(input.requestedProvider);
+  const country = countryTag(input.country);
+  const allowedMethods = Array.isArray(input.allowedMethods) ? input.allowedMethods.map(normalizeMethod).filter(Boolean) : null;
+
+  const probe = typeof opts.isHealthy === 'function' ? opts.isHealthy : () => true;
+  const healthy = (p) => isConfiguredHealthy(p) && probe(p) !== false;
+  const weights = opts.weights || getWeights();
+  const defaultProvider = normalizeProvider(opts.defaultProvider) || getDefaultProvider();
+
+  const inputs = { currency, country, method, requestedProvider: requested };
+
+  if (method && allowedMethods && !allowedMethods.includes(method)) {
+    throw new AppError('payment_route_unavailable', 'Payment method not accepted for this product', 422, { method });
+  }
+
+  const eligible = PROVIDERS.filter((p) => supports(p, { currency, method, allowedMethods }));
+  if (eligible.length === 0) {
+    throw new AppError(
+      'payment_route_unavailable',
+      'No payment provider supports the requested currency/method',
+      422,
+      { currency, method }
+    );
+  }
+
+  let pool = eligible.filter(healthy);
+  const degraded = pool.length === 0;
+  if (degraded) pool = eligible;
+
+  const done = (provider, reason, bucket = null) => {
+    if (routeCounter) routeCounter.labels(provider, reason).inc();
+    return { provider, reason, degraded, bucket, eligible: pool.slice(), inputs };
+  };
+
+  if (requested && pool.includes(requested)) return done(requested, 'client_provider');
+  if (method === 'paypal' && pool.includes('PAYPAL')) return done('PAYPAL', 'method');
+  if (currency !== 'BRL' && pool.includes('PAYPAL')) return done('PAYPAL', 'currency');
+  if (country === 'FOREIGN' && method !== 'pix' && pool.includes('PAYPAL')) return done('PAYPAL', 'country');
+
+  if (pool.length === 1) return done(pool[0], 'only_eligible');
+
+  // Foreign customers were routed above; PayPal only joins the BRL A/B when weighted explicitly.
+  const weighted = pool.filter((p) => weights[p] > 0);
+  if (weighted.length > 0) {
+    const total = weighted.reduce((acc, p) => acc + weights[p], 0);
+    const bucket = bucketFor(input.requestKey);
+    const target = (bucket / 100) * total;
+    let acc = 0;
+    for (const p of weighted) {
+      acc += weights[p];
+      if (target < acc) return done(p, 'weighted', bucket);
+    }
+    return done(weighted[weighted.length - 1], 'weighted', bucket);
+  }
+
+  if (pool.includes(defaultProvider)) return done(defaultProvider, 'default');
+  return done(pool[0], 'fallback');
+}
+
+module.exports = {
+  decide,
+  PROVIDERS,
+  CAPABILITIES,
+  // exported for tests/diagnostics
+  parseWeights,
+  bucketFor,
+  countryTag,
+};
@@ -0,0 +1,61 @@
+// scripts/backfillTimezones.js
+'use strict';
+
+/**
+ * Backfill birth timezones
+ * ------------------------
+ * Queues a timezone job for every request whose UTC offset is still null
+ * (lost fire-and-forget computes, exhausted retries). The running server's
+ * scheduler resolves them with the usual retries/backoff, and re-runs the paid
+ * delivery for APPROVED requests once their timezone is known.
+ *
+ * Usage
+ *   npm run tz:backfill               # queue all
+ *   npm run tz:backfill -- --dry-run  # only count
+ *   npm run tz:backfill -- --max=500  # queue at most 500
+ */
+
+const db = require('../db/db');
+const repo = require('../modules/birthchart/repository');
+const logger = require('../utils/logger').child('scripts.tz-backfill');
+
+const PAGE_SIZE = 200;
+
+function parseArgs(argv) {
+  const args = { dryRun: false, max: Infinity };
+  for (const a of argv) {
+    if (a === '--dry-run') args.dryRun = true;
+    else if (a.startsWith('--max=')) {
+      const n = Number(a.slice('--max='.length));
+      if (Number.isInteger(n) && n > 0) args.max = n;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { dryRun, max } = parseArgs(process.argv.slice(2));
+  let afterId = 0;
+  let found = 0;
+  let queued = 0;
+
+  while (found < max) {
+    const rows = await repo.listRequestsMissingTimezone(Math.min(PAGE_SIZE, max - found), afterId);
+    if (rows.length === 0) break;
+
+    for (const { request_id: requestId } of rows) {
+      found++;
+      if (!dryRun && await repo.enqueueTimezoneJob(requestId)) queued++;
+    }
+    afterId = rows[rows.length - 1].request_id;
+  }
+
+  logger.info({ found, queued, dryRun }, 'timezone backfill finished');
+}
+
+main()
+  .catch((err) => {
+    logger.error({ msg: err?.message }, 'timezone backfill failed');
+    process.exitCode = 1;
+  })
+  .finally(() => db.end().catch(() => {}));
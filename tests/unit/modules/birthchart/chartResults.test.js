@@ -0,0 +1,58 @@
+// tests/unit/modules/birthchart/chartResults.test.js
+'use strict';
+
+/**
+ * Unit tests for stored chart results:
+ * - settings_hash ignores key order and changes with any input or setting.
+ * - ephemeris_version: EPHEMERIS_VERSION, else the /vN/ segment of the API URL.
+ * - Lookups and inserts use (request, settings hash, engine version).
+ */
+
+jest.mock('../../../../modules/birthchart/repository', () => ({
+  findChartResult: jest.fn(async () => null),
+  saveChartResult: jest.fn(async (row) => ({ chart_result_id: 1, ...row })),
+}));
+
+const repo = require('../../../../modules/birthchart/repository');
+const chartResults = require('../../../../modules/birthchart/chartResults');
+
+const body = {
+  year: 1990, month: 5, date: 10, hours: 14, minutes: 30, seconds: 0,
+  latitude: -23.55, longitude: -46.63, timezone: -3,
+  config: { observation_point: 'topocentric', ayanamsha: 'tropical', house_system: 'placidus', language: 'pt' },
+};
+
+describe('modules/birthchart/chartResults', () => {
+  afterEach(() => {
+    delete process.env.EPHEMERIS_VERSION;
+    delete process.env.EPHEMERIS_API_URL;
+  });
+
+  test('hashes the canonical request body', () => {
+    const reordered = { config: { ...body.config }, ...body };
+    expect(chartResults.settingsHash(reordered)).toBe(chartResults.settingsHash(body));
+    expect(chartResults.settingsHash({ ...body, timezone: -2 })).not.toBe(chartResults.settingsHash(body));
+    expect(chartResults.settingsHash({ ...body, config: { ...body.config, language: 'en' } }))
+      .not.toBe(chartResults.settingsHash(body));
+  });
+
+  test('derives the engine version', () => {
+    process.env.EPHEMERIS_API_URL = 'https://eph.example.com/api/v2/ephemeris';
+    expect(chartResults.ephemerisVersion()).toBe('v2');
+    process.env.EPHEMERIS_VERSION = 'swe-2.10';
+    expect(chartResults.ephemerisVersion()).toBe('swe-2.10');
+  });
+
+  test('looks up and stores by request, settings hash and version', async () => {
+    process.env.EPHEMERIS_VERSION = 'v1';
+    const hash = chartResults.settingsHash(body);
+
+    await chartResults.findReusable(42, body);
+    expect(repo.findChartResult).toHaveBeenCalledWith(42, hash, 'v1');
+
+    await chartResults.save({ requestId: 42, jobId: 7, ephemerisBody: body, chartSettings: {}, result: { statusCode: 200 } });
+    expect(repo.saveChartResult).toHaveBeenCalledWith(expect.objectContaining({
+      request_id: 42, job_id: 7, settings_hash: hash, ephemeris_version: 'v1', ephemeris_request: body,
+    }));
+  });
+});
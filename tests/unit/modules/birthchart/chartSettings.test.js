@@ -0,0 +1,48 @@
+// tests/unit/modules/birthchart/chartSettings.test.js
+'use strict';
+
+/**
+ * Unit tests for chart settings resolution:
+ * - Product defaults from the bundled catalog; allowed overrides apply.
+ * - Overrides the product does not allow are rejected (422).
+ * - Stored request settings win over the catalog; legacy rows get defaults.
+ * - Ephemeris config mapping (optional points, unknown birth time).
+ */
+
+const chartSettings = require('../../../../modules/birthchart/chartSettings');
+
+const DEFAULTS = {
+  house_system: 'placidus',
+  ayanamsha: 'tropical',
+  observation_point: 'topocentric',
+  language: 'pt',
+  points: [],
+};
+
+describe('modules/birthchart/chartSettings', () => {
+  test('resolves product defaults and allowed overrides', () => {
+    expect(chartSettings.resolve('birth_chart')).toEqual(DEFAULTS);
+    expect(chartSettings.resolve('birth_chart', chartSettings.pickOverrides({ chart_language: 'en', name: 'x' })))
+      .toEqual({ ...DEFAULTS, language: 'en' });
+  });
+
+  test('rejects overrides the product does not allow', () => {
+    expect(() => chartSettings.resolve('birth_chart', { house_system: 'koch' }))
+      .toThrow(expect.objectContaining({ code: 'chart_setting_not_allowed', status: 422 }));
+  });
+
+  test('uses the settings stored on the request', () => {
+    const stored = { ...DEFAULTS, house_system: 'whole_sign', points: ['lilith', 'chiron'] };
+    expect(chartSettings.forRequest({ product_type: 'birth_chart', chart_settings: stored }))
+      .toEqual({ ...stored, points: ['chiron', 'lilith'] });
+    expect(chartSettings.forRequest({ product_type: 'birth_chart', chart_settings: null })).toEqual(DEFAULTS);
+  });
+
+  test('maps settings to the Ephemeris config', () => {
+    expect(chartSettings.toEphemerisConfig(DEFAULTS)).toEqual({
+      observation_point: 'topocentric', ayanamsha: 'tropical', house_system: 'placidus', language: 'pt',
+    });
+    expect(chartSettings.toEphemerisConfig({ ...DEFAULTS, points: ['chiron'] }, { birthTimeUnknown: true }))
+      .toMatchObject({ points: ['chiron'], birth_time_unknown: true });
+  });
+});
@@ -0,0 +1,83 @@
+// tests/unit/modules/birthchart/chartWheel.test.js
+'use strict';
+
+/**
+ * Unit tests for the natal wheel renderer:
+ * - Extraction from local-engine results and API list-style outputs.
+ * - Major aspects within orb, tightest first.
+ * - SVG content: signs, house cusps, glyphs, aspect lines, localized title.
+ */
+
+const chartWheel = require('../../../../modules/birthchart/chartWheel');
+
+const localResult = {
+  statusCode: 200,
+  output: {
+    planets: [
+      { id: 'sun', longitude: 10, is_retro: false },
+      { id: 'moon', longitude: 130.5, is_retro: false },
+      { id: 'mars', longitude: 190, is_retro: true },
+    ],
+    points: [{ id: 'north_node', longitude: 10.5 }],
+    ascendant: { longitude: 100 },
+    midheaven: { longitude: 10 },
+    houses: Array.from({ length: 12 }, (_, i) => ({ house: i + 1, longitude: (100 + i * 30) % 360 })),
+  },
+};
+
+describe('modules/birthchart/chartWheel', () => {
+  test('extracts bodies, houses and angles', () => {
+    const chart = chartWheel.extractChart(localResult);
+    expect(chart.bodies.map((b) => b.id)).toEqual(['sun', 'moon', 'mars', 'north_node']);
+    expect(chart.bodies[2].retro).toBe(true);
+    expect(chart.houses).toHaveLength(12);
+    expect(chart).toMatchObject({ ascendant: 100, midheaven: 10 });
+  });
+
+  test('reads API list-style outputs and skips malformed entries', () => {
+    const chart = chartWheel.extractChart({
+      output: [{
+        0: { name: 'Ascendant', fullDegree: 100.5 },
+        1: { name: 'Sun', fullDegree: 49.8, isRetro: 'false' },
+        2: { name: 'Mercury', fullDegree: 39, isRetro: 'true' },
+        3: { name: 'Sun', fullDegree: 'n/a' },
+        4: { name: 'Unknown body', fullDegree: 12 },
+      }],
+    });
+    expect(chart.bodies).toEqual([
+      { id: 'sun', longitude: 49.8, retro: false },
+      { id: 'mercury', longitude: 39, retro: true },
+    ]);
+    expect(chart).toMatchObject({ ascendant: 100.5, houses: null });
+  });
+
+  test('finds major aspects between planets only', () => {
+    const aspects = chartWheel.findAspects(chartWheel.extractChart(localResult).bodies);
+    expect(aspects).toEqual([
+      { a: 'sun', b: 'mars', aspect: 'opposition', orb: 0 },
+      { a: 'sun', b: 'moon', aspect: 'trine', orb: 0.5 },
+      { a: 'moon', b: 'mars', aspect: 'sextile', orb: 0.5 },
+    ]);
+  });
+
+  test('renders an SVG wheel', () => {
+    const svg = chartWheel.render(localResult, { language: 'en' });
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg).toContain('<title>Natal chart</title>');
+    expect(svg.match(/class="sign"/g)).toHaveLength(12);
+    expect(svg.match(/class="cusp"/g)).toHaveLength(12);
+    expect(svg).toContain('class="body mars"');
+    expect(svg).toContain('class="aspect opposition"');
+    expect(svg).toContain('class="retro"');
+  });
+
+  test('renders without houses (unknown birth time)', () => {
+    const { houses, ascendant, midheaven, ...output } = localResult.output;
+    const svg = chartWheel.render({ output });
+    expect(svg).toContain('<title>Mapa natal</title>');
+    expect(svg).not.toContain('class="cusp"');
+
+    // A noon chart still carries houses and an ascendant; birthTimeUnknown drops them.
+    expect(chartWheel.render(localResult, { birthTimeUnknown: true })).toBe(svg);
+  });
+});
@@ -0,0 +1,272 @@
+// tests/unit/modules/birthchart/controller.test.js
+'use strict';
+
+/**
+ * Unit tests for the birthchart form controller:
+ * - A coupon redeemed with the request is given back when no checkout can be
+ *   opened, so the same email can redeem it again on retry; the opened checkout
+ *   records the (discounted) charge captures are verified against.
+ * - A PayPal checkout answers with the order id for Smart Buttons, or the approval
+ *   URL when PAYPAL_CHECKOUT_MODE=redirect; the issuer and charge are recorded.
+ * - preview: invalid form input is a 400, not a 500; valid input gets the teaser.
+ * - downloadReport: revoked (410) once the payment is refunded in full or charged back.
+ */
+
+jest.mock('../../../../db/db', () => ({
+  withTransaction: jest.fn(async (fn) => fn({ tx: true })),
+}));
+
+// In-memory coupon tables, driven by the real modules/coupons service.
+jest.mock('../../../../modules/coupons/repository', () => {
+  const state = { coupon: null, redemptions: [] };
+  return {
+    state,
+    findByCode: jest.fn(async () => (state.coupon ? { ...state.coupon } : null)),
+    countRedemptionsByEmail: jest.fn(async (code, email) =>
+      state.redemptions.filter((r) => r.code === code && r.email === email).length),
+    claimRedemption: jest.fn(async () => {
+      state.coupon.redemptions_count += 1;
+      return { ...state.coupon };
+    }),
+    insertRedemption: jest.fn(async (r) => {
+      state.redemptions.push(r);
+      return r;
+    }),
+    deleteRedemption: jest.fn(async (requestId) => {
+      const i = state.redemptions.findIndex((r) => r.requestId === requestId);
+      if (i < 0) return null;
+      const [r] = state.redemptions.splice(i, 1);
+      state.coupon.redemptions_count -= 1;
+      return r.code;
+    }),
+  };
+});
+
+jest.mock('../../../../modules/birthchart/repository', () => {
+  let nextId = 100;
+  return {
+    findRecentUnpaidDuplicate: jest.fn(async () => null),
+    createBirthchartRequest: jest.fn(async (r) => ({ ...r, request_id: nextId++, public_id: `pub-${nextId}` })),
+    updatePaymentRouting: jest.fn(async () => null),
+    recordCheckoutIssuer: jest.fn(async () => null),
+    recordCheckoutCharge: jest.fn(async () => null),
+    findByPublicId: jest.fn(),
+    findChartReport: jest.fn(),
+  };
+});
+jest.mock('../../../../modules/birthchart/report', () => ({
+  verifyDownloadToken: jest.fn(),
+  sha256: jest.requireActual('../../../../modules/birthchart/report').sha256,
+}));
+jest.mock('../../../../modules/birthchart/timezoneJobs', () => ({ kick: jest.fn() }));
+jest.mock('../../../../modules/birthchart/preview', () => ({ previewFor: jest.fn() }));
+jest.mock('../../../../modules/idempotency/service', () => ({
+  readKey: () => null,
+  fingerprint: () => 'fp',
+  begin: jest.fn(async () => ({ owned: false })),
+  complete: jest.fn(async () => null),
+  release: jest.fn(async () => null),
+}));
+jest.mock('../../../../payments/routingPolicy', () => ({
+  decide: jest.fn(() => ({ provider: 'MERCADO_PAGO', eligible: ['MERCADO_PAGO'], reason: 'default' })),
+}));
+jest.mock('../../../../payments/checkoutFailover', () => ({
+  buildChain: () => ['MERCADO_PAGO'],
+  createWithFailover: jest.fn(),
+}));
+jest.mock('../../../../payments/mercadoPago/service', () => ({}));
+jest.mock('../../../../payments/pagBank/service', () => ({}));
+jest.mock('../../../../payments/payPal/service', () => ({ createCheckout: jest.fn() }));
+
+const { AppError } = require('../../../../utils/appError');
+const couponsRepo = require('../../../../modules/coupons/repository');
+const requestsRepo = require('../../../../modules/birthchart/repository');
+const routingPolicy = require('../../../../payments/routingPolicy');
+const checkoutFailover = require('../../../../payments/checkoutFailover');
+const paypalService = require('../../../../payments/payPal/service');
+const chartPreview = require('../../../../modules/birthchart/preview');
+const report = require('../../../../modules/birthchart/report');
+const controller = require('../../../../modules/birthchart/controller');
+
+const log = { child: () => log, info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+/** Run a controller action; resolves { status, body } or { error }. */
+function call(action, body, params = {}) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(s) { this.statusCode = s; return this; },
+      set() { return this; },
+      type() { return this; },
+      json(b) { resolve({ status: this.statusCode, body: b }); return this; },
+      send(b) { resolve({ status: this.statusCode, body: b }); return this; },
+    };
+    controller[action]({ body, params, log, requestId: 'rid', get: () => undefined, headers: {} }, res, (error) => resolve({ error }));
+  });
+}
+
+const form = (over = {}) => ({
+  name: 'Ana',
+  email: 'ana@example.com',
+  gender_identity: 'female',
+  birth_date: '1990-05-10',
+  birth_time: '14:30',
+  birth_place: 'São Paulo',
+  birth_place_lat: -23.55,
+  birth_place_lng: -46.63,
+  privacyConsent: true,
+  ...over,
+});
+
+describe('modules/birthchart/controller', () => {
+  describe('processForm', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      couponsRepo.state.coupon = {
+        code: 'ZODIKA10',
+        discount_type: 'percent',
+        discount_value: 10,
+        currency: null,
+        product_types: null,
+        valid_from: null,
+        expires_at: null,
+        max_redemptions: 1,
+        per_email_limit: 1,
+        redemptions_count: 0,
+        active: true,
+      };
+      couponsRepo.state.redemptions = [];
+    });
+
+    test('gives the coupon back when no checkout can be opened, so a retry can redeem it', async () => {
+      checkoutFailover.createWithFailover.mockRejectedValueOnce(
+        new AppError('checkout_unavailable', 'No payment provider available', 503)
+      );
+
+      const failed = await call('processForm', form({ coupon_code: 'zodika10' }));
+      expect(failed.error).toMatchObject({ code: 'checkout_unavailable', status: 503 });
+      expect(couponsRepo.deleteRedemption).toHaveBeenCalledWith(100);
+      expect(couponsRepo.state.redemptions).toHaveLength(0);
+      expect(couponsRepo.state.coupon.redemptions_count).toBe(0);
+
+      checkoutFailover.createWithFailover.mockResolvedValueOnce({
+        provider: 'MERCADO_PAGO',
+        attempts: [],
+        result: { url: 'https://mp.example.com/checkout', action: 'redirect' },
+      });
+
+      const retried = await call('processForm', form({ coupon_code: 'ZODIKA10' }));
+      expect(retried).toMatchObject({
+        status: 200,
+        body: { url: 'https://mp.example.com/checkout', provider: 'MERCADO_PAGO', action: 'redirect' },
+      });
+      expect(couponsRepo.state.redemptions).toEqual([
+        expect.objectContaining({ code: 'ZODIKA10', requestId: 101, email: 'ana@example.com', finalCents: 3150 }),
+      ]);
+      expect(couponsRepo.state.coupon.redemptions_count).toBe(1);
+      expect(couponsRepo.deleteRedemption).toHaveBeenCalledTimes(1);
+      expect(requestsRepo.recordCheckoutCharge).toHaveBeenCalledWith(101, { amountCents: 3150, currency: 'BRL' });
+    });
+
+    describe('PayPal', () => {
+      const order = { orderId: 'ORDER-1', approvalUrl: 'https://www.paypal.com/checkoutnow?token=ORDER-1' };
+
+      beforeEach(() => {
+        routingPolicy.decide.mockReturnValueOnce({ provider: 'PAYPAL', eligible: ['PAYPAL'], reason: 'requested' });
+        // The failover runs the real per-provider factory against the mocked PayPal service.
+        checkoutFailover.createWithFailover.mockImplementationOnce(async (chain, create) => ({
+          provider: 'PAYPAL',
+          attempts: [{ provider: 'PAYPAL', ok: true }],
+          result: await create('PAYPAL', { signal: undefined }),
+        }));
+        paypalService.createCheckout.mockResolvedValueOnce(order);
+      });
+      afterEach(() => { delete process.env.PAYPAL_CHECKOUT_MODE; });
+
+      test('answers with the order id for Smart Buttons and records issuer and charge', async () => {
+        process.env.PAYPAL_CHECKOUT_MODE = 'buttons';
+
+        const out = await call('processForm', form({ payment_provider: 'PAYPAL' }));
+        expect(out.status).toBe(200);
+        expect(out.body).toMatchObject({ provider: 'PAYPAL', action: 'paypal_buttons', orderId: 'ORDER-1' });
+        expect(paypalService.createCheckout).toHaveBeenCalledWith(
+          expect.objectContaining({ productValue: 3500, currency: 'BRL' }),
+          expect.any(Object)
+        );
+
+        const requestId = paypalService.createCheckout.mock.calls[0][0].requestId;
+        expect(requestsRepo.recordCheckoutIssuer).toHaveBeenCalledWith(requestId, {
+          provider: 'PAYPAL',
+          attempts: [{ provider: 'PAYPAL', ok: true }],
+        });
+        expect(requestsRepo.recordCheckoutCharge).toHaveBeenCalledWith(requestId, { amountCents: 3500, currency: 'BRL' });
+      });
+
+      test('answers with the approval URL when PAYPAL_CHECKOUT_MODE=redirect', async () => {
+        process.env.PAYPAL_CHECKOUT_MODE = 'redirect';
+
+        const out = await call('processForm', form({ payment_provider: 'PAYPAL' }));
+        expect(out.status).toBe(200);
+        expect(out.body).toMatchObject({ url: order.approvalUrl, provider: 'PAYPAL', action: 'redirect', orderId: 'ORDER-1' });
+        expect(requestsRepo.recordCheckoutIssuer).toHaveBeenCalledWith(expect.any(Number), expect.objectContaining({ provider: 'PAYPAL' }));
+        expect(requestsRepo.recordCheckoutCharge).toHaveBeenCalledWith(expect.any(Number), { amountCents: 3500, currency: 'BRL' });
+      });
+    });
+  });
+
+  describe('preview', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    test('rejects invalid form input with 400', async () => {
+      const out = await call('preview', form({ email: 'not-an-email', birth_date: '10/05/1990' }));
+      expect(out.error).toMatchObject({ code: 'validation_error', status: 400 });
+      expect(chartPreview.previewFor).not.toHaveBeenCalled();
+    });
+
+    test('returns the teaser for valid input', async () => {
+      const teaser = { preview: { sun: null, moon: null, ascendant: null }, language: 'pt', birth_time_unknown: false, cached: false };
+      chartPreview.previewFor.mockResolvedValueOnce(teaser);
+
+      await expect(call('preview', form())).resolves.toEqual({ status: 200, body: teaser });
+      expect(chartPreview.previewFor).toHaveBeenCalledWith(
+        expect.objectContaining({ birth_date: '1990-05-10', birth_place_lat: -23.55 }),
+        log
+      );
+    });
+  });
+
+  describe('downloadReport', () => {
+    const pdf = Buffer.from('%PDF-1.4 report');
+    const paid = { request_id: 42, public_id: 'pub-42', payment_status: 'APPROVED', payment_status_detail: null };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      report.verifyDownloadToken.mockResolvedValue({ ok: true, publicId: 'pub-42', checksum: report.sha256(pdf) });
+      requestsRepo.findChartReport.mockResolvedValue({
+        report_id: 7,
+        product_type: 'birth_chart',
+        language: 'pt',
+        content: pdf,
+        checksum_sha256: report.sha256(pdf),
+      });
+    });
+
+    test('serves the stored PDF while the request is paid or partially refunded', async () => {
+      requestsRepo.findByPublicId.mockResolvedValueOnce(paid);
+      await expect(call('downloadReport', null, { token: 't' })).resolves.toEqual({ status: 200, body: pdf });
+
+      requestsRepo.findByPublicId.mockResolvedValueOnce({
+        ...paid, payment_status: 'REFUNDED', payment_status_detail: 'partially_refunded',
+      });
+      await expect(call('downloadReport', null, { token: 't' })).resolves.toEqual({ status: 200, body: pdf });
+    });
+
+    test.each(['REFUNDED', 'CHARGED_BACK'])('answers 410 once the payment is %s', async (status) => {
+      requestsRepo.findByPublicId.mockResolvedValueOnce({ ...paid, payment_status: status, payment_status_detail: 'refunded' });
+
+      const out = await call('downloadReport', null, { token: 't' });
+      expect(out.error).toMatchObject({ code: 'report_revoked', status: 410 });
+      expect(requestsRepo.findChartReport).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+// tests/unit/modules/birthchart/handler.refunded.test.js
+'use strict';
+
+/**
+ * Unit tests for the birthchart REFUNDED / CHARGED_BACK flow:
+ * - Cancels queued schedules, records a job and posts to WEBHOOK_URL_REFUNDED.
+ * - Full refunds and chargebacks run once; partial refunds run per refund.
+ * - n8n failures mark the job FAILED.
+ */
+
+process.env.WEBHOOK_URL_REFUNDED = 'https://n8n.example.com/webhook/refunded';
+
+jest.mock('../../../../payments/orchestrator', () => {
+  const { EventEmitter } = require('events');
+  return { events: new EventEmitter() };
+});
+jest.mock('../../../../utils/httpClient', () => ({ post: jest.fn(async () => ({ status: 200 })) }));
+jest.mock('../../../../modules/birthchart/repository', () => ({
+  findSucceededJob: jest.fn(async () => null),
+  markJobStart: jest.fn(async (requestId, productType, trigger) => ({ job_id: 5, trigger_status: trigger })),
+  findByRequestId: jest.fn(async (id) => ({
+    request_id: id,
+    product_type: 'birth_chart',
+    email: 'a@x.com',
+    payment_provider: 'MP',
+    payment_status: 'REFUNDED',
+    payment_amount_cents: 3500,
+    payment_currency: 'BRL',
+  })),
+  cancelPendingSchedules: jest.fn(async () => 1),
+  listJobsForRequest: jest.fn(async () => []),
+  markJobSucceeded: jest.fn(async () => null),
+  markJobFailed: jest.fn(async () => null),
+}));
+
+const httpClient = require('../../../../utils/httpClient');
+const repo = require('../../../../modules/birthchart/repository');
+const { onRefundedEvent } = require('../../../../modules/birthchart/handler');
+
+const refundEvt = {
+  requestId: 42,
+  productType: 'birth_chart',
+  provider: 'MP',
+  normalizedStatus: 'REFUNDED',
+  statusDetail: 'refunded',
+  currency: 'BRL',
+  refund: { refundId: 9, amountCents: 3500, refundedTotalCents: 3500, partial: false },
+};
+
+describe('birthchart handler (refunded)', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('full refund cancels schedules and posts the reversal to n8n', async () => {
+    await onRefundedEvent(refundEvt);
+
+    expect(repo.findSucceededJob).toHaveBeenCalledWith(42, 'birth_chart', 'REFUNDED');
+    expect(repo.cancelPendingSchedules).toHaveBeenCalledWith(42, 'birth_chart');
+    expect(httpClient.post).toHaveBeenCalledWith(
+      'https://n8n.example.com/webhook/refunded',
+      expect.objectContaining({
+        meta: expect.objectContaining({ job_id: 5, trigger_status: 'REFUNDED' }),
+        reversal: expect.objectContaining({ kind: 'refund', partial: false, refund_id: 9, amount_cents: 3500 }),
+      }),
+      expect.objectContaining({ retries: 0 })
+    );
+    expect(repo.markJobSucceeded).toHaveBeenCalledWith(5, expect.objectContaining({ webhook_http_status: 200 }));
+  });
+
+  test('a completed chargeback is not posted twice', async () => {
+    repo.findSucceededJob.mockResolvedValueOnce({ job_id: 3 });
+    await onRefundedEvent({ ...refundEvt, normalizedStatus: 'CHARGED_BACK', refund: undefined });
+
+    expect(repo.findSucceededJob).toHaveBeenCalledWith(42, 'birth_chart', 'CHARGED_BACK');
+    expect(repo.markJobStart).not.toHaveBeenCalled();
+    expect(httpClient.post).not.toHaveBeenCalled();
+  });
+
+  test('partial refunds skip the once-per-request gate', async () => {
+    await onRefundedEvent({ ...refundEvt, refund: { refundId: 10, amountCents: 1000, refundedTotalCents: 1000, partial: true } });
+
+    expect(repo.findSucceededJob).not.toHaveBeenCalled();
+    expect(repo.markJobStart).toHaveBeenCalledWith(42, 'birth_chart', 'REFUNDED_PARTIAL');
+    expect(httpClient.post.mock.calls[0][1].reversal).toMatchObject({ kind: 'refund', partial: true, amount_cents: 1000 });
+  });
+
+  test('n8n failures mark the job FAILED', async () => {
+    httpClient.post.mockRejectedValueOnce(Object.assign(new Error('boom'), { response: { status: 503 } }));
+    await onRefundedEvent(refundEvt);
+
+    expect(repo.markJobFailed).toHaveBeenCalledWith(5, 'n8n_webhook_error:503');
+    expect(repo.markJobSucceeded).not.toHaveBeenCalled();
+  });
+});
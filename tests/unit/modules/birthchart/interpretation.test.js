@@ -0,0 +1,79 @@
+// tests/unit/modules/birthchart/interpretation.test.js
+'use strict';
+
+/**
+ * Unit tests for the interpretation texts:
+ * - Placements → sections (ascendant, planets in signs/houses, aspects).
+ * - Gendered variants from gender_identity; unknown birth time; language fallback.
+ * - Every language file covers the same blocks.
+ */
+
+const interpretation = require('../../../../modules/birthchart/interpretation');
+
+const TEXTS = ['pt', 'en', 'es'].map((lang) => require(`../../../../modules/birthchart/interpretations/${lang}.json`));
+
+const result = {
+  output: {
+    planets: [
+      { id: 'sun', longitude: 49.5 },    // Taurus
+      { id: 'moon', longitude: 169.5 },  // Virgo, trine Sun
+      { id: 'mars', longitude: 230 },    // Scorpio, opposite Sun
+    ],
+    points: [{ id: 'north_node', longitude: 50 }],
+    ascendant: { longitude: 130 },       // Leo
+    midheaven: { longitude: 40 },
+    houses: Array.from({ length: 12 }, (_, i) => ({ longitude: (130 + i * 30) % 360 })),
+  },
+};
+
+const sectionOf = (out, id) => out.sections.find((s) => s.id === id);
+
+describe('modules/birthchart/interpretation', () => {
+  test('maps placements to sections', () => {
+    const out = interpretation.interpret(result, { language: 'pt', genderIdentity: 'female' });
+    expect(out).toMatchObject({ version: 'pt.1', language: 'pt', gender: 'female' });
+    expect(out.sections.map((s) => s.id)).toEqual(['ascendant', 'planets_in_signs', 'planets_in_houses', 'aspects']);
+
+    expect(sectionOf(out, 'ascendant').items[0]).toMatchObject({ key: 'ascendant.leo', title: 'Ascendente em Leão' });
+    expect(sectionOf(out, 'planets_in_signs').items.map((i) => i.key)).toEqual(['sun.taurus', 'moon.virgo', 'mars.scorpio']);
+    expect(sectionOf(out, 'planets_in_houses').items.map((i) => i.key)).toEqual(['sun.house_10', 'moon.house_2', 'mars.house_4']);
+    expect(sectionOf(out, 'planets_in_houses').items[0].text).toBe('Na casa 10, o Sol se destaca na carreira, na vocação e na imagem pública.');
+    expect(sectionOf(out, 'aspects').items.map((i) => i.key)).toEqual(['sun.trine.moon', 'sun.opposition.mars', 'moon.sextile.mars']);
+  });
+
+  test('picks gendered variants', () => {
+    const text = (genderIdentity) => sectionOf(interpretation.interpret(result, { language: 'pt', genderIdentity }), 'ascendant').items[0].text;
+    expect(text('female')).toContain('Você dificilmente passa despercebida.');
+    expect(text('male')).toContain('Você dificilmente passa despercebido.');
+    expect(text('not_informed')).toContain('Sua presença dificilmente passa despercebida.');
+  });
+
+  test('skips ascendant and houses when the birth time is unknown', () => {
+    const out = interpretation.interpret(result, { language: 'en', birthTimeUnknown: true });
+    expect(out.sections.map((s) => s.id)).toEqual(['planets_in_signs', 'aspects']);
+    expect(sectionOf(out, 'aspects').items[0].title).toBe('Sun trine Moon');
+  });
+
+  test('falls back to Portuguese for unknown languages', () => {
+    expect(interpretation.interpret(result, { language: 'fr' }).language).toBe('pt');
+  });
+
+  test('every language covers the same blocks without unresolved placeholders', () => {
+    const shape = (t) => ({
+      bodies: Object.keys(t.bodies).sort(),
+      signs: Object.keys(t.signs).sort(),
+      houses: Object.keys(t.houses).sort(),
+      aspects: Object.keys(t.aspects).sort(),
+    });
+    for (const t of TEXTS) expect(shape(t)).toEqual(shape(TEXTS[0]));
+
+    for (const language of ['pt', 'en', 'es']) {
+      for (const genderIdentity of ['female', 'male', 'not_informed']) {
+        const out = interpretation.interpret(result, { language, genderIdentity });
+        for (const item of out.sections.flatMap((s) => s.items)) {
+          expect(`${item.title} ${item.text}`).not.toMatch(/[{}|]/);
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,60 @@
+// tests/unit/modules/birthchart/localEphemeris.test.js
+'use strict';
+
+/**
+ * Unit tests for the in-process ephemeris engine:
+ * - Planet longitudes at J2000 match published values.
+ * - Angles/houses: cusp 1 = ascendant, cusp 10 = MC, opposite cusps, polar fallback.
+ * - Sidereal zodiac, optional points and unknown birth time.
+ */
+
+const localEphemeris = require('../../../../modules/birthchart/localEphemeris');
+
+const body = (overrides = {}, config = {}) => ({
+  year: 2000, month: 1, date: 1, hours: 12, minutes: 0, seconds: 0,
+  latitude: -23.55, longitude: -46.63, timezone: 0,
+  config: { observation_point: 'geocentric', ayanamsha: 'tropical', house_system: 'placidus', language: 'pt', ...config },
+  ...overrides,
+});
+
+const lonOf = (res, id) => res.output.planets.find((p) => p.id === id).longitude;
+
+describe('modules/birthchart/localEphemeris', () => {
+  test('computes apparent planet longitudes in an Ephemeris-shaped response', () => {
+    const res = localEphemeris.compute(body());
+    expect(res).toMatchObject({ statusCode: 200, engine: 'local', engine_version: localEphemeris.ENGINE_VERSION });
+    expect(lonOf(res, 'sun')).toBeCloseTo(280.37, 1);
+    expect(lonOf(res, 'moon')).toBeCloseTo(223.32, 1);
+    expect(lonOf(res, 'mars')).toBeCloseTo(327.96, 1);
+    expect(res.output.planets.find((p) => p.id === 'sun')).toMatchObject({ sign_id: 'capricorn', sign: 'Capricórnio', sign_num: 10 });
+  });
+
+  test('builds houses from the angles', () => {
+    const { output, meta } = localEphemeris.compute(body());
+    expect(output.houses).toHaveLength(12);
+    expect(output.houses[0].longitude).toBe(output.ascendant.longitude);
+    expect(output.houses[9].longitude).toBe(output.midheaven.longitude);
+    expect((output.houses[6].longitude - output.houses[0].longitude + 360) % 360).toBeCloseTo(180, 6);
+    expect(meta.house_system_used).toBe('placidus');
+
+    // Placidus is undefined above the polar circle: Porphyry is used instead.
+    expect(localEphemeris.compute(body({ latitude: 75 })).meta.house_system_used).toBe('porphyry');
+  });
+
+  test('applies sidereal zodiacs, optional points and unknown birth time', () => {
+    const tropical = localEphemeris.compute(body());
+    const lahiri = localEphemeris.compute(body({}, { ayanamsha: 'lahiri' }));
+    expect(lahiri.meta.ayanamsha_value).toBeCloseTo(23.857, 3);
+    expect((lonOf(tropical, 'sun') - lonOf(lahiri, 'sun') + 360) % 360).toBeCloseTo(23.857, 3);
+
+    const withPoints = localEphemeris.compute(body({}, { points: ['north_node', 'vertex', 'chiron'] }));
+    expect(withPoints.output.points.map((p) => p.id)).toEqual(['north_node', 'vertex']);
+    expect(withPoints.meta.unsupported_points).toEqual(['chiron']);
+
+    const unknown = localEphemeris.compute(body({}, { birth_time_unknown: true, points: ['vertex'] }));
+    expect(unknown.output.houses).toBeUndefined();
+    expect(unknown.output.ascendant).toBeUndefined();
+    expect(unknown.output.points).toEqual([]);
+    expect(unknown.output.planets[0].house).toBeUndefined();
+  });
+});
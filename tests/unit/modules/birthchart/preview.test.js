@@ -0,0 +1,100 @@
+// tests/unit/modules/birthchart/preview.test.js
+'use strict';
+
+/**
+ * Unit tests for the free chart preview:
+ * - Teaser subset only (Sun, Moon, Ascendant signs); no Ascendant without birth time.
+ * - Cached by birth data: a repeat does not compute the chart again.
+ * - 422 without coordinates, 503 when the timezone cannot be resolved; nothing persisted.
+ */
+
+jest.mock('../../../../utils/timezone', () => ({
+  getTimezoneAtMoment: jest.fn(async () => ({ tzId: 'America/Sao_Paulo', offsetMin: -180, source: 'offline' })),
+  toHours: (m) => m / 60,
+}));
+jest.mock('../../../../modules/birthchart/repository', () => ({}));
+jest.mock('../../../../modules/birthchart/handler', () => ({
+  buildEphemerisPayload: jest.requireActual('../../../../modules/birthchart/handler').buildEphemerisPayload,
+  getEphemerisEngine: () => 'local',
+  computeChart: jest.fn(async () => ({
+    status: null,
+    dur: 3,
+    engine: 'local',
+    data: {
+      output: {
+        planets: [
+          { id: 'sun', longitude: 49.5 },   // Taurus
+          { id: 'moon', longitude: 169.5 }, // Virgo
+          { id: 'mars', longitude: 230 },
+        ],
+        ascendant: { longitude: 130 },      // Leo
+        houses: Array.from({ length: 12 }, (_, i) => ({ longitude: (130 + i * 30) % 360 })),
+      },
+    },
+  })),
+}));
+
+const { getTimezoneAtMoment } = require('../../../../utils/timezone');
+const handler = require('../../../../modules/birthchart/handler');
+const { previewFor } = require('../../../../modules/birthchart/preview');
+
+const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const input = (over = {}) => ({
+  product_type: 'birth_chart',
+  birth_date: '1990-05-10',
+  birth_time: '14:30',
+  birth_place_lat: -23.55,
+  birth_place_lng: -46.63,
+  ...over,
+});
+
+describe('modules/birthchart/preview', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('returns only the teaser and caches it by birth data', async () => {
+    const first = await previewFor(input(), log);
+    expect(first).toEqual({
+      preview: {
+        sun: { sign_id: 'taurus', sign: 'Touro' },
+        moon: { sign_id: 'virgo', sign: 'Virgem' },
+        ascendant: { sign_id: 'leo', sign: 'Leão' },
+      },
+      language: 'pt',
+      birth_time_unknown: false,
+      cached: false,
+    });
+    expect(handler.computeChart).toHaveBeenCalledWith(
+      expect.objectContaining({ year: 1990, month: 5, date: 10, hours: 14, minutes: 30, timezone: -3 }),
+      'local',
+      log
+    );
+
+    const second = await previewFor(input(), log);
+    expect(second).toEqual({ ...first, cached: true });
+    expect(handler.computeChart).toHaveBeenCalledTimes(1);
+    // The timezone is part of the cache key, so it is still resolved for every call.
+    expect(getTimezoneAtMoment).toHaveBeenCalledTimes(2);
+
+    // Other birth data → another chart
+    await previewFor(input({ birth_time: '15:30' }), log);
+    expect(handler.computeChart).toHaveBeenCalledTimes(2);
+  });
+
+  test('omits the ascendant when the birth time is unknown', async () => {
+    const out = await previewFor(input({ birth_time: '12:00', birth_time_unknown: true }), log);
+    expect(out.preview.ascendant).toBeNull();
+    expect(out.preview.sun).toEqual({ sign_id: 'taurus', sign: 'Touro' });
+    expect(out.birth_time_unknown).toBe(true);
+  });
+
+  test('requires coordinates and a resolvable timezone', async () => {
+    await expect(previewFor(input({ birth_place_lat: undefined }), log))
+      .rejects.toMatchObject({ code: 'birth_coordinates_required', status: 422 });
+
+    getTimezoneAtMoment.mockResolvedValueOnce(null);
+    await expect(previewFor(input({ birth_date: '1985-01-01' }), log))
+      .rejects.toMatchObject({ code: 'preview_unavailable', status: 503 });
+    expect(handler.computeChart).not.toHaveBeenCalled();
+  });
+});
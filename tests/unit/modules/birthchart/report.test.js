@@ -0,0 +1,105 @@
+// tests/unit/modules/birthchart/report.test.js
+'use strict';
+
+/**
+ * Unit tests for the PDF natal report:
+ * - Deterministic rendering (same inputs → same bytes), pagination.
+ * - Template fallbacks per product and language.
+ * - generate(): stored with its checksum, signed download link round-trip.
+ */
+
+jest.mock('../../../../config/secretProvider', () => ({
+  get: jest.fn(async () => null), // env fallback
+}));
+
+jest.mock('../../../../modules/birthchart/repository', () => ({
+  saveChartReport: jest.fn(async ({ content, ...row }) => ({ report_id: 7, size_bytes: content.length, ...row })),
+}));
+
+const repo = require('../../../../modules/birthchart/repository');
+const report = require('../../../../modules/birthchart/report');
+const { templateFor } = require('../../../../modules/birthchart/reportTemplates');
+
+const request = {
+  request_id: 42,
+  public_id: '0b6f6f4e-4d1a-4f0e-9a51-3c2b1f1e2d3c',
+  product_type: 'birth_chart',
+  name: 'Maria José da Silva',
+  social_name: null,
+  birth_date: '1990-05-10',
+  birth_time: '14:30:00',
+  birth_time_unknown: false,
+  birth_place: 'São Paulo, SP, Brasil',
+  birth_place_lat: -23.55,
+  birth_place_lng: -46.63,
+  birth_utc_offset_min: -180,
+};
+
+const settings = { house_system: 'placidus', ayanamsha: 'tropical', observation_point: 'topocentric', language: 'pt', points: [] };
+
+const result = {
+  statusCode: 200,
+  output: {
+    planets: [
+      { id: 'sun', longitude: 49.5, is_retro: false },
+      { id: 'moon', longitude: 169.8, is_retro: false },
+      { id: 'mars', longitude: 332.1, is_retro: true },
+    ],
+    ascendant: { longitude: 160.2 },
+    midheaven: { longitude: 70.4 },
+    houses: Array.from({ length: 12 }, (_, i) => ({ house: i + 1, longitude: (160.2 + i * 30) % 360 })),
+  },
+};
+
+describe('modules/birthchart/report', () => {
+  afterEach(() => {
+    delete process.env.REPORT_DOWNLOAD_SECRET;
+    jest.clearAllMocks();
+  });
+
+  test('renders a deterministic PDF', () => {
+    const a = report.render({ request, result, settings });
+    const b = report.render({ request, result, settings });
+    expect(a.buffer.subarray(0, 8).toString('latin1')).toBe('%PDF-1.4');
+    expect(a.buffer.subarray(-6).toString('latin1')).toBe('%%EOF\n');
+    expect(a.buffer.equals(b.buffer)).toBe(true);
+    expect(a.template.version).toBe('birth_chart.pt.1');
+
+    const other = report.render({ request: { ...request, social_name: 'Zé' }, result, settings });
+    expect(report.sha256(other.buffer)).not.toBe(report.sha256(a.buffer));
+  });
+
+  test('paginates long interpretation sections', () => {
+    const sections = [{ title: 'Sol em Touro', paragraphs: ['Texto longo de interpretação. '.repeat(600)] }];
+    const { buffer } = report.render({ request, result, settings, sections });
+    expect(buffer.toString('latin1').match(/\/Type \/Page /g).length).toBeGreaterThan(2);
+  });
+
+  test('falls back to the default product and language template', () => {
+    expect(templateFor('unknown_product', 'en')).toMatchObject({ product_type: 'birth_chart', language: 'en', title: 'Natal Chart' });
+    expect(templateFor('birth_chart', 'fr')).toMatchObject({ language: 'pt', title: 'Mapa Astral' });
+  });
+
+  test('stores the report and signs a download link', async () => {
+    process.env.REPORT_DOWNLOAD_SECRET = 'report-secret';
+    const out = await report.generate({ request, result, settings, jobId: 3, chartResultId: 9 });
+
+    const stored = repo.saveChartReport.mock.calls[0][0];
+    expect(stored).toMatchObject({ request_id: 42, job_id: 3, chart_result_id: 9, language: 'pt', template_version: 'birth_chart.pt.1' });
+    expect(out.checksum_sha256).toBe(report.sha256(stored.content));
+    expect(out.size_bytes).toBe(stored.content.length);
+    expect(out.url).toMatch(/^https?:\/\/[^/]+\/birthchart\/report\/[\w-]+\.[\w-]+$/);
+
+    const token = out.url.split('/').pop();
+    await expect(report.verifyDownloadToken(token)).resolves.toEqual({
+      ok: true, publicId: request.public_id, checksum: out.checksum_sha256,
+    });
+  });
+
+  test('stores the report without a link when links are disabled', async () => {
+    const out = await report.generate({ request, result, settings });
+    expect(repo.saveChartReport).toHaveBeenCalledTimes(1);
+    expect(out).toMatchObject({ url: null, expires_at: null });
+    await expect(report.verifyDownloadToken('a.b')).resolves.toEqual({ ok: false, reason: 'disabled' });
+  });
+});
@@ -0,0 +1,105 @@
+// tests/unit/modules/birthchart/timezoneJobs.test.js
+'use strict';
+
+/**
+ * Unit tests for the durable birth timezone jobs:
+ * - A resolved job persists the offset, completes and emits `timezone:resolved`.
+ * - Unresolved lookups are re-queued with exponential backoff, then fail for good.
+ * - Invalid birth inputs fail without retries.
+ * - resolveNow() resolves on demand and re-queues the job when it cannot.
+ */
+
+process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+
+jest.mock('../../../../utils/timezone', () => ({
+  getTimezoneAtMoment: jest.fn(),
+  toHours: (min) => Math.round((min / 60) * 1000) / 1000,
+}));
+jest.mock('../../../../modules/birthchart/repository', () => ({
+  findByRequestId: jest.fn(),
+  updateBirthTimezone: jest.fn(async (id, fields) => ({ request_id: id, ...fields })),
+  claimDueTimezoneJobs: jest.fn(),
+  completeTimezoneJob: jest.fn(async () => null),
+  failTimezoneJob: jest.fn(async () => null),
+  enqueueTimezoneJob: jest.fn(async (id) => ({ request_id: id, status: 'queued' })),
+}));
+
+const { getTimezoneAtMoment } = require('../../../../utils/timezone');
+const repo = require('../../../../modules/birthchart/repository');
+const timezoneJobs = require('../../../../modules/birthchart/timezoneJobs');
+
+const request = {
+  request_id: 42,
+  product_type: 'birth_chart',
+  birth_date: '1990-05-10',
+  birth_time: '14:30',
+  birth_place_lat: -23.55,
+  birth_place_lng: -46.63,
+  birth_utc_offset_min: null,
+  birth_utc_offset_hours: null,
+};
+
+describe('modules/birthchart/timezoneJobs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    repo.findByRequestId.mockResolvedValue(request);
+  });
+
+  test('persists a resolved timezone and emits timezone:resolved', async () => {
+    repo.claimDueTimezoneJobs.mockResolvedValueOnce([{ request_id: 42, attempts: 1 }]);
+    getTimezoneAtMoment.mockResolvedValueOnce({ tzId: 'America/Sao_Paulo', offsetMin: -180, source: 'google' });
+    const listener = jest.fn();
+    timezoneJobs.events.once('timezone:resolved', listener);
+
+    await expect(timezoneJobs.runDue(10)).resolves.toBe(1);
+
+    expect(getTimezoneAtMoment).toHaveBeenCalledWith(expect.objectContaining({
+      birthDate: '1990-05-10', birthTime: '14:30', apiKey: 'test-key',
+    }));
+    expect(repo.updateBirthTimezone).toHaveBeenCalledWith(42, {
+      birth_timezone_id: 'America/Sao_Paulo', birth_utc_offset_min: -180, birth_utc_offset_hours: -3,
+      birth_timezone_source: 'google',
+    });
+    expect(repo.completeTimezoneJob).toHaveBeenCalledWith(42);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ requestId: 42 }));
+  });
+
+  test('re-queues unresolved lookups with backoff and fails after the last attempt', async () => {
+    getTimezoneAtMoment.mockResolvedValue({ tzId: null, offsetMin: null });
+
+    repo.claimDueTimezoneJobs.mockResolvedValueOnce([{ request_id: 42, attempts: 3 }]);
+    await timezoneJobs.runDue(10);
+    expect(repo.failTimezoneJob).toHaveBeenLastCalledWith(42, {
+      error: 'timezone_unresolved', retryInMs: timezoneJobs.backoffMs(3),
+    });
+    expect(timezoneJobs.backoffMs(3)).toBe(4 * timezoneJobs.backoffMs(1));
+
+    repo.claimDueTimezoneJobs.mockResolvedValueOnce([{ request_id: 42, attempts: 8 }]);
+    await timezoneJobs.runDue(10);
+    expect(repo.failTimezoneJob).toHaveBeenLastCalledWith(42, { error: 'timezone_unresolved', retryInMs: null });
+    expect(repo.completeTimezoneJob).not.toHaveBeenCalled();
+  });
+
+  test('fails invalid birth inputs without retrying and completes already-resolved requests', async () => {
+    repo.findByRequestId.mockResolvedValueOnce({ ...request, birth_place_lat: null });
+    repo.claimDueTimezoneJobs.mockResolvedValueOnce([{ request_id: 42, attempts: 1 }]);
+    await timezoneJobs.runDue(10);
+    expect(repo.failTimezoneJob).toHaveBeenCalledWith(42, { error: 'invalid_birth_inputs', retryInMs: null });
+
+    repo.findByRequestId.mockResolvedValueOnce({ ...request, birth_utc_offset_min: -180 });
+    repo.claimDueTimezoneJobs.mockResolvedValueOnce([{ request_id: 42, attempts: 1 }]);
+    await timezoneJobs.runDue(10);
+    expect(repo.completeTimezoneJob).toHaveBeenCalledWith(42);
+    expect(getTimezoneAtMoment).not.toHaveBeenCalled();
+  });
+
+  test('resolveNow returns the updated row, or re-queues the job when unresolved', async () => {
+    getTimezoneAtMoment.mockResolvedValueOnce({ tzId: 'America/Sao_Paulo', offsetMin: -180 });
+    await expect(timezoneJobs.resolveNow(request)).resolves.toMatchObject({ birth_utc_offset_min: -180 });
+    expect(repo.completeTimezoneJob).toHaveBeenCalledWith(42);
+
+    getTimezoneAtMoment.mockResolvedValueOnce(null);
+    await expect(timezoneJobs.resolveNow(request)).resolves.toBeNull();
+    expect(repo.enqueueTimezoneJob).toHaveBeenCalledWith(42);
+  });
+});
@@ -0,0 +1,83 @@
+// tests/unit/modules/catalog/service.test.js
+'use strict';
+
+/**
+ * Unit tests for modules/catalog/service (file source):
+ * - The bundled catalog exposes the birth_chart product.
+ * - Return URL templates, price fallback and method narrowing.
+ * - DB refresh keeps active windows and skips invalid entries.
+ */
+
+jest.mock('../../../../modules/catalog/repository', () => ({
+  listEnabledProducts: jest.fn(async () => []),
+}));
+
+const repo = require('../../../../modules/catalog/repository');
+const catalog = require('../../../../modules/catalog/service');
+
+describe('modules/catalog', () => {
+  test('bundled catalog has an active birth_chart product', () => {
+    const p = catalog.requireProduct('BIRTH_CHART');
+    expect(p).toMatchObject({ product_type: 'birth_chart', name: 'MAPA NATAL ZODIKA', default_currency: 'BRL' });
+    expect(catalog.getPrice(p)).toEqual({ amountCents: 3500, currency: 'BRL' });
+    expect(catalog.getPrice(p, 'usd')).toEqual({ amountCents: 3500, currency: 'BRL' });
+    expect(catalog.listActiveProductTypes()).toContain('birth_chart');
+  });
+
+  test('unknown products are rejected with product_not_available', () => {
+    expect(catalog.isActiveProduct('tarot')).toBe(false);
+    expect(() => catalog.requireProduct('tarot'))
+      .toThrow(expect.objectContaining({ code: 'product_not_available', status: 422 }));
+  });
+
+  test('return URLs fill {ref} and fall back to defaults', () => {
+    expect(catalog.getReturnUrls('birth_chart', 'a b').success)
+      .toBe('https://www.zodika.com.br/birthchart-payment-success?ref=a%20b');
+    expect(catalog.getReturnUrls('birth_chart').success)
+      .toBe('https://www.zodika.com.br/birthchart-payment-success');
+    expect(catalog.getReturnUrls('unknown', 1)).toEqual({
+      success: 'https://www.zodika.com.br/payment-success',
+      pending: 'https://www.zodika.com.br/payment-pending',
+      fail: 'https://www.zodika.com.br/payment-fail',
+    });
+  });
+
+  test('payment options narrow to the chosen method', () => {
+    const p = catalog.requireProduct('birth_chart');
+    expect(catalog.getPaymentOptions(p, 'pix')).toEqual({ allow_pix: true, allow_card: false, max_installments: 1 });
+    expect(catalog.getPaymentOptions(p)).toEqual({ allow_pix: true, allow_card: true, max_installments: 1 });
+  });
+
+  test('db refresh applies active windows and skips invalid definitions', async () => {
+    const saved = process.env.CATALOG_SOURCE;
+    process.env.CATALOG_SOURCE = 'db';
+    const def = {
+      name: 'TRANSITOS',
+      prices: { brl: 4900, USD: 1500 },
+      payment: { methods: ['card', 'paypal'] },
+      urls: {
+        success: 'https://www.zodika.com.br/ok?ref={ref}',
+        pending: 'https://www.zodika.com.br/pending',
+        fail: 'https://www.zodika.com.br/fail',
+      },
+    };
+    repo.listEnabledProducts.mockResolvedValueOnce([
+      { product_type: 'transits', definition: def, active_from: null, active_until: null },
+      { product_type: 'future', definition: def, active_from: new Date(Date.now() + 86_400_000), active_until: null },
+      { product_type: 'broken', definition: { name: 'x' }, active_from: null, active_until: null },
+    ]);
+
+    try {
+      await expect(catalog.refresh()).resolves.toBe(2);
+      const p = catalog.requireProduct('transits');
+      expect(catalog.getPrice(p, 'USD')).toEqual({ amountCents: 1500, currency: 'USD' });
+      expect(catalog.getPrice(p)).toEqual({ amountCents: 4900, currency: 'BRL' });
+      expect(catalog.isActiveProduct('future')).toBe(false);
+      expect(catalog.getProduct('future', { includeInactive: true })).toBeTruthy();
+      expect(catalog.isActiveProduct('broken')).toBe(false);
+    } finally {
+      if (saved === undefined) delete process.env.CATALOG_SOURCE;
+      else process.env.CATALOG_SOURCE = saved;
+    }
+  });
+});
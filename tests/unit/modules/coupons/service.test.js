@@ -0,0 +1,122 @@
+// tests/unit/modules/coupons/service.test.js
+'use strict';
+
+/**
+ * Unit tests for modules/coupons/service:
+ * - Percent/fixed discount math and the minimum charge floor.
+ * - quote() rejects expired, restricted, exhausted and per-email-limited codes.
+ * - persistWithCoupon() redeems inside the request transaction and lets
+ *   a lost race surface as coupon_exhausted (so the request rolls back).
+ * - releaseRedemption() gives a use back and never throws.
+ */
+
+jest.mock('../../../../db/db', () => ({
+  withTransaction: jest.fn(async (fn) => fn({ tx: true })),
+}));
+jest.mock('../../../../modules/coupons/repository', () => ({
+  findByCode: jest.fn(),
+  countRedemptionsByEmail: jest.fn(async () => 0),
+  claimRedemption: jest.fn(),
+  insertRedemption: jest.fn(async (r) => ({ redemption_id: 1, ...r })),
+  deleteRedemption: jest.fn(),
+}));
+
+const db = require('../../../../db/db');
+const repo = require('../../../../modules/coupons/repository');
+const coupons = require('../../../../modules/coupons/service');
+
+const base = {
+  code: 'ZODIKA10',
+  discount_type: 'percent',
+  discount_value: 10,
+  currency: null,
+  product_types: ['birth_chart'],
+  valid_from: null,
+  expires_at: null,
+  max_redemptions: 5,
+  per_email_limit: 1,
+  redemptions_count: 0,
+  active: true,
+};
+const purchase = { productType: 'birth_chart', currency: 'BRL', amountCents: 3500, email: 'A@x.com' };
+
+describe('modules/coupons', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('computes percent and fixed discounts with a minimum charge', () => {
+    expect(coupons.computeDiscount(base, 3500)).toEqual({ originalCents: 3500, discountCents: 350, finalCents: 3150 });
+    expect(coupons.computeDiscount({ ...base, discount_type: 'fixed', discount_value: 1000 }, 3500).finalCents).toBe(2500);
+    expect(coupons.computeDiscount({ ...base, discount_value: 100 }, 3500).finalCents).toBe(coupons.MIN_CHARGE_CENTS);
+  });
+
+  test('quote normalizes the code and returns the discounted price', async () => {
+    repo.findByCode.mockResolvedValueOnce(base);
+    await expect(coupons.quote(' zodika10 ', purchase)).resolves.toMatchObject({
+      code: 'ZODIKA10', currency: 'BRL', originalCents: 3500, discountCents: 350, finalCents: 3150,
+    });
+    expect(repo.findByCode).toHaveBeenCalledWith('ZODIKA10');
+    expect(repo.countRedemptionsByEmail).toHaveBeenCalledWith('ZODIKA10', 'a@x.com', undefined);
+  });
+
+  test.each([
+    [null, 'coupon_invalid'],
+    [{ ...base, active: false }, 'coupon_invalid'],
+    [{ ...base, expires_at: new Date(Date.now() - 1000) }, 'coupon_expired'],
+    [{ ...base, product_types: ['transits'] }, 'coupon_not_applicable'],
+    [{ ...base, discount_type: 'fixed', currency: 'USD' }, 'coupon_not_applicable'],
+    [{ ...base, redemptions_count: 5 }, 'coupon_exhausted'],
+  ])('quote rejects unusable coupons (%#)', async (row, code) => {
+    repo.findByCode.mockResolvedValueOnce(row);
+    await expect(coupons.quote('ZODIKA10', purchase)).rejects.toMatchObject({ code, status: 422 });
+  });
+
+  test('quote enforces the per-email limit', async () => {
+    repo.findByCode.mockResolvedValueOnce(base);
+    repo.countRedemptionsByEmail.mockResolvedValueOnce(1);
+    await expect(coupons.quote('ZODIKA10', purchase))
+      .rejects.toMatchObject({ code: 'coupon_email_limit_reached' });
+  });
+
+  test('persistWithCoupon redeems inside the request transaction', async () => {
+    const q = { code: 'ZODIKA10', currency: 'BRL', originalCents: 3500, discountCents: 350, finalCents: 3150 };
+    repo.claimRedemption.mockResolvedValueOnce({ ...base, redemptions_count: 1 });
+    const persist = jest.fn(async () => ({ request_id: 42 }));
+
+    await expect(coupons.persistWithCoupon(q, { email: 'A@x.com', productType: 'birth_chart' }, persist))
+      .resolves.toEqual({ request_id: 42 });
+    expect(db.withTransaction).toHaveBeenCalledTimes(1);
+    expect(persist).toHaveBeenCalledWith({ tx: true });
+    expect(repo.insertRedemption).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'ZODIKA10', requestId: 42, email: 'a@x.com', finalCents: 3150 }),
+      { client: { tx: true } }
+    );
+  });
+
+  test('losing the last redemption fails with coupon_exhausted', async () => {
+    const q = { code: 'ZODIKA10', currency: 'BRL', originalCents: 3500, discountCents: 350, finalCents: 3150 };
+    repo.claimRedemption.mockResolvedValueOnce(null);
+    repo.findByCode.mockResolvedValueOnce({ ...base, redemptions_count: 5 });
+
+    await expect(coupons.persistWithCoupon(q, { email: 'a@x.com', productType: 'birth_chart' }, async () => ({ request_id: 7 })))
+      .rejects.toMatchObject({ code: 'coupon_exhausted' });
+    expect(repo.insertRedemption).not.toHaveBeenCalled();
+  });
+
+  test('without a coupon the request is persisted outside a transaction', async () => {
+    const persist = jest.fn(async () => ({ request_id: 1 }));
+    await coupons.persistWithCoupon(null, {}, persist);
+    expect(persist).toHaveBeenCalledWith(undefined);
+    expect(db.withTransaction).not.toHaveBeenCalled();
+  });
+
+  test('releaseRedemption gives the use back and swallows failures', async () => {
+    const log = { info: jest.fn(), warn: jest.fn() };
+    repo.deleteRedemption.mockResolvedValueOnce('ZODIKA10');
+    await expect(coupons.releaseRedemption(42, log)).resolves.toBe('ZODIKA10');
+    expect(repo.deleteRedemption).toHaveBeenCalledWith(42);
+
+    repo.deleteRedemption.mockRejectedValueOnce(new Error('db down'));
+    await expect(coupons.releaseRedemption(42, log)).resolves.toBeNull();
+    expect(log.warn).toHaveBeenCalledTimes(1);
+  });
+});
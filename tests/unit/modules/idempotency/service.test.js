@@ -0,0 +1,79 @@
+// tests/unit/modules/idempotency/service.test.js
+'use strict';
+
+/**
+ * Unit tests for modules/idempotency/service:
+ * - Header validation and order-independent payload fingerprints.
+ * - begin() claims new keys, replays completed ones and rejects reuse with a
+ *   different payload or while the first request is still running.
+ * - Without a key every helper is a no-op.
+ */
+
+jest.mock('../../../../modules/idempotency/repository', () => ({
+  claim: jest.fn(),
+  find: jest.fn(),
+  complete: jest.fn(async () => null),
+  release: jest.fn(async () => 1),
+}));
+
+const repo = require('../../../../modules/idempotency/repository');
+const idempotency = require('../../../../modules/idempotency/service');
+
+const reqWith = (key) => ({ get: (h) => (h === 'idempotency-key' ? key : undefined) });
+const FP = idempotency.fingerprint({ email: 'a@x.com', birth_date: '1990-01-01' });
+
+describe('modules/idempotency', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('readKey accepts visible ASCII keys and rejects malformed ones', () => {
+    expect(idempotency.readKey(reqWith(undefined))).toBeNull();
+    expect(idempotency.readKey(reqWith(' submit-7f3a9c21 '))).toBe('submit-7f3a9c21');
+    expect(() => idempotency.readKey(reqWith('short'))).toThrow(expect.objectContaining({
+      code: 'idempotency_key_invalid', status: 400,
+    }));
+  });
+
+  test('fingerprints ignore key order', () => {
+    expect(idempotency.fingerprint({ birth_date: '1990-01-01', email: 'a@x.com' })).toBe(FP);
+    expect(idempotency.fingerprint({ email: 'b@x.com', birth_date: '1990-01-01' })).not.toBe(FP);
+  });
+
+  test('begin claims a new key', async () => {
+    repo.claim.mockResolvedValueOnce({ status: 'PROCESSING' });
+    await expect(idempotency.begin('birthchart_form', 'submit-7f3a9c21', FP)).resolves.toEqual({ owned: true });
+    expect(repo.claim).toHaveBeenCalledWith('birthchart_form', 'submit-7f3a9c21', FP, expect.objectContaining({
+      ttlMs: idempotency.KEY_TTL_MS,
+    }));
+  });
+
+  test('begin replays a completed key', async () => {
+    repo.claim.mockResolvedValueOnce(null);
+    repo.find.mockResolvedValueOnce({
+      fingerprint: FP, status: 'COMPLETED', response_status: 200, response_body: { url: 'https://x', ref: 'r' },
+    });
+    await expect(idempotency.begin('birthchart_form', 'submit-7f3a9c21', FP)).resolves.toEqual({
+      owned: false, replay: { status: 200, body: { url: 'https://x', ref: 'r' } },
+    });
+  });
+
+  test('begin rejects a different payload and a key still in progress', async () => {
+    repo.claim.mockResolvedValue(null);
+
+    repo.find.mockResolvedValueOnce({ fingerprint: 'other', status: 'COMPLETED' });
+    await expect(idempotency.begin('birthchart_form', 'submit-7f3a9c21', FP))
+      .rejects.toMatchObject({ code: 'idempotency_key_conflict', status: 409 });
+
+    repo.find.mockResolvedValueOnce({ fingerprint: FP, status: 'PROCESSING' });
+    await expect(idempotency.begin('birthchart_form', 'submit-7f3a9c21', FP))
+      .rejects.toMatchObject({ code: 'request_in_progress', status: 409 });
+  });
+
+  test('helpers are no-ops without a key', async () => {
+    await expect(idempotency.begin('birthchart_form', null, FP)).resolves.toEqual({ owned: false });
+    await idempotency.complete('birthchart_form', null, { status: 200, body: {} });
+    await idempotency.release('birthchart_form', null);
+    expect(repo.claim).not.toHaveBeenCalled();
+    expect(repo.complete).not.toHaveBeenCalled();
+    expect(repo.release).not.toHaveBeenCalled();
+  });
+});
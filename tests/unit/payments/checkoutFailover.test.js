@@ -0,0 +1,76 @@
+// tests/unit/payments/checkoutFailover.test.js
+'use strict';
+
+/**
+ * Unit tests for payments/checkoutFailover:
+ * - Chain building from the routing decision + PAYMENT_FAILOVER_CHAIN.
+ * - Transient upstream errors fail over; permanent ones are rethrown.
+ * - Per-attempt time budget aborts a hanging provider.
+ */
+
+const { AppError } = require('../../../utils/appError');
+const checkoutFailover = require('../../../payments/checkoutFailover');
+
+const silentLog = { child: () => silentLog, info() {}, warn() {}, error() {} };
+
+describe('payments/checkoutFailover', () => {
+  const saved = process.env.PAYMENT_FAILOVER_CHAIN;
+  afterEach(() => {
+    if (saved === undefined) delete process.env.PAYMENT_FAILOVER_CHAIN;
+    else process.env.PAYMENT_FAILOVER_CHAIN = saved;
+  });
+
+  test('buildChain keeps the routed provider first and skips ineligible ones', () => {
+    process.env.PAYMENT_FAILOVER_CHAIN = 'MERCADO_PAGO,PAYPAL,PAGBANK';
+    expect(checkoutFailover.buildChain({ provider: 'PAGBANK', eligible: ['MERCADO_PAGO', 'PAGBANK'] }))
+      .toEqual(['PAGBANK', 'MERCADO_PAGO']);
+
+    process.env.PAYMENT_FAILOVER_CHAIN = '';
+    expect(checkoutFailover.buildChain({ provider: 'MERCADO_PAGO', eligible: ['MERCADO_PAGO', 'PAGBANK'] }))
+      .toEqual(['MERCADO_PAGO']);
+  });
+
+  test('fails over on a 503 from the primary', async () => {
+    const attempt = jest.fn(async (provider) => {
+      if (provider === 'MERCADO_PAGO') {
+        throw AppError.fromUpstream('mp_checkout_failed', 'down', { response: { status: 503 } });
+      }
+      return { url: 'https://pagbank.example/pay' };
+    });
+
+    const out = await checkoutFailover.createWithFailover(['MERCADO_PAGO', 'PAGBANK'], attempt, { log: silentLog });
+
+    expect(out.provider).toBe('PAGBANK');
+    expect(out.result.url).toBe('https://pagbank.example/pay');
+    expect(out.attempts).toEqual([
+      expect.objectContaining({ provider: 'MERCADO_PAGO', outcome: 'error', code: 'mp_checkout_failed', transient: true }),
+      expect.objectContaining({ provider: 'PAGBANK', outcome: 'ok' }),
+    ]);
+  });
+
+  test('rethrows permanent errors without trying the next provider', async () => {
+    const err = AppError.fromUpstream('mp_checkout_failed', 'bad request', { response: { status: 400 } });
+    const attempt = jest.fn(async () => { throw err; });
+
+    await expect(
+      checkoutFailover.createWithFailover(['MERCADO_PAGO', 'PAGBANK'], attempt, { log: silentLog })
+    ).rejects.toBe(err);
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+
+  test('aborts a provider that exceeds its budget and moves on', async () => {
+    const attempt = jest.fn((provider, { signal }) => {
+      if (provider === 'PAGBANK') return Promise.resolve({ url: 'https://ok.example' });
+      return new Promise((_, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      });
+    });
+
+    const out = await checkoutFailover.createWithFailover(
+      ['MERCADO_PAGO', 'PAGBANK'], attempt, { log: silentLog, budgetMs: 20 }
+    );
+
+    expect(out.provider).toBe('PAGBANK');
+    expect(out.attempts[0]).toMatchObject({ code: 'checkout_budget_exceeded', transient: true });
+  });
+});
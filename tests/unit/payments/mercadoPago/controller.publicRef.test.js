@@ -0,0 +1,91 @@
+// tests/unit/payments/mercadoPago/controller.publicRef.test.js
+'use strict';
+
+/**
+ * Unit tests for public request references on the Mercado Pago browser routes:
+ * - /status resolves the opaque public id and never echoes the internal id.
+ * - /return only trusts external_reference when it matches the preference and
+ *   appends the public id (not request_id) to the product success URL.
+ */
+
+jest.mock('../../../../payments/mercadoPago/service', () => ({}));
+jest.mock('../../../../payments/mercadoPago/repository', () => ({ findByPreferenceId: jest.fn() }));
+jest.mock('../../../../modules/birthchart/repository', () => ({
+  findByRequestId: jest.fn(),
+  findByPublicId: jest.fn(),
+}));
+jest.mock('../../../../payments/orchestrator', () => {
+  const { EventEmitter } = require('events');
+  return { events: new EventEmitter() };
+});
+
+const mpRepository = require('../../../../payments/mercadoPago/repository');
+const birthchartRepository = require('../../../../modules/birthchart/repository');
+const controller = require('../../../../payments/mercadoPago/controller');
+
+const PUBLIC_ID = '3f1c9a52-7d4e-4b8a-9c21-5e6f7a8b9c0d';
+const row = {
+  request_id: 42,
+  public_id: PUBLIC_ID,
+  product_type: 'birth_chart',
+  email: 'ana@example.com',
+  payment_status: 'APPROVED',
+  payment_status_detail: 'accredited',
+  updated_at: '2026-10-19T12:00:00Z',
+};
+
+function mockRes() {
+  const res = { headers: {} };
+  res.set = jest.fn(() => res);
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.redirect = jest.fn(() => res);
+  return res;
+}
+const mockReq = (query) => ({ query, get: () => undefined });
+
+describe('mercadoPago controller (public refs)', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('status resolves the public id and hides the internal id', async () => {
+    birthchartRepository.findByPublicId.mockResolvedValueOnce(row);
+    const res = mockRes();
+
+    await controller.getPaymentStatus(mockReq({ ref: PUBLIC_ID }), res);
+
+    expect(birthchartRepository.findByPublicId).toHaveBeenCalledWith(PUBLIC_ID);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ ref: PUBLIC_ID, status: 'APPROVED' }));
+    expect(res.json.mock.calls[0][0]).not.toHaveProperty('requestId');
+  });
+
+  test('status 404s for references it cannot resolve', async () => {
+    birthchartRepository.findByPublicId.mockResolvedValueOnce(null);
+    const res = mockRes();
+
+    await controller.getPaymentStatus(mockReq({ request_id: '41' }), res);
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(birthchartRepository.findByRequestId).not.toHaveBeenCalled();
+  });
+
+  test('return redirects with the public id when the preference matches', async () => {
+    mpRepository.findByPreferenceId.mockResolvedValueOnce({ request_id: 42, external_reference: '42' });
+    birthchartRepository.findByRequestId.mockResolvedValueOnce(row);
+    const res = mockRes();
+
+    await controller.handleReturn(mockReq({ preference_id: 'pref-1', external_reference: '42', status: 'approved' }), res);
+
+    const target = new URL(res.redirect.mock.calls[0][0]);
+    expect(target.searchParams.get('ref')).toBe(PUBLIC_ID);
+    expect(target.hash).toMatch(/^#em=/);
+  });
+
+  test('return ignores a forged external_reference', async () => {
+    mpRepository.findByPreferenceId.mockResolvedValueOnce({ request_id: 42, external_reference: '42' });
+    const res = mockRes();
+
+    await controller.handleReturn(mockReq({ preference_id: 'pref-1', external_reference: '7', status: 'approved' }), res);
+
+    expect(birthchartRepository.findByRequestId).not.toHaveBeenCalled();
+    expect(res.redirect.mock.calls[0][0]).not.toContain('ref=');
+  });
+});
@@ -0,0 +1,197 @@
+// tests/unit/payments/orchestrator.test.js
+'use strict';
+
+/**
+ * Unit tests for payments/orchestrator:
+ * - PagBank status normalization matrix (on top of canonicalizeStatus).
+ * - updateFromPagBank writes a PAGBANK snapshot and emits the normalized event.
+ *
+ * DB is mocked; we only assert on the SQL params and the emitted payload.
+ */
+
+jest.mock('../../../db/db', () => ({
+  query: jest.fn(async () => ({ rows: [], rowCount: 1 })),
+}));
+
+const db = require('../../../db/db');
+const orchestrator = require('../../../payments/orchestrator');
+
+describe('payments/orchestrator — PagBank', () => {
+  afterEach(() => {
+    db.query.mockClear();
+    orchestrator.events.removeAllListeners('payments:status-changed');
+  });
+
+  test.each([
+    ['PAID', 'APPROVED'],
+    ['AUTHORIZED', 'APPROVED'],
+    ['IN_ANALYSIS', 'PENDING'],
+    ['DECLINED', 'REJECTED'],
+    ['CANCELED', 'CANCELED'],
+    ['REFUNDED', 'REFUNDED'],
+    ['CHARGEBACK', 'CHARGED_BACK'],
+    ['CREATED', 'CREATED'],
+    ['EXPIRED', 'EXPIRED'],
+    [undefined, 'UPDATED'],
+  ])('maps %s → %s', (raw, expected) => {
+    expect(orchestrator.mapPagBankToNormalizedStatus(raw)).toBe(expected);
+  });
+
+  test('updateFromPagBank writes snapshot by request_id and emits event', async () => {
+    db.query.mockImplementation(async (sql) => (
+      /SELECT request_id, product_type/.test(sql)
+        ? { rows: [{ request_id: 42, product_type: 'birth_chart' }] }
+        : { rows: [], rowCount: 1 }
+    ));
+
+    const seen = [];
+    orchestrator.events.on('payments:status-changed', (evt) => seen.push(evt));
+
+    await orchestrator.updateFromPagBank(
+      { charge: { id: 'CHAR_1', status: 'PAID', amount: { value: 3500, currency: 'BRL' }, paid_at: '2025-01-01T10:00:00Z' } },
+      { requestId: 42, checkoutId: 'CHEC_1', chargeId: 'CHAR_1', status: 'PAID' }
+    );
+
+    const update = db.query.mock.calls.find(([sql]) => /UPDATE public\.zodika_requests/.test(sql));
+    expect(update).toBeTruthy();
+    const [, params] = update;
+    expect(params[0]).toBe(42);
+    expect(params[1]).toBe('PAGBANK');
+    expect(params[2]).toBe('APPROVED');
+    expect(params[4]).toBe(3500);
+
+    expect(seen).toHaveLength(1);
+    expect(seen[0]).toMatchObject({
+      requestId: 42,
+      productType: 'birth_chart',
+      provider: 'PAGBANK',
+      normalizedStatus: 'APPROVED',
+      paymentId: 'CHAR_1',
+    });
+  });
+
+  test('updateFromPagBank is a no-op without request or checkout id', async () => {
+    await orchestrator.updateFromPagBank({ status: 'PAID' }, {});
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('payments/orchestrator — PayPal', () => {
+  afterEach(() => {
+    db.query.mockReset();
+    db.query.mockImplementation(async () => ({ rows: [], rowCount: 1 }));
+    orchestrator.events.removeAllListeners('payments:status-changed');
+  });
+
+  test.each([
+    ['COMPLETED', 'APPROVED'],
+    ['APPROVED', 'PENDING'],
+    ['PENDING', 'PENDING'],
+    ['PAYER_ACTION_REQUIRED', 'REQUIRES_ACTION'],
+    ['CREATED', 'CREATED'],
+    ['DECLINED', 'REJECTED'],
+    ['DENIED', 'REJECTED'],
+    ['VOIDED', 'CANCELED'],
+    ['PARTIALLY_REFUNDED', 'REFUNDED'],
+    ['REVERSED', 'CHARGED_BACK'],
+    ['SOMETHING_NEW', 'UPDATED'],
+  ])('maps %s → %s', (raw, expected) => {
+    expect(orchestrator.mapPayPalToNormalizedStatus(raw)).toBe(expected);
+  });
+
+  test('resolves request id from purchase unit custom_id and prefers capture status', async () => {
+    const seen = [];
+    orchestrator.events.on('payments:status-changed', (evt) => seen.push(evt));
+
+    await orchestrator.updateFromPayPal({
+      id: 'ORDER-1',
+      status: 'COMPLETED',
+      purchase_units: [{
+        reference_id: '77',
+        custom_id: '77',
+        payments: {
+          captures: [{ id: 'CAP-1', status: 'PENDING', amount: { value: '35.00', currency_code: 'USD' } }],
+        },
+      }],
+    });
+
+    const update = db.query.mock.calls.find(([sql]) => /UPDATE public\.zodika_requests/.test(sql));
+    const [, params] = update;
+    expect(params[0]).toBe(77);
+    expect(params[1]).toBe('PAYPAL');
+    expect(params[2]).toBe('PENDING');
+    expect(params[4]).toBe(3500);
+    expect(params[5]).toBe('USD');
+    expect(params[6]).toBe('ORDER-1');
+    expect(params[7]).toBe('CAP-1');
+    expect(seen[0]).toMatchObject({ requestId: 77, provider: 'PAYPAL', normalizedStatus: 'PENDING' });
+  });
+
+  test('capture webhook resource falls back to order id lookup without custom_id', async () => {
+    await orchestrator.updateFromPayPal({
+      id: 'CAP-2',
+      status: 'COMPLETED',
+      amount: { value: '10.00', currency_code: 'BRL' },
+      supplementary_data: { related_ids: { order_id: 'ORDER-2' } },
+    });
+
+    const update = db.query.mock.calls.find(([sql]) => /UPDATE public\.zodika_requests/.test(sql));
+    const [sql, params] = update;
+    expect(sql).toMatch(/payment_checkout_id = \$1/);
+    expect(params[0]).toBe('ORDER-2');
+    expect(params[2]).toBe('APPROVED');
+  });
+
+  test('reversal keeps the charged amount and capture id and finds the request by capture', async () => {
+    const authorizedAt = new Date('2026-10-19T12:00:00Z');
+    db.query.mockImplementation(async (sql) => (/SELECT request_id, product_type/.test(sql)
+      ? { rows: [{ request_id: 77, product_type: 'birth_chart', payment_amount_cents: 3500, payment_authorized_at: authorizedAt }] }
+      : { rows: [], rowCount: 1 }));
+    const seen = [];
+    orchestrator.events.on('payments:status-changed', (evt) => seen.push(evt));
+
+    await orchestrator.updateFromPayPal(
+      { id: 'REF-1', status: 'COMPLETED', amount: { value: '10.00', currency_code: 'BRL' } },
+      { reversal: true, captureId: 'CAP-1', status: 'REFUNDED', refundedTotalCents: 1000 }
+    );
+
+    const [selectSql, selectParams] = db.query.mock.calls[0];
+    expect(selectSql).toMatch(/payment_payment_id = \$1/);
+    expect(selectParams).toEqual(['CAP-1']);
+
+    const [, params] = db.query.mock.calls.find(([sql]) => /UPDATE public\.zodika_requests/.test(sql));
+    expect(params[0]).toBe(77);
+    expect(params[2]).toBe('REFUNDED');
+    expect(params[3]).toBe('partially_refunded');
+    expect(params[4]).toBeNull();   // amount kept
+    expect(params[7]).toBe('CAP-1'); // capture id, not the refund id
+    expect(params[9]).toEqual(authorizedAt);
+    expect(seen[0]).toMatchObject({
+      requestId: 77,
+      productType: 'birth_chart',
+      normalizedStatus: 'REFUNDED',
+      amountCents: 3500,
+      refund: { refundId: 'REF-1', amountCents: 1000, refundedTotalCents: 1000, partial: true },
+    });
+  });
+
+  test('refund webhooks for refunds we issued are left to recordRefund', async () => {
+    db.query.mockImplementation(async (sql) => {
+      if (/SELECT request_id, product_type/.test(sql)) return { rows: [{ request_id: 77, product_type: 'birth_chart' }] };
+      if (/FROM public\.payment_refunds/.test(sql)) return { rows: [{ '?column?': 1 }] };
+      return { rows: [], rowCount: 1 };
+    });
+    const seen = [];
+    orchestrator.events.on('payments:status-changed', (evt) => seen.push(evt));
+
+    await orchestrator.updateFromPayPal({ id: 'REF-9' }, { reversal: true, captureId: 'CAP-1', status: 'REFUNDED' });
+
+    expect(db.query.mock.calls.some(([sql]) => /UPDATE/.test(sql))).toBe(false);
+    expect(seen).toHaveLength(0);
+  });
+
+  test('reversal of an unknown capture is skipped', async () => {
+    await orchestrator.updateFromPayPal({ id: 'REF-2' }, { reversal: true, captureId: 'CAP-X', status: 'REVERSED' });
+    expect(db.query.mock.calls.some(([sql]) => /UPDATE/.test(sql))).toBe(false);
+  });
+});
@@ -0,0 +1,84 @@
+// tests/unit/payments/payPal/controller.test.js
+'use strict';
+
+/**
+ * Unit tests for POST /paypal/checkout:
+ * - Orders are only opened while the request can still be paid; a paid,
+ *   refunded or under-review request answers 409 without calling PayPal.
+ * - The order uses the server-side price and records it for capture checks.
+ */
+
+jest.mock('../../../../payments/payPal/service', () => ({ createCheckout: jest.fn() }));
+jest.mock('../../../../modules/birthchart/repository', () => ({ findByPublicId: jest.fn() }));
+jest.mock('../../../../modules/catalog/service', () => ({}));
+jest.mock('../../../../payments/priceAuthority', () => ({
+  expectedCharge: jest.fn(() => ({ productType: 'birth_chart', productName: 'Mapa', amountCents: 3500, currency: 'BRL' })),
+  recordCheckoutCharge: jest.fn(async () => null),
+}));
+jest.mock('../../../../payments/orchestrator', () => {
+  const { EventEmitter } = require('events');
+  return { events: new EventEmitter() };
+});
+
+const paypalService = require('../../../../payments/payPal/service');
+const birthchartRepository = require('../../../../modules/birthchart/repository');
+const priceAuthority = require('../../../../payments/priceAuthority');
+const controller = require('../../../../payments/payPal/controller');
+
+const PUBLIC_ID = '3f1c9a52-7d4e-4b8a-9c21-5e6f7a8b9c0d';
+const row = (over = {}) => ({
+  request_id: 42,
+  public_id: PUBLIC_ID,
+  product_type: 'birth_chart',
+  name: 'Ana',
+  email: 'ana@example.com',
+  payment_provider: 'PAYPAL',
+  payment_status: 'CREATED',
+  ...over,
+});
+
+function mockRes() {
+  const res = {};
+  res.set = jest.fn(() => res);
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+const mockReq = (body) => ({ body, get: () => undefined });
+
+describe('payPal controller — createCheckout', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test.each([
+    ['APPROVED', 'PAYPAL'],
+    ['REFUNDED', 'PAYPAL'],
+    ['CHARGED_BACK', 'MP'],
+    ['PENDING', 'PAYPAL'],
+  ])('refuses a new order when the request is %s (%s)', async (status, provider) => {
+    birthchartRepository.findByPublicId.mockResolvedValueOnce(row({ payment_status: status, payment_provider: provider }));
+    const res = mockRes();
+
+    await controller.createCheckout(mockReq({ ref: PUBLIC_ID }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'paypal_checkout_not_allowed' }));
+    expect(paypalService.createCheckout).not.toHaveBeenCalled();
+    expect(priceAuthority.recordCheckoutCharge).not.toHaveBeenCalled();
+  });
+
+  test.each([null, 'CREATED', 'REJECTED', 'EXPIRED'])('opens an order when the payment status is %s', async (status) => {
+    birthchartRepository.findByPublicId.mockResolvedValueOnce(row({ payment_status: status }));
+    paypalService.createCheckout.mockResolvedValueOnce({ orderId: 'ORDER-1', approvalUrl: null });
+    const res = mockRes();
+
+    await controller.createCheckout(mockReq({ ref: PUBLIC_ID, productValue: 1 }), res);
+
+    expect(paypalService.createCheckout).toHaveBeenCalledWith(
+      expect.objectContaining({ requestId: 42, productValue: 3500, currency: 'BRL' }),
+      expect.anything()
+    );
+    expect(priceAuthority.recordCheckoutCharge).toHaveBeenCalledWith(42, { amountCents: 3500, currency: 'BRL' });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ orderId: 'ORDER-1', approvalUrl: null });
+  });
+});
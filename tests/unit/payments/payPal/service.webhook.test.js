@@ -0,0 +1,144 @@
+// tests/unit/payments/payPal/service.webhook.test.js
+'use strict';
+
+/**
+ * Unit tests for PayPal webhook processing:
+ * - Deliveries are verified with PayPal before anything moves: unverified → 401,
+ *   verification unavailable → 503, and zodika_requests is never touched.
+ * - Refunds / reversals / lost disputes reach the orchestrator as reversals of
+ *   the parent capture (not as a capture with the refund's id and amount).
+ */
+
+jest.mock('../../../../db/db', () => ({ query: jest.fn(async () => ({ rows: [] })) }));
+jest.mock('../../../../utils/httpClient', () => ({ post: jest.fn() }));
+jest.mock('../../../../payments/payPal/repository', () => ({
+  logEvent: jest.fn(async () => null),
+  upsertPaymentByCaptureId: jest.fn(async () => null),
+  updateRequestStatusByRequestId: jest.fn(async () => null),
+}));
+jest.mock('../../../../payments/orchestrator', () => ({ updateFromPayPal: jest.fn(async () => null) }));
+
+const httpClient = require('../../../../utils/httpClient');
+const paypalRepo = require('../../../../payments/payPal/repository');
+const orchestrator = require('../../../../payments/orchestrator');
+const service = require('../../../../payments/payPal/service');
+
+const transmission = {
+  transmissionId: 'tx-1',
+  transmissionTime: '2026-10-19T12:00:00Z',
+  transmissionSig: 'sig',
+  certUrl: 'https://api.paypal.com/v1/notifications/certs/CERT',
+  authAlgo: 'SHA256withRSA',
+};
+const meta = (over = {}) => ({ headers: {}, query: {}, auth: { signatureOk: false }, transmission, ...over });
+
+/** PayPal answers: OAuth token, then the verification status (or an error). */
+function paypalAnswers(verification) {
+  httpClient.post.mockImplementation(async (url) => {
+    if (url.endsWith('/v1/oauth2/token')) return { status: 200, data: { access_token: 'tok' } };
+    if (verification instanceof Error) throw verification;
+    return { status: 200, data: { verification_status: verification } };
+  });
+}
+
+const completed = {
+  event_type: 'PAYMENT.CAPTURE.COMPLETED',
+  resource: { id: 'CAP-1', status: 'COMPLETED', custom_id: '42', amount: { value: '35.00', currency_code: 'BRL' } },
+};
+
+describe('payments/payPal/service — webhooks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.PAYPAL_CLIENT_ID = 'client';
+    process.env.PAYPAL_CLIENT_SECRET = 'secret';
+    process.env.PAYPAL_WEBHOOK_ID = 'WH-1';
+  });
+  afterAll(() => {
+    delete process.env.PAYPAL_CLIENT_ID;
+    delete process.env.PAYPAL_CLIENT_SECRET;
+    delete process.env.PAYPAL_WEBHOOK_ID;
+  });
+
+  test('rejects a delivery PayPal does not verify, before touching the request', async () => {
+    paypalAnswers('FAILURE');
+
+    const out = await service.processWebhook(completed, meta());
+
+    expect(out).toEqual({ ok: false, error: 'webhook_signature_invalid', status: 401 });
+    const [, body] = httpClient.post.mock.calls.find(([url]) => url.endsWith('/verify-webhook-signature'));
+    expect(body).toMatchObject({ webhook_id: 'WH-1', transmission_sig: 'sig', webhook_event: completed });
+    expect(paypalRepo.logEvent).toHaveBeenCalledTimes(1);
+    expect(paypalRepo.updateRequestStatusByRequestId).not.toHaveBeenCalled();
+    expect(orchestrator.updateFromPayPal).not.toHaveBeenCalled();
+  });
+
+  test('rejects without asking PayPal when the webhook id or signature headers are missing', async () => {
+    paypalAnswers('SUCCESS');
+
+    await expect(service.processWebhook(completed, meta({ transmission: {} })))
+      .resolves.toMatchObject({ ok: false, status: 401 });
+    delete process.env.PAYPAL_WEBHOOK_ID;
+    await expect(service.processWebhook(completed, meta()))
+      .resolves.toMatchObject({ ok: false, status: 401 });
+
+    expect(httpClient.post).not.toHaveBeenCalled();
+    expect(orchestrator.updateFromPayPal).not.toHaveBeenCalled();
+  });
+
+  test('answers 503 when the verification cannot be made, so PayPal retries', async () => {
+    paypalAnswers(Object.assign(new Error('socket hang up'), { response: { status: 502 } }));
+
+    await expect(service.processWebhook(completed, meta()))
+      .resolves.toMatchObject({ ok: false, error: 'paypal_webhook_verification_failed', status: 503 });
+    expect(orchestrator.updateFromPayPal).not.toHaveBeenCalled();
+  });
+
+  test('routes a verified refund as a reversal of its parent capture', async () => {
+    paypalAnswers('SUCCESS');
+    const m = meta();
+
+    const out = await service.processWebhook({
+      event_type: 'PAYMENT.CAPTURE.REFUNDED',
+      resource: {
+        id: 'REF-1',
+        status: 'COMPLETED',
+        amount: { value: '10.00', currency_code: 'BRL' },
+        seller_payable_breakdown: { total_refunded_amount: { value: '10.00', currency_code: 'BRL' } },
+        links: [
+          { rel: 'self', href: 'https://api.paypal.com/v2/payments/refunds/REF-1' },
+          { rel: 'up', href: 'https://api.paypal.com/v2/payments/captures/CAP-1' },
+        ],
+      },
+    }, m);
+
+    expect(out).toEqual({ ok: true });
+    expect(m.auth.signatureOk).toBe(true);
+    expect(orchestrator.updateFromPayPal).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'REF-1' }),
+      { reversal: true, captureId: 'CAP-1', status: 'REFUNDED', refundedTotalCents: 1000 }
+    );
+  });
+
+  test('records a lost dispute as a chargeback and audits the rest', async () => {
+    paypalAnswers('SUCCESS');
+    const dispute = (over) => ({
+      event_type: 'CUSTOMER.DISPUTE.CREATED',
+      resource: {
+        dispute_id: 'PP-D-1',
+        reason: 'UNAUTHORISED',
+        dispute_life_cycle_stage: 'INQUIRY',
+        disputed_transactions: [{ seller_transaction_id: 'CAP-1', custom: '42' }],
+        ...over,
+      },
+    });
+
+    await service.processWebhook(dispute(), meta());
+    expect(orchestrator.updateFromPayPal).not.toHaveBeenCalled();
+
+    await service.processWebhook(dispute({ dispute_life_cycle_stage: 'CHARGEBACK' }), meta());
+    expect(orchestrator.updateFromPayPal).toHaveBeenCalledWith(
+      expect.objectContaining({ dispute_id: 'PP-D-1' }),
+      { reversal: true, requestId: 42, captureId: 'CAP-1', status: 'REVERSED', statusDetail: 'UNAUTHORISED' }
+    );
+  });
+});
@@ -0,0 +1,83 @@
+// tests/unit/payments/priceAuthority.test.js
+'use strict';
+
+/**
+ * Unit tests for payments/priceAuthority:
+ * - Expected charge comes from the catalog (in the request's checkout currency),
+ *   or from the coupon price persisted with the request.
+ * - Unknown requests fail with request_not_found.
+ * - verifyCharge() only accepts the exact expected amount and currency, checked
+ *   against the charge recorded when the checkout was opened (catalog otherwise).
+ */
+
+jest.mock('../../../modules/birthchart/repository', () => ({
+  findByRequestId: jest.fn(),
+  recordCheckoutCharge: jest.fn(async (requestId) => ({ request_id: requestId })),
+}));
+
+const repo = require('../../../modules/birthchart/repository');
+const catalog = require('../../../modules/catalog/service');
+const priceAuthority = require('../../../payments/priceAuthority');
+
+const row = { request_id: 42, product_type: 'birth_chart', coupon_code: null };
+
+describe('payments/priceAuthority', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('uses the catalog list price, or the redeemed coupon price', () => {
+    expect(priceAuthority.expectedCharge(row)).toMatchObject({
+      amountCents: 3500, currency: 'BRL', productType: 'birth_chart',
+    });
+    expect(priceAuthority.expectedCharge({
+      ...row, coupon_code: 'ZODIKA10', list_price_cents: 3500, coupon_discount_cents: 350,
+    }).amountCents).toBe(3150);
+  });
+
+  test('prices the request in the checkout currency it was routed with', () => {
+    const getPrice = jest.spyOn(catalog, 'getPrice').mockReturnValueOnce({ amountCents: 1500, currency: 'USD' });
+
+    const charge = priceAuthority.expectedCharge({ ...row, payment_route_decision: { inputs: { currency: 'USD' } } });
+
+    expect(getPrice).toHaveBeenCalledWith(expect.objectContaining({ product_type: 'birth_chart' }), 'USD');
+    expect(charge).toMatchObject({ amountCents: 1500, currency: 'USD' });
+    getPrice.mockRestore();
+  });
+
+  test('resolveCheckoutPrice rejects unknown requests and products', async () => {
+    repo.findByRequestId.mockResolvedValueOnce(null);
+    await expect(priceAuthority.resolveCheckoutPrice(99))
+      .rejects.toMatchObject({ code: 'request_not_found', status: 404 });
+
+    repo.findByRequestId.mockResolvedValueOnce({ ...row, product_type: 'unknown_product' });
+    await expect(priceAuthority.resolveCheckoutPrice(42))
+      .rejects.toMatchObject({ code: 'product_not_available', status: 422 });
+  });
+
+  test('verifyCharge only trusts the expected amount and currency', async () => {
+    repo.findByRequestId.mockResolvedValue(row);
+
+    await expect(priceAuthority.verifyCharge(42, { amountCents: 3500, currency: 'brl' }))
+      .resolves.toMatchObject({ ok: true });
+    await expect(priceAuthority.verifyCharge(42, { amountCents: 1, currency: 'BRL' }))
+      .resolves.toMatchObject({ ok: false, reason: 'amount_mismatch', expected: { amountCents: 3500 } });
+    await expect(priceAuthority.verifyCharge(42, { amountCents: 3500, currency: 'USD' }))
+      .resolves.toMatchObject({ ok: false, reason: 'currency_mismatch' });
+  });
+
+  test('verifyCharge uses the charge recorded at checkout, not the current catalog price', async () => {
+    await priceAuthority.recordCheckoutCharge(42, { amountCents: 2990, currency: 'BRL' });
+    expect(repo.recordCheckoutCharge).toHaveBeenCalledWith(42, { amountCents: 2990, currency: 'BRL' });
+
+    // Catalog says 3500 now; the order was created at 2990.
+    repo.findByRequestId.mockResolvedValue({ ...row, checkout_amount_cents: 2990, checkout_currency: 'BRL' });
+    await expect(priceAuthority.verifyCharge(42, { amountCents: 2990, currency: 'BRL' }))
+      .resolves.toMatchObject({ ok: true, expected: { amountCents: 2990, currency: 'BRL' } });
+    await expect(priceAuthority.verifyCharge(42, { amountCents: 3500, currency: 'BRL' }))
+      .resolves.toMatchObject({ ok: false, reason: 'amount_mismatch' });
+
+    // Recorded charge outlives the product leaving the catalog.
+    repo.findByRequestId.mockResolvedValue({ ...row, product_type: 'retired', checkout_amount_cents: 2990, checkout_currency: 'BRL' });
+    await expect(priceAuthority.verifyCharge(42, { amountCents: 2990, currency: 'BRL' }))
+      .resolves.toMatchObject({ ok: true });
+  });
+});
@@ -0,0 +1,189 @@
+// tests/unit/payments/refunds/service.test.js
+'use strict';
+
+/**
+ * Unit tests for payments/refunds/service:
+ * - Full refund defaults to what is still refundable and flows to the orchestrator.
+ * - Over-refunds are rejected before any provider call.
+ * - Definitive provider errors mark the attempt FAILED; unknown outcomes keep it
+ *   PROCESSING (amount stays reserved).
+ * - Re-sending a succeeded Idempotency-Key replays the stored attempt; a FAILED
+ *   one is re-checked under the lock and claimed conditionally.
+ */
+
+jest.mock('../../../../db/db', () => ({
+  withTransaction: jest.fn(async (fn) => fn({ tx: true })),
+}));
+jest.mock('../../../../payments/refunds/repository', () => ({
+  findPaymentSnapshot: jest.fn(),
+  findByIdempotencyKey: jest.fn(async () => null),
+  getRefundTotals: jest.fn(async () => ({ refundedCents: 0, reservedCents: 0, inFlight: 0 })),
+  insertAttempt: jest.fn(async (a) => ({
+    refund_id: 9,
+    request_id: a.requestId,
+    provider: a.provider,
+    payment_id: a.paymentId,
+    amount_cents: a.amountCents,
+    currency: a.currency,
+    full_refund: a.fullRefund,
+    idempotency_key: a.idempotencyKey,
+    status: 'PROCESSING',
+  })),
+  markProcessing: jest.fn(),
+  markSucceeded: jest.fn(async (id, r) => ({ refund_id: id, status: 'SUCCEEDED', provider_refund_id: r.providerRefundId })),
+  noteError: jest.fn(async () => null),
+  markFailed: jest.fn(async () => null),
+}));
+jest.mock('../../../../payments/orchestrator', () => ({ recordRefund: jest.fn(async () => {}) }));
+jest.mock('../../../../payments/mercadoPago/service', () => ({ refundPayment: jest.fn() }));
+jest.mock('../../../../payments/pagBank/service', () => ({ refundCharge: jest.fn() }));
+jest.mock('../../../../payments/payPal/service', () => ({ refundCapture: jest.fn() }));
+
+const repo = require('../../../../payments/refunds/repository');
+const orchestrator = require('../../../../payments/orchestrator');
+const mpService = require('../../../../payments/mercadoPago/service');
+const paypalService = require('../../../../payments/payPal/service');
+const { AppError } = require('../../../../utils/appError');
+const refunds = require('../../../../payments/refunds/service');
+
+const paidMp = {
+  request_id: 42,
+  payment_provider: 'MP',
+  payment_status: 'APPROVED',
+  payment_amount_cents: 3500,
+  payment_currency: 'BRL',
+  payment_checkout_id: 'pref-1',
+  payment_payment_id: '123',
+  payment_authorized_at: new Date('2026-10-01T12:00:00Z'),
+};
+
+describe('payments/refunds', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('full refund uses the remaining amount and records REFUNDED', async () => {
+    repo.findPaymentSnapshot.mockResolvedValueOnce(paidMp);
+    repo.getRefundTotals
+      .mockResolvedValueOnce({ refundedCents: 1000, reservedCents: 1000, inFlight: 0 })
+      .mockResolvedValueOnce({ refundedCents: 3500, reservedCents: 3500, inFlight: 0 });
+    mpService.refundPayment.mockResolvedValueOnce({ refundId: 'r-1', status: 'approved', raw: {} });
+
+    const out = await refunds.refundRequest({ requestId: 42 });
+
+    expect(mpService.refundPayment).toHaveBeenCalledWith(
+      expect.objectContaining({ paymentId: '123', amountCents: 2500, idempotencyKey: expect.stringMatching(/^refund-42-/) }),
+      expect.anything()
+    );
+    expect(out).toMatchObject({ replayed: false, refundedTotalCents: 3500, refund: { status: 'SUCCEEDED' } });
+    expect(orchestrator.recordRefund).toHaveBeenCalledWith(expect.objectContaining({
+      requestId: 42, provider: 'MP', amountCents: 2500, refundedTotalCents: 3500, paymentAmountCents: 3500,
+    }));
+  });
+
+  test('rejects amounts above what is refundable without calling the provider', async () => {
+    repo.findPaymentSnapshot.mockResolvedValueOnce(paidMp);
+    await expect(refunds.refundRequest({ requestId: 42, amountCents: 4000 }))
+      .rejects.toMatchObject({ code: 'refund_amount_invalid', status: 422 });
+    expect(mpService.refundPayment).not.toHaveBeenCalled();
+  });
+
+  test('rejects unpaid requests and refunds already in flight', async () => {
+    repo.findPaymentSnapshot.mockResolvedValueOnce({ ...paidMp, payment_status: 'PENDING' });
+    await expect(refunds.refundRequest({ requestId: 42 })).rejects.toMatchObject({ code: 'refund_not_allowed' });
+
+    repo.findPaymentSnapshot.mockResolvedValueOnce(paidMp);
+    repo.getRefundTotals.mockResolvedValueOnce({ refundedCents: 0, reservedCents: 500, inFlight: 1 });
+    await expect(refunds.refundRequest({ requestId: 42 })).rejects.toMatchObject({ code: 'refund_in_progress' });
+  });
+
+  test('definitive provider errors mark the attempt FAILED', async () => {
+    repo.findPaymentSnapshot.mockResolvedValueOnce({ ...paidMp, payment_provider: 'PAYPAL' });
+    paypalService.refundCapture.mockRejectedValueOnce(
+      new AppError('paypal_refund_failed', 'Failed', 422, { upstreamStatus: 422 })
+    );
+
+    await expect(refunds.refundRequest({ requestId: 42, amountCents: 1000 }))
+      .rejects.toMatchObject({ code: 'paypal_refund_failed', details: { refundId: 9, retryable: false } });
+    expect(paypalService.refundCapture).toHaveBeenCalledWith(
+      expect.objectContaining({ captureId: '123', currency: 'BRL', amountCents: 1000 }),
+      expect.anything()
+    );
+    expect(repo.markFailed).toHaveBeenCalledWith(9, { errorCode: 'paypal_refund_failed', errorStatus: 422 });
+    expect(repo.noteError).not.toHaveBeenCalled();
+  });
+
+  test('timeouts keep the attempt PROCESSING so the amount stays reserved', async () => {
+    repo.findPaymentSnapshot.mockResolvedValueOnce(paidMp);
+    mpService.refundPayment.mockRejectedValueOnce(new AppError('mp_refund_failed', 'Failed', 502));
+
+    await expect(refunds.refundRequest({ requestId: 42, idempotencyKey: 'support-ticket-77' }))
+      .rejects.toMatchObject({ details: { idempotencyKey: 'support-ticket-77', retryable: true } });
+    expect(repo.noteError).toHaveBeenCalledWith(9, { errorCode: 'mp_refund_failed', errorStatus: 502 });
+    expect(repo.markFailed).not.toHaveBeenCalled();
+    expect(orchestrator.recordRefund).not.toHaveBeenCalled();
+  });
+
+  test('a succeeded Idempotency-Key is replayed without a provider call', async () => {
+    repo.findByIdempotencyKey.mockResolvedValueOnce({
+      refund_id: 3, request_id: '42', amount_cents: 1000, status: 'SUCCEEDED',
+    });
+
+    await expect(refunds.refundRequest({ requestId: 42, idempotencyKey: 'support-ticket-77' }))
+      .resolves.toMatchObject({ replayed: true, refund: { refund_id: 3 } });
+    expect(mpService.refundPayment).not.toHaveBeenCalled();
+
+    repo.findByIdempotencyKey.mockResolvedValueOnce({ refund_id: 3, request_id: '41', status: 'SUCCEEDED' });
+    await expect(refunds.refundRequest({ requestId: 42, idempotencyKey: 'support-ticket-77' }))
+      .rejects.toMatchObject({ code: 'idempotency_key_conflict' });
+  });
+
+  describe('re-sending a FAILED Idempotency-Key', () => {
+    const failed = {
+      refund_id: 5,
+      request_id: '42',
+      provider: 'MP',
+      payment_id: '123',
+      amount_cents: 2000,
+      idempotency_key: 'support-ticket-77',
+      status: 'FAILED',
+    };
+
+    test('claims the attempt under the request lock and sends it again', async () => {
+      repo.findByIdempotencyKey.mockResolvedValueOnce(failed);
+      repo.findPaymentSnapshot.mockResolvedValueOnce(paidMp);
+      repo.markProcessing.mockResolvedValueOnce({ ...failed, status: 'PROCESSING' });
+      mpService.refundPayment.mockResolvedValueOnce({ refundId: 'r-5', status: 'approved', raw: {} });
+
+      await expect(refunds.refundRequest({ requestId: 42, idempotencyKey: 'support-ticket-77' }))
+        .resolves.toMatchObject({ replayed: true, refund: { refund_id: 5, status: 'SUCCEEDED' } });
+      expect(repo.findPaymentSnapshot).toHaveBeenCalledWith('42', { client: { tx: true }, forUpdate: true });
+      expect(repo.markProcessing).toHaveBeenCalledWith(
+        5, { fromStatus: 'FAILED', staleMs: refunds.IN_FLIGHT_WINDOW_MS }, { client: { tx: true } }
+      );
+      expect(mpService.refundPayment).toHaveBeenCalledWith(
+        expect.objectContaining({ amountCents: 2000, idempotencyKey: 'support-ticket-77' }),
+        expect.anything()
+      );
+    });
+
+    test('rejects it when the amount is no longer refundable', async () => {
+      repo.findByIdempotencyKey.mockResolvedValueOnce(failed);
+      repo.findPaymentSnapshot.mockResolvedValueOnce(paidMp);
+      repo.getRefundTotals.mockResolvedValueOnce({ refundedCents: 2500, reservedCents: 2500, inFlight: 0 });
+
+      await expect(refunds.refundRequest({ requestId: 42, idempotencyKey: 'support-ticket-77' }))
+        .rejects.toMatchObject({ code: 'refund_amount_invalid', details: { remainingCents: 1000 } });
+      expect(repo.markProcessing).not.toHaveBeenCalled();
+      expect(mpService.refundPayment).not.toHaveBeenCalled();
+    });
+
+    test('answers 409 when a concurrent re-send claimed it first', async () => {
+      repo.findByIdempotencyKey.mockResolvedValueOnce(failed);
+      repo.findPaymentSnapshot.mockResolvedValueOnce(paidMp);
+      repo.markProcessing.mockResolvedValueOnce(null);
+
+      await expect(refunds.refundRequest({ requestId: 42, idempotencyKey: 'support-ticket-77' }))
+        .rejects.toMatchObject({ code: 'refund_in_progress', status: 409 });
+      expect(mpService.refundPayment).not.toHaveBeenCalled();
+    });
+  });
+});
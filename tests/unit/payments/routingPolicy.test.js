@@ -0,0 +1,97 @@
+// tests/unit/payments/routingPolicy.test.js
+'use strict';
+
+/**
+ * Unit tests for payments/routingPolicy.decide:
+ * - Rule precedence (client provider > method > currency > country > weights > default).
+ * - Health handling (kill switch, missing PayPal credentials, degraded routing).
+ * - Deterministic A/B buckets.
+ */
+
+const routingPolicy = require('../../../payments/routingPolicy');
+
+describe('payments/routingPolicy', () => {
+  const saved = {};
+  const KEYS = ['PAYPAL_CLIENT_ID', 'PAYPAL_CLIENT_SECRET', 'PAYMENT_PROVIDERS_DISABLED', 'PAYMENT_PROVIDER'];
+
+  beforeEach(() => {
+    for (const k of KEYS) saved[k] = process.env[k];
+    process.env.PAYPAL_CLIENT_ID = 'id';
+    process.env.PAYPAL_CLIENT_SECRET = 'secret';
+    delete process.env.PAYMENT_PROVIDERS_DISABLED;
+    delete process.env.PAYMENT_PROVIDER;
+  });
+
+  afterEach(() => {
+    for (const k of KEYS) {
+      if (saved[k] === undefined) delete process.env[k];
+      else process.env[k] = saved[k];
+    }
+  });
+
+  const base = { requestKey: 1, currency: 'BRL', country: 'Brasil' };
+
+  test('domestic checkout without weights uses the default provider', () => {
+    const d = routingPolicy.decide(base, { weights: {} });
+    expect(d).toMatchObject({ provider: 'MERCADO_PAGO', reason: 'default', degraded: false });
+    expect(d.inputs).toMatchObject({ currency: 'BRL', country: 'BR', method: null });
+  });
+
+  test('client provider wins when eligible', () => {
+    const d = routingPolicy.decide({ ...base, requestedProvider: 'pagbank' }, { weights: {} });
+    expect(d).toMatchObject({ provider: 'PAGBANK', reason: 'client_provider' });
+  });
+
+  test('client provider that cannot take pix is ignored', () => {
+    const d = routingPolicy.decide({ ...base, method: 'pix', requestedProvider: 'PAYPAL' }, { weights: {} });
+    expect(d.provider).toBe('MERCADO_PAGO');
+    expect(d.eligible).toEqual(['MERCADO_PAGO', 'PAGBANK']);
+  });
+
+  test('paypal method, foreign currency and foreign country route to PayPal', () => {
+    expect(routingPolicy.decide({ ...base, method: 'paypal' }).reason).toBe('method');
+    expect(routingPolicy.decide({ ...base, currency: 'usd' }).reason).toBe('currency');
+    expect(routingPolicy.decide({ ...base, country: 'Portugal' })).toMatchObject({ provider: 'PAYPAL', reason: 'country' });
+  });
+
+  test('foreign customer paying with pix stays on a BRL provider', () => {
+    const d = routingPolicy.decide({ ...base, country: 'Portugal', method: 'pix' }, { weights: {} });
+    expect(d.provider).toBe('MERCADO_PAGO');
+  });
+
+  test('PayPal without credentials is skipped', () => {
+    delete process.env.PAYPAL_CLIENT_ID;
+    const d = routingPolicy.decide({ ...base, country: 'Portugal' }, { weights: {} });
+    expect(d.provider).toBe('MERCADO_PAGO');
+  });
+
+  test('kill switch and health probe remove providers; all-down routes degraded', () => {
+    process.env.PAYMENT_PROVIDERS_DISABLED = 'MERCADO_PAGO';
+    const d1 = routingPolicy.decide({ ...base, method: 'pix' }, { weights: {} });
+    expect(d1).toMatchObject({ provider: 'PAGBANK', reason: 'only_eligible' });
+
+    const d2 = routingPolicy.decide({ ...base, method: 'pix' }, { weights: {}, isHealthy: () => false });
+    expect(d2.degraded).toBe(true);
+    expect(d2.eligible).toEqual(['MERCADO_PAGO', 'PAGBANK']);
+  });
+
+  test('weighted split is deterministic per request key', () => {
+    const weights = routingPolicy.parseWeights('MERCADO_PAGO:50, PAGBANK=50, BOGUS:10');
+    expect(weights).toEqual({ MERCADO_PAGO: 50, PAGBANK: 50 });
+
+    const a = routingPolicy.decide({ ...base, requestKey: 123 }, { weights });
+    const b = routingPolicy.decide({ ...base, requestKey: 123 }, { weights });
+    expect(a.reason).toBe('weighted');
+    expect(a.provider).toBe(b.provider);
+    expect(a.bucket).toBe(routingPolicy.bucketFor(123));
+
+    const seen = new Set();
+    for (let i = 0; i < 50; i++) seen.add(routingPolicy.decide({ ...base, requestKey: i }, { weights }).provider);
+    expect(seen).toEqual(new Set(['MERCADO_PAGO', 'PAGBANK']));
+  });
+
+  test('unsupported method/currency combination is rejected', () => {
+    expect(() => routingPolicy.decide({ ...base, currency: 'USD', method: 'pix' }))
+      .toThrow(expect.objectContaining({ code: 'payment_route_unavailable', status: 422 }));
+  });
+});
@@ -0,0 +1,82 @@
+// tests/unit/utils/circuitBreaker.test.js
+'use strict';
+
+/**
+ * Unit tests for utils/circuitBreaker:
+ * - closed → open on failure rate within the window.
+ * - open → half_open after cooldown; probe success closes, probe failure re-opens.
+ * - openError() / fromUpstream keep the distinct `upstream_circuit_open` code.
+ */
+
+const circuitBreaker = require('../../../utils/circuitBreaker');
+const { AppError } = require('../../../utils/appError');
+
+describe('utils/circuitBreaker', () => {
+  const opts = { failureRateThreshold: 0.5, minRequests: 4, windowMs: 1000, cooldownMs: 500 };
+
+  afterEach(() => circuitBreaker.reset());
+
+  test('trips only after minRequests and failure rate are reached', () => {
+    const b = circuitBreaker.getBreaker('api.example.com', opts);
+    const t = Date.now();
+
+    b.onFailure(t);
+    b.onFailure(t + 1);
+    b.onSuccess(t + 2);
+    expect(b.state).toBe('closed'); // 3 < minRequests
+
+    b.onFailure(t + 3); // 3/4 failures
+    expect(b.state).toBe('open');
+    expect(b.allowRequest(t + 10)).toBe(false);
+    expect(circuitBreaker.isOpen('api.example.com')).toBe(true);
+  });
+
+  test('old outcomes fall out of the window', () => {
+    const b = circuitBreaker.getBreaker('api.example.com', opts);
+    b.onFailure(0);
+    b.onFailure(1);
+    b.onFailure(2);
+    b.onSuccess(5000);
+    b.onFailure(5001);
+    expect(b.state).toBe('closed');
+    expect(b.snapshot(5002)).toMatchObject({ requests: 2, failures: 1 });
+  });
+
+  test('half-open lets one probe through and closes on success', () => {
+    const b = circuitBreaker.getBreaker('api.example.com', { ...opts, minRequests: 1 });
+    b.onFailure(0);
+    expect(b.state).toBe('open');
+
+    expect(b.allowRequest(600)).toBe(true);
+    expect(b.state).toBe('half_open');
+    expect(b.allowRequest(601)).toBe(false); // probe already in flight
+
+    b.onSuccess(700);
+    expect(b.state).toBe('closed');
+  });
+
+  test('half-open probe failure re-opens the circuit', () => {
+    const b = circuitBreaker.getBreaker('api.example.com', { ...opts, minRequests: 1 });
+    b.onFailure(0);
+    b.allowRequest(600);
+    b.onFailure(650);
+    expect(b.state).toBe('open');
+    expect(b.allowRequest(700)).toBe(false);
+  });
+
+  test('open errors keep a distinct code through fromUpstream', () => {
+    const b = circuitBreaker.getBreaker('api.example.com', { ...opts, minRequests: 1 });
+    b.onFailure();
+
+    const err = circuitBreaker.openError(b);
+    expect(err).toBeInstanceOf(AppError);
+    expect(err).toMatchObject({ code: 'upstream_circuit_open', status: 503 });
+
+    const wrapped = AppError.fromUpstream('mp_checkout_failed', 'Failed', err, { provider: 'mercadopago' });
+    expect(wrapped.code).toBe('upstream_circuit_open');
+    expect(wrapped.details).toMatchObject({ provider: 'mercadopago', upstream: 'api.example.com' });
+    expect(AppError.isTransient(wrapped)).toBe(true);
+
+    expect(circuitBreaker.snapshot()['api.example.com']).toMatchObject({ state: 'open' });
+  });
+});
@@ -0,0 +1,47 @@
+// tests/unit/utils/signedToken.test.js
+'use strict';
+
+/**
+ * Unit tests for utils/signedToken:
+ * - Round trip of claims with the token type and expiry.
+ * - Tampered payloads, foreign secrets, other token types and expired tokens
+ *   are rejected with a reason instead of throwing.
+ */
+
+const signedToken = require('../../../utils/signedToken');
+
+const SECRET = 'test-secret';
+const HOUR = 60 * 60_000;
+
+describe('utils/signedToken', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('verifies a token it signed', () => {
+    const token = signedToken.sign('checkout_resume', { ref: 'abc' }, SECRET, HOUR);
+    const out = signedToken.verify('checkout_resume', token, SECRET);
+    expect(out.ok).toBe(true);
+    expect(out.claims).toMatchObject({ ref: 'abc', typ: 'checkout_resume' });
+  });
+
+  test('rejects tampered payloads and foreign secrets', () => {
+    const token = signedToken.sign('checkout_resume', { ref: 'abc' }, SECRET, HOUR);
+    const [, sig] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ref: 'xyz', typ: 'checkout_resume', exp: 9e9 })).toString('base64url');
+
+    expect(signedToken.verify('checkout_resume', `${forged}.${sig}`, SECRET)).toEqual({ ok: false, reason: 'bad_signature' });
+    expect(signedToken.verify('checkout_resume', token, 'other-secret')).toEqual({ ok: false, reason: 'bad_signature' });
+  });
+
+  test('rejects malformed input, other token types and expired tokens', () => {
+    expect(signedToken.verify('checkout_resume', 'not-a-token', SECRET)).toEqual({ ok: false, reason: 'malformed' });
+    expect(signedToken.verify('checkout_resume', undefined, SECRET)).toEqual({ ok: false, reason: 'malformed' });
+
+    const other = signedToken.sign('unsubscribe', { ref: 'abc' }, SECRET, HOUR);
+    expect(signedToken.verify('checkout_resume', other, SECRET)).toEqual({ ok: false, reason: 'wrong_type' });
+
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+    const token = signedToken.sign('checkout_resume', { ref: 'abc' }, SECRET, HOUR);
+    jest.setSystemTime(new Date('2026-10-19T13:00:01Z'));
+    expect(signedToken.verify('checkout_resume', token, SECRET)).toEqual({ ok: false, reason: 'expired' });
+  });
+});
@@ -0,0 +1,63 @@
+// tests/unit/utils/timezoneOffline.test.js
+'use strict';
+
+/**
+ * Unit tests for offline timezone resolution (bundled boundaries + tzdb):
+ * - Historical Brazilian offsets: DST years, per-state rules, abolished DST.
+ * - Skipped/repeated local hours around DST transitions.
+ * - Local Mean Time from longitude before a zone adopted standard time.
+ * - utils/timezone with TZ_PROVIDERS=offline needs no Google key.
+ */
+
+process.env.TZ_PROVIDERS = 'offline';
+
+const offline = require('../../../utils/timezoneOffline');
+const { getTimezoneAtMoment } = require('../../../utils/timezone');
+
+const SAO_PAULO = { lat: -23.5505, lng: -46.6333 };
+const RECIFE = { lat: -8.0476, lng: -34.877 };
+
+describe('utils/timezoneOffline', () => {
+  test('maps coordinates to IANA zones', () => {
+    expect(offline.zoneAt(SAO_PAULO.lat, SAO_PAULO.lng)).toBe('America/Sao_Paulo');
+    expect(offline.zoneAt(RECIFE.lat, RECIFE.lng)).toBe('America/Recife');
+  });
+
+  test('applies historical Brazilian DST rules', () => {
+    const at = (place, dateStr) => offline.lookup({ ...place, dateStr, timeStr: '12:00' }).offsetMin;
+    expect(at(SAO_PAULO, '2018-01-10')).toBe(-120); // DST
+    expect(at(SAO_PAULO, '2019-12-10')).toBe(-180); // DST abolished in 2019
+    expect(at(SAO_PAULO, '1965-12-10')).toBe(-120);
+    expect(at(RECIFE, '1985-12-10')).toBe(-120);    // Northeast observed DST in 1985/86
+    expect(at(RECIFE, '1995-12-10')).toBe(-180);
+  });
+
+  test('resolves skipped and repeated hours to the offset in force before', () => {
+    // 2018-11-04 00:00 → 01:00 (skipped) and 2018-02-17 24:00 → 23:00 (repeated)
+    expect(offline.offsetAtLocalTime('America/Sao_Paulo', '2018-11-04', '00:30')).toBe(-180);
+    expect(offline.offsetAtLocalTime('America/Sao_Paulo', '2018-02-17', '23:30')).toBe(-120);
+  });
+
+  test('uses Local Mean Time of the longitude before standard time', () => {
+    // São Paulo adopted standard time on 1914-01-01
+    expect(offline.localMeanTime({ ...SAO_PAULO, dateStr: '1900-06-01', timeStr: '12:00' })).toEqual({
+      tzId: 'America/Sao_Paulo', offsetMin: -186.533, offsetHours: -3.108883, source: 'lmt',
+    });
+    expect(offline.localMeanTime({ ...SAO_PAULO, dateStr: '1914-01-01', timeStr: '12:00' })).toBeNull();
+    // Zones without an LMT period (open ocean → Etc/GMT+2)
+    expect(offline.localMeanTime({ lat: 0, lng: -30, dateStr: '1800-01-01', timeStr: '12:00' })).toBeNull();
+  });
+
+  test('serves utils/timezone without a Google key', async () => {
+    const saved = process.env.GOOGLE_MAPS_API_KEY;
+    delete process.env.GOOGLE_MAPS_API_KEY;
+    try {
+      await expect(getTimezoneAtMoment({ ...SAO_PAULO, birthDate: '2018-01-10', birthTime: '09:15' }))
+        .resolves.toEqual({ tzId: 'America/Sao_Paulo', offsetMin: -120, offsetHours: -2, source: 'offline' });
+      await expect(getTimezoneAtMoment({ ...SAO_PAULO, birthDate: '1905-03-01', birthTime: '10:00' }))
+        .resolves.toMatchObject({ offsetMin: -186.533, source: 'lmt' });
+    } finally {
+      if (saved !== undefined) process.env.GOOGLE_MAPS_API_KEY = saved;
+    }
+  });
+});
@@ -34,4 +34,20 @@ describe('validators/birthchart — smoke', () => {
 
     expect(() => validateBirthchartPayload(bad)).toThrow();
   });
+
+  test('accepts an unknown birth time and stores noon', () => {
+    const base = {
+      name: 'Ana',
+      email: 'ana@example.com',
+      birth_date: '1992-05-06',
+      birth_place: 'Contagem',
+      product_type: 'birth_chart',
+    };
+
+    const out = validateBirthchartPayload({ ...base, birth_time: '', birth_time_unknown: 'true' });
+    expect(out.birth_time_unknown).toBe(true);
+    expect(out.birth_time).toBe('12:00');
+
+    expect(() => validateBirthchartPayload(base)).toThrow(); // time required unless flagged
+  });
 });
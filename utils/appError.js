@@ -13,7 +13,9 @@
  * Helpers included:
  *  - validation(...)           → 400 errors for input validation
  *  - fromUnexpected(...)       → 500 (or provided status) for unexpected failures
- *  - fromUpstream(...)         → wraps HTTP client/provider errors (default 502)
+ *  - fromUpstream(...)         → wraps HTTP client/provider errors (default 502);
+ *                                 circuit-open errors keep their `upstream_circuit_open` code
+ *  - isTransient(err)          → true for timeouts/network/408/425/429/5xx (safe to retry elsewhere)
  *  - fromMPResponse(...)       → specialized mapping for Mercado Pago responses
  *  - fromPagBankResponse(...)  → specialized mapping for PagBank responses
  *
@@ -89,6 +91,16 @@ class AppError extends Error {
    * @param {object} [extraDetails]
    */
   static fromUpstream(code, message, upstreamErr, extraDetails = undefined) {
+    // Keep the fast-fail signal from utils/circuitBreaker distinct from real upstream errors.
+    if (upstreamErr?.code === 'upstream_circuit_open') {
+      return new AppError(
+        'upstream_circuit_open',
+        message || 'Upstream circuit open',
+        503,
+        Object.assign({}, extraDetails || {}, upstreamErr.details || {})
+      );
+    }
+
     const status = normalizeHttpStatus(upstreamErr?.response?.status, 502);
     const details = Object.assign(
       {},
@@ -99,6 +111,20 @@ class AppError extends Error {
     return new AppError(code || 'upstream_error', message || 'Upstream error', status, details);
   }
 
+  /**
+   * Classify an error as transient (worth retrying/failing over) vs permanent.
+   * Uses the upstream status preserved by fromUpstream when present; otherwise the
+   * AppError status (fromUpstream maps network errors/timeouts to 502).
+   * @param {any} err
+   * @returns {boolean}
+   */
+  static isTransient(err) {
+    if (!err) return false;
+    const upstream = err?.details?.upstreamStatus;
+    const status = Number(upstream != null ? upstream : err.status);
+    return TRANSIENT_STATUS.has(status);
+  }
+
   /**
    * Map Mercado Pago HTTP client errors to AppError.
    * Honors Retry-After header (seconds or HTTP-date) when present.
@@ -152,6 +178,8 @@ class AppError extends Error {
 
 /* ----------------------------- Internal helpers ----------------------------- */
 
+const TRANSIENT_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
 function normalizeHttpStatus(status, fallback = 500) {
   const n = Number(status);
   return Number.isFinite(n) && n >= 400 && n <= 599 ? n : fallback;
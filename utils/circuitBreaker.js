@@ -0,0 +1,253 @@
+// utils/circuitBreaker.js
+'use strict';
+
+/**
+ * Per-host circuit breaker (in-memory)
+ * ------------------------------------
+ * States:
+ *  - closed    : calls flow; outcomes are recorded in a sliding time window.
+ *  - open      : calls are rejected immediately until `cooldownMs` elapses.
+ *  - half_open : up to `halfOpenMaxCalls` probe calls are let through; one success
+ *                closes the circuit, one failure re-opens it.
+ *
+ * Tripping rule (closed → open):
+ *   at least `minRequests` outcomes in the last `windowMs` AND
+ *   failures / total >= `failureRateThreshold`.
+ *
+ * Usage
+ *   const cb = require('./utils/circuitBreaker');
+ *   const breaker = cb.getBreaker('api.mercadopago.com', { cooldownMs: 20_000 });
+ *   if (!breaker.allowRequest()) throw cb.openError(breaker);
+ *   ... breaker.onSuccess() / breaker.onFailure()
+ *
+ * Breakers are keyed by host (or any caller-chosen key); options from the first
+ * caller win for a key, later callers share the same instance.
+ * State is exported via `snapshot()` (/healthz) and prom-client gauges (/metrics).
+ */
+
+const { AppError } = require('./appError');
+
+/* -------------------------------- Defaults -------------------------------- */
+
+const DEFAULTS = {
+  failureRateThreshold: toNum(process.env.HTTP_CB_FAILURE_RATE, 0.5),
+  minRequests:          toInt(process.env.HTTP_CB_MIN_REQUESTS, 5),
+  windowMs:             toInt(process.env.HTTP_CB_WINDOW_MS, 30_000),
+  cooldownMs:           toInt(process.env.HTTP_CB_COOLDOWN_MS, 30_000),
+  halfOpenMaxCalls:     1,
+};
+
+const STATE_VALUE = { closed: 0, half_open: 1, open: 2 };
+
+/* ------------------------------- Metrics (optional) ------------------------------- */
+
+let prom = null;
+try { prom = require('prom-client'); } catch { /* metrics disabled */ }
+
+const stateGauge = prom
+  ? new prom.Gauge({
+      name: 'zodika_circuit_breaker_state',
+      help: 'Circuit breaker state per upstream (0=closed, 1=half_open, 2=open)',
+      labelNames: ['upstream'],
+    })
+  : null;
+
+const transitionCounter = prom
+  ? new prom.Counter({
+      name: 'zodika_circuit_breaker_transitions_total',
+      help: 'Circuit breaker state transitions per upstream',
+      labelNames: ['upstream', 'to'],
+    })
+  : null;
+
+const rejectionCounter = prom
+  ? new prom.Counter({
+      name: 'zodika_circuit_breaker_rejections_total',
+      help: 'Calls rejected because the circuit was open',
+      labelNames: ['upstream'],
+    })
+  : null;
+
+/* --------------------------------- Breaker ---------------------------------------- */
+
+class CircuitBreaker {
+  constructor(key, opts = {}) {
+    this.key = key;
+    this.opts = { ...DEFAULTS, ...pickDefined(opts) };
+    this.state = 'closed';
+    this.openedAt = 0;
+    this.halfOpenInFlight = 0;
+    this.outcomes = []; // [{ ts, ok }]
+    this.lastFailureAt = null;
+    if (stateGauge) stateGauge.labels(key).set(0);
+  }
+
+  /** Whether a call may proceed now (moves open → half_open after cooldown). */
+  allowRequest(now = Date.now()) {
+    if (this.state === 'open') {
+      if (now - this.openedAt < this.opts.cooldownMs) {
+        if (rejectionCounter) rejectionCounter.labels(this.key).inc();
+        return false;
+      }
+      this.transition('half_open');
+    }
+    if (this.state === 'half_open') {
+      if (this.halfOpenInFlight >= this.opts.halfOpenMaxCalls) {
+        if (rejectionCounter) rejectionCounter.labels(this.key).inc();
+        return false;
+      }
+      this.halfOpenInFlight += 1;
+    }
+    return true;
+  }
+
+  onSuccess(now = Date.now()) {
+    if (this.state === 'half_open') {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+      this.outcomes = [];
+      this.transition('closed');
+      return;
+    }
+    this.record(true, now);
+  }
+
+  onFailure(now = Date.now()) {
+    this.lastFailureAt = now;
+    if (this.state === 'half_open') {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+      this.trip(now);
+      return;
+    }
+    this.record(false, now);
+    if (this.state !== 'closed') return;
+
+    const total = this.outcomes.length;
+    const failures = this.outcomes.reduce((acc, o) => acc + (o.ok ? 0 : 1), 0);
+    if (total >= this.opts.minRequests && failures / total >= this.opts.failureRateThreshold) {
+      this.trip(now);
+    }
+  }
+
+  /** Release a half-open slot without counting an outcome (e.g. caller aborted). */
+  onIgnored() {
+    if (this.state === 'half_open') this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+  }
+
+  /** Milliseconds until an open circuit lets a probe through (0 when not open). */
+  retryAfterMs(now = Date.now()) {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.opts.cooldownMs - (now - this.openedAt));
+  }
+
+  isOpen(now = Date.now()) {
+    return this.state === 'open' && now - this.openedAt < this.opts.cooldownMs;
+  }
+
+  snapshot(now = Date.now()) {
+    this.prune(now);
+    const failures = this.outcomes.reduce((acc, o) => acc + (o.ok ? 0 : 1), 0);
+    return {
+      state: this.state,
+      failures,
+      requests: this.outcomes.length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.retryAfterMs(now),
+    };
+  }
+
+  /* internals */
+
+  record(ok, now) {
+    this.outcomes.push({ ts: now, ok });
+    this.prune(now);
+  }
+
+  prune(now) {
+    const cutoff = now - this.opts.windowMs;
+    while (this.outcomes.length && this.outcomes[0].ts < cutoff) this.outcomes.shift();
+  }
+
+  trip(now) {
+    this.openedAt = now;
+    this.halfOpenInFlight = 0;
+    this.transition('open');
+  }
+
+  transition(to) {
+    if (this.state === to) return;
+    this.state = to;
+    if (stateGauge) stateGauge.labels(this.key).set(STATE_VALUE[to]);
+    if (transitionCounter) transitionCounter.labels(this.key, to).inc();
+  }
+}
+
+/* -------------------------------- Registry ---------------------------------------- */
+
+const breakers = new Map();
+
+/** Get (or create) the breaker for a key; options apply on first creation only. */
+function getBreaker(key, opts) {
+  const k = String(key || 'unknown');
+  let b = breakers.get(k);
+  if (!b) {
+    b = new CircuitBreaker(k, opts);
+    breakers.set(k, b);
+  }
+  return b;
+}
+
+/** True when a breaker exists for the key and is currently open. */
+function isOpen(key) {
+  const b = breakers.get(String(key || ''));
+  return b ? b.isOpen() : false;
+}
+
+/** { [key]: { state, failures, requests, openedAt, retryAfterMs } } */
+function snapshot() {
+  const out = {};
+  for (const [k, b] of breakers) out[k] = b.snapshot();
+  return out;
+}
+
+/** AppError thrown to callers while the circuit is open. */
+function openError(breaker) {
+  return new AppError(
+    'upstream_circuit_open',
+    `Circuit open for upstream ${breaker.key}`,
+    503,
+    { upstream: breaker.key, retryAfterMs: breaker.retryAfterMs() }
+  );
+}
+
+/** Test helper: drop all breakers. */
+function reset() {
+  breakers.clear();
+  if (stateGauge) stateGauge.reset();
+}
+
+module.exports = {
+  CircuitBreaker,
+  getBreaker,
+  isOpen,
+  snapshot,
+  openError,
+  reset,
+};
+
+/* --------------------------------- Internals -------------------------------- */
+
+function pickDefined(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj || {})) if (v !== undefined) out[k] = v;
+  return out;
+}
+
+function toInt(v, def) {
+  const n = Number.parseInt(String(v ?? ''), 10);
+  return Number.isFinite(n) ? n : def;
+}
+
+function toNum(v, def) {
+  const n = Number(v);
+  return v != null && v !== '' && Number.isFinite(n) ? n : def;
+}
@@ -21,11 +21,15 @@ module.exports = {
   TIMEOUT: 'timeout',
   BAD_GATEWAY: 'bad_gateway',
   SERVICE_UNAVAILABLE: 'service_unavailable',
+  UPSTREAM_CIRCUIT_OPEN: 'upstream_circuit_open',
 
   /* Webhook / Security */
   WEBHOOK_SIGNATURE_INVALID: 'webhook_signature_invalid',
   WEBHOOK_TIMESTAMP_STALE: 'webhook_timestamp_stale',
+  PAYPAL_WEBHOOK_VERIFICATION_FAILED: 'paypal_webhook_verification_failed',
   DUPLICATE_REQUEST: 'duplicate_request',
+  IDEMPOTENCY_KEY_INVALID: 'idempotency_key_invalid',
+  REQUEST_IN_PROGRESS: 'request_in_progress',
 
   /* Payments - Mercado Pago */
   MP_CREATE_PREFERENCE_FAILED: 'mp_create_preference_failed',
@@ -34,4 +38,36 @@ module.exports = {
   /* Payments - PagBank */
   PB_CREATE_CHECKOUT_FAILED: 'pagbank_create_checkout_failed',
   PB_WEBHOOK_PROCESSING_FAILED: 'pagbank_webhook_processing_failed',
+
+  /* Payments - PayPal */
+  PAYPAL_AMOUNT_MISMATCH: 'paypal_amount_mismatch',
+  PAYPAL_CHECKOUT_NOT_ALLOWED: 'paypal_checkout_not_allowed',
+
+  /* Payments - Routing */
+  PAYMENT_ROUTE_UNAVAILABLE: 'payment_route_unavailable',
+
+  /* Payments - Refunds */
+  REFUND_NOT_ALLOWED: 'refund_not_allowed',
+  REFUND_AMOUNT_INVALID: 'refund_amount_invalid',
+  REFUND_IN_PROGRESS: 'refund_in_progress',
+  REFUND_PROVIDER_UNSUPPORTED: 'refund_provider_unsupported',
+  IDEMPOTENCY_KEY_CONFLICT: 'idempotency_key_conflict',
+  MP_REFUND_FAILED: 'mp_refund_failed',
+  PB_REFUND_FAILED: 'pagbank_refund_failed',
+  PAYPAL_REFUND_FAILED: 'paypal_refund_failed',
+
+  /* Coupons */
+  COUPON_INVALID: 'coupon_invalid',
+  COUPON_EXPIRED: 'coupon_expired',
+  COUPON_NOT_APPLICABLE: 'coupon_not_applicable',
+  COUPON_EXHAUSTED: 'coupon_exhausted',
+  COUPON_EMAIL_LIMIT_REACHED: 'coupon_email_limit_reached',
+
+  /* Birthchart */
+  CHART_SETTING_NOT_ALLOWED: 'chart_setting_not_allowed',
+  REPORT_LINK_EXPIRED: 'report_link_expired',
+  REPORT_REVOKED: 'report_revoked',
+  REPORT_CHECKSUM_MISMATCH: 'report_checksum_mismatch',
+  BIRTH_COORDINATES_REQUIRED: 'birth_coordinates_required',
+  PREVIEW_UNAVAILABLE: 'preview_unavailable',
 };
@@ -12,11 +12,17 @@
  * - Optional response size guard (Content-Length).
  * - Correlation propagation (X-Request-Id/X-Correlation-Id).
  * - Respects upstream AbortSignal (`opts.signal`) for cooperative cancellation.
+ * - Opt-in per-host circuit breaker (`opts.circuitBreaker`); while open, calls fail
+ *   fast with AppError `upstream_circuit_open` (503) instead of waiting out timeouts.
+ *   The PSP services under payments/ enable it on every provider call, so an outage
+ *   trips checkout failover quickly instead of holding the request open.
  *
  * API:
  *   const http = require('./utils/httpClient');
  *   await http.get(url, { headers, timeout, retries, signal });
  *   await http.post(url, body, { headers, timeout, retries, signal });
+ *   await http.post(url, body, { circuitBreaker: true });                     // keyed by host
+ *   await http.post(url, body, { circuitBreaker: { cooldownMs: 20_000 } });   // custom thresholds
  *
  * Return shape:
  *   { status, data, headers } on success
@@ -25,6 +31,7 @@
 
 const { fetch, Headers } = require('undici');
 const crypto = require('crypto');
+const circuitBreaker = require('./circuitBreaker');
 
 /* -------------------------------- Defaults -------------------------------- */
 
@@ -73,6 +80,21 @@ function isNetworkLikeError(err) {
   ].includes(code);
 }
 
+/**
+ * Resolve the breaker for a call site.
+ * `true` → defaults keyed by host; object → { key?, failureRateThreshold?, minRequests?,
+ * windowMs?, cooldownMs?, halfOpenMaxCalls? }; falsy → no breaker.
+ */
+function resolveBreaker(url, cfg) {
+  if (!cfg) return null;
+  const opts = typeof cfg === 'object' ? cfg : {};
+  let key = opts.key;
+  if (!key) {
+    try { key = new URL(url).host; } catch { return null; }
+  }
+  return circuitBreaker.getBreaker(key, opts);
+}
+
 /* --------------------------- Core fetch with guards ------------------------ */
 
 /**
@@ -196,6 +218,8 @@ async function doFetch(method, url, {
  *  - 408, 425, 429, 5xx responses
  *  - network/timeout errors
  * Respects `opts.signal` for cooperative cancellation across retries.
+ * With `opts.circuitBreaker`, every attempt is gated and recorded: network errors and
+ * retry-worthy statuses count as failures; other 4xx prove the host is up.
  */
 async function request(method, url, opts = {}) {
   const {
@@ -209,16 +233,21 @@ async function request(method, url, opts = {}) {
     userAgent,
     followRedirects,
     signal,
+    circuitBreaker: breakerCfg,
   } = opts;
 
+  const breaker = resolveBreaker(url, breakerCfg);
+
   const backoff = Array.isArray(retryBackoffMs) && retryBackoffMs.length
     ? retryBackoffMs
     : [0, 200, 500, 1000];
 
   let lastErr;
   for (let attempt = 0; attempt <= retries; attempt++) {
+    if (breaker && !breaker.allowRequest()) throw circuitBreaker.openError(breaker);
+
     try {
-      return await doFetch(method, url, {
+      const res = await doFetch(method, url, {
         data,
         headers,
         timeout,
@@ -228,16 +257,25 @@ async function request(method, url, opts = {}) {
         userAgent,
         followRedirects: followRedirects !== false, // default: follow
       });
+      if (breaker) breaker.onSuccess();
+      return res;
     } catch (err) {
       lastErr = err;
 
-      // If canceled by upstream, don't retry
-      if (signal?.aborted) break;
-
       const status = err?.response?.status;
       const isRetryableStatus = status ? RETRY_STATUS.has(status) : false;
       const isNetworkErr = isNetworkLikeError(err);
 
+      if (breaker) {
+        if (signal?.aborted) breaker.onIgnored();
+        else if (isRetryableStatus || isNetworkErr) breaker.onFailure();
+        else if (status) breaker.onSuccess();
+        else breaker.onIgnored();
+      }
+
+      // If canceled by upstream, don't retry
+      if (signal?.aborted) break;
+
       if (attempt >= retries || (!isRetryableStatus && !isNetworkErr)) break;
 
       const retryAfterMs = parseRetryAfterMs(err?.response?.headers?.['retry-after']);
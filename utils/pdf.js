@@ -0,0 +1,229 @@
+// utils/pdf.js
+'use strict';
+
+/**
+ * Minimal PDF writer (no dependencies)
+ * ------------------------------------
+ * Enough for text reports: A4 pages, the standard Helvetica / Helvetica-Bold
+ * fonts (WinAnsiEncoding: Portuguese/Spanish accents, °, ’, “ ”, – —, •, …),
+ * lines and filled rectangles. Characters outside WinAnsi are written as '?'.
+ *
+ *  - Coordinates are PDF points with the origin at the bottom-left of the page.
+ *  - Output is deterministic: no creation date or random file id, so the same
+ *    content always produces the same bytes (and the same checksum).
+ *  - Page content streams are Flate-compressed (zlib, deterministic).
+ *
+ * Usage:
+ *   const doc = pdf.createDocument({ title: 'Report' });
+ *   const page = doc.addPage();
+ *   page.text(56, 780, 'Olá', { size: 18, bold: true });
+ *   const buf = doc.toBuffer();
+ */
+
+const zlib = require('zlib');
+
+const A4 = Object.freeze({ width: 595.28, height: 841.89 });
+
+/* ------------------------------ Font metrics -------------------------------- */
+
+// Helvetica advance widths (1/1000 em) for ASCII 32..126.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+// Helvetica-Bold is close enough for wrapping purposes at this scale.
+const BOLD_FACTOR = 1.06;
+
+// WinAnsi (cp1252) codes for characters outside Latin-1.
+const CP1252_EXTRA = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99,
+};
+
+/** Encode a string as WinAnsi bytes ('?' for unsupported characters). */
+function encodeWinAnsi(str) {
+  const s = String(str ?? '').normalize('NFC');
+  const bytes = [];
+  for (const ch of s) {
+    const cp = ch.codePointAt(0);
+    if (CP1252_EXTRA[ch] != null) bytes.push(CP1252_EXTRA[ch]);
+    else if ((cp >= 0x20 && cp < 0x7f) || (cp >= 0xa0 && cp <= 0xff)) bytes.push(cp);
+    else if (cp === 0x09) bytes.push(0x20);
+    else bytes.push(0x3f);
+  }
+  return Buffer.from(bytes);
+}
+
+function charWidth(byte) {
+  if (byte >= 32 && byte <= 126) return HELVETICA_WIDTHS[byte - 32];
+  if (byte >= 0xc0) {
+    // Accented letters: width of the base letter.
+    const base = String.fromCharCode(byte).normalize('NFD').charCodeAt(0);
+    if (base >= 32 && base <= 126) return HELVETICA_WIDTHS[base - 32];
+  }
+  return 556;
+}
+
+/** Width of a string in points. */
+function textWidth(str, size = 12, bold = false) {
+  let units = 0;
+  for (const b of encodeWinAnsi(str)) units += charWidth(b);
+  return (units * size * (bold ? BOLD_FACTOR : 1)) / 1000;
+}
+
+/**
+ * Greedy word wrap to `maxWidth` points. Words longer than a line are kept whole.
+ * @returns {string[]}
+ */
+function wrapText(str, maxWidth, size = 12, bold = false) {
+  const lines = [];
+  for (const paragraph of String(str ?? '').split('\n')) {
+    let current = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && textWidth(candidate, size, bold) > maxWidth) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    }
+    lines.push(current);
+  }
+  return lines;
+}
+
+/* --------------------------------- Helpers --------------------------------- */
+
+const n = (v) => (Math.round(Number(v) * 100) / 100).toString();
+
+function rgb(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || ''));
+  const v = m ? parseInt(m[1], 16) : 0;
+  return [(v >> 16) & 255, (v >> 8) & 255, v & 255].map((c) => n(c / 255)).join(' ');
+}
+
+/** PDF literal string from WinAnsi bytes. */
+function literal(str) {
+  const bytes = encodeWinAnsi(str);
+  let out = '(';
+  for (const b of bytes) {
+    if (b === 0x28 || b === 0x29 || b === 0x5c) out += `\\${String.fromCharCode(b)}`;
+    else out += String.fromCharCode(b);
+  }
+  return `${out})`;
+}
+
+/* -------------------------------- Document --------------------------------- */
+
+function createPage(size) {
+  const ops = [];
+  return {
+    width: size.width,
+    height: size.height,
+
+    /** Draw text with its baseline at (x, y). */
+    text(x, y, str, { size: fontSize = 11, bold = false, color = '#000000', align = 'left' } = {}) {
+      let left = x;
+      if (align !== 'left') {
+        const w = textWidth(str, fontSize, bold);
+        left = align === 'right' ? x - w : x - w / 2;
+      }
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${n(fontSize)} Tf ${rgb(color)} rg ${n(left)} ${n(y)} Td ${literal(str)} Tj ET`);
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5, color = '#000000' } = {}) {
+      ops.push(`${n(width)} w ${rgb(color)} RG ${n(x1)} ${n(y1)} m ${n(x2)} ${n(y2)} l S`);
+    },
+
+    rect(x, y, w, h, { fill = '#eeeeee' } = {}) {
+      ops.push(`${rgb(fill)} rg ${n(x)} ${n(y)} ${n(w)} ${n(h)} re f`);
+    },
+
+    _content() {
+      return Buffer.from(ops.join('\n'), 'latin1');
+    },
+  };
+}
+
+/**
+ * New document.
+ * @param {{ title?: string, author?: string, subject?: string, size?: { width: number, height: number } }} [info]
+ */
+function createDocument({ title = '', author = '', subject = '', size = A4 } = {}) {
+  const pages = [];
+
+  return {
+    get pages() { return pages; },
+
+    addPage() {
+      const page = createPage(size);
+      pages.push(page);
+      return page;
+    },
+
+    /** Serialize to a PDF 1.4 file. */
+    toBuffer() {
+      // 1 catalog, 2 pages, 3-4 fonts, 5 info, then (page, content) pairs.
+      const objects = [];
+      const kids = pages.map((_, i) => `${6 + i * 2} 0 R`).join(' ');
+      objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+      objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+      objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      objects.push(`<< /Title ${literal(title)} /Author ${literal(author)} /Subject ${literal(subject)} /Producer (zodika) >>`);
+
+      pages.forEach((page, i) => {
+        const contentRef = 7 + i * 2;
+        objects.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(size.width)} ${n(size.height)}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R >>`
+        );
+        const stream = zlib.deflateSync(page._content());
+        objects.push(Buffer.concat([
+          Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+          stream,
+          Buffer.from('\nendstream', 'latin1'),
+        ]));
+      });
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let offset = chunks[0].length;
+      const offsets = [];
+      objects.forEach((obj, i) => {
+        const body = Buffer.isBuffer(obj) ? obj : Buffer.from(obj, 'latin1');
+        const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+        offsets.push(offset);
+        offset += chunk.length;
+        chunks.push(chunk);
+      });
+
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+        '',
+      ].join('\n');
+      chunks.push(Buffer.from(xref, 'latin1'));
+      return Buffer.concat(chunks);
+    },
+  };
+}
+
+module.exports = {
+  A4,
+  createDocument,
+  textWidth,
+  wrapText,
+  encodeWinAnsi,
+};
@@ -9,6 +9,7 @@
  *  - Revalidate current payment status from `public.zodika_requests`.
  *  - If still PENDING, fire slim webhook (no Ephemeris) and record job in `public.product_jobs`.
  *  - Mark schedule as 'fired' or 'canceled' accordingly (idempotent).
+ *  - Drain due birth timezone jobs (retries with backoff, see modules/birthchart/timezoneJobs).
  *
  * Notes
  *  - Uses hard-coded defaults: POLL_MS=120_000 and BATCH_LIMIT=50.
@@ -21,6 +22,8 @@ const httpClient = require('./httpClient');
 
 // Reuse repository to access DB-layer functions.
 const repo = require('../modules/birthchart/repository');
+const resumeLink = require('../modules/birthchart/resumeLink');
+const timezoneJobs = require('../modules/birthchart/timezoneJobs');
 
 // Constants
 const PRODUCT_TYPE = 'birth_chart';
@@ -61,8 +64,11 @@ function withJitter(baseMs) {
   return Math.max(1_000, Math.round(baseMs * factor));
 }
 
-/** Build a minimal n8n payload (no Ephemeris), aligned with handler's slim shape. */
-function buildSlimPayload({ requestRow, jobs, jobId, triggerStatus, provider }) {
+/**
+ * Build a minimal n8n payload (no Ephemeris), aligned with handler's slim shape.
+ * `payment.resume_url` is the signed "finish your payment" link (null when disabled).
+ */
+function buildSlimPayload({ requestRow, jobs, jobId, triggerStatus, provider, resumeUrl }) {
   return {
     request: {
       request_id: requestRow.request_id,
@@ -73,6 +79,7 @@ function buildSlimPayload({ requestRow, jobs, jobId, triggerStatus, provider })
       email: requestRow.email,
       birth_date: requestRow.birth_date,
       birth_time: requestRow.birth_time,
+      birth_time_unknown: requestRow.birth_time_unknown === true,
       birth_place: requestRow.birth_place,
       birth_place_lat: requestRow.birth_place_lat,
       birth_place_lng: requestRow.birth_place_lng,
@@ -89,6 +96,7 @@ function buildSlimPayload({ requestRow, jobs, jobId, triggerStatus, provider })
         checkout_id: requestRow.payment_checkout_id,
         payment_id: requestRow.payment_payment_id,
         link: requestRow.payment_link,
+        resume_url: resumeUrl || null,
         authorized_at: requestRow.payment_authorized_at,
         updated_at: requestRow.payment_updated_at,
       },
@@ -191,6 +199,14 @@ async function processBatch(limit) {
         jobs = [];
       }
 
+      // Resume link (best-effort: the reminder still goes out with the raw payment link)
+      let resumeUrl = null;
+      try {
+        resumeUrl = await resumeLink.buildResumeUrl(request.public_id);
+      } catch (e) {
+        slog.warn({ err: e?.message }, 'resume link build failed');
+      }
+
       // Build slim payload
       const payload = buildSlimPayload({
         requestRow: request,
@@ -198,6 +214,7 @@ async function processBatch(limit) {
         jobId: job?.job_id,
         triggerStatus: kindStr,
         provider,
+        resumeUrl,
       });
 
       // Fire webhook
@@ -240,6 +257,17 @@ async function processBatch(limit) {
   }
 }
 
+/** Retry due timezone jobs; failures stay queued for the next tick. */
+async function processTimezoneJobs(limit) {
+  const log = baseLogger.child('tz');
+  try {
+    const claimed = await timezoneJobs.runDue(limit);
+    if (claimed > 0) log.info({ claimed }, 'timezone jobs processed');
+  } catch (e) {
+    log.error({ err: e?.message }, 'timezone jobs run failed');
+  }
+}
+
 /* --------------------------------- Runner ---------------------------------- */
 
 function scheduleNextTick(baseMs) {
@@ -248,6 +276,7 @@ function scheduleNextTick(baseMs) {
     if (_stopped) return;
     try {
       await processBatch(BATCH_LIMIT_DEFAULT);
+      await processTimezoneJobs(BATCH_LIMIT_DEFAULT);
     } catch (e) {
       baseLogger.error({ err: e?.message }, 'processBatch crashed');
     } finally {
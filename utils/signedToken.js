@@ -0,0 +1,64 @@
+// utils/signedToken.js
+'use strict';
+
+/**
+ * Signed, expiring URL tokens (HMAC-SHA256)
+ * -----------------------------------------
+ * Format: base64url(JSON payload) + '.' + base64url(HMAC(secret, payload part))
+ *  - The payload always carries `exp` (epoch seconds) and `typ` (purpose), so a
+ *    token minted for one link type cannot be replayed on another.
+ *  - Payloads are signed, not encrypted: put opaque ids in them, never PII.
+ *  - Verification is constant-time and never throws on malformed input.
+ */
+
+const crypto = require('crypto');
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', String(secret)).update(data, 'utf8').digest();
+}
+
+/**
+ * Sign a payload for `ttlMs`.
+ * @param {string} typ   token purpose (e.g. 'checkout_resume')
+ * @param {object} claims
+ * @param {string} secret
+ * @param {number} ttlMs
+ * @returns {string}
+ */
+function sign(typ, claims, secret, ttlMs) {
+  if (!secret) throw new Error('signedToken: secret is required');
+  const exp = Math.floor((Date.now() + Math.max(0, Number(ttlMs) || 0)) / 1000);
+  const body = b64url(JSON.stringify({ ...claims, typ, exp }));
+  return `${body}.${b64url(hmac(secret, body))}`;
+}
+
+/**
+ * Verify a token.
+ * @returns {{ ok: true, claims: object } | { ok: false, reason: 'malformed'|'bad_signature'|'wrong_type'|'expired' }}
+ */
+function verify(typ, token, secret) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 2 || !parts[0] || !parts[1] || !secret) return { ok: false, reason: 'malformed' };
+
+  const expected = hmac(secret, parts[0]);
+  const given = Buffer.from(parts[1], 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, reason: 'bad_signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  } catch {
+    return { ok: false, reason: 'malformed' };
+  }
+  if (!claims || claims.typ !== typ) return { ok: false, reason: 'wrong_type' };
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) return { ok: false, reason: 'expired' };
+  return { ok: true, claims };
+}
+
+module.exports = { sign, verify };
@@ -2,22 +2,36 @@
 'use strict';
 
 const { fetch } = require('undici');
+const circuitBreaker = require('./circuitBreaker');
+const offline = require('./timezoneOffline');
 
 /**
- * Historical timezone resolution via Google Time Zone API only
- * -----------------------------------------------------------
- * - Computes historical offset using the given birth date/time as the API timestamp.
- * - Requires GOOGLE_MAPS_API_KEY (or explicit apiKey param).
+ * Historical timezone resolution (provider chain)
+ * -----------------------------------------------
+ * - TZ_PROVIDERS: ordered, comma-separated providers tried until one answers:
+ *     google  → Google Time Zone API (needs GOOGLE_MAPS_API_KEY or apiKey param;
+ *               skipped without one).
+ *     offline → bundled tz boundaries + tzdb (utils/timezoneOffline), no network.
+ *   Default `google,offline`; `offline` alone drops the external dependency.
+ * - Google: computes historical offset using the given birth date/time as the API timestamp.
+ * - Local Mean Time: a birth before its zone adopted standard time (e.g. before
+ *   1914 in Brazil) gets the LMT of its longitude (fractional minutes), detected
+ *   offline per zone before any provider is asked (utils/timezoneOffline).
  * - Returns:
- *    { tzId: string|null, offsetMin: number|null, offsetHours: number|null }
+ *    { tzId: string|null, offsetMin: number|null, offsetHours: number|null,
+ *      source: 'lmt'|'google'|'offline'|'fallback'|null }
  *
  * Notes:
  * - Uses Date.UTC to build a stable timestamp (in seconds).
  * - Sums `rawOffset` + `dstOffset` from Google to get total UTC offset at that moment.
- * - Caches results per (lat,lng,date,time) for performance.
- * - Optional static fallback (TZ_FALLBACK_ID + TZ_FALLBACK_OFFSET_MIN) is used only if Google fails.
+ * - Caches successful lookups per (lat,lng,date,time) for performance.
+ * - Optional static fallback (TZ_FALLBACK_ID + TZ_FALLBACK_OFFSET_MIN) is used only if every provider fails.
+ * - Google calls go through a per-host circuit breaker; while open, lookups skip the
+ *   network and fall back immediately (same as a failed call).
  */
 
+const KNOWN_PROVIDERS = new Set(['google', 'offline']);
+const PROVIDERS = parseProviders(process.env.TZ_PROVIDERS);
 const DEFAULT_PROVIDER_TIMEOUT_MS = toInt(process.env.TZ_PROVIDER_TIMEOUT_MS, 6000);
 const FALLBACK_TZ  = orNull(process.env.TZ_FALLBACK_ID);
 const FALLBACK_OFF = toInt(process.env.TZ_FALLBACK_OFFSET_MIN, null);
@@ -46,7 +60,7 @@ function setCache(key, value) {
 /* ---------------------------------- API ------------------------------------ */
 
 /**
- * Resolve historical timezone for a given lat/lng and birth date/time using Google Time Zone API.
+ * Resolve historical timezone for a given lat/lng and birth date/time through TZ_PROVIDERS.
  * @param {Object} params
  * @param {number|string} params.lat
  * @param {number|string} params.lng
@@ -67,33 +81,58 @@ async function getTimezoneAtMoment({ lat, lng, birthDate, birthTime, apiKey }) {
   const cached = getCache(cacheKey);
   if (cached !== null) return cached;
 
-  const key = orNull(apiKey) || orNull(process.env.GOOGLE_MAPS_API_KEY);
-  if (!key) {
-    console.warn('Google Time Zone API key not configured (GOOGLE_MAPS_API_KEY).');
-    const fb = staticFallbackOrNull();
-    setCache(cacheKey, fb);
-    return fb;
+  // Pre-standardization births: no provider knows better than the longitude.
+  const lmt = offline.localMeanTime({ lat: latNum, lng: lngNum, dateStr, timeStr: normalizedTime });
+  if (lmt) {
+    setCache(cacheKey, lmt);
+    return lmt;
   }
 
+  const key = orNull(apiKey) || orNull(process.env.GOOGLE_MAPS_API_KEY);
   let result = null;
 
-  try {
-    const tsSec = toUnixTimestampSec(dateStr, normalizedTime);
-    result = await googleTzLookup({
-      lat: latNum, lng: lngNum, timestampSec: tsSec, apiKey: key,
-      timeoutMs: DEFAULT_PROVIDER_TIMEOUT_MS,
-    });
-  } catch (error) {
-    console.warn('Google Time Zone lookup failed:', error?.message || String(error));
+  for (const provider of PROVIDERS) {
+    if (provider === 'google') {
+      if (!key) {
+        console.warn('Google Time Zone API key not configured (GOOGLE_MAPS_API_KEY); skipping provider.');
+        continue;
+      }
+      try {
+        const tsSec = toUnixTimestampSec(dateStr, normalizedTime);
+        result = await googleTzLookup({
+          lat: latNum, lng: lngNum, timestampSec: tsSec, apiKey: key,
+          timeoutMs: DEFAULT_PROVIDER_TIMEOUT_MS,
+        });
+      } catch (error) {
+        console.warn('Google Time Zone lookup failed:', error?.message || String(error));
+      }
+    } else if (provider === 'offline') {
+      result = offline.lookup({ lat: latNum, lng: lngNum, dateStr, timeStr: normalizedTime });
+      if (!result) console.warn('Offline timezone lookup found no zone for the given coordinates.');
+    }
+    if (result) break;
   }
 
-  if (!result) result = staticFallbackOrNull();
+  // Only provider answers are cached: a failure must not pin the fallback for a
+  // whole TTL while the timezone job retries.
+  if (!result) return staticFallbackOrNull();
 
   setCache(cacheKey, result);
   return result;
 }
 
-/* ------------------------------- Provider ---------------------------------- */
+/* ------------------------------- Providers --------------------------------- */
+
+/** Ordered provider list from TZ_PROVIDERS (unknown names ignored). */
+function parseProviders(raw) {
+  const list = String(raw || 'google,offline')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => KNOWN_PROVIDERS.has(s));
+  const unique = [...new Set(list)];
+  return unique.length ? unique : ['google', 'offline'];
+}
+
 
 async function googleTzLookup({ lat, lng, timestampSec, apiKey, timeoutMs }) {
   const qs = new URLSearchParams({
@@ -122,7 +161,7 @@ async function googleTzLookup({ lat, lng, timestampSec, apiKey, timeoutMs }) {
   if (!Number.isFinite(totalOffsetSec)) return null;
 
   const offsetMin = Math.round(totalOffsetSec / 60);
-  return { tzId: tzId || null, offsetMin, offsetHours: toHours(offsetMin) };
+  return { tzId: tzId || null, offsetMin, offsetHours: toHours(offsetMin), source: 'google' };
 }
 
 /* ------------------------------- Utilities --------------------------------- */
@@ -131,12 +170,18 @@ async function googleTzLookup({ lat, lng, timestampSec, apiKey, timeoutMs }) {
 function staticFallbackOrNull() {
   if (FALLBACK_TZ && Number.isFinite(toNum(FALLBACK_OFF))) {
     const offsetMin = Number(FALLBACK_OFF);
-    return { tzId: FALLBACK_TZ, offsetMin, offsetHours: toHours(offsetMin) };
+    return { tzId: FALLBACK_TZ, offsetMin, offsetHours: toHours(offsetMin), source: 'fallback' };
   }
-  return { tzId: null, offsetMin: null, offsetHours: null };
+  return { tzId: null, offsetMin: null, offsetHours: null, source: null };
 }
 
 async function fetchJson(url, { timeoutMs = 6000, method = 'GET', headers, body } = {}) {
+  const breaker = circuitBreaker.getBreaker(new URL(url).host);
+  if (!breaker.allowRequest()) {
+    console.warn(`Circuit open for ${breaker.key}; skipping request`);
+    return null;
+  }
+
   const ctrl = new AbortController();
   const t = setTimeout(() => ctrl.abort(), timeoutMs);
   try {
@@ -147,8 +192,12 @@ async function fetchJson(url, { timeoutMs = 6000, method = 'GET', headers, body
       signal: ctrl.signal,
     });
 
+    if (resp.status === 429 || resp.status >= 500) breaker.onFailure();
+    else breaker.onSuccess();
+
     if (!resp.ok) {
-      console.warn(`HTTP ${resp.status} for ${url}`);
+      // Log the host only: the query string carries the API key.
+      console.warn(`HTTP ${resp.status} for ${breaker.key}`);
       return null;
     }
 
@@ -157,6 +206,7 @@ async function fetchJson(url, { timeoutMs = 6000, method = 'GET', headers, body
     const data = isJson ? await resp.json().catch(() => null) : null;
     return data || null;
   } catch (error) {
+    breaker.onFailure();
     console.warn('Fetch error:', error?.message || String(error));
     return null;
   } finally {
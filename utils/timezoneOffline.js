@@ -0,0 +1,160 @@
+// utils/timezoneOffline.js
+'use strict';
+
+const geoTz = require('geo-tz');
+
+/**
+ * Offline historical timezone resolution
+ * --------------------------------------
+ * - lat/lng → IANA zone from the timezone-boundary-builder polygons bundled with
+ *   `geo-tz` (no network, no per-request cost).
+ * - IANA zone + local birth date/time → UTC offset at that moment from the tzdb
+ *   compiled into Node's ICU (Intl), so historical rules apply: e.g. Brazil's
+ *   DST years (1931–2019) and per-state rules (America/Recife, America/Bahia…).
+ * - Returns the same shape as utils/timezone:
+ *    { tzId, offsetMin, offsetHours, source }
+ *
+ * Local Mean Time (before a zone adopted standard time, e.g. 1914 in Brazil)
+ * - tzdb starts every zone with the LMT of its reference city; a birth inside
+ *   that period gets the LMT of its own longitude instead (4 min per degree,
+ *   fractional minutes), see localMeanTime().
+ *
+ * Ambiguous local times
+ * - Repeated hour (DST end): the first occurrence (offset in force before).
+ * - Skipped hour (DST start): the offset in force before the transition, i.e.
+ *   the wall time is read as if the clock had not moved yet.
+ */
+
+const DTF_CACHE = new Map();
+
+function formatterFor(tzId) {
+  let dtf = DTF_CACHE.get(tzId);
+  if (!dtf) {
+    dtf = new Intl.DateTimeFormat('en-US', {
+      timeZone: tzId,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    DTF_CACHE.set(tzId, dtf);
+  }
+  return dtf;
+}
+
+/** UTC offset (seconds) of `tzId` at the instant `epochMs`. */
+function offsetSecondsAtInstant(tzId, epochMs) {
+  const parts = {};
+  for (const p of formatterFor(tzId).formatToParts(new Date(epochMs))) parts[p.type] = p.value;
+  const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second));
+  const truncated = Math.floor(epochMs / 1000) * 1000;
+  return Math.round((asUtc - truncated) / 1000);
+}
+
+/** UTC offset (minutes, rounded) of `tzId` at the instant `epochMs`. */
+function offsetAtInstant(tzId, epochMs) {
+  return Math.round(offsetSecondsAtInstant(tzId, epochMs) / 60);
+}
+
+function wallClockUtc(dateStr, timeStr) {
+  const [y, m, d] = String(dateStr).split('-').map((n) => parseInt(n, 10));
+  const [hh, mm] = String(timeStr).split(':').map((n) => parseInt(n, 10));
+  return Date.UTC(y, m - 1, d, hh, mm, 0);
+}
+
+/* ----------------------------- Local Mean Time ------------------------------ */
+
+const LMT_CACHE = new Map();
+
+/**
+ * Initial LMT offset (seconds) of a zone, or null for zones without an LMT
+ * period (Etc/*, UTC): the earliest offset must differ from the modern ones.
+ */
+function zoneLmtSeconds(tzId) {
+  if (LMT_CACHE.has(tzId)) return LMT_CACHE.get(tzId);
+  const earliest = offsetSecondsAtInstant(tzId, Date.UTC(1700, 0, 1));
+  const modern = [Date.UTC(2000, 0, 1), Date.UTC(2000, 6, 1)].map((t) => offsetSecondsAtInstant(tzId, t));
+  const lmt = modern.includes(earliest) ? null : earliest;
+  LMT_CACHE.set(tzId, lmt);
+  return lmt;
+}
+
+/** True when the local date/time predates standard time in `tzId`. */
+function isLocalMeanTime(tzId, dateStr, timeStr) {
+  const lmt = zoneLmtSeconds(tzId);
+  if (lmt == null) return false;
+  const wall = wallClockUtc(dateStr, timeStr);
+  if (!Number.isFinite(wall)) return false;
+  return offsetSecondsAtInstant(tzId, wall - lmt * 1000) === lmt;
+}
+
+/**
+ * LMT of a birth place when the local date/time predates standard time in its
+ * zone: { tzId, offsetMin (fractional, 3 decimals), offsetHours, source: 'lmt' }.
+ * Null otherwise (or when the coordinates map to no zone).
+ */
+function localMeanTime({ lat, lng, dateStr, timeStr }) {
+  const tzId = zoneAt(lat, lng);
+  if (!tzId) return null;
+  try {
+    if (!isLocalMeanTime(tzId, dateStr, timeStr)) return null;
+  } catch {
+    return null; // zone unknown to this runtime's ICU
+  }
+  const offsetMin = Math.round(Number(lng) * 4 * 1000) / 1000; // 360° = 24h
+  return { tzId, offsetMin, offsetHours: Math.round((offsetMin / 60) * 1e6) / 1e6, source: 'lmt' };
+}
+
+/* ------------------------------ Standard time ------------------------------- */
+
+/**
+ * UTC offset (minutes) of a local wall-clock time in `tzId`.
+ * @param {string} tzId     IANA zone
+ * @param {string} dateStr  YYYY-MM-DD
+ * @param {string} timeStr  HH:MM
+ * @returns {number|null}
+ */
+function offsetAtLocalTime(tzId, dateStr, timeStr) {
+  const wall = wallClockUtc(dateStr, timeStr);
+  if (!Number.isFinite(wall)) return null;
+
+  // Offsets in force around that wall time (a transition is never closer than a day apart).
+  const before = offsetAtInstant(tzId, wall - 24 * 3_600_000);
+  const after = offsetAtInstant(tzId, wall + 24 * 3_600_000);
+  const valid = (off) => offsetAtInstant(tzId, wall - off * 60_000) === off;
+
+  if (valid(before)) return before; // also the first occurrence of a repeated hour
+  if (valid(after)) return after;
+  return before; // skipped hour
+}
+
+/** IANA zone at a coordinate, or null (invalid input / no polygon). */
+function zoneAt(lat, lng) {
+  try {
+    const zones = geoTz.find(lat, lng);
+    return Array.isArray(zones) && zones[0] ? zones[0] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve zone and historical offset for a birth.
+ * @param {{ lat: number, lng: number, dateStr: string, timeStr: string }} params
+ * @returns {{ tzId: string, offsetMin: number, offsetHours: number, source: 'offline' } | null}
+ */
+function lookup({ lat, lng, dateStr, timeStr }) {
+  const tzId = zoneAt(lat, lng);
+  if (!tzId) return null;
+
+  let offsetMin;
+  try {
+    offsetMin = offsetAtLocalTime(tzId, dateStr, timeStr);
+  } catch {
+    return null; // zone unknown to this runtime's ICU
+  }
+  if (!Number.isFinite(offsetMin)) return null;
+  return { tzId, offsetMin, offsetHours: Math.round((offsetMin / 60) * 1000) / 1000, source: 'offline' };
+}
+
+module.exports = { lookup, localMeanTime, isLocalMeanTime, zoneAt, offsetAtLocalTime };